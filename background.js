@@ -3,11 +3,16 @@
  * Handles extension lifecycle and optional message routing
  */
 
+// Provider adapters (supported hosts) + RL4 grammar (chunk notes validation).
+importScripts('lib/providers.js', 'lib/rl4-blocks.js');
+
 const STORAGE_KEYS = {
   LAST_SUPPORTED_TAB: 'rl4_last_supported_tab_v1',
   UI_WINDOW_ID: 'rl4_ui_window_id_v1',
   // Chunked encoder (store small per-conversation notes in chrome.storage)
-  CHUNK_NOTES_PREFIX: 'rl4_chunk_notes_v1:'
+  CHUNK_NOTES_PREFIX: 'rl4_chunk_notes_v1:',
+  // Automated chunk run (one at a time): see dispatchChunkRunStep
+  CHUNK_RUN: 'rl4_chunk_run_v1'
 };
 
 // --- Focused tab tracking (multi-window safe) ---
@@ -19,7 +24,8 @@ const activeTabIdByWindow = new Map(); // windowId -> tabId
 // --- Transcript store (IndexedDB in extension origin) ---
 function openTranscriptDb() {
   return new Promise((resolve, reject) => {
-    const req = indexedDB.open('rl4_transcripts_v1', 1);
+    // v2: + snapshots store (history of every generated snapshot)
+    const req = indexedDB.open('rl4_transcripts_v1', 2);
     req.onupgradeneeded = () => {
       const db = req.result;
       if (!db.objectStoreNames.contains('conversations')) {
@@ -29,6 +35,11 @@ function openTranscriptDb() {
         const store = db.createObjectStore('messages', { keyPath: ['convKey', 'idx'] });
         store.createIndex('byConvKey', 'convKey', { unique: false });
       }
+      if (!db.objectStoreNames.contains('snapshots')) {
+        const store = db.createObjectStore('snapshots', { keyPath: 'id' });
+        store.createIndex('byConvKey', 'convKey', { unique: false });
+        store.createIndex('byCreatedAt', 'createdAt', { unique: false });
+      }
     };
     req.onsuccess = () => resolve(req.result);
     req.onerror = () => reject(req.error || new Error('Failed to open transcripts IndexedDB'));
@@ -77,6 +88,66 @@ async function idbGetAllByIndex(db, storeName, indexName, key) {
   });
 }
 
+async function idbGetAll(db, storeName) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, 'readonly');
+    const store = tx.objectStore(storeName);
+    const req = store.getAll();
+    req.onsuccess = () => resolve(Array.isArray(req.result) ? req.result : []);
+    req.onerror = () => reject(req.error || new Error('IndexedDB getAll failed'));
+  });
+}
+
+async function idbDelete(db, storeName, key) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, 'readwrite');
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error || new Error('IndexedDB transaction failed'));
+    tx.objectStore(storeName).delete(key);
+  });
+}
+
+// --- Snapshot history (one record per generated/sealed snapshot) ---
+function snapshotModeOf(snap) {
+  const m = snap && snap._branding && typeof snap._branding.mode === 'string' ? snap._branding.mode : '';
+  if (m) return m;
+  const p = snap && typeof snap.protocol === 'string' ? snap.protocol : '';
+  if (p === 'RCEP_v2_UltraPlus' || p === 'RL4_UltraPlus') return 'ultra_plus';
+  if (p === 'RCEP_v2_Ultra' || p === 'RL4_Ultra') return 'ultra';
+  return 'digest';
+}
+
+function buildSnapshotHistoryRecord(snapshot, { convKey = '', provider = '', convId = '' } = {}) {
+  // Stored unchanged: every field (transcript_compact included) is covered by the checksum and the seal,
+  // so "Copy prompt" and the JSON view re-send a snapshot that still verifies.
+  const snap = snapshot || {};
+  const meta = snap.metadata && typeof snap.metadata === 'object' ? snap.metadata : {};
+  const topics = (Array.isArray(snap.topics) ? snap.topics : []).map((t) => String(t?.label || '')).filter(Boolean);
+  const decisions = (Array.isArray(snap.decisions) ? snap.decisions : [])
+    .map((d) => [d?.intent, d?.choice || d?.chosen_option, d?.rationale || d?.intent_text].filter(Boolean).join(' '))
+    .filter(Boolean);
+  const key = convKey || String(meta.transcript_ref || '');
+  return {
+    id: String(snap.checksum || `${key}:${Date.now()}`),
+    convKey: key,
+    provider: provider || String(meta.capture_provider || key.split(':')[0] || ''),
+    convId: convId || (key.includes(':') ? key.slice(key.indexOf(':') + 1) : ''),
+    mode: snapshotModeOf(snap),
+    protocol: String(snap.protocol || ''),
+    checksum: String(snap.checksum || ''),
+    sealed: !!(snap.signature && typeof snap.signature === 'object'),
+    has_rl4_blocks: !!(snap.rl4_blocks && typeof snap.rl4_blocks === 'object'),
+    timestamp: String(snap.timestamp || ''),
+    messages: meta.messages || meta.total_messages || 0,
+    topics: topics.slice(0, 12),
+    search_text: [topics.join(' '), decisions.join(' '), String(snap.context_summary || snap.context_summary_ultra || '')]
+      .join('\n')
+      .toLowerCase(),
+    createdAt: Date.now(),
+    snapshot: snap
+  };
+}
+
 function encodeMessagesCompact(messages) {
   const SEP = '\n\n<|RL4_MSG|>\n\n';
   const out = [];
@@ -108,20 +179,21 @@ function buildUniversalEncoderHeader() {
   );
 }
 
-function buildBlocksSpec() {
+function buildBlocksSpec(compress = '') {
   // Keep compact but deterministic for the extension.
   return (
     `## RL4 FORMAT STRUCTURE\n\n` +
-    `1) <RL4-ARCH>phase|key:value|key:value|compress:XX%</RL4-ARCH>\n` +
+    `1) <RL4-ARCH>phase:<value>|key:value|key:value|compress:${compress || 'NOT_AVAILABLE'}</RL4-ARCH>\n` +
     `2) <RL4-LAYERS> ... </RL4-LAYERS>\n` +
-    `3) <RL4-TOPICS> ... </RL4-TOPICS>\n` +
+    `3) <RL4-TOPICS>topic(weight), topic(weight), ...</RL4-TOPICS>\n` +
     `4) <RL4-TIMELINE> ... VELOCITY:..|CLARITY:..|DECISIONS:.. </RL4-TIMELINE>\n` +
-    `5) <RL4-DECISIONS> ... include rejected:... </RL4-DECISIONS>\n` +
+    `5) <RL4-DECISIONS>validated_intents=...|rejected=[...]|constraints=...|control_style=...</RL4-DECISIONS>\n` +
     `6) <RL4-INSIGHTS>patterns=... correlations=... risks=... recommendations=... </RL4-INSIGHTS>\n` +
     `7) ## 📋 HUMAN SUMMARY (8–12 lines max)\n` +
     `Then: <RL4-END/>\n\n` +
     `SPECIAL REQUIREMENTS (Ping‑Pong)\n` +
-    `- In DECISIONS, separate: validated_intents, rejected, constraints/control_style.\n` +
+    `- In DECISIONS, separate: validated_intents, rejected, constraints/control_style (key=value, never key:value; rejected=[] when empty).\n` +
+    `- Use NOT_AVAILABLE for anything the notes do not support. No "..." placeholders.\n` +
     `- Include drift guards: “Do NOT re-propose rejected directions”.\n\n`
   );
 }
@@ -172,21 +244,184 @@ async function computeChunkPlan(convKey, maxChars = 45000) {
   return plan;
 }
 
-function isSupportedUrl(url) {
-  const u = String(url || '');
+async function buildChunkPrompt(convKey, chunkIndex, maxChars = 45000) {
+  const plan = await computeChunkPlan(convKey, maxChars);
+  if (!plan.length) return { ok: false, error: 'no_plan' };
+  if (chunkIndex < 0 || chunkIndex >= plan.length) return { ok: false, error: 'bad_chunk_index', chunkTotal: plan.length };
+  const db = await openTranscriptDb();
+  const msgs = await idbGetAllByIndex(db, 'messages', 'byConvKey', convKey);
+  msgs.sort((a, b) => (a.idx || 0) - (b.idx || 0));
+  const range = plan[chunkIndex];
+  const slice = msgs.slice(range.start, range.end).map((m) => ({
+    role: m.role === 'user' ? 'user' : 'assistant',
+    content: m.content
+  }));
+  const transcript = encodeMessagesCompact(slice);
+  const prompt =
+    buildUniversalEncoderHeader() +
+    `CHUNK ${chunkIndex + 1}/${plan.length}\n` +
+    `You will receive ONLY a slice of the full conversation.\n` +
+    `Do NOT invent missing context outside this chunk.\n\n` +
+    buildChunkNotesSpec() +
+    `\n---\n\nTRANSCRIPT_CHUNK (ROLE:\\nCONTENT separated by <|RL4_MSG|>):\n\n` +
+    transcript +
+    `\n\n@rl4:version=4.0|type=encoder-chunk|status=ready\n`;
+  return { ok: true, chunkIndex, chunkTotal: plan.length, prompt };
+}
+
+function buildMergePrompt(notes, { compress = '' } = {}) {
   return (
-    u.startsWith('https://claude.ai/') ||
-    u.startsWith('https://chatgpt.com/') ||
-    u.startsWith('https://chat.openai.com/') ||
-    u.startsWith('https://gemini.google.com/') ||
-    u.startsWith('https://bard.google.com/') ||
-    u.startsWith('https://g.co/') ||
-    u.startsWith('https://www.perplexity.ai/') ||
-    u.startsWith('https://perplexity.ai/') ||
-    u.startsWith('https://copilot.microsoft.com/')
+    buildUniversalEncoderHeader() +
+    `You are given CHUNK NOTES from multiple chunks of the same conversation.\n` +
+    `Merge them into ONE final RL4 output.\n\n` +
+    buildBlocksSpec(compress) +
+    `NOW ENCODE OUR CONVERSATION\n\n` +
+    `CHUNK_NOTES:\n\n` +
+    (Array.isArray(notes) ? notes : []).map((n, i) => `--- CHUNK ${i + 1} ---\n${String(n || '').trim()}`).join('\n\n') +
+    `\n\n@rl4:version=4.0|type=encoder-merge|status=ready\n`
   );
 }
 
+async function loadChunkNotes(convKey) {
+  const key = `${STORAGE_KEYS.CHUNK_NOTES_PREFIX}${convKey}`;
+  const res = await chrome.storage.local.get([key]);
+  return Array.isArray(res[key]) ? res[key] : [];
+}
+
+async function saveChunkNotes(convKey, notes) {
+  await chrome.storage.local.set({ [`${STORAGE_KEYS.CHUNK_NOTES_PREFIX}${convKey}`]: notes });
+}
+
+// --- Automated chunk run (map: one <RL4-CHUNK> per chunk, reduce: merge prompt → sealed RL4 blocks) ---
+// The queue lives in chrome.storage (CHUNK_RUN) so it survives service worker restarts and tab reloads:
+// the content script runs one step at a time (runRl4ChunkStep) and reports back with rl4_chunk_run_step_done.
+const CHUNK_RUN_MAX_DISPATCHES = 3; // per step: first try + re-dispatches after reloads
+const CHUNK_RUN_STALE_MS = 5 * 60 * 1000;
+
+async function getChunkRun() {
+  const res = await chrome.storage.local.get([STORAGE_KEYS.CHUNK_RUN]);
+  const run = res && res[STORAGE_KEYS.CHUNK_RUN];
+  return run && typeof run === 'object' ? run : null;
+}
+
+async function setChunkRun(run) {
+  await chrome.storage.local.set({ [STORAGE_KEYS.CHUNK_RUN]: run });
+}
+
+/**
+ * Next step: first chunk without saved notes, else the merge.
+ * @param {{total:number}} run
+ * @param {string[]} notes
+ * @returns {{kind:'chunk'|'merge', index:number}}
+ */
+function nextChunkRunStep(run, notes) {
+  for (let i = 0; i < run.total; i++) {
+    if (!String(notes[i] || '').trim()) return { kind: 'chunk', index: i };
+  }
+  return { kind: 'merge', index: run.total };
+}
+
+async function failChunkRun(run, error) {
+  await setChunkRun({ ...run, status: 'error', error, updatedAt: Date.now() });
+}
+
+async function dispatchChunkRunStep() {
+  const run = await getChunkRun();
+  if (!run || run.status !== 'running') return;
+  const notes = await loadChunkNotes(run.convKey);
+  const saved = notes.filter((n) => String(n || '').trim()).length;
+  const next = nextChunkRunStep(run, notes);
+  const same = run.step && run.step.kind === next.kind && run.step.index === next.index;
+  const dispatches = same ? (run.step.dispatches || 1) + 1 : 1;
+  if (dispatches > CHUNK_RUN_MAX_DISPATCHES) {
+    await failChunkRun(run, `${next.kind === 'merge' ? 'The merge' : `Chunk ${next.index + 1}`} was interrupted ${CHUNK_RUN_MAX_DISPATCHES} times.`);
+    return;
+  }
+
+  let prompt = '';
+  if (next.kind === 'chunk') {
+    const res = await buildChunkPrompt(run.convKey, next.index, run.maxChars);
+    if (!res.ok) {
+      await failChunkRun(run, `Chunk prompt failed: ${res.error}`);
+      return;
+    }
+    prompt = res.prompt;
+  } else {
+    prompt = buildMergePrompt(notes.filter((n) => String(n || '').trim()), { compress: run.compress });
+  }
+
+  const step = { ...next, dispatches, dispatchedAt: Date.now() };
+  await setChunkRun({ ...run, saved, step, updatedAt: Date.now() });
+  try {
+    const resp = await chrome.tabs.sendMessage(run.tabId, {
+      action: 'runRl4ChunkStep',
+      runId: run.runId,
+      kind: step.kind,
+      index: step.index,
+      prompt,
+      tabId: run.tabId
+    });
+    if (resp && resp.ok === false && !resp.busy) await failChunkRun(await getChunkRun(), resp.error || 'The tab refused the chunk step.');
+  } catch (_) {
+    // Content script not reachable (tab loading): the tab "complete" listener dispatches again.
+  }
+}
+
+async function handleChunkRunStepDone(request) {
+  const run = await getChunkRun();
+  if (!run || run.status !== 'running' || !run.step || request.runId !== run.runId) return;
+  if (request.kind !== run.step.kind || request.index !== run.step.index) return;
+  if (!request.ok) {
+    await failChunkRun(run, String(request.error || 'Step failed.'));
+    return;
+  }
+  if (request.kind === 'merge') {
+    await setChunkRun({ ...run, status: 'done', step: null, saved: run.total, updatedAt: Date.now() });
+    return;
+  }
+  // Validate again here: the stored notes feed the merge prompt.
+  const parsed = parseRl4ChunkNotes(String(request.text || ''));
+  if (!parsed.ok) {
+    await failChunkRun(run, `Chunk ${request.index + 1}: invalid <RL4-CHUNK> notes.`);
+    return;
+  }
+  const notes = await loadChunkNotes(run.convKey);
+  while (notes.length < run.total) notes.push('');
+  notes[request.index] = parsed.notes;
+  await saveChunkNotes(run.convKey, notes);
+  await setChunkRun({ ...run, step: null, updatedAt: Date.now() });
+  await dispatchChunkRunStep();
+}
+
+/**
+ * Re-dispatch the current step unless the content script is still working on it
+ * (a reload or a service worker restart loses the step, a same-document navigation does not).
+ * @param {{onlyIfStale?:boolean}} [opts]
+ */
+async function resumeChunkRun({ onlyIfStale = false } = {}) {
+  const run = await getChunkRun();
+  if (!run || run.status !== 'running') return;
+  if (onlyIfStale && run.step && Date.now() - (run.step.dispatchedAt || 0) < CHUNK_RUN_STALE_MS) return;
+  try {
+    await chrome.tabs.get(run.tabId);
+  } catch (_) {
+    await failChunkRun(run, 'The conversation tab was closed.');
+    return;
+  }
+  try {
+    const ping = await chrome.tabs.sendMessage(run.tabId, { action: 'ping' });
+    const busy = ping && ping.chunkStep;
+    if (busy && busy.runId === run.runId) return;
+  } catch (_) {
+    return; // not ready yet; the "complete" event comes next
+  }
+  await dispatchChunkRunStep();
+}
+
+function isSupportedUrl(url) {
+  return isSupportedProviderUrl(url);
+}
+
 async function refreshFocusedNormalWindow(windowId) {
   try {
     if (typeof windowId !== 'number') return;
@@ -234,17 +469,7 @@ async function setupDeclarativeVisibility() {
   try {
     await chrome.declarativeContent.onPageChanged.removeRules();
     // IMPORTANT: declarativeContent Rule conditions are conjunctive; use one rule per host.
-    const hosts = [
-      'claude.ai',
-      'chatgpt.com',
-      'chat.openai.com',
-      'gemini.google.com',
-      'bard.google.com',
-      'g.co',
-      'www.perplexity.ai',
-      'perplexity.ai',
-      'copilot.microsoft.com'
-    ];
+    const hosts = getProviderHosts();
     await chrome.declarativeContent.onPageChanged.addRules(
       hosts.map((hostEquals) => ({
         conditions: [
@@ -361,6 +586,8 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         const pagesFetched = typeof request.pages_fetched === 'number' ? request.pages_fetched : null;
         const totalMessages = typeof request.total_messages === 'number' ? request.total_messages : null;
         const approxChars = typeof request.approx_chars === 'number' ? request.approx_chars : null;
+        const title = typeof request.title === 'string' ? request.title : '';
+        const source = typeof request.source === 'string' ? request.source : '';
         const chunk = Array.isArray(request.messages) ? request.messages : [];
 
         if (!convKey || !provider) {
@@ -403,6 +630,8 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
           pages_fetched: pagesFetched !== null ? pagesFetched : (prev && prev.pages_fetched) || null,
           message_count: totalMessages !== null ? totalMessages : (prev && prev.message_count) || null,
           approx_chars: approxChars !== null ? approxChars : (prev && prev.approx_chars) || null,
+          title: title || (prev && prev.title) || '',
+          source: source || (prev && prev.source) || 'live_capture',
           updatedAt: now,
           createdAt: (prev && prev.createdAt) || now
         };
@@ -434,6 +663,89 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     return true;
   }
 
+  // Transcript export: stored conversations, most recently updated first.
+  if (request && request.action === 'rl4_transcript_list_conversations') {
+    (async () => {
+      try {
+        const db = await openTranscriptDb();
+        const all = await idbGetAll(db, 'conversations');
+        all.sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+        const conversations = all.map((c) => ({
+          convKey: c.convKey,
+          provider: c.provider,
+          convId: c.convId,
+          message_count: c.message_count,
+          completeness: c.completeness,
+          transcript_sha256: c.transcript_sha256,
+          approx_chars: c.approx_chars,
+          title: c.title || '',
+          source: c.source || 'live_capture',
+          updatedAt: c.updatedAt
+        }));
+        sendResponse({ ok: true, conversations });
+      } catch (e) {
+        sendResponse({ ok: false, error: String(e && e.message ? e.message : e) });
+      }
+    })();
+    return true;
+  }
+
+  // Incremental capture: last persisted messages (overlap anchor) for a conversation.
+  if (request && request.action === 'rl4_transcript_get_tail') {
+    (async () => {
+      try {
+        const convKey = String(request.convKey || '');
+        const tailSize = typeof request.tail === 'number' ? Math.max(1, Math.min(20, request.tail)) : 4;
+        if (!convKey) {
+          sendResponse({ ok: false, error: 'missing_convKey' });
+          return;
+        }
+        const db = await openTranscriptDb();
+        const rec = await idbGet(db, 'conversations', convKey);
+        const msgs = await idbGetAllByIndex(db, 'messages', 'byConvKey', convKey);
+        msgs.sort((a, b) => (a.idx || 0) - (b.idx || 0));
+        // Only trust a contiguous 0..n-1 prefix, bounded by the last recorded run
+        // (a shorter re-capture can leave stale rows past message_count).
+        const limit = rec && typeof rec.message_count === 'number' ? rec.message_count : msgs.length;
+        let count = 0;
+        while (count < msgs.length && count < limit && msgs[count].idx === count) count++;
+        const tail = msgs.slice(Math.max(0, count - tailSize), count).map((m) => ({
+          idx: m.idx,
+          role: m.role,
+          content: m.content
+        }));
+        sendResponse({ ok: true, conversation: rec || null, count, last_idx: count - 1, tail });
+      } catch (e) {
+        sendResponse({ ok: false, error: String(e && e.message ? e.message : e) });
+      }
+    })();
+    return true;
+  }
+
+  if (request && request.action === 'rl4_transcript_get_messages') {
+    (async () => {
+      try {
+        const convKey = String(request.convKey || '');
+        const start = typeof request.start === 'number' ? Math.max(0, request.start) : 0;
+        const limit = typeof request.limit === 'number' ? Math.max(1, Math.min(1000, request.limit)) : 500;
+        if (!convKey) {
+          sendResponse({ ok: false, error: 'missing_convKey' });
+          return;
+        }
+        const db = await openTranscriptDb();
+        const msgs = await idbGetAllByIndex(db, 'messages', 'byConvKey', convKey);
+        msgs.sort((a, b) => (a.idx || 0) - (b.idx || 0));
+        const slice = msgs
+          .filter((m) => m.idx >= start && m.idx < start + limit)
+          .map((m) => ({ idx: m.idx, role: m.role, content: m.content, timestamp: m.timestamp || '' }));
+        sendResponse({ ok: true, messages: slice, total: msgs.length });
+      } catch (e) {
+        sendResponse({ ok: false, error: String(e && e.message ? e.message : e) });
+      }
+    })();
+    return true;
+  }
+
   if (request && request.action === 'rl4_transcript_get_chunk_plan') {
     (async () => {
       try {
@@ -454,34 +766,85 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         const convKey = String(request.convKey || '');
         const chunkIndex = typeof request.chunk_index === 'number' ? request.chunk_index : 0;
         const maxChars = typeof request.max_chars === 'number' ? request.max_chars : 45000;
-        const plan = await computeChunkPlan(convKey, maxChars);
-        if (!plan.length) {
-          sendResponse({ ok: false, error: 'no_plan' });
+        sendResponse(await buildChunkPrompt(convKey, chunkIndex, maxChars));
+      } catch (e) {
+        sendResponse({ ok: false, error: String(e && e.message ? e.message : e) });
+      }
+    })();
+    return true;
+  }
+
+  if (request && request.action === 'rl4_transcript_get_merge_prompt') {
+    try {
+      const notes = Array.isArray(request.chunk_notes) ? request.chunk_notes : [];
+      sendResponse({ ok: true, prompt: buildMergePrompt(notes, { compress: String(request.compress || '') }) });
+    } catch (e) {
+      sendResponse({ ok: false, error: String(e && e.message ? e.message : e) });
+    }
+    return false;
+  }
+
+  // --- Snapshot history ---
+  if (request && request.action === 'rl4_snapshot_history_add') {
+    (async () => {
+      try {
+        const snapshot = request.snapshot && typeof request.snapshot === 'object' ? request.snapshot : null;
+        if (!snapshot || !snapshot.checksum) {
+          sendResponse({ ok: false, error: 'missing_snapshot' });
           return;
         }
-        if (chunkIndex < 0 || chunkIndex >= plan.length) {
-          sendResponse({ ok: false, error: 'bad_chunk_index', chunkTotal: plan.length });
+        const rec = buildSnapshotHistoryRecord(snapshot, {
+          convKey: String(request.convKey || ''),
+          provider: String(request.provider || ''),
+          convId: String(request.convId || '')
+        });
+        const db = await openTranscriptDb();
+        await idbPut(db, 'snapshots', rec);
+        sendResponse({ ok: true, id: rec.id });
+      } catch (e) {
+        console.error('[RL4] rl4_snapshot_history_add failed', e);
+        sendResponse({ ok: false, error: String(e && e.message ? e.message : e) });
+      }
+    })();
+    return true;
+  }
+
+  if (request && request.action === 'rl4_snapshot_history_list') {
+    (async () => {
+      try {
+        const query = String(request.query || '').trim().toLowerCase();
+        const terms = query ? query.split(/\s+/).filter(Boolean) : [];
+        const limit = typeof request.limit === 'number' ? request.limit : 50;
+        const convKey = String(request.convKey || '');
+        const db = await openTranscriptDb();
+        const all = convKey
+          ? await idbGetAllByIndex(db, 'snapshots', 'byConvKey', convKey)
+          : await idbGetAll(db, 'snapshots');
+        const items = all
+          .filter((r) => !terms.length || terms.every((t) => String(r.search_text || '').includes(t)))
+          .sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0))
+          .slice(0, limit)
+          // List view: omit the full snapshot payload.
+          .map(({ snapshot, search_text, ...rest }) => rest);
+        sendResponse({ ok: true, items, total: all.length });
+      } catch (e) {
+        sendResponse({ ok: false, error: String(e && e.message ? e.message : e) });
+      }
+    })();
+    return true;
+  }
+
+  if (request && request.action === 'rl4_snapshot_history_get') {
+    (async () => {
+      try {
+        const id = String(request.id || '');
+        if (!id) {
+          sendResponse({ ok: false, error: 'missing_id' });
           return;
         }
         const db = await openTranscriptDb();
-        const msgs = await idbGetAllByIndex(db, 'messages', 'byConvKey', convKey);
-        msgs.sort((a, b) => (a.idx || 0) - (b.idx || 0));
-        const range = plan[chunkIndex];
-        const slice = msgs.slice(range.start, range.end).map((m) => ({
-          role: m.role === 'user' ? 'user' : 'assistant',
-          content: m.content
-        }));
-        const transcript = encodeMessagesCompact(slice);
-        const prompt =
-          buildUniversalEncoderHeader() +
-          `CHUNK ${chunkIndex + 1}/${plan.length}\n` +
-          `You will receive ONLY a slice of the full conversation.\n` +
-          `Do NOT invent missing context outside this chunk.\n\n` +
-          buildChunkNotesSpec() +
-          `\n---\n\nTRANSCRIPT_CHUNK (ROLE:\\nCONTENT separated by <|RL4_MSG|>):\n\n` +
-          transcript +
-          `\n\n@rl4:version=4.0|type=encoder-chunk|status=ready\n`;
-        sendResponse({ ok: true, chunkIndex, chunkTotal: plan.length, prompt });
+        const rec = await idbGet(db, 'snapshots', id);
+        sendResponse({ ok: true, record: rec || null });
       } catch (e) {
         sendResponse({ ok: false, error: String(e && e.message ? e.message : e) });
       }
@@ -489,20 +852,17 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     return true;
   }
 
-  if (request && request.action === 'rl4_transcript_get_merge_prompt') {
+  if (request && request.action === 'rl4_snapshot_history_delete') {
     (async () => {
       try {
-        const notes = Array.isArray(request.chunk_notes) ? request.chunk_notes : [];
-        const prompt =
-          buildUniversalEncoderHeader() +
-          `You are given CHUNK NOTES from multiple chunks of the same conversation.\n` +
-          `Merge them into ONE final RL4 output.\n\n` +
-          buildBlocksSpec() +
-          `NOW ENCODE OUR CONVERSATION\n\n` +
-          `CHUNK_NOTES:\n\n` +
-          notes.map((n, i) => `--- CHUNK ${i + 1} ---\n${String(n || '').trim()}`).join('\n\n') +
-          `\n\n@rl4:version=4.0|type=encoder-merge|status=ready\n`;
-        sendResponse({ ok: true, prompt });
+        const id = String(request.id || '');
+        if (!id) {
+          sendResponse({ ok: false, error: 'missing_id' });
+          return;
+        }
+        const db = await openTranscriptDb();
+        await idbDelete(db, 'snapshots', id);
+        sendResponse({ ok: true });
       } catch (e) {
         sendResponse({ ok: false, error: String(e && e.message ? e.message : e) });
       }
@@ -519,7 +879,7 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
           sendResponse({ ok: false, error: 'missing_convKey' });
           return;
         }
-        await chrome.storage.local.set({ [`${STORAGE_KEYS.CHUNK_NOTES_PREFIX}${convKey}`]: notes });
+        await saveChunkNotes(convKey, notes);
         sendResponse({ ok: true });
       } catch (e) {
         sendResponse({ ok: false, error: String(e && e.message ? e.message : e) });
@@ -536,16 +896,101 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
           sendResponse({ ok: false, error: 'missing_convKey' });
           return;
         }
-        const key = `${STORAGE_KEYS.CHUNK_NOTES_PREFIX}${convKey}`;
-        const res = await chrome.storage.local.get([key]);
-        const notes = Array.isArray(res[key]) ? res[key] : [];
-        sendResponse({ ok: true, notes });
+        sendResponse({ ok: true, notes: await loadChunkNotes(convKey) });
+      } catch (e) {
+        sendResponse({ ok: false, error: String(e && e.message ? e.message : e) });
+      }
+    })();
+    return true;
+  }
+
+  // --- Automated chunk run ---
+  if (request && request.action === 'rl4_chunk_run_start') {
+    (async () => {
+      try {
+        const convKey = String(request.convKey || '');
+        const tabId = typeof request.tabId === 'number' ? request.tabId : null;
+        if (!convKey || tabId === null) {
+          sendResponse({ ok: false, error: 'missing_convKey_or_tab' });
+          return;
+        }
+        const current = await getChunkRun();
+        if (current && current.status === 'running') {
+          sendResponse({ ok: false, error: 'already_running', run: current });
+          return;
+        }
+        const maxChars = typeof request.max_chars === 'number' ? request.max_chars : 45000;
+        const plan = await computeChunkPlan(convKey, maxChars);
+        if (!plan.length) {
+          sendResponse({ ok: false, error: 'no_plan' });
+          return;
+        }
+        if (request.restart) await saveChunkNotes(convKey, []);
+        const run = {
+          runId: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+          convKey,
+          tabId,
+          maxChars,
+          // Copied into <RL4-ARCH> compress: by the merge prompt (the notes do not carry it).
+          compress: typeof request.compress === 'string' ? request.compress : '',
+          total: plan.length,
+          saved: 0,
+          status: 'running',
+          step: null,
+          error: '',
+          startedAt: Date.now(),
+          updatedAt: Date.now()
+        };
+        await setChunkRun(run);
+        await dispatchChunkRunStep();
+        sendResponse({ ok: true, run: await getChunkRun() });
+      } catch (e) {
+        sendResponse({ ok: false, error: String(e && e.message ? e.message : e) });
+      }
+    })();
+    return true;
+  }
+
+  if (request && request.action === 'rl4_chunk_run_cancel') {
+    (async () => {
+      try {
+        const run = await getChunkRun();
+        if (run && run.status === 'running') await setChunkRun({ ...run, status: 'cancelled', step: null, updatedAt: Date.now() });
+        sendResponse({ ok: true });
+      } catch (e) {
+        sendResponse({ ok: false, error: String(e && e.message ? e.message : e) });
+      }
+    })();
+    return true;
+  }
+
+  if (request && request.action === 'rl4_chunk_run_resume') {
+    (async () => {
+      try {
+        const run = await getChunkRun();
+        if (!run || run.status === 'done') {
+          sendResponse({ ok: false, error: 'nothing_to_resume' });
+          return;
+        }
+        if (run.status !== 'running') {
+          // Resumed by the user: the failed step starts over with a fresh attempt budget.
+          await setChunkRun({ ...run, status: 'running', step: null, error: '', updatedAt: Date.now() });
+        }
+        await resumeChunkRun();
+        sendResponse({ ok: true, run: await getChunkRun() });
       } catch (e) {
         sendResponse({ ok: false, error: String(e && e.message ? e.message : e) });
       }
     })();
     return true;
   }
+
+  if (request && request.action === 'rl4_chunk_run_step_done') {
+    handleChunkRunStepDone(request)
+      .then(() => sendResponse({ ok: true }))
+      .catch((e) => sendResponse({ ok: false, error: String(e && e.message ? e.message : e) }));
+    return true;
+  }
   
   // Return true to indicate we will send a response asynchronously
   return true;
@@ -588,6 +1033,22 @@ try {
   // ignore
 }
 
+// Resume an automated chunk run after its tab reloads, and after a service worker restart.
+try {
+  chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+    if (!changeInfo || changeInfo.status !== 'complete') return;
+    getChunkRun()
+      .then((run) => {
+        if (run && run.status === 'running' && run.tabId === tabId) return resumeChunkRun();
+        return null;
+      })
+      .catch(() => {});
+  });
+  resumeChunkRun({ onlyIfStale: true }).catch(() => {});
+} catch (_) {
+  // ignore
+}
+
 // Keep action enabled only on supported sites.
 try {
   chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
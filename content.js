@@ -26,7 +26,9 @@
     // RL4 Blocks Encoder capture (semi-assisted workflow)
     RL4_BLOCKS: 'rl4_blocks_v1',
     RL4_BLOCKS_STATUS: 'rl4_blocks_status_v1',
-    CLAUDE_LAST_MESSAGES_URL: 'rl4_claude_last_messages_url_v1'
+    CLAUDE_LAST_MESSAGES_URL: 'rl4_claude_last_messages_url_v1',
+    // User-defined extraction rules (options page)
+    EXTRACTION_RULES: 'rl4_extraction_rules_v1'
   };
 
   // chrome.storage.local quota is typically ~5MB. Keep a strict cap for persisted DOM message history.
@@ -34,30 +36,7 @@
   const MAX_DOM_STORAGE_MESSAGES = 450;
   const MAX_DOM_STORAGE_TOTAL_CHARS = 420_000; // rough safety cap (DOM messages only)
 
-  const SELECTORS = {
-    // Claude
-    // Claude UI changes often; keep selectors broad but still message-oriented.
-    CLAUDE_MESSAGE_CONTAINERS:
-      'div[data-testid*="message"],article[data-testid*="message"],[data-testid^="chat-message"],[data-testid*="chat-message"],[data-testid^="conversation-turn"],article[data-testid^="conversation-turn-"]',
-    CLAUDE_USER_MESSAGE: '.font-user-message',
-    CLAUDE_ASSISTANT_MESSAGE: '.font-claude-message',
-    CLAUDE_ROLE_ATTR: '[data-is-user-message]',
-    // ChatGPT
-    // ChatGPT UI variants:
-    // - Modern: elements with data-message-author-role
-    // - Some variants wrap turns in <article data-testid="conversation-turn-*">
-    CHATGPT_MESSAGE_NODES: '[data-message-author-role], article[data-testid^="conversation-turn-"]',
-    CHATGPT_ROLE_ATTR: '[data-message-author-role]',
-    // Gemini (forensically validated selectors)
-    // Note: Gemini often uses custom elements like <user-query> / <model-response>.
-    // We support both tag + class forms to be resilient across UI variants.
-    GEMINI_LOOP: '.user-query-bubble-with-background, user-query, .model-response, model-response',
-    GEMINI_USER_CONTAINER: '.user-query-bubble-with-background, user-query',
-    GEMINI_USER_TEXT: '.query-text',
-    GEMINI_ASSISTANT_CONTAINER: '.model-response, model-response',
-    GEMINI_ASSISTANT_MARKDOWN: '.markdown',
-    GEMINI_THOUGHT_DISCLOSURE: '.thought-disclosure'
-  };
+  // DOM selectors and capture tuning live in the provider adapters (lib/providers.js, `selectors` / `capture`).
 
   const OBSERVER_DEBOUNCE_MS = 250;
   const MAX_SESSIONS_TO_KEEP = 5;
@@ -66,6 +45,18 @@
   // Gemini can require multiple "top hits" to load the full history; allow a longer hydration budget.
   const DEEP_HYDRATE_MAX_MS = 45000;
   const DEEP_HYDRATE_WAIT_MS = 2000;
+  // hydrateChatHistory tuning when the adapter's capture.hydrate leaves a field out.
+  const HYDRATE_DEFAULTS = {
+    waitMs: DEEP_HYDRATE_WAIT_MS,
+    maxNoGrowth: 4,
+    maxMs: DEEP_HYDRATE_MAX_MS,
+    pulses: 8,
+    pulseDelayMs: 0,
+    observeDocument: false,
+    wheelDocument: false,
+    apiSettleMs: 0,
+    topJitter: false
+  };
   // chrome.storage.local quota is typically ~5MB. Keep plenty of headroom.
   // For full-fidelity share snapshots, prefer in-memory transfer to popup.
   const MAX_STORAGE_MESSAGE_CHARS = 1_800_000;
@@ -143,10 +134,7 @@
   function mountInpageWidget() {
     try {
       if (!document || !document.documentElement) return;
-      const provider = getProvider();
-      const supported =
-        provider === 'claude' || provider === 'chatgpt' || provider === 'gemini' || provider === 'perplexity' || provider === 'copilot';
-      if (!supported) return;
+      if (!getCurrentProviderAdapter()) return;
 
       // If we think we're mounted but the root is missing (SPA re-render), allow remount.
       const existingRoot = document.getElementById('rl4-inpage-root');
@@ -304,6 +292,10 @@
   let rl4BlocksArmed = false;
   let rl4BlocksCaptured = false;
   let lastRl4BlocksScanAt = 0;
+  // Orchestrated round-trip in flight: { since, knownSigs:Set, frames:string[] } (see runRl4BlocksRoundTrip).
+  let rl4RoundTrip = null;
+  // Chunked encoder step in flight: { runId, kind, index } (see runRl4ChunkStep); reported by ping.
+  let rl4ChunkStep = null;
 
   async function setCaptureProgress(patch) {
     try {
@@ -480,7 +472,8 @@
     completenessReason,
     apiUrl,
     pagesFetched,
-    messages
+    messages,
+    fromIdx = 0
   }) {
     try {
       if (!isExtensionContextAlive()) return;
@@ -492,8 +485,11 @@
       const approxChars = list.reduce((acc, m) => acc + (m && m.content ? String(m.content).length : 0), 0);
 
       // Chrome message size limit: send in small chunks.
+      // Incremental runs only send messages from `fromIdx` (earlier ones are already stored). With no new turns
+      // one metadata-only upsert still goes out, so the conversation record gets this run's fingerprint.
       const chunkSize = 220;
-      for (let start = 0; start < list.length; start += chunkSize) {
+      const first = Math.min(Math.max(0, fromIdx | 0), list.length);
+      for (let start = first; start === first || start < list.length; start += chunkSize) {
         const slice = list.slice(start, start + chunkSize);
         const payload = slice
           .map((m, i) => ({
@@ -529,6 +525,127 @@
     }
   }
 
+  /**
+   * Append a snapshot to the background history library (IndexedDB `snapshots` store).
+   * Best-effort: history must never break the capture flow.
+   * @param {any} snapshot
+   */
+  async function saveSnapshotToHistory(snapshot) {
+    try {
+      if (!isExtensionContextAlive()) return;
+      if (!snapshot || typeof snapshot !== 'object' || !snapshot.checksum) return;
+      const convKey = String(snapshot?.metadata?.transcript_ref || '');
+      await new Promise((resolve) => {
+        chrome.runtime.sendMessage(
+          {
+            action: 'rl4_snapshot_history_add',
+            convKey,
+            provider: String(snapshot?.metadata?.capture_provider || ''),
+            snapshot
+          },
+          (resp) => {
+            // Reading lastError also keeps Chrome from logging "Unchecked runtime.lastError".
+            const err = chrome.runtime.lastError;
+            if (err) logError('Snapshot history save failed', err);
+            else if (!resp || !resp.ok) logError('Snapshot history save failed', resp && resp.error ? resp.error : 'no response');
+            resolve();
+          }
+        );
+      });
+    } catch (_) {
+      // ignore (best-effort)
+    }
+  }
+
+  function sendToBackground(msg) {
+    return new Promise((resolve) => {
+      try {
+        chrome.runtime.sendMessage(msg, (resp) => resolve(resp || null));
+      } catch (_) {
+        resolve(null);
+      }
+    });
+  }
+
+  /**
+   * Read back the stored transcript (0..count-1) from the background store, in chunks.
+   * @param {string} convKey
+   * @param {number} count
+   * @returns {Promise<Array<{role:string, content:string, timestamp:string}>>}
+   */
+  async function loadStoredTranscript(convKey, count) {
+    const out = [];
+    const pageSize = 500;
+    for (let start = 0; start < count; start += pageSize) {
+      const resp = await sendToBackground({ action: 'rl4_transcript_get_messages', convKey, start, limit: pageSize });
+      if (!resp || !resp.ok || !Array.isArray(resp.messages)) break;
+      for (const m of resp.messages) {
+        if (m.idx !== out.length) return out; // hole → caller treats as incomplete
+        out.push({ role: m.role, content: m.content, timestamp: m.timestamp || '' });
+      }
+    }
+    return out.slice(0, count);
+  }
+
+  /**
+   * Incremental capture: reuse the stored transcript and only fetch/scan recent turns.
+   * The new turns are appended after verifying that the stored tail appears in the fresh capture
+   * (lib/incremental-capture.js); otherwise the caller falls back to a full capture.
+   * ChatGPT is the exception to "recent turns only": its conversation endpoint has no paging, so the whole
+   * conversation is still fetched (one request); the saving is in what gets re-sent to the store.
+   * @param {string} provider
+   * @returns {Promise<{ok:boolean, reason?:string, messages?:any[], baseCount?:number, appended?:number, strategy?:string, conversation?:any}>}
+   */
+  async function tryIncrementalCapture(provider) {
+    const convId = getConversationIdFromUrl();
+    const convKey = `${provider}:${convId}`;
+    const tailResp = await sendToBackground({ action: 'rl4_transcript_get_tail', convKey, tail: 4 });
+    if (!tailResp || !tailResp.ok || !tailResp.count) return { ok: false, reason: 'no_stored_transcript' };
+    const count = tailResp.count;
+    const tail = Array.isArray(tailResp.tail) ? tailResp.tail : [];
+
+    // Recent turns only: no full pagination, no scroll-to-top hydration.
+    let fresh = [];
+    let baseStrategy = 'dom';
+    const parts = (window.location.pathname || '').split('/').filter(Boolean);
+    const isShare = parts.includes('share');
+    const captureApi = getCaptureConfig(provider).api;
+    if (captureApi === 'chatgpt_conversation') {
+      // Full conversation (no paging on this endpoint), then only the turns after the overlap are kept.
+      fresh = await tryFetchChatGPTConversation(convId);
+      baseStrategy = 'chatgpt_surgical';
+    } else if (captureApi === 'claude_messages' && !isShare) {
+      const res = await tryFetchClaudeConversationViaApi(convId, { maxPages: 2 });
+      fresh = res && Array.isArray(res.messages) ? res.messages : [];
+      baseStrategy = 'claude_api';
+    } else if (typeof getCurrentProviderAdapter()?.api.historyUrl === 'function') {
+      fresh = await tryFetchProviderHistory(convId);
+      baseStrategy = `${provider}_api`;
+    }
+    if (!fresh.length) {
+      await scanAndSyncMessages('incremental');
+      const stored = await chrome.storage.local.get([STORAGE_KEYS.CURRENT_MESSAGES]);
+      fresh = Array.isArray(stored[STORAGE_KEYS.CURRENT_MESSAGES]) ? stored[STORAGE_KEYS.CURRENT_MESSAGES] : [];
+      baseStrategy = 'dom';
+    }
+
+    const end = findOverlapEnd(fresh, tail);
+    if (end < 0) return { ok: false, reason: 'overlap_mismatch' };
+
+    const base = await loadStoredTranscript(convKey, count);
+    if (base.length !== count) return { ok: false, reason: 'stored_transcript_incomplete' };
+
+    const appended = collectAppendedTurns(fresh, end, new Date().toISOString());
+    return {
+      ok: true,
+      messages: base.concat(appended),
+      baseCount: count,
+      appended: appended.length,
+      strategy: `incremental_${baseStrategy}`,
+      conversation: tailResp.conversation || null
+    };
+  }
+
   function openKeyDb() {
     return new Promise((resolve, reject) => {
       const req = indexedDB.open('rl4_device_keys', 1);
@@ -606,6 +723,7 @@
     const provider = getProvider();
     const outputMode = options && typeof options.outputMode === 'string' ? options.outputMode : 'digest';
     const wantsSeal = !!(options && options.wantsIntegritySeal);
+    const messageMerkle = !!(options && options.messageMerkle);
     let captureCompleteness = 'unknown';
     let captureCompletenessReason = '';
     let captureApiUrl = '';
@@ -613,6 +731,7 @@
     // When we successfully fetch full history via an API method (e.g. ChatGPT surgical),
     // keep the full list here for snapshot generation. UI caches remain bounded for memory safety.
     let fullApiMessagesForSnapshot = null;
+    let incrementalInfo = null; // { base_count, appended } when resumed from the stored transcript
 
     // Guardrail: never include transcript in ultra modes, and auto-disable for huge chats.
     let includeTranscript = !!(options && options.includeTranscript);
@@ -629,8 +748,33 @@
       // Capture messages (same logic as getMessages deep capture, but decoupled from popup)
       deepCaptureInProgress = true;
       let domCaptureResult = { completeness: 'unknown', reason: '' };
+      let skipFullCapture = false;
       try {
-        if (provider === 'chatgpt') {
+        // Incremental: resume from the stored transcript when the overlap boundary checks out.
+        if (options && options.incremental) {
+          try {
+            const inc = await tryIncrementalCapture(provider);
+            if (inc.ok) {
+              skipFullCapture = true;
+              fullApiMessagesForSnapshot = inc.messages;
+              jobStrategy = inc.strategy;
+              const prevCompleteness = inc.conversation && inc.conversation.completeness;
+              captureCompleteness = prevCompleteness === 'complete' ? 'complete' : 'unknown';
+              captureCompletenessReason = 'incremental_overlap_verified';
+              incrementalInfo = { base_count: inc.baseCount, appended: inc.appended };
+              log('Incremental capture', { strategy: inc.strategy, base: inc.baseCount, appended: inc.appended });
+            } else {
+              log('Incremental capture unavailable → full capture', { reason: inc.reason });
+            }
+          } catch (e) {
+            logError('Incremental capture failed → full capture', e);
+          }
+        }
+
+        const capture = getCaptureConfig(provider);
+        if (skipFullCapture) {
+          // Messages already resolved (stored prefix + new turns).
+        } else if (capture.api === 'chatgpt_conversation') {
           // Prefer Surgical Fetch for XXL chats: fastest + returns exact total for % progress.
           const convId = getConversationIdFromUrl();
           const surgical = await tryFetchChatGPTConversation(convId);
@@ -692,7 +836,7 @@
 
         // Perplexity: thread history is loaded via same-origin GET /rest/thread/<slug>.
         // The page may fetch it from a worker, so we explicitly request it from page context and wait for apiMessagesCache.
-        if (provider === 'perplexity') {
+        if (!skipFullCapture && capture.api === 'perplexity_thread') {
           try {
             const slug = getPerplexityThreadSlugFromUrl();
             if (slug) {
@@ -724,7 +868,7 @@
         }
 
         // Claude: prefer share API when on /share/, else try conversation API (pagination) to avoid virtualization limits.
-        if (provider === 'claude') {
+        if (!skipFullCapture && capture.api === 'claude_messages') {
           try {
             const path = window.location.pathname || '';
             const parts = path.split('/').filter(Boolean);
@@ -781,15 +925,30 @@
           }
         }
 
-        // Hydrate reverse-infinite-scroll UIs for Gemini + ChatGPT + Claude (DOM strategy only).
+        // DeepSeek / Grok: the conversation history endpoint returns every turn in one response.
+        const historyAdapter = getCurrentProviderAdapter();
+        if (!skipFullCapture && historyAdapter && typeof historyAdapter.api.historyUrl === 'function') {
+          const history = await tryFetchProviderHistory(getConversationIdFromUrl());
+          if (history.length) {
+            fullApiMessagesForSnapshot = history;
+            jobStrategy = `${provider}_api`;
+            captureCompleteness = 'complete';
+            captureCompletenessReason = `${provider}_history_api`;
+            captureApiUrl = history[0].source_url;
+          }
+        }
+
+        // Hydrate reverse-infinite-scroll UIs (adapter capture.hydrate; DOM strategy only).
         const scroller = getConversationScrollContainer(provider);
         const hasStrongApiSource =
+          skipFullCapture ||
           jobStrategy === 'chatgpt_surgical' ||
           jobStrategy === 'chatgpt_embedded' ||
           jobStrategy === 'chatgpt_page_api' ||
-          jobStrategy === 'claude_api';
+          jobStrategy === 'claude_api' ||
+          jobStrategy === `${provider}_api`;
         if (!hasStrongApiSource) {
-          if (provider === 'gemini' || provider === 'chatgpt' || provider === 'claude') {
+          if (capture.hydrate) {
             // Phase 1/3 (DOM strategy): hydrate
             await emitCaptureProgress(
               {
@@ -870,7 +1029,9 @@
       if (typeof RL4SnapshotGenerator !== 'function') {
         throw new Error('Snapshot generator not available in content script. Reload extension.');
       }
-      const generator = new RL4SnapshotGenerator(messages, {}, { includeTranscript, outputMode });
+      const rulesRes = await chrome.storage.local.get([STORAGE_KEYS.EXTRACTION_RULES]);
+      const extractionRules = Array.isArray(rulesRes[STORAGE_KEYS.EXTRACTION_RULES]) ? rulesRes[STORAGE_KEYS.EXTRACTION_RULES] : [];
+      const generator = new RL4SnapshotGenerator(messages, {}, { includeTranscript, outputMode, messageMerkle, extractionRules });
       const snapshot = await generator.generate();
       // Attach capture provenance (debug/UX; does not change semantic content)
       if (!snapshot.metadata || typeof snapshot.metadata !== 'object') snapshot.metadata = {};
@@ -880,20 +1041,23 @@
       if (captureCompletenessReason) snapshot.metadata.capture_completeness_reason = captureCompletenessReason;
       if (captureApiUrl) snapshot.metadata.capture_api_url = captureApiUrl;
       if (typeof capturePagesFetched === 'number') snapshot.metadata.capture_pages_fetched = capturePagesFetched;
+      if (incrementalInfo) snapshot.metadata.capture_incremental = incrementalInfo;
+      // Transcript pointers must be set before the checksum so a verifier can recompute it.
+      const convId = getConversationIdFromUrl();
+      const convKey = `${provider}:${convId}`;
+      const transcriptSha256 =
+        snapshot && snapshot.conversation_fingerprint && typeof snapshot.conversation_fingerprint.sha256 === 'string'
+          ? snapshot.conversation_fingerprint.sha256
+          : '';
+      snapshot.metadata.transcript_ref = convKey;
+      if (transcriptSha256) snapshot.metadata.transcript_sha256 = transcriptSha256;
+      snapshot.metadata.transcript_store = 'indexeddb_background_v1';
+
       snapshot.checksum = await calculateChecksum(snapshot);
       if (wantsSeal) snapshot.signature = await signChecksumDeviceOnly(snapshot.checksum);
 
       // Persist full transcript (append-only store in extension background IndexedDB)
       try {
-        const convId = getConversationIdFromUrl();
-        const convKey = `${provider}:${convId}`;
-        const transcriptSha256 =
-          snapshot && snapshot.conversation_fingerprint && typeof snapshot.conversation_fingerprint.sha256 === 'string'
-            ? snapshot.conversation_fingerprint.sha256
-            : '';
-        snapshot.metadata.transcript_ref = convKey;
-        if (transcriptSha256) snapshot.metadata.transcript_sha256 = transcriptSha256;
-        snapshot.metadata.transcript_store = 'indexeddb_background_v1';
         // IMPORTANT: avoid duplicating the full transcript in memory via messages.map(...) on XXL chats.
         // Let storeTranscriptToBackground chunk + transform incrementally.
         await storeTranscriptToBackground({
@@ -905,11 +1069,13 @@
           completenessReason: snapshot.metadata.capture_completeness_reason || '',
           apiUrl: snapshot.metadata.capture_api_url || '',
           pagesFetched: snapshot.metadata.capture_pages_fetched,
-          messages
+          messages,
+          fromIdx: incrementalInfo ? incrementalInfo.base_count : 0
         });
       } catch (_) {}
 
       await saveLastSnapshot(snapshot, { tabId: jobTabId });
+      await saveSnapshotToHistory(snapshot);
       await emitCaptureProgress(
         {
           captureId: captureIdActive,
@@ -995,13 +1161,39 @@
   }
 
   function getProvider() {
-    const h = (window.location.hostname || '').toLowerCase();
-    if (h.includes('claude.ai')) return 'claude';
-    if (h.includes('chatgpt.com') || h.includes('chat.openai.com')) return 'chatgpt';
-    if (h.includes('gemini.google.com') || h.includes('bard.google.com')) return 'gemini';
-    if (h.includes('www.perplexity.ai') || h.endsWith('perplexity.ai')) return 'perplexity';
-    if (h.includes('copilot.microsoft.com')) return 'copilot';
-    return 'unknown';
+    return detectProviderId(window.location.hostname);
+  }
+
+  /**
+   * Adapter of the current site (lib/providers.js).
+   * @returns {Object|null}
+   */
+  function getCurrentProviderAdapter() {
+    return getProviderAdapter(window.location.hostname);
+  }
+
+  /**
+   * DOM selectors for a provider (adapter `selectors`, or those of its `selectorsFrom` adapter when it
+   * declares no messageNodes).
+   * @param {string} provider
+   * @returns {Object}
+   */
+  function getDomSelectors(provider) {
+    const adapter = getProviderAdapterById(provider);
+    if (!adapter) return {};
+    if (adapter.selectors && adapter.selectors.messageNodes) return adapter.selectors;
+    const from = adapter.selectorsFrom ? getProviderAdapterById(adapter.selectorsFrom) : null;
+    return (from && from.selectors) || adapter.selectors || {};
+  }
+
+  /**
+   * Capture strategy and tuning for a provider (adapter `capture`).
+   * @param {string} provider
+   * @returns {Object}
+   */
+  function getCaptureConfig(provider) {
+    const adapter = getProviderAdapterById(provider);
+    return (adapter && adapter.capture) || {};
   }
 
   /**
@@ -1015,6 +1207,11 @@
       const script = document.createElement('script');
       script.id = 'rl4-api-interceptor';
       script.src = chrome.runtime.getURL('lib/api-interceptor.js');
+      // The page gets a JSON copy of what the interceptor needs, never the adapter registry itself.
+      script.dataset.rl4Config = JSON.stringify({
+        version: chrome.runtime.getManifest().version,
+        ...getPageInterceptorConfig(location.hostname)
+      });
       script.async = false;
       (document.head || document.documentElement).appendChild(script);
       script.onload = () => script.remove();
@@ -1097,69 +1294,12 @@
   }
 
   /**
-   * Extract text content from Claude-style message shapes.
-   * Improved to handle Claude.ai block format (arrays of objects with type/text).
+   * Extract text content from provider message shapes (lib/message-json.js).
    * @param {any} content
    * @returns {string}
    */
   function normalizeContent(content) {
-    if (content === null || content === undefined) return '';
-    if (typeof content === 'string') return content;
-    if (Array.isArray(content)) {
-      return content
-        .map((x) => {
-          if (typeof x === 'string') return x;
-          // Claude.ai block format: { type: "text", text: "..." }
-          if (x && typeof x === 'object') {
-            if (typeof x.text === 'string') return x.text;
-            if (x.type === 'text' && typeof x.text === 'string') return x.text;
-            // Fallback: try to stringify the whole block
-            if (x.content && typeof x.content === 'string') return x.content;
-          }
-          return '';
-        })
-        .filter(Boolean)
-        .join('\n')
-        .trim();
-    }
-    if (typeof content === 'object') {
-      // ChatGPT: { parts: ["..."] } (most common)
-      if (Array.isArray(content.parts)) {
-        return content.parts
-          .map((p) => {
-            if (typeof p === 'string') return p;
-            // Some ChatGPT payloads include structured parts: { type:'text', text:'...' } / { text:'...' }
-            if (p && typeof p === 'object') {
-              if (typeof p.text === 'string') return p.text;
-              if (p.type === 'text' && typeof p.text === 'string') return p.text;
-              if (typeof p.content === 'string') return p.content;
-            }
-            return '';
-          })
-          .filter(Boolean)
-          .join('\n')
-          .trim();
-      }
-      // Sometimes nested: { content: { parts: [...] } }
-      if (content.content && typeof content.content === 'object' && Array.isArray(content.content.parts)) {
-        return content.content.parts
-          .map((p) => {
-            if (typeof p === 'string') return p;
-            if (p && typeof p === 'object') {
-              if (typeof p.text === 'string') return p.text;
-              if (p.type === 'text' && typeof p.text === 'string') return p.text;
-              if (typeof p.content === 'string') return p.content;
-            }
-            return '';
-          })
-          .filter(Boolean)
-          .join('\n')
-          .trim();
-      }
-      if (typeof content.text === 'string') return content.text;
-      if (content.type === 'text' && typeof content.text === 'string') return content.text;
-    }
-    return '';
+    return normalizeMessageContent(content);
   }
 
   /**
@@ -1210,278 +1350,33 @@
   }
 
   /**
-   * Best-effort parser for Google "batchexecute" responses (Gemini/Bard).
-   * The response is often XSSI-prefixed and line-delimited. Some frames contain JSON strings.
-   * @param {string} text
-   * @returns {any[]|null}
-   */
-  function tryParseGoogleBatchExecute(text) {
-    try {
-      let t = String(text || '');
-      // XSSI prefix
-      t = t.replace(/^\)\]\}'\s*/m, '').trim();
-      if (!t) return null;
-
-      const lines = t
-        .split('\n')
-        .map((l) => l.trim())
-        .filter(Boolean);
-
-      const parsed = [];
-      for (const line of lines) {
-        // Skip length prefixes / non-JSON lines
-        if (!line.startsWith('[') && !line.startsWith('{')) continue;
-        try {
-          const obj = JSON.parse(line);
-          parsed.push(obj);
-        } catch (_) {
-          // ignore
-        }
-      }
-
-      // Expand nested JSON strings commonly embedded in batchexecute frames
-      const expanded = [];
-      const stack = [...parsed];
-      while (stack.length) {
-        const cur = stack.pop();
-        expanded.push(cur);
-        if (typeof cur === 'string') {
-          const s = cur.trim();
-          if ((s.startsWith('[') && s.endsWith(']')) || (s.startsWith('{') && s.endsWith('}'))) {
-            try {
-              stack.push(JSON.parse(s));
-            } catch (_) {
-              // ignore
-            }
-          }
-        } else if (Array.isArray(cur)) {
-          for (const v of cur) {
-            if (typeof v === 'string') stack.push(v);
-          }
-        } else if (cur && typeof cur === 'object') {
-          for (const v of Object.values(cur)) {
-            if (typeof v === 'string') stack.push(v);
-          }
-        }
-      }
-
-      return expanded.length ? expanded : null;
-    } catch (_) {
-      return null;
-    }
-  }
-
-  /**
-   * Heuristic role normalization.
+   * Heuristic role normalization (lib/message-json.js).
    * @param {any} role
    * @param {any} sender
    * @returns {'user'|'assistant'|null}
    */
   function normalizeRole(role, sender) {
-    const r = String(role || '').toLowerCase();
-    const s = String(sender || '').toLowerCase();
-    if (r === 'user' || r === 'human') return 'user';
-    if (r === 'assistant' || r === 'claude' || r === 'ai') return 'assistant';
-    if (s === 'user' || s === 'human') return 'user';
-    if (s === 'assistant' || s === 'claude' || s === 'ai') return 'assistant';
-    return null;
+    return normalizeMessageRole(role, sender);
   }
 
   /**
-   * Extract messages from an array of message-like objects.
+   * Extract messages from an array of message-like objects (lib/message-json.js).
    * @param {Array<any>} arr
    * @param {Set<string>} seen
    * @returns {Array<{role:'user'|'assistant', content:string, timestamp?:string}>}
    */
   function extractFromArray(arr, seen) {
-    const out = [];
-    for (const item of arr) {
-      if (item && typeof item === 'object') {
-        // ChatGPT often nests the actual message under { message: { author: { role }, content: { parts } } }
-        const nestedMsg = item.message && typeof item.message === 'object' ? item.message : null;
-        const nestedRole = nestedMsg && nestedMsg.author ? nestedMsg.author.role : undefined;
-        const role = normalizeRole(item.role ?? nestedRole, item.sender ?? nestedRole);
-        const content = normalizeContent(
-          item.content ??
-            item.text ??
-            item.completion ??
-            (nestedMsg ? nestedMsg.content ?? nestedMsg : item.message)
-        );
-        if (role && content && content.length > 0) {
-          const sig = signature(role, content);
-          if (!seen.has(sig)) {
-            seen.add(sig);
-            out.push({
-              role,
-              content,
-              timestamp:
-                item.timestamp ||
-                item.created_at ||
-                item.createdAt ||
-                item.updated_at ||
-                item.updatedAt ||
-                (nestedMsg && typeof nestedMsg.create_time === 'number'
-                  ? new Date(nestedMsg.create_time * 1000).toISOString()
-                  : undefined) ||
-                undefined
-            });
-          }
-        }
-      }
-    }
-    return out;
+    return extractMessagesFromArray(arr, seen);
   }
 
   /**
-   * Recursively walk an object to find arrays of message-like objects.
-   * Improved to prioritize common Claude.ai structures (messages, chat_messages, conversation).
+   * Recursively walk an object to find message-like objects (lib/message-json.js).
    * @param {any} root
    * @returns {Array<{role:'user'|'assistant', content:string, timestamp?:string}>}
    */
   function extractMessagesFromAnyJson(root) {
-    const out = [];
-    const seen = new Set();
-
-    const pushOne = (role, content, timestamp) => {
-      if (!role || !content) return;
-      const sig = signature(role, String(content));
-      if (seen.has(sig)) return;
-      seen.add(sig);
-      out.push({ role, content: String(content), timestamp });
-    };
-
-    const tryExtractChatGPTMessageObject = (node) => {
-      if (!node || typeof node !== 'object') return;
-      // Direct message object: { author:{role}, content:{parts:[...]}, create_time }
-      if (node.author && node.content) {
-        const authorRole = node.author && typeof node.author === 'object' ? node.author.role : undefined;
-        const role = normalizeRole(authorRole, authorRole);
-        const content = normalizeContent(node.content ?? node);
-        if (role && content) {
-          const ts =
-            typeof node.create_time === 'number' ? new Date(node.create_time * 1000).toISOString() : undefined;
-          pushOne(role, content, ts);
-        }
-      }
-      // Wrapper shape: { message: { author:{role}, content:{parts:[...]} } }
-      if (node.message && typeof node.message === 'object') {
-        tryExtractChatGPTMessageObject(node.message);
-      }
-    };
-
-    // ChatGPT full conversation format: { mapping: { nodeId: { parent, message } }, current_node: "<nodeId>" }
-    // IMPORTANT: mapping is a graph. The "real conversation" is the path root -> current_node (not Object.values(mapping)).
-    if (root && typeof root === 'object' && root.mapping && typeof root.mapping === 'object') {
-      try {
-        const mapping = root.mapping;
-        const currentNode =
-          (typeof root.current_node === 'string' && root.current_node) ||
-          (typeof root.currentNode === 'string' && root.currentNode) ||
-          '';
-
-        const chainIds = [];
-        if (currentNode && mapping[currentNode]) {
-          let cur = currentNode;
-          const guard = new Set();
-          while (cur && mapping[cur] && !guard.has(cur) && chainIds.length < 100_000) {
-            guard.add(cur);
-            chainIds.push(cur);
-            cur = mapping[cur] && typeof mapping[cur] === 'object' ? mapping[cur].parent : null;
-          }
-          chainIds.reverse();
-        }
-
-        const extracted = [];
-        const idsToUse = chainIds.length ? chainIds : Object.keys(mapping);
-        for (const id of idsToUse) {
-          const node = mapping[id];
-          const msg = node && typeof node === 'object' ? node.message : null;
-          if (!msg || typeof msg !== 'object') continue;
-
-          const authorRole = msg.author && typeof msg.author === 'object' ? msg.author.role : undefined;
-          const role = normalizeRole(authorRole, authorRole);
-          if (role !== 'user' && role !== 'assistant') continue;
-
-          // Skip non-conversation blobs and hidden items
-          const c = msg.content && typeof msg.content === 'object' ? msg.content : null;
-          const ctype = c && typeof c.content_type === 'string' ? c.content_type : '';
-          if (ctype === 'user_editable_context') continue;
-          const md = msg.metadata && typeof msg.metadata === 'object' ? msg.metadata : null;
-          if (md && md.is_visually_hidden_from_conversation) continue;
-
-          const content = normalizeContent(c ?? msg);
-          if (!content) continue;
-
-          extracted.push({
-            role,
-            content,
-            timestamp:
-              typeof msg.create_time === 'number'
-                ? new Date(msg.create_time * 1000).toISOString()
-                : undefined
-          });
-        }
-
-        const asArray = extractFromArray(extracted, seen);
-        if (asArray.length > 0) {
-          log('Found ChatGPT mapping structure', { count: asArray.length, usedPath: !!chainIds.length });
-          out.push(...asArray);
-        }
-      } catch (_) {
-        // ignore
-      }
-    }
-
-    // First pass: look for common Claude.ai structures
-    if (root && typeof root === 'object') {
-      const commonKeys = ['messages', 'chat_messages', 'conversation', 'items', 'chat', 'data'];
-      for (const key of commonKeys) {
-        if (!Array.isArray(root[key])) continue;
-        log(`Found common structure: ${key}`, { count: root[key].length });
-        const extracted = extractFromArray(root[key], seen);
-        if (extracted.length > 0) {
-          out.push(...extracted);
-          log(`Extracted ${extracted.length} messages from ${key}`, { totalSoFar: out.length });
-        }
-      }
-    }
-
-    // Fallback: recursive walk
-    const visit = (node, depth) => {
-      if (!node || depth > 8) return; // Increased depth limit
-      if (Array.isArray(node)) {
-        const extracted = extractFromArray(node, seen);
-        if (extracted.length > 0) {
-          out.push(...extracted);
-        }
-        // Continue visiting for nested structures
-        for (const item of node) {
-          visit(item, depth + 1);
-        }
-        return;
-      }
-      if (typeof node === 'object') {
-        // ChatGPT SSE / backend frames often contain a single "message" object (not in arrays)
-        tryExtractChatGPTMessageObject(node);
-        for (const k of Object.keys(node)) {
-          visit(node[k], depth + 1);
-        }
-      }
-    };
-
-    visit(root, 0);
-
-    // Final pass: de-dup again (across key-based + recursive extraction)
-    const uniq = [];
-    const sigSeen = new Set();
-    for (const m of out) {
-      const sig = signature(m.role, m.content || '');
-      if (sigSeen.has(sig)) continue;
-      sigSeen.add(sig);
-      uniq.push(m);
-    }
-
-    return uniq;
+    // The shared walker has the same name (global from lib/message-json.js), hence window.*.
+    return window.extractMessagesFromAnyJson(root, { log });
   }
 
   /**
@@ -1561,7 +1456,7 @@
 
         await setCaptureProgress({
           captureId: captureIdActive,
-          provider: 'chatgpt',
+          provider: getProvider(),
           phase: 'api_capture',
           status: budgetReached ? 'partial_budget_reached' : 'capturing',
           totalChunks,
@@ -1655,7 +1550,7 @@
       // Perplexity thread history: GET /rest/thread/<slug> (same-origin)
       // Interceptor sends a normalized transcript directly as [{role, content, timestamp?}].
       if (payload.kind === 'perplexity_thread' && Array.isArray(payload.messages)) {
-        const provider = 'perplexity';
+        const provider = getProvider();
         const url = String(payload.url || '');
         const nowIso = new Date().toISOString();
         const sessionId = await ensureSessionId();
@@ -1712,48 +1607,26 @@
       // Keep events bounded
       apiEvents.push({ ...payload, url, receivedAt: Date.now() });
       if (apiEvents.length > 50) apiEvents = apiEvents.slice(-50);
-
-      // Try parse JSON bodies only
-      let json = null;
-      try {
-        json = JSON.parse(payload.body);
-      } catch (_) {
-        // Gemini/Bard: /batchexecute responses are not clean JSON; try best-effort parsing.
-        if (url.includes('/batchexecute') || url.includes('/_/BardChatUi/')) {
-          const parsed = tryParseGoogleBatchExecute(payload.body);
-          if (parsed && parsed.length) {
-            json = parsed;
-          }
-        }
-        if (json) {
-          // continue below
-        } else {
-        // Some responses are newline-delimited JSON; try best-effort per-line parsing.
-        const lines = String(payload.body || '')
-          .split('\n')
-          .map((l) => l.trim())
-          .filter(Boolean);
-        if (lines.length <= 1) return;
-        const parsed = [];
-        for (const line of lines) {
-          try {
-            parsed.push(JSON.parse(line));
-          } catch (_) {
-            // ignore
-          }
-        }
-        if (!parsed.length) return;
-        json = parsed;
-        }
+      // The round-trip rebuilds the streamed reply from every frame (apiEvents only keeps the last 50).
+      if (rl4RoundTrip && payload.via === 'fetch_sse' && rl4RoundTrip.frames.length < 20_000) {
+        rl4RoundTrip.frames.push(String(payload.body));
       }
 
-      const extracted = extractMessagesFromAnyJson(json);
+      // JSON, Gemini/Bard batchexecute, or newline-delimited JSON (lib/provider-parsers.js).
+      const json = parseApiResponseBody(payload.body, url);
+      if (!json) return;
+
+      // History endpoints with a provider-shaped body (DeepSeek chat_messages, Grok responses).
+      const apiAdapter = getCurrentProviderAdapter();
+      const historyExtracted =
+        apiAdapter && apiAdapter.api.history && url.includes(apiAdapter.api.history) ? apiAdapter.parse(json) : [];
+      const extracted = historyExtracted.length ? historyExtracted : extractMessagesFromAnyJson(json);
       if (!extracted.length) return;
 
       // Claude: keep a handle to the "messages" endpoint we observed so we can paginate later.
       // This is heuristic but works well in practice: we reuse the same URL and update query params.
       try {
-        if (getProvider() === 'claude') {
+        if (getCaptureConfig(getProvider()).api === 'claude_messages') {
           const convId = getConversationIdFromUrl();
           const u = String(url || '');
           // Only store endpoints that look like "messages pages" (avoid saving generic /api/user endpoints).
@@ -1814,61 +1687,9 @@
     try {
       const id = String(convId || '').trim();
       if (!id) return [];
-      const provider = getProvider();
-      if (provider !== 'chatgpt') return [];
+      if (getCaptureConfig(getProvider()).api !== 'chatgpt_conversation') return [];
 
-      const extractFromMapping = (json) => {
-        const out = [];
-        const mapping = json && typeof json === 'object' ? json.mapping : null;
-        if (!mapping || typeof mapping !== 'object') return out;
-
-        const currentNode =
-          (json && typeof json === 'object' && typeof json.current_node === 'string' && json.current_node) ||
-          (json && typeof json === 'object' && typeof json.currentNode === 'string' && json.currentNode) ||
-          '';
-
-        // Follow the real conversation path: root -> current_node
-        const chainIds = [];
-        if (currentNode && mapping[currentNode]) {
-          let cur = currentNode;
-          const guard = new Set();
-          while (cur && mapping[cur] && !guard.has(cur) && chainIds.length < 100_000) {
-            guard.add(cur);
-            chainIds.push(cur);
-            cur = mapping[cur] && typeof mapping[cur] === 'object' ? mapping[cur].parent : null;
-          }
-          chainIds.reverse();
-        }
-
-        const idsToUse = chainIds.length ? chainIds : Object.keys(mapping);
-        for (const id of idsToUse) {
-          const node = mapping[id];
-          const msg = node && typeof node === 'object' ? node.message : null;
-          if (!msg || typeof msg !== 'object') continue;
-
-          const role = msg.author && typeof msg.author === 'object' ? msg.author.role : null;
-          if (role !== 'user' && role !== 'assistant') continue;
-
-          const content = msg.content && typeof msg.content === 'object' ? msg.content : null;
-          const ctype = content && typeof content.content_type === 'string' ? content.content_type : '';
-          if (ctype === 'user_editable_context') continue;
-
-          const md = msg.metadata && typeof msg.metadata === 'object' ? msg.metadata : null;
-          if (md && md.is_visually_hidden_from_conversation) continue;
-
-          let text = normalizeContent(content ?? msg);
-          if (!text) continue;
-
-          out.push({
-            role,
-            content: text,
-            timestamp: typeof msg.create_time === 'number' ? msg.create_time : null
-          });
-        }
-        return out;
-      };
-
-      const convUrl = `${location.origin}/backend-api/conversation/${encodeURIComponent(id)}`;
+      const convUrl = `${location.origin}${getCurrentProviderAdapter().api.conversation}${encodeURIComponent(id)}`;
 
       // 0) Surgical Fetch (cookie-first): often works without any token header, and is the safest/most universal.
       try {
@@ -1876,7 +1697,7 @@
         const res = await fetch(convUrl, { credentials: 'include', headers: { Accept: 'application/json' } });
         if (res && res.ok) {
           const json = await res.json();
-          const mapped = extractFromMapping(json);
+          const mapped = getCurrentProviderAdapter().parse(json);
           if (mapped && mapped.length) {
             const sessionId = await ensureSessionId();
             const out = mapped.map((m, idx) => ({
@@ -1943,7 +1764,7 @@
             });
             if (res && res.ok) {
               const json = await res.json();
-              const mapped = extractFromMapping(json);
+              const mapped = getCurrentProviderAdapter().parse(json);
               if (mapped && mapped.length) {
                 const sessionId = await ensureSessionId();
                 const out = mapped.map((m, idx) => ({
@@ -2098,7 +1919,7 @@
     try {
       const id = String(convId || '').trim();
       if (!id) return false;
-      if (getProvider() !== 'chatgpt') return false;
+      if (getCaptureConfig(getProvider()).api !== 'chatgpt_conversation') return false;
       window.postMessage(
         {
           type: 'RL4_API_REQUEST',
@@ -2115,11 +1936,12 @@
 
   function getPerplexityThreadSlugFromUrl() {
     try {
-      if (getProvider() !== 'perplexity') return '';
+      if (getCaptureConfig(getProvider()).api !== 'perplexity_thread') return '';
       const path = String(window.location.pathname || '');
       const parts = path.split('/').filter(Boolean);
       // Most Perplexity threads are under /search/<thread_url_slug>
-      if (parts[0] === 'search' && parts[1]) return String(parts[1] || '');
+      const threadPath = (getCurrentProviderAdapter() || {}).threadPath;
+      if (threadPath && parts[0] === threadPath && parts[1]) return String(parts[1] || '');
       return '';
     } catch (_) {
       return '';
@@ -2130,7 +1952,7 @@
     try {
       const slug = String(threadSlug || '').trim();
       if (!slug) return false;
-      if (getProvider() !== 'perplexity') return false;
+      if (getCaptureConfig(getProvider()).api !== 'perplexity_thread') return false;
       window.postMessage(
         {
           type: 'RL4_API_REQUEST',
@@ -2152,7 +1974,7 @@
    */
   async function tryExtractChatGPTEmbeddedState() {
     try {
-      if (getProvider() !== 'chatgpt') return [];
+      if (getCaptureConfig(getProvider()).api !== 'chatgpt_conversation') return [];
 
       const candidates = [];
 
@@ -2235,6 +2057,92 @@
     }
   }
 
+  /**
+   * Same-origin history fetch for adapters that declare api.historyUrl (DeepSeek, Grok).
+   * Cookie-first like the ChatGPT surgical fetch; the adapter may add headers (e.g. a bearer token).
+   * @param {string} convId
+   * @returns {Promise<Array<any>>} messages in extension format
+   */
+  async function tryFetchProviderHistory(convId) {
+    try {
+      const id = String(convId || '').trim();
+      const adapter = getCurrentProviderAdapter();
+      if (!id || /^(hash|timestamp)-/.test(id) || !adapter || typeof adapter.api.historyUrl !== 'function') return [];
+
+      const url = `${location.origin}${adapter.api.historyUrl(id)}`;
+      const extra = typeof adapter.api.historyHeaders === 'function' ? adapter.api.historyHeaders(window.localStorage) : {};
+      log(`${adapter.label} history fetch: trying`, { url });
+      const res = await fetch(url, { credentials: 'include', headers: { Accept: 'application/json', ...extra } });
+      if (!res || !res.ok) {
+        log(`${adapter.label} history fetch: not ok`, { status: res ? res.status : 'unknown' });
+        return [];
+      }
+      const mapped = adapter.parse(await res.json());
+      if (!mapped || !mapped.length) return [];
+      const sessionId = await ensureSessionId();
+      const nowIso = new Date().toISOString();
+      const out = mapped
+        .map((m, idx) => ({
+          id: `msg-${idx + 1}`,
+          role: normalizeRole(m.role, m.role),
+          content: normalizeContent(m.content),
+          timestamp: typeof m.timestamp === 'string' ? m.timestamp : nowIso,
+          session_id: sessionId,
+          captured_at: Date.now(),
+          source: `${adapter.id}_history_api`,
+          source_url: url
+        }))
+        .filter((m) => m.role && m.content);
+      setApiMessagesCacheBounded(out);
+      log(`${adapter.label} history fetch: success`, { messages: out.length });
+      return out;
+    } catch (e) {
+      log('Provider history fetch failed (fallback)', { error: e?.message || String(e) });
+      return [];
+    }
+  }
+
+  /**
+   * "Send to…": put the handoff prompt into this provider's composer (lib/composer.js) and optionally submit.
+   * The composer may mount after the content script is ready (SPA boot), so it is polled for a few seconds.
+   * @param {string} text
+   * @param {{submit?:boolean}} [opts]
+   * @returns {Promise<{ok:boolean, method?:string, submitted?:string, error?:string}>}
+   */
+  async function pasteHandoffPrompt(text, opts = {}) {
+    const adapter = getCurrentProviderAdapter();
+    const sel = adapter && adapter.selectors ? adapter.selectors : {};
+    if (!text) return { ok: false, error: 'Nothing to paste.' };
+    if (!sel.composer) return { ok: false, error: 'No composer known for this site.' };
+
+    const started = Date.now();
+    let composer = null;
+    while (!(composer = findComposerElement(document, sel.composer)) && Date.now() - started < 8000) {
+      await new Promise((r) => setTimeout(r, 250));
+    }
+    if (!composer) return { ok: false, error: `${adapter.label} message box not found. Is the page signed in?` };
+
+    const inserted = insertComposerText(composer, text);
+    log('Handoff paste', { provider: adapter.id, method: inserted.method, ok: inserted.ok });
+    if (!inserted.ok) return { ok: false, method: inserted.method, error: 'The message box did not accept the text.' };
+    if (!opts.submit) return { ok: true, method: inserted.method, submitted: '' };
+
+    // Editors enable their send button only after they processed the input.
+    if (sel.sendButton) {
+      const waitFrom = Date.now();
+      while (Date.now() - waitFrom < 3000) {
+        const btn = findEnabledSendButton(document, sel.sendButton);
+        if (btn) {
+          btn.click();
+          return { ok: true, method: inserted.method, submitted: 'button' };
+        }
+        await new Promise((r) => setTimeout(r, 150));
+      }
+    }
+    pressComposerEnter(composer);
+    return { ok: true, method: inserted.method, submitted: 'enter' };
+  }
+
   function safeUrlWithParams(inputUrl, patchParams) {
     try {
       const base = String(inputUrl || '');
@@ -2251,114 +2159,11 @@
     }
   }
 
-  function extractClaudeMessageRecords(json) {
-    // Best-effort: find arrays of message-like records with ids.
-    // We keep ids to support pagination ("before" cursor).
-    const out = [];
-    try {
-      const candidates = [];
-      const pushArr = (arr) => {
-        if (Array.isArray(arr) && arr.length) candidates.push(arr);
-      };
-
-      if (json && typeof json === 'object') {
-        pushArr(json.chat_messages);
-        pushArr(json.messages);
-        if (json.conversation && typeof json.conversation === 'object') {
-          pushArr(json.conversation.chat_messages);
-          pushArr(json.conversation.messages);
-        }
-        if (json.data && typeof json.data === 'object') {
-          pushArr(json.data.chat_messages);
-          pushArr(json.data.messages);
-        }
-      }
-      // Try the largest candidate.
-      const arr = candidates.sort((a, b) => b.length - a.length)[0] || [];
-      for (const m of arr) {
-        if (!m || typeof m !== 'object') continue;
-        const id = m.id || m.uuid || m.message_id || m.messageId || m.chat_message_id || m.chatMessageId || '';
-        
-        // Improved role detection for Claude format: handle both string sender ("human"/"assistant") and object sender
-        let role = null;
-        if (m.role) {
-          role = normalizeRole(m.role, m.sender);
-        } else if (m.sender) {
-          // Claude format: sender can be a string ("human", "assistant") or an object with role
-          if (typeof m.sender === 'string') {
-            role = normalizeRole(m.sender, m.sender);
-          } else if (typeof m.sender === 'object' && m.sender.role) {
-            role = normalizeRole(m.sender.role, m.sender);
-          }
-        }
-        if (!role) {
-          role = normalizeRole(m.author, m.sender);
-        }
-        
-        // Improved content extraction: prioritize content array (Claude format), then text, then message
-        let content = '';
-        if (m.content) {
-          // normalizeContent already handles arrays like [{ type: "text", text: "..." }]
-          content = normalizeContent(m.content);
-        } else if (m.text) {
-          content = normalizeContent(m.text);
-        } else if (m.message) {
-          content = normalizeContent(m.message);
-        } else if (m.completion) {
-          content = normalizeContent(m.completion);
-        }
-        
-        if (!content || content.trim().length === 0) continue;
-        
-        out.push({
-          id: String(id || ''),
-          role: role || null,
-          content: content.trim(),
-          timestamp:
-            typeof m.created_at === 'string'
-              ? m.created_at
-              : typeof m.createdAt === 'string'
-                ? m.createdAt
-                : typeof m.updated_at === 'string'
-                  ? m.updated_at
-                  : typeof m.updatedAt === 'string'
-                    ? m.updatedAt
-                    : (Array.isArray(m.content) && m.content.length > 0 && m.content[0].start_timestamp
-                        ? m.content[0].start_timestamp
-                        : undefined),
-          raw: m
-        });
-      }
-    } catch (e) {
-      logError('extractClaudeMessageRecords failed', e);
-    }
-    return out;
-  }
-
-  function detectClaudePaginationInfo(json) {
-    try {
-      if (!json || typeof json !== 'object') return { hasMore: false, nextCursor: '' };
-      const hasMore =
-        json.has_more === true ||
-        json.hasMore === true ||
-        (json.pagination && typeof json.pagination === 'object' && json.pagination.has_more === true) ||
-        (json.pagination && typeof json.pagination === 'object' && json.pagination.hasMore === true);
-      const nextCursor =
-        (typeof json.next_cursor === 'string' && json.next_cursor) ||
-        (typeof json.nextCursor === 'string' && json.nextCursor) ||
-        (json.pagination && typeof json.pagination === 'object' && (json.pagination.next_cursor || json.pagination.nextCursor)) ||
-        '';
-      return { hasMore: !!hasMore, nextCursor: String(nextCursor || '') };
-    } catch (_) {
-      return { hasMore: false, nextCursor: '' };
-    }
-  }
-
-  async function tryFetchClaudeConversationViaApi(convId) {
+  async function tryFetchClaudeConversationViaApi(convId, opts = {}) {
     try {
       const id = String(convId || '').trim();
       if (!id) return { messages: [], completeness: 'unknown', completeness_reason: 'missing_conv_id', usedUrl: '', pages_fetched: 0 };
-      if (getProvider() !== 'claude') return { messages: [], completeness: 'unknown', completeness_reason: 'wrong_provider', usedUrl: '', pages_fetched: 0 };
+      if (getCaptureConfig(getProvider()).api !== 'claude_messages') return { messages: [], completeness: 'unknown', completeness_reason: 'wrong_provider', usedUrl: '', pages_fetched: 0 };
 
       // Pick a base URL from observed API events.
       let baseUrl = '';
@@ -2394,7 +2199,7 @@
 
       const startedAt = Date.now();
       const maxMs = 65_000;
-      const maxPages = 30;
+      const maxPages = typeof opts.maxPages === 'number' ? opts.maxPages : 30;
       const pageDelayMs = 220;
       const all = [];
       const sig = new Set();
@@ -2413,7 +2218,7 @@
         const json = await res.json();
         pagesFetched++;
 
-        const records = extractClaudeMessageRecords(json);
+        const records = getCurrentProviderAdapter().parse(json);
         if (!records.length) {
           // Try generic extraction as a last resort (no ids)
           const extracted = extractMessagesFromAnyJson(json);
@@ -2699,27 +2504,11 @@
         log('Extracted share ID from path', { shareId: parts[shareIdx + 1] });
         return parts[shareIdx + 1];
       }
-      if (provider === 'claude') {
-        const chatIdx = parts.findIndex((p) => p === 'chat');
-        if (chatIdx >= 0 && parts[chatIdx + 1]) {
-          log('Extracted chat ID from path', { chatId: parts[chatIdx + 1] });
-          return parts[chatIdx + 1];
-        }
-      }
-      if (provider === 'chatgpt') {
-        const cIdx = parts.findIndex((p) => p === 'c');
-        if (cIdx >= 0 && parts[cIdx + 1]) {
-          log('Extracted chatgpt conversation ID from path', { id: parts[cIdx + 1] });
-          return parts[cIdx + 1];
-        }
-      }
-      if (provider === 'gemini') {
-        // Gemini/Bard often uses /app or /app/<id>. Keep stable-ish id when present.
-        const appIdx = parts.findIndex((p) => p === 'app');
-        if (appIdx >= 0 && parts[appIdx + 1]) {
-          log('Extracted gemini conversation ID from path', { id: parts[appIdx + 1] });
-          return parts[appIdx + 1];
-        }
+      // Priority 3: the adapter's conversation segment (/chat/<id>, /c/<id>, /app/<id>)
+      const pathId = getProviderConversationId(getProviderAdapterById(provider), path);
+      if (pathId) {
+        log('Extracted conversation ID from path', { provider, id: pathId });
+        return pathId;
       }
 
       // Fallback: stable hash of pathname (so never "unknown")
@@ -2844,40 +2633,34 @@
    * @returns {Array<{el: Element, role: 'user'|'assistant'|null}>}
    */
   function getMessageNodes() {
-    const provider = getProvider();
+    const sel = getDomSelectors(getProvider());
 
-    if (provider === 'chatgpt') {
-      const nodes = Array.from(document.querySelectorAll(SELECTORS.CHATGPT_MESSAGE_NODES));
-      return nodes.map((el) => ({ el, role: detectRole(el) }));
-    }
-    if (provider === 'gemini') {
-      const nodes = Array.from(document.querySelectorAll(SELECTORS.GEMINI_LOOP));
+    if (!sel.messageNodes) return [];
+
+    // Turn nodes carry the role themselves (ChatGPT, Gemini).
+    if (!sel.userMessage || !sel.assistantMessage) {
+      const nodes = Array.from(document.querySelectorAll(sel.messageNodes));
       return nodes.map((el) => ({ el, role: detectRole(el) }));
     }
 
     // Best signal: actual message text nodes (not the whole container)
-    const combined = Array.from(
-      document.querySelectorAll(
-        `${SELECTORS.CLAUDE_USER_MESSAGE}, ${SELECTORS.CLAUDE_ASSISTANT_MESSAGE}, ${SELECTORS.CLAUDE_ROLE_ATTR}`
-      )
-    );
+    const textSelector = [sel.userMessage, sel.assistantMessage, sel.roleAttribute ? `[${sel.roleAttribute}]` : '']
+      .filter(Boolean)
+      .join(', ');
+    const combined = Array.from(document.querySelectorAll(textSelector));
 
     if (combined.length) {
       return combined.map((el) => ({ el, role: detectRole(el) }));
     }
 
     // Fallback: message containers
-    const containers = Array.from(document.querySelectorAll(SELECTORS.CLAUDE_MESSAGE_CONTAINERS));
+    const containers = Array.from(document.querySelectorAll(sel.messageNodes));
     if (containers.length) {
       // If containers exist but class/attr selectors didn't match, try to extract message-like descendants
       // from inside containers to avoid capturing the whole chat as a single "message".
       const inner = [];
       for (const c of containers) {
-        const descendants = Array.from(
-          c.querySelectorAll(
-            `${SELECTORS.CLAUDE_USER_MESSAGE}, ${SELECTORS.CLAUDE_ASSISTANT_MESSAGE}, ${SELECTORS.CLAUDE_ROLE_ATTR}`
-          )
-        );
+        const descendants = Array.from(c.querySelectorAll(textSelector));
         if (descendants.length) inner.push(...descendants);
       }
       if (inner.length) {
@@ -2900,118 +2683,100 @@
   }
 
   // --- RL4 Blocks Encoder capture ---
-  function extractRl4BlocksFromText(text) {
+  /**
+   * Normalize common provider quirks so the sealed snapshot stays portable and strict-format.
+   * This does NOT invent content; it only normalizes delimiters/empty markers.
+   * @param {string} text
+   * @returns {string}
+   */
+  function normalizeRl4BlocksReply(text) {
     let t = String(text || '');
-    if (!t) return null;
-
     // If the encoder included an explicit end marker, ignore everything after it.
-    if (t.includes('<RL4-END/>')) {
-      t = t.split('<RL4-END/>')[0];
-    }
-
-    const get = (tag) => {
-      const re = new RegExp(`<${tag}>([\\s\\S]*?)<\\/${tag}>`, 'i');
-      const m = t.match(re);
-      return m && m[0] ? m[0].trim() : '';
+    if (t.includes('<RL4-END/>')) t = `${t.split('<RL4-END/>')[0]}<RL4-END/>`;
+    const body = (tag, fn) => {
+      t = t.replace(new RegExp(`(<${tag}>)([\\s\\S]*?)(<\\/${tag}>)`, 'i'), (m, open, inner, close) => `${open}${fn(inner)}${close}`);
     };
+    body('RL4-TOPICS', (inner) => (inner.trim().toLowerCase() === 'none' ? 'NOT_AVAILABLE' : inner.trim()));
+    body('RL4-DECISIONS', (inner) =>
+      inner.replace(/\b(validated_intents|rejected|constraints|control_style)\s*:\s*/gi, (m, k) => `${k.toLowerCase()}=`).trim()
+    );
+    body('RL4-INSIGHTS', (inner) =>
+      inner.replace(/\b(patterns|correlations|risks|recommendations)\s*:\s*/gi, (m, k) => `${k.toLowerCase()}=`).trim()
+    );
+    return t.replace(/\*\*\s*HUMAN SUMMARY\s*\*\*/gi, 'HUMAN SUMMARY');
+  }
 
-    const arch = get('RL4-ARCH');
-    const layers = get('RL4-LAYERS');
-    const topics = get('RL4-TOPICS');
-    const timeline = get('RL4-TIMELINE');
-    const decisions = get('RL4-DECISIONS');
-    const insights = get('RL4-INSIGHTS');
-
-    // Best-effort HUMAN SUMMARY: capture text after "HUMAN SUMMARY" heading when present.
-    let human_summary = '';
-    const hm1 = t.match(/##\s*📋\s*HUMAN\s+SUMMARY[\s\S]*?\n([\s\S]{10,4000})$/i);
-    const hm2 = t.match(/HUMAN\s+SUMMARY[\s\S]*?\n([\s\S]{10,4000})$/i);
-    const rawHm = (hm1 && hm1[1]) ? hm1[1] : (hm2 && hm2[1]) ? hm2[1] : '';
-    if (rawHm) {
-      // Stop at common separators or a new unrelated section (to avoid “extra recommendations”).
-      const cut = String(rawHm)
-        .split(/\n-{3,}\n/)[0]
-        .split(/\n_{3,}\n/)[0]
-        .split(/\n###\s+/)[0]
-        .trim();
-      // Keep bounded: first 12 lines max.
-      const lines = cut.split(/\r?\n/).map((l) => l.trim()).filter(Boolean);
-      human_summary = lines.slice(0, 12).join('\n');
-    }
-
-    const found = [arch, layers, topics, timeline, decisions, insights].filter(Boolean).length;
-    if (found < 4) return null; // avoid false positives
+  /**
+   * Blocks payload from an encoder reply, or null when the RL4 grammar (lib/rl4-blocks.js) reports errors.
+   * Warnings (missing cognitive blocks, NOT_AVAILABLE markers…) do not block the capture.
+   * @param {string} text
+   * @returns {Object|null}
+   */
+  function extractRl4BlocksFromText(text) {
+    if (!text) return null;
+    const parsed = parseRl4Blocks(normalizeRl4BlocksReply(text));
+    if (!parsed.ok) return null;
 
-    // Guardrail: reject obviously truncated captures like "<RL4-ARCH> ... </RL4-ARCH>"
-    // Some UIs collapse long blocks and inject ellipses; prefer manual paste in that case.
-    const innerLen = (tagText, tagName) => {
-      const open = new RegExp(`^<${tagName}>`, 'i');
-      const close = new RegExp(`<\\/${tagName}>$`, 'i');
-      const inner = String(tagText || '').replace(open, '').replace(close, '').trim();
-      return inner.length;
-    };
-    const suspiciousEllipsis = (tagText, tagName) => {
-      const open = new RegExp(`^<${tagName}>`, 'i');
-      const close = new RegExp(`<\\/${tagName}>$`, 'i');
-      const inner = String(tagText || '').replace(open, '').replace(close, '').trim();
-      return inner === '...' || inner === '…' || (inner.includes('...') && inner.length < 60);
+    const block = (key) => {
+      const node = parsed.blocks[key];
+      return node ? `<${node.tag}>${node.body}</${node.tag}>` : '';
     };
 
-    const anySuspicious =
-      (arch && suspiciousEllipsis(arch, 'RL4-ARCH')) ||
-      (layers && suspiciousEllipsis(layers, 'RL4-LAYERS')) ||
-      (topics && suspiciousEllipsis(topics, 'RL4-TOPICS')) ||
-      (timeline && suspiciousEllipsis(timeline, 'RL4-TIMELINE')) ||
-      (decisions && suspiciousEllipsis(decisions, 'RL4-DECISIONS')) ||
-      (insights && suspiciousEllipsis(insights, 'RL4-INSIGHTS'));
-
-    // Require at least one “substantial” block body (keep tolerant: some encoders output very compact blocks).
-    const hasSubstantial =
-      innerLen(arch, 'RL4-ARCH') > 20 ||
-      innerLen(timeline, 'RL4-TIMELINE') > 40 ||
-      innerLen(decisions, 'RL4-DECISIONS') > 40 ||
-      innerLen(insights, 'RL4-INSIGHTS') > 40;
-
-    if (anySuspicious || !hasSubstantial) return null;
-
-    // Normalize common provider quirks so the sealed snapshot stays portable and strict-format.
-    // This does NOT invent content; it only normalizes delimiters/empty markers.
-    const normalizeTag = (tagText, tagName, map) => {
-      if (!tagText) return '';
-      const open = new RegExp(`^<${tagName}>`, 'i');
-      const close = new RegExp(`<\\/${tagName}>$`, 'i');
-      const inner = String(tagText || '').replace(open, '').replace(close, '');
-      let out = inner;
-      if (map && map.replaceColonKeys) {
-        out = out.replace(map.replaceColonKeys, (m, k) => `${String(k || '').toLowerCase()}=`);
-      }
-      out = out.trim();
-      if (map && map.noneToNotAvailable && out.toLowerCase() === 'none') out = 'NOT_AVAILABLE';
-      return `<${tagName}>${out}</${tagName}>`;
+    // Stop the summary at common separators or a new unrelated section (to avoid “extra recommendations”).
+    const cut = String(parsed.human_summary || '')
+      .split(/\n-{3,}\n/)[0]
+      .split(/\n_{3,}\n/)[0]
+      .split(/\n###\s+/)[0]
+      .trim();
+    // Keep bounded: first 12 lines max.
+    const human_summary = cut
+      .split(/\r?\n/)
+      .map((l) => l.trim())
+      .filter(Boolean)
+      .slice(0, 12)
+      .join('\n');
+
+    const out = {
+      arch: block('arch'),
+      layers: block('layers'),
+      topics: block('topics'),
+      timeline: block('timeline'),
+      decisions: block('decisions'),
+      insights: block('insights'),
+      human_summary,
+      found_blocks: Object.keys(parsed.blocks).length
     };
+    for (const key of ['cognitive_days', 'causal_chains', 'progressive']) {
+      if (parsed.blocks[key]) out[key] = block(key);
+    }
+    if (parsed.counts.warnings) out.lint_warnings = parsed.counts.warnings;
+    return out;
+  }
 
-    const topicsNorm = normalizeTag(topics, 'RL4-TOPICS', { noneToNotAvailable: true });
-    const decisionsNorm = normalizeTag(decisions, 'RL4-DECISIONS', {
-      replaceColonKeys: /\b(validated_intents|rejected|constraints|control_style)\s*:\s*/gi
-    });
-    const insightsNorm = normalizeTag(insights, 'RL4-INSIGHTS', {
-      replaceColonKeys: /\b(patterns|correlations|risks|recommendations)\s*:\s*/gi
-    });
-
-    const humanNorm = String(human_summary || '').replace(/\*\*\s*HUMAN SUMMARY\s*\*\*/gi, 'HUMAN SUMMARY').trim();
-
-    return {
-      arch,
-      layers,
-      topics: topicsNorm || topics,
-      timeline,
-      decisions: decisionsNorm || decisions,
-      insights: insightsNorm || insights,
-      human_summary: humanNorm,
-      found_blocks: found
-    };
+  /**
+   * Grounding of the captured blocks in the snapshot they are sealed into (lib/rl4-grounding.js).
+   * Informational only: a report with findings is still sealed, the popup surfaces it.
+   * @param {{blocks?:Object}} blocksPayload
+   * @param {Object} snapshot
+   * @returns {Object|null}
+   */
+  function buildRl4GroundingReport(blocksPayload, snapshot) {
+    try {
+      const b = blocksPayload && blocksPayload.blocks && typeof blocksPayload.blocks === 'object' ? blocksPayload.blocks : {};
+      const keys = ['arch', 'layers', 'topics', 'timeline', 'decisions', 'insights', 'cognitive_days', 'causal_chains', 'progressive'];
+      const text = keys.map((k) => (typeof b[k] === 'string' ? b[k] : '')).filter(Boolean).join('\n');
+      return { ...checkRl4BlocksGrounding(parseRl4Blocks(text), snapshot), checkedAt: Date.now() };
+    } catch (_) {
+      return null;
+    }
   }
 
+  /**
+   * Seal captured blocks into the last snapshot (checksum recomputed, re-signed when it was signed).
+   * Failures are also written to RL4_BLOCKS_STATUS (status 'error').
+   * @param {Object} blocksPayload
+   * @returns {Promise<{ok:boolean, error?:string}>}
+   */
   async function sealRl4BlocksIntoSnapshot(blocksPayload) {
     try {
       const res = await chrome.storage.local.get([STORAGE_KEYS.LAST_SNAPSHOT]);
@@ -3019,20 +2784,23 @@
         ? res[STORAGE_KEYS.LAST_SNAPSHOT]
         : null;
       if (!last) {
+        const error = 'No snapshot found to seal into.';
         await chrome.storage.local.set({
-          [STORAGE_KEYS.RL4_BLOCKS_STATUS]: { status: 'error', error: 'No snapshot found to seal into.', updatedAt: Date.now() }
+          [STORAGE_KEYS.RL4_BLOCKS_STATUS]: { status: 'error', error, updatedAt: Date.now() }
         });
-        return;
+        return { ok: false, error };
       }
 
+      const { signature: prevSignature, ...rest } = last;
       const next = {
-        ...last,
-        rl4_blocks: blocksPayload
+        ...rest,
+        rl4_blocks: { ...blocksPayload, grounding_report: buildRl4GroundingReport(blocksPayload, rest) }
       };
 
       // Recompute checksum and re-sign if snapshot was previously sealed.
+      // The stale signature is dropped first so the checksum matches what lib/verify.js recomputes.
       next.checksum = await calculateChecksum(next);
-      if (next.signature && typeof next.signature === 'object') {
+      if (prevSignature && typeof prevSignature === 'object') {
         next.signature = await signChecksumDeviceOnly(next.checksum);
       }
 
@@ -3046,6 +2814,7 @@
         if (s && typeof s.tabId === 'number') tabId = s.tabId;
       } catch (_) {}
       await saveLastSnapshot(next, tabId !== null ? { tabId } : {});
+      await saveSnapshotToHistory(next);
       await chrome.storage.local.set({
         [STORAGE_KEYS.RL4_BLOCKS_STATUS]: {
           status: 'sealed',
@@ -3053,10 +2822,13 @@
           updatedAt: Date.now()
         }
       });
+      return { ok: true };
     } catch (e) {
-      await chrome.storage.local.set({
-        [STORAGE_KEYS.RL4_BLOCKS_STATUS]: { status: 'error', error: String(e?.message || e), updatedAt: Date.now() }
-      });
+      const error = String(e?.message || e);
+      await chrome.storage.local
+        .set({ [STORAGE_KEYS.RL4_BLOCKS_STATUS]: { status: 'error', error, updatedAt: Date.now() } })
+        .catch(() => {});
+      return { ok: false, error };
     }
   }
 
@@ -3165,6 +2937,246 @@
     scanForRl4Blocks(reason).catch(() => {});
   }
 
+  /**
+   * Why a reply failed extractRl4BlocksFromText, in terms the corrective prompt can quote.
+   * @param {string} text
+   * @returns {string}
+   */
+  function describeRl4BlocksProblem(text) {
+    const t = String(text || '');
+    if (!t.trim()) return 'no reply was received';
+    const errors = lintRl4Blocks(normalizeRl4BlocksReply(t)).filter((d) => d.severity === 'error');
+    if (!errors.length) return 'blocks were empty or abbreviated with "..."';
+    return errors
+      .slice(0, 5)
+      .map((d) => (d.block ? `${d.block}: ${d.message}` : d.message))
+      .join('; ');
+  }
+
+  /**
+   * Follow-up sent once when the encoder reply is malformed.
+   * @param {string} problem - describeRl4BlocksProblem()
+   * @returns {string}
+   */
+  function buildRl4BlocksCorrectivePrompt(problem) {
+    return (
+      `Your previous reply could not be parsed (${problem}).\n` +
+      `Reply again with the complete output in exactly the format requested above: every RL4 block in order, ` +
+      `each opened and closed, with full content (no "..." placeholders), then the HUMAN SUMMARY and <RL4-END/>.\n` +
+      `Start with <RL4-ARCH>. No code fences, no commentary.`
+    );
+  }
+
+  /**
+   * Reply texts produced since the round-trip submitted its prompt: streamed SSE frames, new assistant
+   * messages from the API cache, and the newest assistant DOM turn. Anything already on the page before
+   * submission is excluded by signature (a previous encoder reply must never be reused).
+   * @returns {string[]}
+   */
+  function collectRl4ReplyCandidates() {
+    const rt = rl4RoundTrip;
+    if (!rt) return [];
+    const out = [];
+    const sse = assembleSseAssistantText(rt.frames);
+    if (sse) out.push(sse);
+    for (const m of Array.isArray(apiMessagesCache) ? apiMessagesCache : []) {
+      if (!m || m.role !== 'assistant' || !(m.captured_at >= rt.since)) continue;
+      if (m.source === 'openai_compat_request') continue;
+      if (rt.knownSigs.has(signature(m.role, m.content))) continue;
+      out.push(String(m.content || ''));
+    }
+    const nodes = getMessageNodes().filter((n) => n && n.role === 'assistant');
+    const last = nodes.length ? extractText(nodes[nodes.length - 1].el) : '';
+    if (last && !rt.knownSigs.has(signature('assistant', last))) out.push(last);
+    return out;
+  }
+
+  /**
+   * Start watching for the reply to a prompt about to be submitted: everything already on the page
+   * (API cache + assistant DOM turns) is recorded so it cannot be mistaken for the reply.
+   */
+  function beginRl4ReplyWatch() {
+    const knownSigs = new Set((Array.isArray(apiMessagesCache) ? apiMessagesCache : []).map((m) => signature(m.role, m.content)));
+    for (const n of getMessageNodes()) {
+      if (n && n.role === 'assistant') knownSigs.add(signature('assistant', extractText(n.el)));
+    }
+    rl4RoundTrip = { since: Date.now(), knownSigs, frames: [] };
+  }
+
+  /**
+   * Wait until a reply candidate parses and stopped streaming (end marker seen or no growth for idleMs).
+   * `complete` gates the idle exit: a reply that pauses before it is complete keeps being watched
+   * until timeoutMs instead of being judged (and retried) mid-stream.
+   * @param {(text:string) => any|null} parse - Parsed value, or null while the reply is not usable
+   * @param {{endMarker?:string, timeoutMs?:number, idleMs?:number, rank?:(value:any) => number, complete?:(text:string) => boolean}} [opts]
+   * @returns {Promise<{value:any|null, text:string}>}
+   */
+  async function waitForRl4Reply(
+    parse,
+    { endMarker = '', timeoutMs = 180_000, idleMs = 6000, rank = () => 0, complete = () => true } = {}
+  ) {
+    const started = Date.now();
+    let bestText = '';
+    let lastGrowthAt = Date.now();
+    while (Date.now() - started < timeoutMs) {
+      await new Promise((r) => setTimeout(r, 500));
+      const candidates = collectRl4ReplyCandidates();
+      const longest = candidates.reduce((a, c) => (c.length > a.length ? c : a), '');
+      if (longest.length > bestText.length) {
+        bestText = longest;
+        lastGrowthAt = Date.now();
+      }
+      const idle = bestText && Date.now() - lastGrowthAt >= idleMs && complete(bestText);
+      let value = null;
+      for (const c of candidates) {
+        const v = parse(c);
+        if (v && (!value || rank(v) > rank(value))) value = v;
+      }
+      if (value && ((endMarker && bestText.includes(endMarker)) || idle)) return { value, text: bestText };
+      if (idle && !value) return { value: null, text: bestText };
+    }
+    return { value: null, text: bestText };
+  }
+
+  /**
+   * Whether an encoder reply is finished enough to be judged: <RL4-END/> seen, or every required block
+   * opened and closed (a model pausing between blocks is still streaming).
+   * @param {string} text
+   * @returns {boolean}
+   */
+  function isRl4BlocksReplyComplete(text) {
+    const parsed = parseRl4Blocks(normalizeRl4BlocksReply(text));
+    return parsed.has_end || !parsed.diagnostics.some((d) => d.code === 'missing-block' || d.code === 'unclosed');
+  }
+
+  /**
+   * Wait until the reply carries valid RL4 blocks and stopped streaming (<RL4-END/>, or no growth for idleMs
+   * once every required block is there).
+   * @returns {Promise<{blocks:any|null, text:string}>}
+   */
+  async function waitForRl4BlocksReply() {
+    const reply = await waitForRl4Reply(extractRl4BlocksFromText, {
+      endMarker: '<RL4-END/>',
+      rank: (b) => b.found_blocks,
+      complete: isRl4BlocksReplyComplete
+    });
+    return { blocks: reply.value, text: reply.text };
+  }
+
+  /**
+   * Orchestrated RL4 blocks round-trip: submit the encoder prompt into this conversation, watch the reply,
+   * retry once with a corrective prompt when the blocks are malformed, then seal like a manual finalize.
+   * Progress goes to RL4_BLOCKS_STATUS (status 'awaiting' + phase) so the popup can follow or close.
+   * @param {string} prompt - buildRl4BlocksEncoderPrompt() output
+   * @param {{tabId?:number|null}} [opts]
+   * @returns {Promise<{ok:boolean, attempts:number, error?:string}>}
+   */
+  async function runRl4BlocksRoundTrip(prompt, { tabId = null } = {}) {
+    const provider = getProvider();
+    const convId = getConversationIdFromUrl();
+    const setStatus = (patch) =>
+      chrome.storage.local
+        .set({ [STORAGE_KEYS.RL4_BLOCKS_STATUS]: { provider, convId, tabId, updatedAt: Date.now(), ...patch } })
+        .catch(() => {});
+    // Claim the tab before the first await (a second request is refused while this one runs).
+    rl4RoundTrip = { since: Date.now(), knownSigs: new Set(), frames: [] };
+
+    // The mutation-driven scan stays off: it could pick up an earlier reply.
+    rl4BlocksArmed = false;
+    rl4BlocksCaptured = false;
+    await chrome.storage.local.remove([STORAGE_KEYS.RL4_BLOCKS]).catch(() => {});
+
+    let text = prompt;
+    try {
+      for (let attempt = 1; attempt <= 2; attempt++) {
+        await setStatus({ status: 'awaiting', phase: attempt === 1 ? 'submitting' : 'retrying', attempt });
+        beginRl4ReplyWatch();
+
+        const sent = await pasteHandoffPrompt(text, { submit: true });
+        if (!sent.ok) {
+          await setStatus({ status: 'error', error: sent.error || 'Could not submit the prompt.' });
+          return { ok: false, attempts: attempt, error: sent.error };
+        }
+        await setStatus({ status: 'awaiting', phase: 'waiting', attempt });
+
+        const reply = await waitForRl4BlocksReply();
+        if (reply.blocks) {
+          rl4BlocksCaptured = true;
+          const payload = { capturedAt: Date.now(), provider, convId, reason: 'round_trip', attempts: attempt, blocks: reply.blocks };
+          await chrome.storage.local.set({
+            [STORAGE_KEYS.RL4_BLOCKS]: payload,
+            [STORAGE_KEYS.RL4_BLOCKS_STATUS]: { status: 'captured', found_blocks: reply.blocks.found_blocks, tabId, updatedAt: Date.now() }
+          });
+          const sealed = await sealRl4BlocksIntoSnapshot(payload);
+          if (!sealed.ok) return { ok: false, attempts: attempt, error: sealed.error };
+          return { ok: true, attempts: attempt };
+        }
+        log('RL4 round-trip: malformed reply', { attempt, chars: reply.text.length });
+        text = buildRl4BlocksCorrectivePrompt(describeRl4BlocksProblem(reply.text));
+      }
+      const error = 'The reply did not contain valid RL4 blocks after one retry. Paste it here to finalize manually.';
+      await setStatus({ status: 'error', error });
+      return { ok: false, attempts: 2, error };
+    } finally {
+      rl4RoundTrip = null;
+    }
+  }
+
+  /**
+   * One step of the chunked encoder run driven by background.js (see runChunkRunStep there):
+   * - chunk: submit the chunk prompt, wait for a valid <RL4-CHUNK> (one corrective retry)
+   * - merge: the merge prompt goes through runRl4BlocksRoundTrip (validated, sealed)
+   * The result is reported with rl4_chunk_run_step_done; a page reload simply loses the step and
+   * background.js dispatches it again.
+   * @param {{runId:string, kind:'chunk'|'merge', index:number, prompt:string, tabId:number|null}} step
+   */
+  async function runRl4ChunkStep(step) {
+    rl4ChunkStep = { runId: step.runId, kind: step.kind, index: step.index };
+    // Release the tab before reporting: background.js dispatches the next step from the same message.
+    const done = (patch) => {
+      if (step.kind !== 'merge') rl4RoundTrip = null;
+      rl4ChunkStep = null;
+      return chrome.runtime
+        .sendMessage({ action: 'rl4_chunk_run_step_done', runId: step.runId, kind: step.kind, index: step.index, ...patch })
+        .catch(() => {});
+    };
+    try {
+      if (step.kind === 'merge') {
+        const res = await runRl4BlocksRoundTrip(step.prompt, { tabId: step.tabId });
+        await done({ ok: res.ok, error: res.error || '' });
+        return;
+      }
+      let text = step.prompt;
+      let problem = '';
+      for (let attempt = 1; attempt <= 2; attempt++) {
+        beginRl4ReplyWatch();
+        const sent = await pasteHandoffPrompt(text, { submit: true });
+        if (!sent.ok) {
+          await done({ ok: false, error: sent.error || 'Could not submit the chunk prompt.' });
+          return;
+        }
+        const reply = await waitForRl4Reply((t) => {
+          const parsed = parseRl4ChunkNotes(t);
+          return parsed.ok ? parsed : null;
+        }, { endMarker: '</RL4-CHUNK>' });
+        if (reply.value) {
+          await done({ ok: true, text: reply.value.notes, attempts: attempt });
+          return;
+        }
+        const errors = parseRl4ChunkNotes(reply.text).diagnostics.filter((d) => d.severity === 'error');
+        problem = reply.text.trim() ? errors.map((d) => d.message).join('; ') || 'notes were empty' : 'no reply was received';
+        log('RL4 chunk step: malformed reply', { index: step.index, attempt, problem });
+        text =
+          `Your previous reply could not be parsed (${problem}).\n` +
+          `Reply again with ONLY the <RL4-CHUNK> block for this chunk, in exactly the format requested above: ` +
+          `the sections topics, decisions, rejected, constraints/control_style and open_questions, one "- " item per line, no "..." placeholders.`;
+      }
+      await done({ ok: false, error: `Chunk ${step.index + 1}: no valid <RL4-CHUNK> after one retry (${problem}).` });
+    } catch (e) {
+      await done({ ok: false, error: String(e?.message || e) });
+    }
+  }
+
   /**
    * Extract plain text content from a message element.
    * @param {Element} el
@@ -3176,6 +3188,16 @@
     return txt.replace(/\u00A0/g, ' ').trim();
   }
 
+  /**
+   * @param {string|null} value - Value of the adapter's roleAttribute
+   * @returns {'user'|'assistant'|null}
+   */
+  function roleFromAttributeValue(value) {
+    if (value === 'user' || value === 'true') return 'user';
+    if (value === 'assistant' || value === 'false') return 'assistant';
+    return null;
+  }
+
   /**
    * Determine role from element using known selectors + heuristics.
    * @param {Element} el
@@ -3184,37 +3206,31 @@
   function detectRole(el) {
     try {
       if (!el) return null;
-      const provider = getProvider();
+      const sel = getDomSelectors(getProvider());
 
-      if (provider === 'chatgpt') {
-        // Direct attribute
-        const r = el.getAttribute && el.getAttribute('data-message-author-role');
-        if (r === 'user') return 'user';
-        if (r === 'assistant') return 'assistant';
+      if (sel.roleAttribute) {
+        // Direct attribute (ChatGPT: data-message-author-role="user|assistant", Claude: data-is-user-message="true|false")
+        const r = roleFromAttributeValue(el.getAttribute && el.getAttribute(sel.roleAttribute));
+        if (r) return r;
         // Wrapped turn (<article ...>) → find a descendant with the role attribute
-        const inner = el.querySelector?.(SELECTORS.CHATGPT_ROLE_ATTR);
-        const r2 = inner && inner.getAttribute ? inner.getAttribute('data-message-author-role') : null;
-        if (r2 === 'user') return 'user';
-        if (r2 === 'assistant') return 'assistant';
+        const inner = el.querySelector?.(`[${sel.roleAttribute}]`);
+        const r2 = roleFromAttributeValue(inner && inner.getAttribute ? inner.getAttribute(sel.roleAttribute) : null);
+        if (r2) return r2;
       }
-      if (provider === 'gemini') {
+      if (sel.userContainer && sel.assistantContainer) {
         // Use closest() so we can pass either container or descendants.
-        if (el.closest?.(SELECTORS.GEMINI_USER_CONTAINER)) return 'user';
-        if (el.closest?.(SELECTORS.GEMINI_ASSISTANT_CONTAINER)) return 'assistant';
+        if (el.closest?.(sel.userContainer)) return 'user';
+        if (el.closest?.(sel.assistantContainer)) return 'assistant';
       }
 
-      const attr = el.getAttribute && el.getAttribute('data-is-user-message');
-      if (attr === 'true') return 'user';
-      if (attr === 'false') return 'assistant';
-
       // IMPORTANT: use matches() only to avoid misclassifying containers that contain both roles
-      if (el.matches?.(SELECTORS.CLAUDE_USER_MESSAGE)) return 'user';
-      if (el.matches?.(SELECTORS.CLAUDE_ASSISTANT_MESSAGE)) return 'assistant';
+      if (sel.userMessage && el.matches?.(sel.userMessage)) return 'user';
+      if (sel.assistantMessage && el.matches?.(sel.assistantMessage)) return 'assistant';
 
       // aria-label heuristic
-      const aria = el.getAttribute?.('aria-label') || '';
-      if (/user/i.test(aria)) return 'user';
-      if (/assistant|claude/i.test(aria)) return 'assistant';
+      const aria = (el.getAttribute?.('aria-label') || '').toLowerCase();
+      if (aria.includes('user')) return 'user';
+      if (aria.includes('assistant') || (sel.assistantAriaLabel && aria.includes(sel.assistantAriaLabel))) return 'assistant';
 
       // Heuristic: message containers often alternate; if unknown, infer from nearby known.
       return null;
@@ -3231,14 +3247,15 @@
    * @returns {{role: 'user'|'assistant', content: string}|null}
    */
   function parseMessageElement(el) {
-    const provider = getProvider();
+    const sel = getDomSelectors(getProvider());
 
-    if (provider === 'gemini') {
+    // Turns with declared internals (Gemini): read the text parts, drop toolbar labels.
+    if (sel.assistantMarkdown) {
       // A. User messages
-      if (el.matches?.(SELECTORS.GEMINI_USER_CONTAINER) || el.closest?.(SELECTORS.GEMINI_USER_CONTAINER)) {
-        const container = el.matches?.(SELECTORS.GEMINI_USER_CONTAINER) ? el : el.closest?.(SELECTORS.GEMINI_USER_CONTAINER);
+      if (el.matches?.(sel.userContainer) || el.closest?.(sel.userContainer)) {
+        const container = el.matches?.(sel.userContainer) ? el : el.closest?.(sel.userContainer);
         const content = (
-          container?.querySelector?.(SELECTORS.GEMINI_USER_TEXT)?.innerText ||
+          container?.querySelector?.(sel.userText)?.innerText ||
           container?.innerText ||
           el.innerText ||
           ''
@@ -3249,18 +3266,18 @@
       }
 
       // B. Assistant messages
-      if (el.matches?.(SELECTORS.GEMINI_ASSISTANT_CONTAINER) || el.closest?.(SELECTORS.GEMINI_ASSISTANT_CONTAINER)) {
-        const container = el.matches?.(SELECTORS.GEMINI_ASSISTANT_CONTAINER)
+      if (el.matches?.(sel.assistantContainer) || el.closest?.(sel.assistantContainer)) {
+        const container = el.matches?.(sel.assistantContainer)
           ? el
-          : el.closest?.(SELECTORS.GEMINI_ASSISTANT_CONTAINER);
-        const md = container?.querySelector?.(SELECTORS.GEMINI_ASSISTANT_MARKDOWN);
+          : el.closest?.(sel.assistantContainer);
+        const md = container?.querySelector?.(sel.assistantMarkdown);
         const node = md || container || el;
         const clone = node && node.cloneNode ? node.cloneNode(true) : null;
         const root = clone || node;
         if (!root) return null;
 
         try {
-          root.querySelectorAll?.(SELECTORS.GEMINI_THOUGHT_DISCLOSURE).forEach((n) => n.remove());
+          root.querySelectorAll?.(sel.thoughtDisclosure).forEach((n) => n.remove());
           root.querySelectorAll?.('button,[role="button"]').forEach((n) => n.remove());
         } catch (_) {
           // ignore
@@ -3290,19 +3307,13 @@
   }
 
   /**
-   * Cheap stable signature for de-dup (no crypto).
-   * IMPORTANT: do NOT use only the prefix, as many LLM messages share long identical starts.
-   * We use: normalized prefix + normalized suffix + length.
+   * Cheap stable signature for de-dup (lib/message-json.js).
    * @param {string} role
    * @param {string} content
    * @returns {string}
    */
   function signature(role, content) {
-    const c = (content || '').replace(/\s+/g, ' ').trim().toLowerCase();
-    const len = c.length;
-    const head = c.slice(0, 220);
-    const tail = len > 220 ? c.slice(Math.max(0, len - 220)) : '';
-    return `${role || 'unknown'}|${len}|${head}|${tail}`;
+    return messageSignature(role, content);
   }
 
   /**
@@ -3333,9 +3344,8 @@
    * @returns {Promise<void>}
    */
   async function extractExistingMessages() {
-    const provider = getProvider();
-    // Claude can hydrate messages a bit after initial load; retry briefly to avoid capturing only the last turn.
-    const maxRetries = provider === 'claude' ? 12 : 3;
+    // Some UIs (Claude) hydrate messages a bit after initial load; retry briefly to avoid capturing only the last turn.
+    const maxRetries = getCaptureConfig(getProvider()).scanRetries || 3;
     for (let i = 0; i < maxRetries; i++) {
     await scanAndSyncMessages('initial');
       try {
@@ -3492,7 +3502,7 @@
   async function deepCaptureConversation() {
     const start = Date.now();
     const provider = getProvider();
-    const maxMs = provider === 'chatgpt' ? Math.max(DEEP_CAPTURE_MAX_MS, 60000) : DEEP_CAPTURE_MAX_MS;
+    const maxMs = Math.max(DEEP_CAPTURE_MAX_MS, getCaptureConfig(provider).deepMaxMs || 0);
     const scroller = getConversationScrollContainer(provider);
     const startY = scroller ? scroller.scrollTop : window.scrollY;
     let lastAdded = -1;
@@ -3575,7 +3585,7 @@
   /**
    * Try to find the actual scroll container for the conversation.
    * Gemini frequently uses an internal overflow container; scrolling the window does nothing.
-   * @param {'claude'|'chatgpt'|'gemini'|'unknown'} provider
+   * @param {string} provider - Provider id
    * @returns {HTMLElement|null}
    */
   function getConversationScrollContainer(provider) {
@@ -3631,14 +3641,8 @@
    */
   function findChatScrollContainer(provider) {
     try {
-      const sel =
-        provider === 'gemini'
-          ? SELECTORS.GEMINI_LOOP
-          : provider === 'chatgpt'
-            ? SELECTORS.CHATGPT_MESSAGE_NODES
-            : provider === 'claude'
-              ? SELECTORS.CLAUDE_MESSAGE_CONTAINERS
-              : null;
+      const adapter = getProviderAdapterById(provider);
+      const sel = (adapter && adapter.selectors && adapter.selectors.messageNodes) || null;
 
       // 1) Strongest signal: walk up from the first detected message node.
       if (sel) {
@@ -3715,20 +3719,9 @@
     const start = Date.now();
     const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
     const provider = getProvider();
-    const waitMs =
-      provider === 'chatgpt'
-        ? Math.max(DEEP_HYDRATE_WAIT_MS, 2500)
-        : provider === 'claude'
-          ? Math.max(DEEP_HYDRATE_WAIT_MS, 2200)
-          : DEEP_HYDRATE_WAIT_MS;
-    // Claude needs more "no growth" patience than Gemini: it can load chunks slower.
-    const maxNoGrowth = provider === 'chatgpt' ? 25 : provider === 'claude' ? 10 : 4;
-    const maxMs =
-      provider === 'chatgpt'
-        ? Math.max(DEEP_HYDRATE_MAX_MS, 420000)
-        : provider === 'claude'
-          ? Math.max(DEEP_HYDRATE_MAX_MS, 180000)
-          : DEEP_HYDRATE_MAX_MS; // up to 3 min for Claude
+    // Slow-loading UIs declare more "no growth" patience and longer budgets (adapter capture.hydrate).
+    const tuning = { ...HYDRATE_DEFAULTS, ...(getCaptureConfig(provider).hydrate || {}) };
+    const { waitMs, maxNoGrowth, maxMs } = tuning;
     let noGrowth = 0;
 
     const getScrollHeight = () =>
@@ -3754,26 +3747,23 @@
       const viewportH = scroller ? scroller.clientHeight : window.innerHeight;
       const step = Math.max(220, Math.floor(viewportH * 0.6));
 
-      // ChatGPT: slower pulses seem to trigger chunk loading more reliably than instant "teleport to 0".
-      // Claude: also benefits from more pulses.
-      const pulses = provider === 'chatgpt' ? 14 : provider === 'claude' ? 12 : 8;
-      for (let k = 0; k < pulses; k++) {
+      // Slower pulses seem to trigger chunk loading more reliably than instant "teleport to 0".
+      for (let k = 0; k < tuning.pulses; k++) {
         const y = getY();
         const nextY = Math.max(0, y - step);
         setY(nextY);
         // Dispatch on both container and document to maximize handler coverage.
         dispatchWheel(target, -step);
         try {
-          if (provider === 'chatgpt') dispatchWheel(document, -step);
+          if (tuning.wheelDocument) dispatchWheel(document, -step);
         } catch (_) {}
-        if (provider === 'chatgpt') await sleep(90);
-        if (provider === 'claude') await sleep(120);
+        if (tuning.pulseDelayMs) await sleep(tuning.pulseDelayMs);
       }
       // Ensure we actually touch the top boundary
       setY(0);
       dispatchWheel(target, -400);
       try {
-        if (provider === 'chatgpt') dispatchWheel(document, -400);
+        if (tuning.wheelDocument) dispatchWheel(document, -400);
       } catch (_) {}
     };
     const scrollToBottom = () => {
@@ -3799,12 +3789,7 @@
       }
     };
 
-    const selForProvider =
-      provider === 'chatgpt'
-        ? SELECTORS.CHATGPT_MESSAGE_NODES
-        : provider === 'gemini'
-          ? SELECTORS.GEMINI_LOOP
-          : SELECTORS.CLAUDE_MESSAGE_CONTAINERS;
+    const selForProvider = getDomSelectors(provider).messageNodes;
     const countMsgsIn = (root) => {
       try {
         if (!root) return 0;
@@ -3852,8 +3837,8 @@
           resolve();
         }, waitMs);
 
-        // ChatGPT + Claude often mutate outside the scroll container (react portals). Observe documentElement.
-        const target = provider === 'chatgpt' || provider === 'claude' ? document.documentElement : (scroller || document.documentElement);
+        // Some UIs (ChatGPT, Claude) mutate outside the scroll container (react portals). Observe documentElement.
+        const target = tuning.observeDocument ? document.documentElement : (scroller || document.documentElement);
         let obs;
         try {
           obs = new MutationObserver(() => {
@@ -3871,11 +3856,11 @@
       });
 
       // If API events are flowing, give it a tiny bit of extra time (ChatGPT can be delayed).
-      if (provider === 'chatgpt') {
+      if (tuning.apiSettleMs) {
         const apiEventsAfter = apiEvents.length;
         const apiCountAfter = getApiCount();
         const apiMoved = apiEventsAfter > apiEventsBefore || apiCountAfter > apiCountBefore;
-        if (apiMoved) await sleep(650);
+        if (apiMoved) await sleep(tuning.apiSettleMs);
       }
 
       await scanAndSyncMessages(`${reason}-top`, { append: true });
@@ -3934,8 +3919,8 @@
       // If we're at top and not growing, we're probably fully hydrated.
       if (getScrollTop() <= 2 && noGrowth >= maxNoGrowth) break;
 
-      // ChatGPT: jitter at the top to re-trigger "load older" sentinel logic.
-      if (provider === 'chatgpt' && getScrollTop() <= 2 && noGrowth > 0 && noGrowth % 3 === 0) {
+      // Jitter at the top to re-trigger "load older" sentinel logic (ChatGPT).
+      if (tuning.topJitter && getScrollTop() <= 2 && noGrowth > 0 && noGrowth % 3 === 0) {
         try {
           if (scroller) scroller.scrollTo(0, Math.min(180, scroller.scrollHeight || 0));
           else window.scrollTo(0, 180);
@@ -4094,7 +4079,8 @@
         sendResponse({
           ok: true,
           provider: getProvider(),
-          pathname: window.location.pathname || ''
+          pathname: window.location.pathname || '',
+          chunkStep: rl4ChunkStep
         });
         return false;
       }
@@ -4136,7 +4122,8 @@
           const raw = typeof request.text === 'string' ? request.text : '';
           const blocks = extractRl4BlocksFromText(raw);
           if (!blocks) {
-            sendResponse({ ok: false, error: 'Could not find complete <RL4-...> blocks in pasted text.' });
+            const diagnostics = lintRl4Blocks(normalizeRl4BlocksReply(raw));
+            sendResponse({ ok: false, error: 'The pasted RL4 blocks do not follow the encoder format.', diagnostics });
             return false;
           }
           rl4BlocksArmed = true;
@@ -4200,6 +4187,49 @@
         sendResponse({ ok: true, started: true, captureId: captureIdActive, provider });
         return false;
       }
+      if (request.action === 'runRl4BlocksRoundTrip') {
+        if (rl4RoundTrip) {
+          sendResponse({ ok: false, error: 'A finalization is already running on this tab.' });
+          return false;
+        }
+        const prompt = typeof request.prompt === 'string' ? request.prompt : '';
+        if (!prompt) {
+          sendResponse({ ok: false, error: 'Missing encoder prompt.' });
+          return false;
+        }
+        // Fire-and-forget: the reply can take minutes and the popup may close meanwhile.
+        runRl4BlocksRoundTrip(prompt, { tabId: typeof request.tabId === 'number' ? request.tabId : null }).catch((e) =>
+          logError('runRl4BlocksRoundTrip failed', e)
+        );
+        sendResponse({ ok: true, started: true });
+        return false;
+      }
+      if (request.action === 'runRl4ChunkStep') {
+        if (rl4RoundTrip || rl4ChunkStep) {
+          sendResponse({ ok: false, busy: true, error: 'Another RL4 prompt is running on this tab.' });
+          return false;
+        }
+        const prompt = typeof request.prompt === 'string' ? request.prompt : '';
+        if (!prompt || (request.kind !== 'chunk' && request.kind !== 'merge')) {
+          sendResponse({ ok: false, error: 'Missing chunk step.' });
+          return false;
+        }
+        runRl4ChunkStep({
+          runId: String(request.runId || ''),
+          kind: request.kind,
+          index: typeof request.index === 'number' ? request.index : 0,
+          prompt,
+          tabId: typeof request.tabId === 'number' ? request.tabId : null
+        }).catch((e) => logError('runRl4ChunkStep failed', e));
+        sendResponse({ ok: true, started: true });
+        return false;
+      }
+      if (request.action === 'pasteHandoffPrompt') {
+        pasteHandoffPrompt(typeof request.text === 'string' ? request.text : '', { submit: !!request.submit })
+          .then((res) => sendResponse(res))
+          .catch((e) => sendResponse({ ok: false, error: String(e?.message || e) }));
+        return true; // async response
+      }
       if (request.action === 'openRl4InpagePanel') {
         openInpagePanel();
         sendResponse({ ok: true, opened: true });
@@ -4226,8 +4256,9 @@
         // IMPORTANT: do NOT rely on chrome.storage for full share history (quota). Return messages directly.
         if (isShare) {
           const shareId = (window.location.pathname.split('/')[2] || '').trim();
-          // ChatGPT share pages: we don't have stable public JSON endpoints here; rely on DOM deep capture.
-          if (provider === 'chatgpt') {
+          // Share pages without a snapshot API (ChatGPT, Gemini): API cache if any, DOM (deep) capture, then merge.
+          if (getCaptureConfig(provider).share !== 'claude_snapshot') {
+            const label = getCurrentProviderAdapter()?.label || provider;
             (async () => {
               try {
                 const hasApi = Array.isArray(apiMessagesCache) && apiMessagesCache.length > 0;
@@ -4235,7 +4266,7 @@
 
                 // Fast path: if we don't need deep capture, return API cache immediately (best signal).
                 if (hasApi && !wantsDeep) {
-                  log('ChatGPT share detected → using API cache (fast)', { shareId, messages: apiMessagesCache.length });
+                  log('Share page → using API cache (fast)', { provider, shareId, messages: apiMessagesCache.length });
                   sendResponse({
                     ok: true,
                     session_id: sessionId,
@@ -4245,7 +4276,7 @@
                 }
 
                 // Deep capture (scroll) then merge API + DOM to maximize full history fidelity.
-                log('ChatGPT share detected → capturing (deep merge)', { shareId, hasApi, wantsDeep });
+                log('Share page → capturing (deep merge)', { provider, shareId, hasApi, wantsDeep });
                 if (wantsDeep) await deepCaptureConversation();
                 else await scanAndSyncMessages('share-dom');
                 const res = await chrome.storage.local.get([STORAGE_KEYS.CURRENT_MESSAGES, STORAGE_KEYS.CURRENT_SESSION_ID]);
@@ -4256,7 +4287,7 @@
                     error: {
                       type: 'error',
                       code: 'SHARE_DOM_EMPTY',
-                      message: 'No messages detected on ChatGPT share page.',
+                      message: `No messages detected on ${label} share page.`,
                       recovery: 'Scroll the page to load more messages, then retry.'
                     }
                   });
@@ -4291,95 +4322,13 @@
                   messages: out
                 });
               } catch (e) {
-                logError('ChatGPT share DOM capture failed', e);
+                logError('Share page DOM capture failed', e);
                 sendResponse({
                   ok: false,
                   error: {
                     type: 'error',
                     code: 'SHARE_DOM_FAILED',
-                    message: 'Failed to capture messages from ChatGPT share page.',
-                    recovery: 'Reload the page and try again.'
-                  }
-                });
-              }
-            })();
-            return true;
-          }
-
-          // Gemini/Bard share pages: prefer API cache, else deep DOM capture, then merge.
-          if (provider === 'gemini') {
-            (async () => {
-              try {
-                const hasApi = Array.isArray(apiMessagesCache) && apiMessagesCache.length > 0;
-                const sessionId = await ensureSessionId();
-
-                // Fast path: if we don't need deep capture, return API cache immediately (best signal).
-                if (hasApi && !wantsDeep) {
-                  log('Gemini share detected → using API cache (fast)', { shareId, messages: apiMessagesCache.length });
-                  sendResponse({
-                    ok: true,
-                    session_id: sessionId,
-                    messages: apiMessagesCache.map((m) => ({ ...m, session_id: sessionId }))
-                  });
-                  return;
-                }
-
-                // Deep capture (scroll) then merge API + DOM to maximize full history fidelity.
-                log('Gemini share detected → capturing (deep merge)', { shareId, hasApi, wantsDeep });
-                if (wantsDeep) await deepCaptureConversation();
-                else await scanAndSyncMessages('share-dom');
-
-                const res = await chrome.storage.local.get([STORAGE_KEYS.CURRENT_MESSAGES, STORAGE_KEYS.CURRENT_SESSION_ID]);
-                const domMsgs = Array.isArray(res[STORAGE_KEYS.CURRENT_MESSAGES]) ? res[STORAGE_KEYS.CURRENT_MESSAGES] : [];
-
-                if (!domMsgs.length && !hasApi) {
-                  sendResponse({
-                    ok: false,
-                    error: {
-                      type: 'error',
-                      code: 'GEMINI_SHARE_EMPTY',
-                      message: 'No messages detected on Gemini share page.',
-                      recovery: 'Scroll the page to load more messages, then retry.'
-                    }
-                  });
-                  return;
-                }
-
-                // Merge API + DOM, de-dup by signature, keep stable sequential ids
-                const merged = [];
-                const seen = new Set();
-                const push = (m) => {
-                  if (!m || !m.role || !m.content) return;
-                  const sig = signature(m.role, m.content);
-                  if (seen.has(sig)) return;
-                  seen.add(sig);
-                  merged.push(m);
-                };
-                if (hasApi) {
-                  for (const m of apiMessagesCache) push(m);
-                }
-                for (const m of domMsgs) push(m);
-
-                const out = merged.map((m, idx) => ({
-                  ...m,
-                  id: `msg-${idx + 1}`,
-                  session_id: sessionId
-                }));
-                setApiMessagesCacheBounded(out);
-
-                sendResponse({
-                  ok: true,
-                  session_id: sessionId,
-                  messages: out
-                });
-              } catch (e) {
-                logError('Gemini share capture failed', e);
-                sendResponse({
-                  ok: false,
-                  error: {
-                    type: 'error',
-                    code: 'GEMINI_SHARE_FAILED',
-                    message: 'Failed to capture messages from Gemini share page.',
+                    message: `Failed to capture messages from ${label} share page.`,
                     recovery: 'Reload the page and try again.'
                   }
                 });
@@ -4498,7 +4447,7 @@
               deepCaptureInProgress = true;
               try {
                 // ChatGPT: first try direct backend conversation fetch (often returns full history instantly).
-                if (provider === 'chatgpt') {
+                if (getCaptureConfig(provider).api === 'chatgpt_conversation') {
                   // Fastest: embedded state (Next.js) when present.
                   const embedded = await tryExtractChatGPTEmbeddedState();
                   if (embedded && embedded.length) return;
@@ -4514,7 +4463,7 @@
                       log('ChatGPT page-context fetch yielded messages', { before, nowLen });
                       setCaptureProgress({
                         captureId: captureIdActive,
-                        provider: 'chatgpt',
+                        provider,
                         phase: 'api_capture',
                         status: 'done'
                       }).catch(() => {});
@@ -4530,9 +4479,9 @@
                   if (direct && direct.length) return;
                 }
 
-                // Hydrate first for reverse infinite scroll UIs (Gemini + ChatGPT + Claude).
+                // Hydrate first for reverse infinite scroll UIs (adapter capture.hydrate).
                 const scroller = getConversationScrollContainer(provider);
-                if (provider === 'gemini' || provider === 'chatgpt' || provider === 'claude') {
+                if (getCaptureConfig(provider).hydrate) {
                   await hydrateChatHistory(scroller, 'hydrate');
                 }
 
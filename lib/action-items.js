@@ -0,0 +1,261 @@
+/**
+ * RL4 Action items
+ * What someone committed to do ("I'll …", "next step: …", "je vais …", "- [ ] …") and whether a later message closed it
+ * ("done", "fixed", "it works now", "ça marche"), so the receiving LLM knows what is still pending.
+ *
+ * - extractActionItems(messages, opt) : [{id, text, owner, message_idx, message_id, status, closed_by}]
+ * - isActionItemDecision(d, items)    : true for a 'commit' decision that restates one of the items
+ *
+ * An item is closed by a later message that
+ *   - contains a closure marker (not negated: "still not fixed", "ça ne marche pas") in a sentence sharing at least
+ *     two keywords with the item (its only keyword when it has one; an item without keywords needs a confirmation), or
+ *   - is a short confirmation ("It works now, thanks.", no question, nothing matched by keywords) within
+ *     ACTION_ITEM_CONFIRM_WINDOW messages: from the other role, or from the owner when the message starts with the
+ *     marker ("Done.", "C'est fait"). It closes the items of the most recent message that still has open ones.
+ * A ticked checkbox ("- [x] …") is closed at once. Commit patterns also stay in decisions (intent 'commit'); renderers
+ * that list both skip those decisions with isActionItemDecision, since the action item carries the status.
+ */
+
+const ACTION_ITEMS_MAX = 15;
+const ACTION_ITEM_CONFIRM_WINDOW = 6;
+const ACTION_ITEM_CONFIRM_MAX_CHARS = 160;
+
+// Group 1 is the item text.
+const ACTION_ITEM_PATTERNS = [
+  /\b(?:next\s+steps?|to-?do|action\s+items?|follow[- ]up)\s*:\s*(.+)/i,
+  /\bplan\s*:\s*(.+)/i,
+  /\bI(?:'ll|\s+will)\s+(.+)/i,
+  /\bI(?:'m|\s+am)\s+going\s+to\s+(.+)/i,
+  /\bI\s+(?:still\s+)?(?:need|have)\s+to\s+(.+)/i,
+  /\bwe(?:'ll|\s+will)\s+(.+)/i,
+  /\bremember\s+to\s+(.+)/i,
+  /\blet\s+me\s+(.+)/i,
+  /\bprochaines?\s+étapes?\s*:\s*(.+)/i,
+  /\bà\s+faire\s*:\s*(.+)/i,
+  /\bje\s+vais\s+(.+)/i,
+  /\bon\s+va\s+(.+)/i,
+  /\bil\s+(?:me|nous|te|vous)\s+reste\s+à\s+(.+)/i,
+  /\bpenser\s+à\s+(.+)/i
+];
+
+// "I'll explain…" announces the rest of the reply, not work.
+const ACTION_ITEM_NOISE = /^(?:now\s+)?(?:explain|show|walk|help|be\b|try\s+to\s+explain|give\s+you|go\s+through|break\s+(?:it|this|that)\s+down|start\s+by|outline|provide|answer|clarify|describe|summarize|know|see\b|look\s+at\s+(?:this|that|it)\b|vous\s+expliquer|t'expliquer|expliquer|voir\b|résumer|détailler)/i;
+
+const ACTION_ITEM_CLOSURE_MARKERS = [
+  /\b(?:done|fixed|resolved|solved|implemented|merged|shipped|deployed|completed|finished)\b/i,
+  /\b(?:it|that|this|everything|all)\s+(?:works|is\s+working)\b/i,
+  /\bworks?\s+(?:now|perfectly|fine|great)\b/i,
+  /✅/,
+  /\bça\s+marche\b|\bca\s+marche\b|\bça\s+fonctionne\b|\bc'est\s+(?:fait|bon|réglé|corrigé)\b/i,
+  /\b(?:corrigé|réglé|résolu|terminé|fini)e?s?\b/i,
+  /\b(?:erledigt|behoben|funktioniert)\b/i,
+  /\b(?:hecho|listo|arreglado|resuelto|funciona)\b/i,
+  /\b(?:fatto|risolto|sistemato|funziona)\b/i,
+  /\b(?:feito|resolvido|corrigido)\b/i
+];
+
+const ACTION_ITEM_NEGATION =
+  /\b(?:not|never|still\s+(?:broken|fails?|failing|crashes)|no\s+longer)\b|n't\b|\bne\b[^.!?]*\bpas\b|\bpas\s+encore\b|\btoujours\s+pas\b|\bnicht\b|\bno\s+(?:funciona|está)\b|\bnon\s+funziona\b|\bnão\b/i;
+
+const ACTION_ITEM_STOPWORDS = new Set(
+  'that this with from into then them they their there these those what when where which while will would should could have been being about after before again also just only very more most some such than other your ours mine dans pour avec sans leur leurs cette ces sont être avoir fait faire plus moins tout tous toute toutes encore puis donc alors'.split(' ')
+);
+
+/**
+ * Resolve lib/language-packs.js (global in the extension, required in Node). Null when not loaded.
+ * @returns {{detectLanguage:Function, getLanguagePack:Function}|null}
+ */
+function getActionItemLanguagePacks() {
+  if (typeof detectLanguage === 'function' && typeof getLanguagePack === 'function') {
+    return { detectLanguage, getLanguagePack };
+  }
+  try {
+    // eslint-disable-next-line no-undef
+    if (typeof require === 'function') return require('./language-packs.js');
+  } catch (_) {}
+  return null;
+}
+
+/**
+ * Keyword stems (first 5 letters of words of 4+ letters) used to match an item with its closing message.
+ * @param {string} text
+ * @returns {Set<string>}
+ */
+function actionItemStems(text) {
+  const out = new Set();
+  for (const w of String(text || '').toLowerCase().match(/[\p{L}\p{N}_]{4,}/gu) || []) {
+    if (!ACTION_ITEM_STOPWORDS.has(w)) out.add(w.slice(0, 5));
+  }
+  return out;
+}
+
+/**
+ * @param {string} text
+ * @returns {string[]}
+ */
+function actionItemSentences(text) {
+  return String(text || '')
+    .replace(/```[\s\S]*?```/g, ' ')
+    .replace(/`([^`]*)`/g, '$1')
+    .split(/\n+|(?<=[.!?])\s+/)
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+/**
+ * @param {string} raw
+ * @returns {string} Item text without trailing punctuation, '' when too short to be useful
+ */
+function cleanActionItemText(raw) {
+  const t = String(raw || '')
+    .replace(/\s+/g, ' ')
+    .replace(/[\s.;:,!]+$/, '')
+    .trim();
+  if (t.length < 8) return '';
+  return t.length > 200 ? `${t.slice(0, 197)}...` : t;
+}
+
+/**
+ * @param {string} sentence
+ * @returns {{marker:string, index:number}|null} The first closure marker, unless the sentence negates it
+ */
+function findClosureMarker(sentence) {
+  for (const re of ACTION_ITEM_CLOSURE_MARKERS) {
+    const m = sentence.match(re);
+    if (m) return ACTION_ITEM_NEGATION.test(sentence) ? null : { marker: m[0], index: m.index };
+  }
+  return null;
+}
+
+/**
+ * @param {Array<{id?:string, role:string, content:string}>} messages
+ * @param {{maxItems?:number}} [opts]
+ * @returns {Array<{id:string, text:string, owner:'user'|'assistant', message_idx:number, message_id:string|null,
+ *   status:'open'|'closed', closed_by:{message_idx:number, role:string, evidence:string}|null}>}
+ */
+function extractActionItems(messages, opts = {}) {
+  const maxItems = opts.maxItems || ACTION_ITEMS_MAX;
+  const list = Array.isArray(messages) ? messages : [];
+  const packs = getActionItemLanguagePacks();
+  const items = [];
+  const seen = new Set();
+
+  list.forEach((m, idx) => {
+    const owner = String(m?.role || '').toLowerCase();
+    if (owner !== 'user' && owner !== 'assistant') return;
+    const content = String(m?.content || '');
+    const closeBy = (item, evidence) => {
+      item.status = 'closed';
+      item.closed_by = { message_idx: idx, role: owner, evidence: cleanActionItemText(evidence) || evidence };
+    };
+
+    // 1) Close earlier open items.
+    const sentences = actionItemSentences(content);
+    const markers = sentences.map((s) => ({ s, found: findClosureMarker(s) })).filter((x) => x.found);
+    if (markers.length) {
+      let matched = 0;
+      for (const item of items) {
+        if (item.status !== 'open') continue;
+        const hit = markers.find((x) => {
+          const stems = actionItemStems(x.s);
+          let shared = 0;
+          for (const st of item._stems) if (stems.has(st)) shared++;
+          return shared >= Math.max(1, Math.min(2, item._stems.size));
+        });
+        if (hit) {
+          closeBy(item, hit.s);
+          matched++;
+        }
+      }
+      const plain = sentences.join(' ');
+      const lastOpen = [...items].reverse().find((it) => it.status === 'open');
+      // A confirmation that names what it closes, or asks about something else, is not a blanket "it works".
+      const confirmation = !matched && !plain.includes('?') && plain.length <= ACTION_ITEM_CONFIRM_MAX_CHARS;
+      if (lastOpen && confirmation && idx - lastOpen.message_idx <= ACTION_ITEM_CONFIRM_WINDOW) {
+        // The owner confirms with the marker itself ("Done.", "C'est fait"), not "Summary: … fixed …".
+        const leading = markers[0].s === sentences[0] && markers[0].found.index <= 2;
+        if (lastOpen.owner !== owner || leading) {
+          for (const item of items) {
+            if (item.status === 'open' && item.message_idx === lastOpen.message_idx) closeBy(item, markers[0].s);
+          }
+        }
+      }
+    }
+
+    // 2) New items.
+    const add = (text, status) => {
+      const clean = cleanActionItemText(text);
+      const key = clean.toLowerCase();
+      if (!clean || seen.has(key)) return;
+      seen.add(key);
+      items.push({
+        text: clean,
+        owner,
+        message_idx: idx,
+        message_id: m?.id ? String(m.id) : null,
+        status,
+        closed_by: status === 'closed' ? { message_idx: idx, role: owner, evidence: 'checked' } : null,
+        _stems: actionItemStems(clean)
+      });
+    };
+    for (const line of content.replace(/```[\s\S]*?```/g, ' ').split('\n')) {
+      const box = line.match(/^\s*[-*]\s*\[([ xX])\]\s*(.+)/);
+      if (box) add(box[2], box[1] === ' ' ? 'open' : 'closed');
+    }
+    const lang = packs ? packs.detectLanguage(content) : null;
+    const pack = lang && packs ? packs.getLanguagePack(lang) : null;
+    const patterns = pack && pack.commitments.length ? ACTION_ITEM_PATTERNS.concat(pack.commitments) : ACTION_ITEM_PATTERNS;
+    for (const sentence of sentences) {
+      if (/\?\s*$/.test(sentence) || /^\s*[-*]\s*\[[ xX]\]/.test(sentence)) continue;
+      for (const re of patterns) {
+        const match = sentence.match(re);
+        if (!match || !match[1]) continue;
+        if (!ACTION_ITEM_NOISE.test(match[1].trim())) add(match[1], 'open');
+        break;
+      }
+    }
+  });
+
+  // Bounded: open items first (most recent first), then the most recent closed ones; output in conversation order.
+  const keep = new Set(
+    [...items]
+      .sort((a, b) => (a.status === b.status ? b.message_idx - a.message_idx : a.status === 'open' ? -1 : 1))
+      .slice(0, maxItems)
+  );
+  return items
+    .filter((it) => keep.has(it))
+    .map((it, i) => ({
+      id: `act-${i + 1}`,
+      text: it.text,
+      owner: it.owner,
+      message_idx: it.message_idx,
+      message_id: it.message_id,
+      status: it.status,
+      closed_by: it.closed_by
+    }));
+}
+
+/**
+ * @param {{intent?:string, chosen_option?:string, choice?:string}} decision
+ * @param {Array<{text:string}>} items - action items
+ * @returns {boolean} True when the decision is a commitment whose choice starts with one of the items
+ */
+function isActionItemDecision(decision, items) {
+  if (String(decision?.intent || '') !== 'commit' || !Array.isArray(items)) return false;
+  const key = (v) => String(v || '').replace(/\s+/g, ' ').trim().toLowerCase();
+  const choice = key(decision.chosen_option ?? decision.choice);
+  return items.some((a) => {
+    const text = key(a?.text);
+    return !!text && choice.startsWith(text) && !/[\p{L}\p{N}]/u.test(choice.charAt(text.length));
+  });
+}
+
+// Export for browser and Node.js
+if (typeof window !== 'undefined') {
+  window.extractActionItems = extractActionItems;
+  window.isActionItemDecision = isActionItemDecision;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ACTION_ITEMS_MAX, extractActionItems, isActionItemDecision };
+}
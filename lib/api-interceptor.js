@@ -5,8 +5,42 @@
  * No paid API usage: this only observes requests the page already makes.
  */
 (function () {
-  if (window.__RL4_API_INTERCEPTOR_INSTALLED__) return;
-  window.__RL4_API_INTERCEPTOR_INSTALLED__ = true;
+  // Provider data comes from content.js as JSON on the <script> tag (getPageInterceptorConfig in
+  // lib/providers.js); it stays in this closure, frozen, so the page can neither read nor change it.
+  const readConfig = () => {
+    try {
+      const script = document.currentScript;
+      const raw = script && script.dataset ? script.dataset.rl4Config : '';
+      const config = raw ? JSON.parse(raw) : null;
+      if (!config || typeof config.version !== 'string' || !Array.isArray(config.paths) || !Array.isArray(config.apiHosts)) {
+        return null;
+      }
+      return Object.freeze({
+        version: config.version,
+        provider: String(config.provider || 'unknown'),
+        paths: Object.freeze(config.paths.map(String)),
+        conversationPrefix: String(config.conversationPrefix || ''),
+        apiHosts: Object.freeze(
+          config.apiHosts.map((h) =>
+            Object.freeze({ id: String(h.id), re: new RegExp(h.source, h.flags), paths: Object.freeze((h.paths || []).map(String)) })
+          )
+        )
+      });
+    } catch (_) {
+      return null;
+    }
+  };
+
+  const CONFIG = readConfig();
+  if (!CONFIG) {
+    console.warn('[RL4] Interceptor config missing; API interceptor not installed');
+    return;
+  }
+  // After an extension update content.js injects the new version: it takes over, and the hooks of the
+  // previous one (still chained in fetch/XHR) pass requests through without posting anything.
+  if (window.__RL4_API_INTERCEPTOR_INSTALLED__ === CONFIG.version) return;
+  window.__RL4_API_INTERCEPTOR_INSTALLED__ = CONFIG.version;
+  const isActive = () => window.__RL4_API_INTERCEPTOR_INSTALLED__ === CONFIG.version;
 
   const MAX_BODY_CHARS = 800_000; // cap to avoid huge memory usage
   const MAX_SSE_CHARS = 600_000; // cap streaming capture (ChatGPT)
@@ -25,21 +59,26 @@
     }
   };
 
-  const currentProvider = () => {
-    const h = (location.hostname || '').toLowerCase();
-    if (h.includes('www.perplexity.ai') || h.endsWith('perplexity.ai')) return 'perplexity';
-    if (h.includes('copilot.microsoft.com')) return 'copilot';
-    if (h.includes('chatgpt.com') || h.includes('chat.openai.com')) return 'chatgpt';
-    if (h.includes('claude.ai')) return 'claude';
-    if (h.includes('gemini.google.com') || h.includes('bard.google.com') || h === 'g.co') return 'gemini';
-    return 'unknown';
+  const currentProvider = () => CONFIG.provider;
+
+  const hostOf = (hostOrUrl) => {
+    const s = String(hostOrUrl || '').trim().toLowerCase();
+    if (!s || !s.includes('/')) return s;
+    try {
+      return new URL(s).hostname.toLowerCase();
+    } catch (_) {
+      return '';
+    }
   };
 
-  const isAllowedCrossOriginHost = (host) => {
-    const h = String(host || '').toLowerCase();
-    return h === 'api.perplexity.ai' || h === 'api.githubcopilot.com' || h.endsWith('.githubcopilot.com');
+  // Cross-origin API hosts declared by the adapters (Perplexity/Copilot APIs, ChatGPT gateways).
+  const apiHostOf = (hostOrUrl) => {
+    const host = hostOf(hostOrUrl);
+    return (host && CONFIG.apiHosts.find((h) => h.re.test(host))) || null;
   };
 
+  const isAllowedCrossOriginHost = (host) => !!apiHostOf(host);
+
   const isPerplexityThreadUrl = (url) => {
     try {
       const u = new URL(url);
@@ -63,58 +102,34 @@
       // - same-origin proxy: https://www.perplexity.ai/chat/completions (or /api/chat/completions)
       const sameOrigin = u.origin === location.origin;
       if (sameOrigin) return true;
-      return host === 'api.perplexity.ai' || host === 'api.githubcopilot.com' || host.endsWith('.githubcopilot.com');
+      const apiHost = apiHostOf(host);
+      return !!apiHost && apiHost.paths.includes('/chat/completions');
     } catch (_) {
       const s = String(url || '');
-      if (!s.includes('/chat/completions')) return false;
-      return s.includes('api.perplexity.ai') || s.includes('githubcopilot.com') || s.startsWith('/chat/completions') || s.startsWith('/api/chat/completions');
+      return s.startsWith('/chat/completions') || s.startsWith('/api/chat/completions');
     }
   };
 
   const shouldCaptureUrl = (url) => {
-    if (!url) return false;
-    // Claude typically uses /api/ for convo loading/streaming.
-    // ChatGPT typically uses /backend-api/ for conversation fetch/stream.
-    // Gemini/Bard often uses /batchexecute or /_/BardChatUi/ style endpoints.
+    if (!url || !isActive()) return false;
+    // Endpoint paths come from the adapters (Claude /api/, ChatGPT /backend-api/, Gemini /batchexecute, ...).
     // We keep this broad but same-origin.
+    const paths = CONFIG.paths;
     try {
       const u = new URL(url);
 
       // Allow same-origin always.
       const sameOrigin = u.origin === location.origin;
 
-      // ChatGPT sometimes uses a cross-origin gateway (still first-party).
-      // If the page can fetch it (CORS allowed), we can observe it here.
+      // ChatGPT gateways and the Perplexity/Copilot OpenAI-like APIs are cross-origin (still first-party).
+      // If the page can fetch them (CORS allowed), we can observe them here.
       const host = (u.hostname || '').toLowerCase();
-      const isOpenAiGateway =
-        host.endsWith('.api.openai.com') ||
-        host.includes('chat.gateway.unified') ||
-        host.includes('chat-gateway') ||
-        host.includes('gateway.unified');
-
-      // Perplexity/Copilot web UIs use cross-origin OpenAI-like endpoints.
-      const isAllowedCrossOrigin = isAllowedCrossOriginHost(host);
-
-      if (!sameOrigin && !isOpenAiGateway && !isAllowedCrossOrigin) return false;
-
-      return (
-        isPerplexityThreadUrl(url) ||
-        u.pathname.includes('/api/') ||
-        u.pathname.includes('/backend-api/') ||
-        u.pathname.includes('/batchexecute') ||
-        u.pathname.includes('/_/BardChatUi/') ||
-        isOpenAiCompatChatCompletionsUrl(url)
-      );
+      if (!sameOrigin && !isAllowedCrossOriginHost(host)) return false;
+
+      return isPerplexityThreadUrl(url) || paths.some((p) => u.pathname.includes(p)) || isOpenAiCompatChatCompletionsUrl(url);
     } catch (_) {
       // Fallback for non-absolute URLs
-      return (
-        isPerplexityThreadUrl(url) ||
-        url.includes('/api/') ||
-        url.includes('/backend-api/') ||
-        url.includes('/batchexecute') ||
-        url.includes('/_/BardChatUi/') ||
-        isOpenAiCompatChatCompletionsUrl(url)
-      );
+      return isPerplexityThreadUrl(url) || paths.some((p) => url.includes(p)) || isOpenAiCompatChatCompletionsUrl(url);
     }
   };
 
@@ -136,6 +151,7 @@
   };
 
   const post = (payload) => {
+    if (!isActive()) return;
     try {
       window.postMessage(
         {
@@ -150,17 +166,15 @@
     }
   };
 
-  const isChatGPT = () => {
-    const h = (location.hostname || '').toLowerCase();
-    return h.includes('chatgpt.com') || h.includes('chat.openai.com');
-  };
+  const isChatGPT = () => currentProvider() === 'chatgpt';
 
   const isChatGPTConversationUrl = (url) => {
+    const prefix = CONFIG.conversationPrefix;
     try {
       const u = new URL(url);
-      return isChatGPT() && u.origin === location.origin && u.pathname.startsWith('/backend-api/conversation/');
+      return isChatGPT() && u.origin === location.origin && u.pathname.startsWith(prefix);
     } catch (_) {
-      return isChatGPT() && String(url || '').includes('/backend-api/conversation/');
+      return isChatGPT() && String(url || '').includes(prefix);
     }
   };
 
@@ -675,7 +689,7 @@
   // Allow content script to request a page-context fetch (more reliable than content-script fetch for ChatGPT).
   window.addEventListener('message', async (event) => {
     try {
-      if (event.source !== window) return;
+      if (event.source !== window || !isActive()) return;
       const data = event.data;
       if (!data || data.type !== 'RL4_API_REQUEST') return;
       const payload = data.payload || {};
@@ -687,7 +701,7 @@
         const convId = String(payload.conversationId || '').trim();
         if (!convId) return;
 
-        const url = `${location.origin}/backend-api/conversation/${encodeURIComponent(convId)}`;
+        const url = `${location.origin}${CONFIG.conversationPrefix}${encodeURIComponent(convId)}`;
         const res = await originalFetch(url, { credentials: 'include' });
         const contentType = (res.headers && res.headers.get && res.headers.get('content-type')) || '';
         if (!res.ok || !contentType.includes('application/json')) {
@@ -761,16 +775,9 @@
   });
 
   const providerFromUrl = (url) => {
-    try {
-      const u = new URL(url);
-      const host = (u.hostname || '').toLowerCase();
-      if (host.includes('githubcopilot.com')) return 'copilot';
-      if (host.includes('perplexity.ai')) return 'perplexity';
-      // Same-origin proxy case: fall back to current provider.
-      return currentProvider();
-    } catch (_) {
-      return currentProvider();
-    }
+    // Cross-origin API host (api.githubcopilot.com → copilot); same-origin proxy: current provider.
+    const apiHost = apiHostOf(url);
+    return apiHost ? apiHost.id : currentProvider();
   };
 
   // Hook XMLHttpRequest
@@ -0,0 +1,101 @@
+/**
+ * RL4 Provider Archive Import
+ * Parses account data exports (`conversations.json`) from ChatGPT and Claude into conversations
+ * ready for the background transcript store. Messages go through the same normalization as live
+ * captures (extractMessagesFromAnyJson, lib/message-json.js).
+ *
+ * - ChatGPT: [{ id|conversation_id, title, create_time, update_time, mapping, current_node }]
+ * - Claude : [{ uuid, name, created_at, updated_at, chat_messages: [{ sender, text|content, created_at }] }]
+ */
+
+/**
+ * Resolve extractMessagesFromAnyJson (global in popup, required in Node).
+ * @returns {Function}
+ */
+function getArchiveExtractor() {
+  if (typeof extractMessagesFromAnyJson === 'function') return extractMessagesFromAnyJson;
+  // eslint-disable-next-line no-undef
+  if (typeof require === 'function') return require('./message-json.js').extractMessagesFromAnyJson;
+  throw new Error('extractMessagesFromAnyJson not available (load lib/message-json.js)');
+}
+
+/**
+ * @param {any} v - epoch seconds (ChatGPT) or ISO string (Claude)
+ * @returns {string}
+ */
+function archiveTimeToIso(v) {
+  if (typeof v === 'number' && Number.isFinite(v)) return new Date(v * 1000).toISOString();
+  if (typeof v === 'string' && v && !Number.isNaN(Date.parse(v))) return new Date(v).toISOString();
+  return '';
+}
+
+/**
+ * Detect which provider produced one archived conversation.
+ * @param {any} conv
+ * @returns {'chatgpt'|'claude'|''}
+ */
+function detectArchiveProvider(conv) {
+  if (!conv || typeof conv !== 'object') return '';
+  if (conv.mapping && typeof conv.mapping === 'object') return 'chatgpt';
+  if (Array.isArray(conv.chat_messages)) return 'claude';
+  return '';
+}
+
+/**
+ * Parse a provider export file.
+ * @param {string|any} input - File text or parsed JSON
+ * @returns {{provider:string, conversations:Array<{provider:string, convId:string, title:string, createdAt:string, updatedAt:string, messages:Array<{role:'user'|'assistant', content:string, timestamp:string}>}>, skipped:number}}
+ */
+function parseProviderArchive(input) {
+  let root = input;
+  if (typeof root === 'string') {
+    try {
+      root = JSON.parse(root.replace(/^\uFEFF/, ''));
+    } catch (_) {
+      throw new Error('Not a JSON file. Select conversations.json from the provider export.');
+    }
+  }
+  const list = Array.isArray(root) ? root : Array.isArray(root?.conversations) ? root.conversations : null;
+  if (!list) throw new Error('Unrecognized archive: expected an array of conversations.');
+
+  const extract = getArchiveExtractor();
+  const conversations = [];
+  const providers = new Set();
+  let skipped = 0;
+  for (const conv of list) {
+    const provider = detectArchiveProvider(conv);
+    const convId = String(conv?.conversation_id || conv?.id || conv?.uuid || '').trim();
+    if (!provider || !convId) {
+      skipped++;
+      continue;
+    }
+    // ChatGPT: only the root → current_node path (edited/regenerated branches are dropped).
+    const extracted = provider === 'chatgpt' ? extract(conv, { preferMapping: true }) : extract({ chat_messages: conv.chat_messages });
+    const messages = extracted
+      .filter((m) => m && (m.role === 'user' || m.role === 'assistant') && String(m.content || '').trim())
+      .map((m) => ({ role: m.role, content: String(m.content), timestamp: archiveTimeToIso(m.timestamp) }));
+    if (!messages.length) {
+      skipped++;
+      continue;
+    }
+    providers.add(provider);
+    conversations.push({
+      provider,
+      convId,
+      title: String(conv.title || conv.name || '').trim(),
+      createdAt: archiveTimeToIso(conv.create_time ?? conv.created_at),
+      updatedAt: archiveTimeToIso(conv.update_time ?? conv.updated_at),
+      messages
+    });
+  }
+  return { provider: providers.size === 1 ? [...providers][0] : providers.size ? 'mixed' : '', conversations, skipped };
+}
+
+// Export for browser and Node.js
+if (typeof window !== 'undefined') {
+  window.parseProviderArchive = parseProviderArchive;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { parseProviderArchive, detectArchiveProvider };
+}
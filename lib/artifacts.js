@@ -0,0 +1,322 @@
+/**
+ * RL4 Code artifacts
+ * Fenced code blocks kept as structured artifacts (extraction.js strips code before NLP, so the snapshot would
+ * otherwise lose the code the conversation converged on).
+ *
+ * - parseCodeFences(text)           : ``` / ~~~ blocks of one message → [{lang, info, code, before}]
+ * - inferArtifactFilename(block)    : fence info string ("js title=src/a.js", "ts:src/a.ts"), first-line comment
+ *                                     ("// src/a.js"), or a path on the prose line right above the fence
+ * - extractArtifacts(messages, opt) : one artifact per file (or per declared symbol when no filename is given):
+ *                                     the LAST version wins, earlier ones are counted in `versions`/`revisions`
+ * - buildArtifacts(messages, opt)   : extractArtifacts + sha256 of each artifact's full code (async)
+ *
+ * Output is bounded (ARTIFACTS_MAX entries, ARTIFACT_MAX_CHARS each, ARTIFACTS_MAX_TOTAL_CHARS overall); the most
+ * recent artifacts are kept first. sha256 always covers the untruncated code, so it can be checked against the
+ * transcript.
+ */
+
+const ARTIFACTS_MAX = 12;
+const ARTIFACT_MAX_CHARS = 4000;
+const ARTIFACTS_MAX_TOTAL_CHARS = 24000;
+// A truncated tail shorter than this is not worth emitting.
+const ARTIFACT_MIN_CHARS = 400;
+
+// Extension → language (also the allow-list for filename inference: "e.g." or "v1.2" are not files).
+const ARTIFACT_EXTENSIONS = {
+  js: 'javascript',
+  mjs: 'javascript',
+  cjs: 'javascript',
+  jsx: 'javascript',
+  ts: 'typescript',
+  tsx: 'typescript',
+  json: 'json',
+  py: 'python',
+  rb: 'ruby',
+  go: 'go',
+  rs: 'rust',
+  java: 'java',
+  kt: 'kotlin',
+  swift: 'swift',
+  c: 'c',
+  h: 'c',
+  cpp: 'cpp',
+  hpp: 'cpp',
+  cs: 'csharp',
+  php: 'php',
+  html: 'html',
+  css: 'css',
+  scss: 'scss',
+  vue: 'vue',
+  svelte: 'svelte',
+  md: 'markdown',
+  yml: 'yaml',
+  yaml: 'yaml',
+  toml: 'toml',
+  xml: 'xml',
+  sql: 'sql',
+  sh: 'shell',
+  bash: 'shell'
+};
+
+// Fence tag aliases → the same names as ARTIFACT_EXTENSIONS values.
+const ARTIFACT_LANGUAGE_ALIASES = {
+  js: 'javascript',
+  jsx: 'javascript',
+  node: 'javascript',
+  ts: 'typescript',
+  tsx: 'typescript',
+  py: 'python',
+  python3: 'python',
+  rb: 'ruby',
+  rs: 'rust',
+  golang: 'go',
+  kt: 'kotlin',
+  'c++': 'cpp',
+  'c#': 'csharp',
+  cs: 'csharp',
+  yml: 'yaml',
+  sh: 'shell',
+  bash: 'shell',
+  zsh: 'shell',
+  console: 'shell',
+  md: 'markdown',
+  htm: 'html'
+};
+
+const ARTIFACT_PATH_RE = new RegExp(
+  `(?:^|[\\s\`'"*(\\[:=])((?:\\.{0,2}/)?(?:[\\w@.-]+/)*[\\w@-][\\w@.-]*\\.(?:${Object.keys(ARTIFACT_EXTENSIONS).join('|')}))(?=$|[\\s\`'"*),\\]:;])`,
+  'i'
+);
+
+/**
+ * @param {string} tag - Fence language tag
+ * @returns {string}
+ */
+function normalizeArtifactLanguage(tag) {
+  const t = String(tag || '').trim().toLowerCase();
+  return ARTIFACT_LANGUAGE_ALIASES[t] || t;
+}
+
+/**
+ * Fenced blocks of one message. An unclosed fence runs to the end of the message (reply cut mid-stream).
+ * @param {string} text
+ * @returns {Array<{lang:string, info:string, code:string, before:string}>} before: last prose line above the fence
+ */
+function parseCodeFences(text) {
+  const lines = String(text || '').split('\n');
+  const blocks = [];
+  let open = null;
+  let prose = '';
+  for (const line of lines) {
+    if (!open) {
+      const m = line.match(/^ {0,3}(`{3,}|~{3,})\s*([^`]*)$/);
+      if (m) {
+        const info = m[2].trim();
+        open = { fence: m[1], info, lang: normalizeArtifactLanguage(info.split(/[\s:{,]/)[0]), body: [], before: prose };
+      } else if (line.trim()) {
+        prose = line.trim();
+      }
+      continue;
+    }
+    const close = line.match(/^ {0,3}(`{3,}|~{3,})\s*$/);
+    if (close && close[1][0] === open.fence[0] && close[1].length >= open.fence.length) {
+      blocks.push({ lang: open.lang, info: open.info, code: open.body.join('\n'), before: open.before });
+      open = null;
+      prose = '';
+      continue;
+    }
+    open.body.push(line);
+  }
+  if (open) blocks.push({ lang: open.lang, info: open.info, code: open.body.join('\n'), before: open.before });
+  return blocks.filter((b) => b.code.trim());
+}
+
+/**
+ * @param {{info:string, code:string, before:string}} block
+ * @returns {string|null}
+ */
+function inferArtifactFilename(block) {
+  const info = String(block?.info || '');
+  const code = String(block?.code || '');
+  // 1. Fence info string: title="a.js", filename=a.js, file=a.js, "ts:src/a.ts", "js src/a.js"
+  const attr = info.match(/\b(?:title|filename|file|name|path)\s*=\s*["']?([^"'\s]+)/i);
+  if (attr && ARTIFACT_PATH_RE.test(` ${attr[1]}`)) return attr[1];
+  const rest = info.replace(/^[^\s:]+/, ' ');
+  const fromInfo = rest.match(ARTIFACT_PATH_RE);
+  if (fromInfo) return fromInfo[1];
+  // 2. First line is a comment naming the file: "// src/a.js", "# file: a.py", "<!-- index.html -->", "/* a.css */"
+  const first = (code.split('\n').find((l) => l.trim()) || '').trim();
+  const comment = first.match(/^(?:\/\/|#|--|<!--|\/\*)\s*(?:(?:file(?:name)?|path)\s*:\s*)?(\S+?)\s*(?:-->|\*\/)?$/i);
+  if (comment && !/^#!/.test(first) && ARTIFACT_PATH_RE.test(` ${comment[1]}`)) return comment[1];
+  // 3. Prose line right above the fence: "In `src/a.js`:", "**popup.js**", "Update lib/snapshot.js as follows:"
+  const fromProse = String(block?.before || '').match(ARTIFACT_PATH_RE);
+  return fromProse ? fromProse[1] : null;
+}
+
+/**
+ * First declared function/class, used to follow revisions of a block that has no filename.
+ * @param {string} code
+ * @returns {string|null}
+ */
+function inferArtifactSymbol(code) {
+  const m = String(code || '').match(
+    /^\s*(?:export\s+)?(?:default\s+)?(?:async\s+)?(?:(?:function\*?|class|def|fn|func|struct|interface|type)\s+([A-Za-z_$][\w$]*)|(?:const|let|var)\s+([A-Za-z_$][\w$]*)\s*=\s*(?:async\s*)?(?:function\b|\([^)]*\)\s*=>|[A-Za-z_$][\w$]*\s*=>))/m
+  );
+  return m ? m[1] || m[2] : null;
+}
+
+/**
+ * @param {string} filename
+ * @returns {string}
+ */
+function languageFromFilename(filename) {
+  const ext = String(filename || '').split('.').pop().toLowerCase();
+  return ARTIFACT_EXTENSIONS[ext] || '';
+}
+
+/**
+ * Collect artifacts from a conversation (no hashing; see buildArtifacts).
+ * @param {Array<{id?:string, role:string, content:string}>} messages
+ * @param {{maxArtifacts?:number, maxChars?:number, maxTotalChars?:number}} [opts]
+ * @returns {{artifacts: Array<Object>, meta: {code_blocks:number, unique:number, emitted:number, truncated:number, omitted:number}}}
+ */
+function extractArtifacts(messages, opts = {}) {
+  const maxArtifacts = opts.maxArtifacts || ARTIFACTS_MAX;
+  const maxChars = opts.maxChars || ARTIFACT_MAX_CHARS;
+  const maxTotalChars = opts.maxTotalChars || ARTIFACTS_MAX_TOTAL_CHARS;
+  const list = Array.isArray(messages) ? messages : [];
+
+  const byKey = new Map(); // identity key → { latest, first_message_idx, contents:Set, revisions:[] }
+  let codeBlocks = 0;
+  list.forEach((m, idx) => {
+    const content = String(m?.content || '');
+    if (!content.includes('```') && !content.includes('~~~')) return;
+    for (const block of parseCodeFences(content)) {
+      codeBlocks++;
+      const code = block.code.replace(/\s+$/, '');
+      const filename = inferArtifactFilename(block);
+      const language = block.lang || languageFromFilename(filename);
+      const symbol = inferArtifactSymbol(code);
+      // Same file, else same declared symbol in the same language, else the exact same code.
+      const key = filename ? `file:${filename}` : symbol ? `symbol:${language}:${symbol}` : `code:${code}`;
+      const entry = byKey.get(key) || { first_message_idx: idx, contents: new Set(), revisions: [] };
+      if (!entry.contents.has(code)) {
+        entry.contents.add(code);
+        entry.revisions.push(idx);
+      }
+      entry.latest = { filename, language, symbol, code, message_idx: idx, message_id: m?.id ? String(m.id) : null, role: String(m?.role || '') };
+      byKey.set(key, entry);
+    }
+  });
+
+  // Most recent first for the budget, then back to conversation order.
+  const candidates = [...byKey.values()].sort((a, b) => b.latest.message_idx - a.latest.message_idx);
+  const kept = [];
+  let total = 0;
+  let truncated = 0;
+  for (const entry of candidates) {
+    if (kept.length >= maxArtifacts) break;
+    const full = entry.latest.code;
+    const room = Math.min(maxChars, maxTotalChars - total);
+    if (full.length > room && room < ARTIFACT_MIN_CHARS) continue;
+    const code = full.length > room ? full.slice(0, room) : full;
+    if (code.length < full.length) truncated++;
+    total += code.length;
+    kept.push({
+      filename: entry.latest.filename,
+      language: entry.latest.language || null,
+      symbol: entry.latest.symbol,
+      message_idx: entry.latest.message_idx,
+      message_id: entry.latest.message_id,
+      role: entry.latest.role,
+      first_message_idx: entry.first_message_idx,
+      versions: entry.revisions.length,
+      revisions: entry.revisions,
+      lines: full.split('\n').length,
+      chars: full.length,
+      truncated: code.length < full.length,
+      code,
+      _full: full
+    });
+  }
+  kept.sort((a, b) => a.message_idx - b.message_idx);
+  kept.forEach((a, i) => {
+    a.id = `art-${i + 1}`;
+  });
+
+  return {
+    artifacts: kept,
+    meta: {
+      code_blocks: codeBlocks,
+      unique: byKey.size,
+      emitted: kept.length,
+      truncated,
+      omitted: byKey.size - kept.length
+    }
+  };
+}
+
+/**
+ * @returns {SubtleCrypto}
+ */
+function getArtifactsSubtle() {
+  if (typeof globalThis !== 'undefined' && globalThis.crypto && globalThis.crypto.subtle) {
+    return globalThis.crypto.subtle;
+  }
+  // eslint-disable-next-line no-undef
+  return require('crypto').webcrypto.subtle;
+}
+
+/**
+ * extractArtifacts + sha256 (hex) of each artifact's full code. Key order is the snapshot's field order.
+ * @param {Array<{id?:string, role:string, content:string}>} messages
+ * @param {Object} [opts] - see extractArtifacts
+ * @returns {Promise<{artifacts: Array<Object>, meta: Object}>}
+ */
+async function buildArtifacts(messages, opts = {}) {
+  const { artifacts, meta } = extractArtifacts(messages, opts);
+  const subtle = getArtifactsSubtle();
+  const out = [];
+  for (const a of artifacts) {
+    const buf = await subtle.digest('SHA-256', new TextEncoder().encode(a._full));
+    const sha256 = Array.from(new Uint8Array(buf), (b) => b.toString(16).padStart(2, '0')).join('');
+    out.push({
+      id: a.id,
+      filename: a.filename,
+      language: a.language,
+      symbol: a.symbol,
+      message_idx: a.message_idx,
+      message_id: a.message_id,
+      role: a.role,
+      first_message_idx: a.first_message_idx,
+      versions: a.versions,
+      revisions: a.revisions,
+      lines: a.lines,
+      chars: a.chars,
+      truncated: a.truncated,
+      sha256,
+      code: a.code
+    });
+  }
+  return { artifacts: out, meta };
+}
+
+// Export for browser and Node.js
+if (typeof window !== 'undefined') {
+  window.parseCodeFences = parseCodeFences;
+  window.inferArtifactFilename = inferArtifactFilename;
+  window.extractArtifacts = extractArtifacts;
+  window.buildArtifacts = buildArtifacts;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    ARTIFACTS_MAX,
+    ARTIFACT_MAX_CHARS,
+    ARTIFACTS_MAX_TOTAL_CHARS,
+    parseCodeFences,
+    inferArtifactFilename,
+    extractArtifacts,
+    buildArtifacts
+  };
+}
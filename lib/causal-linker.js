@@ -17,7 +17,22 @@ function normalizeText(text) {
 }
 
 /**
- * Extract keywords from text for correlation.
+ * Resolve getLanguageStopwords/detectLanguage from lib/language-packs.js (global in popup, required in Node).
+ * @returns {{detectLanguage:Function, getLanguageStopwords:Function}|null}
+ */
+function getLinkerLanguagePacks() {
+  if (typeof detectLanguage === 'function' && typeof getLanguageStopwords === 'function') {
+    return { detectLanguage, getLanguageStopwords };
+  }
+  try {
+    // eslint-disable-next-line no-undef
+    if (typeof require === 'function') return require('./language-packs.js');
+  } catch (_) {}
+  return null;
+}
+
+/**
+ * Extract keywords from text for correlation (EN/FR stoplist + the stopwords of the text's language pack).
  * @param {string} text
  * @param {number} limit
  * @returns {string[]}
@@ -30,10 +45,14 @@ function extractKeywords(text, limit = 5) {
     'avec', 'pour', 'dans', 'comme', 'plus', 'moins', 'aussi', 'mais', 'donc'
   ]);
   
+  const packs = getLinkerLanguagePacks();
+  const lang = packs ? packs.detectLanguage(t) : null;
+  const packStop = lang ? packs.getLanguageStopwords(lang) : null;
+
   const words = t
     .replace(/[^\p{L}\p{N}\s]+/gu, ' ')
     .split(/\s+/)
-    .filter(w => w.length >= 4 && !STOP.has(w));
+    .filter(w => w.length >= 4 && !STOP.has(w) && !(packStop && packStop.has(w)));
   
   // Count frequencies
   const counts = new Map();
@@ -54,4 +54,6 @@ if (typeof window !== 'undefined') {
   window.calculateChecksum = calculateChecksum;
 }
 
-
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { canonicalize, calculateChecksum };
+}
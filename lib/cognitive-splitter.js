@@ -4,12 +4,29 @@
  * Uses Jaccard similarity to detect topic shifts.
  */
 
+/**
+ * Resolve getLanguageStopwords/detectLanguage from lib/language-packs.js (global in popup, required in Node).
+ * @returns {{detectLanguage:Function, getLanguageStopwords:Function}|null}
+ */
+function getSplitterLanguagePacks() {
+  if (typeof detectLanguage === 'function' && typeof getLanguageStopwords === 'function') {
+    return { detectLanguage, getLanguageStopwords };
+  }
+  try {
+    // eslint-disable-next-line no-undef
+    if (typeof require === 'function') return require('./language-packs.js');
+  } catch (_) {}
+  return null;
+}
+
 /**
  * Tokenize text into normalized words for similarity comparison.
+ * Drops the stopwords of the message's language pack (DE/ES/IT/PT function words would otherwise dominate).
+ * Not named `tokenize`: lib/extraction.js owns that global (returns an array) in the popup.
  * @param {string} text
  * @returns {Set<string>}
  */
-function tokenize(text) {
+function tokenizeToSet(text) {
   const t = String(text || '').toLowerCase();
   // Remove code blocks and URLs
   const cleaned = t
@@ -20,7 +37,10 @@ function tokenize(text) {
     .replace(/\s+/g, ' ')
     .trim();
   
-  const tokens = cleaned.split(/\s+/).filter(w => w.length >= 4);
+  const packs = getSplitterLanguagePacks();
+  const lang = packs ? packs.detectLanguage(cleaned) : null;
+  const stop = lang ? packs.getLanguageStopwords(lang) : null;
+  const tokens = cleaned.split(/\s+/).filter(w => w.length >= 4 && !(stop && stop.has(w)));
   return new Set(tokens);
 }
 
@@ -61,7 +81,7 @@ function extractDominantTopics(messages, limit = 3) {
   ]);
   
   for (const m of messages) {
-    const tokens = tokenize(m?.content || '');
+    const tokens = tokenizeToSet(m?.content || '');
     for (const token of tokens) {
       if (STOP.has(token)) continue;
       counts.set(token, (counts.get(token) || 0) + 1);
@@ -151,13 +171,13 @@ function splitIntoCognitiveDays(messages, options = {}) {
     let afterTokens = new Set();
     
     for (const m of beforeSlice) {
-      for (const token of tokenize(m?.content || '')) {
+      for (const token of tokenizeToSet(m?.content || '')) {
         beforeTokens.add(token);
       }
     }
     
     for (const m of afterSlice) {
-      for (const token of tokenize(m?.content || '')) {
+      for (const token of tokenizeToSet(m?.content || '')) {
         afterTokens.add(token);
       }
     }
@@ -237,5 +257,5 @@ if (typeof window !== 'undefined') {
 }
 
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { splitIntoCognitiveDays, jaccardSimilarity, tokenize };
+  module.exports = { splitIntoCognitiveDays, jaccardSimilarity, tokenize: tokenizeToSet };
 }
@@ -0,0 +1,207 @@
+/**
+ * RL4 Composer
+ * Puts a handoff prompt into a provider's message composer ("Send to…" in the popup).
+ * Composers come in three kinds:
+ * - <textarea>/<input> controlled by React: the value must go through the native setter + an input event
+ * - contenteditable editors (ProseMirror, Quill, Lexical): insertText keeps the editor state in sync
+ * - editors that ignore insertText: a synthetic paste event, then raw text as the last resort
+ *
+ * Selectors come from the adapter (lib/providers.js): selectors.composer / selectors.sendButton.
+ */
+
+/**
+ * @param {any} el
+ * @returns {boolean}
+ */
+function isComposerVisible(el) {
+  if (!el) return false;
+  if (el.getAttribute && (el.getAttribute('aria-hidden') === 'true' || el.hasAttribute?.('disabled'))) return false;
+  // offsetParent is null for display:none (and in non-layout environments, where we accept the node).
+  if (typeof el.getClientRects === 'function') {
+    const rects = el.getClientRects();
+    if (rects && typeof rects.length === 'number' && rects.length === 0 && el.offsetParent === null) return false;
+  }
+  return true;
+}
+
+/**
+ * First visible element matching the composer selector list.
+ * @param {Document} doc
+ * @param {string} selector
+ * @returns {any|null}
+ */
+function findComposerElement(doc, selector) {
+  if (!doc || !selector) return null;
+  let nodes = [];
+  try {
+    nodes = Array.from(doc.querySelectorAll(selector));
+  } catch (_) {
+    return null;
+  }
+  return nodes.find(isComposerVisible) || null;
+}
+
+/**
+ * @param {any} el
+ * @returns {boolean}
+ */
+function isTextFieldElement(el) {
+  const tag = String(el && el.tagName ? el.tagName : '').toUpperCase();
+  return tag === 'TEXTAREA' || tag === 'INPUT';
+}
+
+/**
+ * Set a form field value through the prototype setter so React/Vue notice the change.
+ * @param {any} el
+ * @param {string} value
+ */
+function setNativeFieldValue(el, value) {
+  let proto = Object.getPrototypeOf(el);
+  while (proto) {
+    const desc = Object.getOwnPropertyDescriptor(proto, 'value');
+    if (desc && typeof desc.set === 'function') {
+      desc.set.call(el, value);
+      return;
+    }
+    proto = Object.getPrototypeOf(proto);
+  }
+  el.value = value;
+}
+
+/**
+ * Whitespace-insensitive check that the composer now holds the prompt (editors re-wrap lines).
+ * @param {any} el
+ * @param {string} text
+ * @returns {boolean}
+ */
+function composerHasText(el, text) {
+  const squash = (s) => String(s || '').replace(/\s+/g, '');
+  const current = squash(isTextFieldElement(el) ? el.value : el.innerText || el.textContent);
+  const want = squash(text);
+  if (!want) return true;
+  return current.includes(want.slice(0, 200)) && current.length >= Math.floor(want.length * 0.9);
+}
+
+/**
+ * @param {any} el
+ * @returns {boolean} The composer holds any non-blank text
+ */
+function composerHasContent(el) {
+  return /\S/.test(String((isTextFieldElement(el) ? el.value : el.innerText || el.textContent) || ''));
+}
+
+/**
+ * @param {any} el
+ * @param {string} type
+ * @param {Object} [init]
+ * @returns {any}
+ */
+function makeComposerEvent(el, type, init = {}) {
+  const win = (el.ownerDocument && el.ownerDocument.defaultView) || (typeof window !== 'undefined' ? window : null);
+  const Ctor = win && typeof win.InputEvent === 'function' && type === 'input' ? win.InputEvent : win && win.Event;
+  return Ctor ? new Ctor(type, { bubbles: true, cancelable: true, ...init }) : { type, bubbles: true, ...init };
+}
+
+/**
+ * Replace the composer content with `text`.
+ * @param {any} el - Composer element
+ * @param {string} text
+ * @returns {{ok:boolean, method:string}}
+ */
+function insertComposerText(el, text) {
+  if (!el) return { ok: false, method: 'none' };
+  const value = String(text || '');
+  const doc = el.ownerDocument || (typeof document !== 'undefined' ? document : null);
+  try {
+    if (typeof el.focus === 'function') el.focus();
+  } catch (_) {}
+
+  if (isTextFieldElement(el)) {
+    setNativeFieldValue(el, value);
+    el.dispatchEvent(makeComposerEvent(el, 'input', { inputType: 'insertText', data: value }));
+    el.dispatchEvent(makeComposerEvent(el, 'change'));
+    return { ok: composerHasText(el, value), method: 'value' };
+  }
+
+  // contenteditable: select everything, then let the editor handle the insertion.
+  try {
+    const sel = doc && typeof doc.getSelection === 'function' ? doc.getSelection() : null;
+    if (sel && typeof doc.createRange === 'function') {
+      const range = doc.createRange();
+      range.selectNodeContents(el);
+      sel.removeAllRanges();
+      sel.addRange(range);
+    }
+    if (doc && typeof doc.execCommand === 'function') {
+      doc.execCommand('insertText', false, value);
+      // Judge by the content, not the return value: some editors insert the text and still return false.
+      if (composerHasText(el, value)) return { ok: true, method: 'insertText' };
+    }
+  } catch (_) {
+    // fall through
+  }
+
+  // A partial insert stays in the composer: clear it so the paste below does not add the text a second time.
+  if (composerHasContent(el)) {
+    el.textContent = '';
+    el.dispatchEvent(makeComposerEvent(el, 'input', { inputType: 'deleteContentBackward' }));
+  }
+
+  try {
+    const win = doc && doc.defaultView;
+    if (win && typeof win.DataTransfer === 'function' && typeof win.ClipboardEvent === 'function') {
+      const data = new win.DataTransfer();
+      data.setData('text/plain', value);
+      el.dispatchEvent(new win.ClipboardEvent('paste', { clipboardData: data, bubbles: true, cancelable: true }));
+      if (composerHasText(el, value)) return { ok: true, method: 'paste' };
+    }
+  } catch (_) {
+    // fall through
+  }
+
+  el.textContent = value;
+  el.dispatchEvent(makeComposerEvent(el, 'input', { inputType: 'insertText', data: value }));
+  return { ok: composerHasText(el, value), method: 'textContent' };
+}
+
+/**
+ * Enabled send button matching the selector list, or null.
+ * @param {Document} doc
+ * @param {string} selector
+ * @returns {any|null}
+ */
+function findEnabledSendButton(doc, selector) {
+  const btn = findComposerElement(doc, selector);
+  if (!btn) return null;
+  if (btn.disabled || (btn.getAttribute && btn.getAttribute('aria-disabled') === 'true')) return null;
+  return btn;
+}
+
+/**
+ * Submit through the keyboard (composers without a reliable send button).
+ * @param {any} el
+ */
+function pressComposerEnter(el) {
+  const win = (el.ownerDocument && el.ownerDocument.defaultView) || (typeof window !== 'undefined' ? window : null);
+  const init = { key: 'Enter', code: 'Enter', keyCode: 13, which: 13, bubbles: true, cancelable: true };
+  for (const type of ['keydown', 'keypress', 'keyup']) {
+    el.dispatchEvent(win && typeof win.KeyboardEvent === 'function' ? new win.KeyboardEvent(type, init) : { type, ...init });
+  }
+}
+
+// Export for browser and Node.js
+if (typeof window !== 'undefined') {
+  window.findComposerElement = findComposerElement;
+  window.insertComposerText = insertComposerText;
+  window.findEnabledSendButton = findEnabledSendButton;
+  window.pressComposerEnter = pressComposerEnter;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    findComposerElement,
+    insertComposerText,
+    findEnabledSendButton,
+    pressComposerEnter
+  };
+}
@@ -0,0 +1,270 @@
+/**
+ * RL4 Extraction rules
+ * User-defined decision/insight/constraint patterns (options page), tried before the built-in tables of lib/extraction.js.
+ *
+ * - normalizeExtractionRules(input)     : validate a rule list or an exported rule set → {rules, errors}
+ * - compileExtractionRules(input)       : enabled valid rules → {decisions, insights, constraints}, entries shaped like
+ *                                         DECISION_PATTERNS / INSIGHT_PATTERNS / CONSTRAINT_PATTERNS
+ * - serializeExtractionRules(rules)     : shareable JSON rule set
+ * - parseExtractionRulesJson(text)      : exported JSON → {rules, errors}
+ * - testExtractionRules(rules, messages): per-rule hits on a transcript (live test on the options page)
+ *
+ * Rule shape:
+ *   { id, kind: 'decision'|'insight'|'constraint', pattern, flags ('i' by default), enabled, label?,
+ *     intent + confidence (decision), priority 1-10 (insight), type (constraint) }
+ * A capturing group in `pattern` is the extracted text (chosen option, constraint); without one the matching sentence
+ * is kept. Patterns that repeat a group which itself repeats (`(a+)+`, `(?:\w+\s?)*`) are rejected: a regex cannot be
+ * interrupted once running, and their backtracking is exponential on a near-miss.
+ */
+
+const EXTRACTION_RULES_FORMAT = 'rl4-extraction-rules';
+const EXTRACTION_RULES_VERSION = 1;
+const EXTRACTION_RULES_MAX = 200;
+const EXTRACTION_RULE_PATTERN_MAX = 500;
+const EXTRACTION_RULE_KINDS = ['decision', 'insight', 'constraint'];
+// Same vocabulary as DECISION_PATTERNS (portable_memory and the causal linker read these intents).
+const EXTRACTION_RULE_INTENTS = ['decide', 'recommend', 'propose', 'commit', 'compare', 'architecture', 'fix'];
+const EXTRACTION_RULE_CONFIDENCES = ['high', 'medium', 'low'];
+const EXTRACTION_RULE_CONSTRAINT_TYPES = ['dont', 'do', 'technical', 'performance', 'security'];
+
+/**
+ * First repeated group whose content repeats too (catastrophic backtracking). Escapes and character classes are skipped.
+ * @param {string} pattern
+ * @returns {string} The offending group ('' when there is none)
+ */
+function findNestedQuantifier(pattern) {
+  const src = String(pattern || '');
+  // Quantifier at i that can repeat more than once: * + {n,} {n,m} with m > 1. Returns its length, 0 if none.
+  const repeatAt = (i) => {
+    if (src[i] === '*' || src[i] === '+') return 1;
+    const m = src[i] === '{' ? /^\{(\d+)(,(\d*))?\}/.exec(src.slice(i)) : null;
+    if (!m || m[2] === undefined) return 0;
+    return m[3] === '' || Number(m[3]) > 1 ? m[0].length : 0;
+  };
+  const stack = [];
+  let repeats = false;
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (c === '\\') {
+      i++;
+    } else if (c === '[') {
+      for (i++; i < src.length && src[i] !== ']'; i++) if (src[i] === '\\') i++;
+    } else if (c === '(') {
+      stack.push({ start: i, repeats });
+      repeats = false;
+    } else if (c === ')' && stack.length) {
+      const group = stack.pop();
+      const len = repeatAt(i + 1);
+      if (len && repeats) return src.slice(group.start, i + 1 + len);
+      repeats = group.repeats || repeats || len > 0;
+      i += len;
+    } else if (repeatAt(i)) {
+      repeats = true;
+    }
+  }
+  return '';
+}
+
+/**
+ * Validate rules. Invalid entries are left out and reported; ids are made unique per rule set.
+ * @param {Array|{format?:string, version?:number, rules:Array}} input
+ * @returns {{rules: Array<Object>, errors: Array<{index:number, id:string, message:string}>}}
+ */
+function normalizeExtractionRules(input) {
+  const rules = [];
+  const errors = [];
+  if (input && !Array.isArray(input) && typeof input === 'object') {
+    if (input.format !== undefined && input.format !== EXTRACTION_RULES_FORMAT) {
+      errors.push({ index: -1, id: '', message: `Unknown format "${input.format}" (expected "${EXTRACTION_RULES_FORMAT}")` });
+      return { rules, errors };
+    }
+    if (Number(input.version) > EXTRACTION_RULES_VERSION) {
+      errors.push({ index: -1, id: '', message: `Rule set version ${input.version} is newer than this extension supports` });
+      return { rules, errors };
+    }
+  }
+  const list = Array.isArray(input) ? input : input && Array.isArray(input.rules) ? input.rules : null;
+  if (!list) {
+    errors.push({ index: -1, id: '', message: 'Expected an array of rules or {"rules": [...]}' });
+    return { rules, errors };
+  }
+
+  const ids = new Set();
+  list.slice(0, EXTRACTION_RULES_MAX).forEach((raw, index) => {
+    const r = raw && typeof raw === 'object' ? raw : {};
+    const id = String(r.id || '').trim().slice(0, 64) || `rule-${index + 1}`;
+    const fail = (message) => errors.push({ index, id, message });
+
+    const kind = String(r.kind || '').toLowerCase();
+    if (!EXTRACTION_RULE_KINDS.includes(kind)) return fail(`kind must be one of: ${EXTRACTION_RULE_KINDS.join(', ')}`);
+    const pattern = String(r.pattern || '');
+    if (!pattern.trim()) return fail('pattern is empty');
+    if (pattern.length > EXTRACTION_RULE_PATTERN_MAX) return fail(`pattern is longer than ${EXTRACTION_RULE_PATTERN_MAX} characters`);
+    // No g/y: RegExp.test() would keep lastIndex between messages.
+    const flags = r.flags === undefined ? 'i' : String(r.flags);
+    if (!/^(?!.*(.).*\1)[imsu]*$/.test(flags)) return fail('flags may only contain i, m, s and u');
+    try {
+      new RegExp(pattern, flags);
+    } catch (e) {
+      return fail(`invalid pattern: ${e.message}`);
+    }
+    const nested = findNestedQuantifier(pattern);
+    if (nested) return fail(`pattern repeats a repeated group (${nested.slice(0, 40)}): it can freeze capture`);
+    if (ids.has(id)) return fail('duplicate id');
+
+    const rule = { id, kind, pattern, flags, enabled: r.enabled !== false };
+    if (r.label) rule.label = String(r.label).slice(0, 80);
+    if (kind === 'decision') {
+      rule.intent = String(r.intent || 'decide').toLowerCase();
+      rule.confidence = String(r.confidence || 'high').toLowerCase();
+      if (!EXTRACTION_RULE_INTENTS.includes(rule.intent)) return fail(`intent must be one of: ${EXTRACTION_RULE_INTENTS.join(', ')}`);
+      if (!EXTRACTION_RULE_CONFIDENCES.includes(rule.confidence)) return fail(`confidence must be one of: ${EXTRACTION_RULE_CONFIDENCES.join(', ')}`);
+    } else if (kind === 'insight') {
+      rule.priority = r.priority === undefined ? 8 : Number(r.priority);
+      if (!Number.isInteger(rule.priority) || rule.priority < 1 || rule.priority > 10) return fail('priority must be an integer from 1 to 10');
+    } else {
+      rule.type = String(r.type || 'technical').toLowerCase();
+      if (!EXTRACTION_RULE_CONSTRAINT_TYPES.includes(rule.type)) return fail(`type must be one of: ${EXTRACTION_RULE_CONSTRAINT_TYPES.join(', ')}`);
+    }
+    ids.add(id);
+    rules.push(rule);
+  });
+  if (list.length > EXTRACTION_RULES_MAX) {
+    errors.push({ index: EXTRACTION_RULES_MAX, id: '', message: `Only the first ${EXTRACTION_RULES_MAX} rules are kept` });
+  }
+  return { rules, errors };
+}
+
+/**
+ * Number of capturing groups in a pattern.
+ * @param {RegExp} re
+ * @returns {number}
+ */
+function countRuleGroups(re) {
+  return new RegExp(`${re.source}|`, re.flags).exec('').length - 1;
+}
+
+/**
+ * Pattern tables for extractDecisions/extractInsights/extractConstraints(messages, { rules }).
+ * @param {Array|Object} input - Stored rules (validated again here) or an exported rule set
+ * @returns {{decisions: Array<Object>, insights: Array<Object>, constraints: Array<Object>}}
+ */
+function compileExtractionRules(input) {
+  const out = { decisions: [], insights: [], constraints: [] };
+  for (const rule of normalizeExtractionRules(input).rules) {
+    if (!rule.enabled) continue;
+    const re = new RegExp(rule.pattern, rule.flags);
+    if (rule.kind === 'decision') {
+      const entry = { re, intent: rule.intent, confidence: rule.confidence, rule_id: rule.id };
+      if (countRuleGroups(re) > 0) entry.extract = 1;
+      else entry.sentence = true;
+      out.decisions.push(entry);
+    } else if (rule.kind === 'insight') {
+      out.insights.push({ re, priority: rule.priority, rule_id: rule.id });
+    } else {
+      out.constraints.push({ re, type: rule.type, rule_id: rule.id });
+    }
+  }
+  return out;
+}
+
+/**
+ * @param {Array} rules
+ * @returns {string} Pretty-printed rule set, importable with parseExtractionRulesJson
+ */
+function serializeExtractionRules(rules) {
+  return JSON.stringify(
+    {
+      format: EXTRACTION_RULES_FORMAT,
+      version: EXTRACTION_RULES_VERSION,
+      exported_at: new Date().toISOString(),
+      rules: normalizeExtractionRules(rules).rules
+    },
+    null,
+    2
+  );
+}
+
+/**
+ * @param {string} text - Exported rule set (or a bare array of rules)
+ * @returns {{rules: Array<Object>, errors: Array<{index:number, id:string, message:string}>}}
+ */
+function parseExtractionRulesJson(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(String(text || ''));
+  } catch (e) {
+    return { rules: [], errors: [{ index: -1, id: '', message: `Invalid JSON: ${e.message}` }] };
+  }
+  return normalizeExtractionRules(parsed);
+}
+
+/**
+ * Resolve stripCode from lib/extraction.js (global in the options page, required in Node).
+ * @returns {Function}
+ */
+function getRulesStripCode() {
+  if (typeof stripCode === 'function') return stripCode;
+  try {
+    // eslint-disable-next-line no-undef
+    if (typeof require === 'function') return require('./extraction.js').stripCode;
+  } catch (_) {}
+  return (t) => String(t || '');
+}
+
+/**
+ * Which messages each rule matches (code stripped, as in extraction). Disabled rules are tested too.
+ * @param {Array} rules
+ * @param {Array<{role:string, content:string}>} messages
+ * @param {{samples?:number}} [opts]
+ * @returns {{
+ *   errors: Array<{index:number, id:string, message:string}>,
+ *   messages_scanned: number,
+ *   rules: Array<{id:string, kind:string, enabled:boolean, messages_matched:number,
+ *     samples: Array<{message_idx:number, role:string, match:string, extracted:string|null}>}>
+ * }}
+ */
+function testExtractionRules(rules, messages, { samples = 5 } = {}) {
+  const { rules: valid, errors } = normalizeExtractionRules(rules);
+  const list = Array.isArray(messages) ? messages : [];
+  const strip = getRulesStripCode();
+  const texts = list.map((m) => strip(String(m?.content || '')));
+  const results = valid.map((rule) => {
+    const re = new RegExp(rule.pattern, rule.flags);
+    const hits = [];
+    let matched = 0;
+    texts.forEach((text, idx) => {
+      const m = text.match(re);
+      if (!m) return;
+      matched++;
+      if (hits.length >= samples) return;
+      hits.push({
+        message_idx: idx,
+        role: String(list[idx]?.role || ''),
+        match: m[0].slice(0, 160),
+        extracted: m[1] !== undefined ? String(m[1]).trim().slice(0, 200) : null
+      });
+    });
+    return { id: rule.id, kind: rule.kind, enabled: rule.enabled, messages_matched: matched, samples: hits };
+  });
+  return { errors, messages_scanned: list.length, rules: results };
+}
+
+// Export for browser and Node.js
+if (typeof window !== 'undefined') {
+  window.normalizeExtractionRules = normalizeExtractionRules;
+  window.compileExtractionRules = compileExtractionRules;
+  window.serializeExtractionRules = serializeExtractionRules;
+  window.parseExtractionRulesJson = parseExtractionRulesJson;
+  window.testExtractionRules = testExtractionRules;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    normalizeExtractionRules,
+    compileExtractionRules,
+    serializeExtractionRules,
+    parseExtractionRulesJson,
+    testExtractionRules
+  };
+}
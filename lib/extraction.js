@@ -7,7 +7,8 @@
  * - No more "skip long messages" — chunk extraction instead
  * - Semantic deduplication (avoid near-duplicates)
  * - Separate constraints extraction
- * - Multi-language support (EN/FR/ES/DE)
+ * - Multi-language support: built-in EN/FR tables + per-message DE/ES/IT/PT packs (lib/language-packs.js)
+ * - User-defined rules (options page, lib/extraction-rules.js) tried before the built-in tables
  */
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -134,6 +135,40 @@ const STOPWORDS = new Set([
   'documents', 'user', 'users', 'assistant'
 ]);
 
+// ═══════════════════════════════════════════════════════════════════════════
+// LANGUAGE PACKS (lib/language-packs.js)
+// ═══════════════════════════════════════════════════════════════════════════
+
+const NO_PACK_STOPWORDS = new Set();
+
+/**
+ * Resolve lib/language-packs.js (global in the page/popup, required in Node).
+ * @returns {{detectLanguage:Function, getLanguageStopwords:Function, getExtractionPatterns:Function}|null}
+ */
+function getExtractionLanguagePacks() {
+  if (typeof detectLanguage === 'function' && typeof getLanguageStopwords === 'function' && typeof getExtractionPatterns === 'function') {
+    return { detectLanguage, getLanguageStopwords, getExtractionPatterns };
+  }
+  try {
+    // eslint-disable-next-line no-undef
+    if (typeof require === 'function') return require('./language-packs.js');
+  } catch (_) {}
+  return null;
+}
+
+/**
+ * Language of one message and the patterns to add to the built-in EN/FR tables.
+ * Every pack's explicit decision markers and constraints apply even when the language is undetermined.
+ * @param {string} text - normalizeForExtraction() output
+ * @returns {{id:string|null, pack:Object|null, stopwords:Set<string>}} id null: undetermined; pack null: packs not loaded
+ */
+function getMessageLanguage(text) {
+  const lib = getExtractionLanguagePacks();
+  if (!lib) return { id: null, pack: null, stopwords: NO_PACK_STOPWORDS };
+  const id = lib.detectLanguage(text);
+  return { id, pack: lib.getExtractionPatterns(id), stopwords: id ? lib.getLanguageStopwords(id) : NO_PACK_STOPWORDS };
+}
+
 // ═══════════════════════════════════════════════════════════════════════════
 // V2 DECISION PATTERNS (5x more than V1)
 // ═══════════════════════════════════════════════════════════════════════════
@@ -369,10 +404,11 @@ function deduplicateDecisions(decisions, threshold = 0.6) {
  * @returns {Array<{label:string, weight:number, message_refs:string[], summary:string}>}
  */
 function extractTopics(messages) {
-  const docs = messages.map((m) => {
-    const cleaned = normalizeForExtraction(m.content);
-    return tokenize(cleaned).filter((w) => w.length >= 5 && !STOPWORDS.has(w));
-  });
+  const cleanedDocs = messages.map((m) => normalizeForExtraction(m.content));
+  const packStopwords = cleanedDocs.map((cleaned) => getMessageLanguage(cleaned).stopwords);
+  const docs = cleanedDocs.map((cleaned, i) =>
+    tokenize(cleaned).filter((w) => w.length >= 5 && !STOPWORDS.has(w) && !packStopwords[i].has(w))
+  );
   const df = new Map(); // document frequency
   const tf = new Map(); // total term frequency
 
@@ -403,9 +439,8 @@ function extractTopics(messages) {
   // Build lightweight n-grams (2–3)
   const ngramTf = new Map();
   const ngramDf = new Map();
-  for (const m of messages) {
-    const cleaned = normalizeForExtraction(m.content);
-    const toks = tokenize(cleaned).filter((w) => w.length >= 4 && !STOPWORDS.has(w));
+  for (let mi = 0; mi < cleanedDocs.length; mi++) {
+    const toks = tokenize(cleanedDocs[mi]).filter((w) => w.length >= 4 && !STOPWORDS.has(w) && !packStopwords[mi].has(w));
     if (!toks.length) continue;
     const seen = new Set();
     for (let n = 2; n <= 3; n++) {
@@ -474,11 +509,14 @@ function extractTopics(messages) {
 /**
  * V2: Extract decisions with enhanced patterns, chunking, and adaptive limits.
  * @param {Array<{id:string, role:string, content:string, timestamp?:string}>} messages
+ * @param {{rules?:Object}} [options] - rules: compileExtractionRules() output (user rules, tried first)
  * @returns {Array<any>}
  */
-function extractDecisions(messages) {
+function extractDecisions(messages, options = {}) {
   const out = [];
   let decIdx = 1;
+  const customPatterns = options.rules && Array.isArray(options.rules.decisions) ? options.rules.decisions : [];
+  const decisionTable = customPatterns.length ? { custom: customPatterns, ...DECISION_PATTERNS } : DECISION_PATTERNS;
   
   // V2: Adaptive limit based on conversation size
   const maxDecisions = messages.length > 500 ? 20 : messages.length > 100 ? 15 : 10;
@@ -489,6 +527,7 @@ function extractDecisions(messages) {
     
     // V2: Extract chunks instead of skipping long messages
     const chunks = extractChunks(fullText, 600);
+    const { pack } = getMessageLanguage(fullText);
     
     for (const text of chunks) {
       // Skip if it still smells like implementation scaffolding
@@ -498,7 +537,8 @@ function extractDecisions(messages) {
       let matched = null;
       let patternCategory = null;
       
-      for (const [category, patterns] of Object.entries(DECISION_PATTERNS)) {
+      for (const [category, builtIn] of Object.entries(decisionTable)) {
+        const patterns = pack && pack.decisions[category] ? builtIn.concat(pack.decisions[category]) : builtIn;
         for (const pattern of patterns) {
           if (pattern.re.test(text)) {
             matched = pattern;
@@ -511,9 +551,9 @@ function extractDecisions(messages) {
       
       if (!matched) continue;
 
-      // Prefer assistant-authored decisions
+      // Prefer assistant-authored decisions (user rules are explicit conventions: any author)
       const role = String(m?.role || '').toLowerCase();
-      if (role === 'user' && patternCategory !== 'explicit') {
+      if (role === 'user' && patternCategory !== 'explicit' && patternCategory !== 'custom') {
         continue;
       }
 
@@ -531,6 +571,12 @@ function extractDecisions(messages) {
           chosen = sanitizeChoice(extractMatch[matched.extract]);
         }
       }
+
+      // User rule without a capturing group: keep the sentence it matched
+      if (chosen === 'UNKNOWN' && matched.sentence) {
+        const sentence = text.split(/(?<=[.!?])\s+/).find((s) => matched.re.test(s));
+        if (sentence) chosen = sanitizeChoice(sentence);
+      }
       
       // Fallback: commitment heuristics
       if (chosen === 'UNKNOWN') {
@@ -539,6 +585,7 @@ function extractDecisions(messages) {
           /\bI'll\s+(.+)/i,
           /\bI'm\s+going\s+to\s+(.+)/i,
           /\bPlan:\s*(.+)/i,
+          ...(pack ? pack.commitments : [])
         ];
         for (const cp of commitPatterns) {
           const cm = text.match(cp);
@@ -606,11 +653,14 @@ function extractDecisions(messages) {
 /**
  * V2: Extract insights with enhanced patterns and adaptive limits.
  * @param {Array<{content:string}>} messages
+ * @param {{rules?:Object}} [options] - rules: compileExtractionRules() output (user rules, tried first)
  * @returns {string[]}
  */
-function extractInsights(messages) {
+function extractInsights(messages, options = {}) {
   // V2: Adaptive limit
   const maxInsights = messages.length > 500 ? 30 : messages.length > 100 ? 20 : 15;
+  const customPatterns = options.rules && Array.isArray(options.rules.insights) ? options.rules.insights : [];
+  const basePatterns = customPatterns.length ? customPatterns.concat(INSIGHT_PATTERNS) : INSIGHT_PATTERNS;
   
   const candidates = [];
 
@@ -620,6 +670,8 @@ function extractInsights(messages) {
     
     // V2: Process chunks for long messages
     const chunks = extractChunks(text, 400);
+    const { pack } = getMessageLanguage(text);
+    const patterns = pack ? basePatterns.concat(pack.insights) : basePatterns;
     
     for (const chunk of chunks) {
       const sentences = chunk.split(/(?<=[.!?])\s+/);
@@ -631,7 +683,7 @@ function extractInsights(messages) {
         if (str.length > 400) continue;
         
         // Try all insight patterns
-        for (const pattern of INSIGHT_PATTERNS) {
+        for (const pattern of patterns) {
           if (pattern.re.test(str)) {
             candidates.push({
               text: str.length > 300 ? str.slice(0, 297) + '...' : str,
@@ -659,10 +711,13 @@ function extractInsights(messages) {
 /**
  * V2: Extract constraints (DON'T/DO/limitations).
  * @param {Array<{content:string}>} messages
- * @returns {{dont: string[], do: string[], technical: string[]}}
+ * @param {{rules?:Object}} [options] - rules: compileExtractionRules() output (user rules, tried first)
+ * @returns {{dont: string[], do: string[], technical: string[], performance: string[], security: string[]}}
  */
-function extractConstraints(messages) {
+function extractConstraints(messages, options = {}) {
   const maxPerCategory = messages.length > 500 ? 15 : 10;
+  const customPatterns = options.rules && Array.isArray(options.rules.constraints) ? options.rules.constraints : [];
+  const basePatterns = customPatterns.length ? customPatterns.concat(CONSTRAINT_PATTERNS) : CONSTRAINT_PATTERNS;
   
   const results = {
     dont: [],
@@ -677,6 +732,8 @@ function extractConstraints(messages) {
     if (!text) continue;
     
     const chunks = extractChunks(text, 400);
+    const { pack } = getMessageLanguage(text);
+    const patterns = pack ? basePatterns.concat(pack.constraints) : basePatterns;
     
     for (const chunk of chunks) {
       const sentences = chunk.split(/(?<=[.!?])\s+/);
@@ -685,7 +742,7 @@ function extractConstraints(messages) {
         const str = s.trim();
         if (!str || str.length < 15 || str.length > 300) continue;
         
-        for (const pattern of CONSTRAINT_PATTERNS) {
+        for (const pattern of patterns) {
           const match = str.match(pattern.re);
           if (match) {
             const extracted = match[1] ? sanitizeChoice(match[1]) : str;
@@ -774,6 +831,17 @@ function extractTopicsWithMeta(messages) {
   const totalRefs = topics.reduce((sum, t) => sum + (t.message_refs?.length || 0), 0);
   const coverageRatio = totalMessages > 0 ? totalRefs / totalMessages : 0;
   
+  // Per-message languages (which pattern pack each message used)
+  const languageCounts = {};
+  let undetermined = 0;
+  for (const m of Array.isArray(messages) ? messages : []) {
+    const { id } = getMessageLanguage(normalizeForExtraction(m.content));
+    if (id) languageCounts[id] = (languageCounts[id] || 0) + 1;
+    else undetermined++;
+  }
+  const detectedLanguages = Object.keys(languageCounts).sort((a, b) => languageCounts[b] - languageCounts[a]);
+  const packs = getExtractionLanguagePacks();
+
   const targetCoverage = totalMessages > 500 ? 0.02
     : totalMessages > 100 ? 0.04
     : 0.1;
@@ -798,9 +866,10 @@ function extractTopicsWithMeta(messages) {
       quality = 'degraded';
       reasons.push('sparse_topics_for_large_conversation');
     }
-    const stopwordCollisions = topics.filter(t => 
-      STOPWORDS.has(String(t.label || '').toLowerCase())
-    ).length;
+    const stopwordCollisions = topics.filter(t => {
+      const label = String(t.label || '').toLowerCase();
+      return STOPWORDS.has(label) || (packs && detectedLanguages.some((id) => packs.getLanguageStopwords(id).has(label)));
+    }).length;
     if (stopwordCollisions > 0) {
       quality = 'degraded';
       reasons.push('stopword_collision');
@@ -819,6 +888,12 @@ function extractTopicsWithMeta(messages) {
       quality,
       status,
       reason: reasons.length > 0 ? reasons : ['extraction_nominal'],
+      languages: {
+        primary: detectedLanguages[0] || null,
+        detected: detectedLanguages,
+        counts: languageCounts,
+        undetermined
+      },
       stats: {
         topics_count: topicsCount,
         messages_scanned: totalMessages,
@@ -846,3 +921,18 @@ if (typeof window !== 'undefined') {
   window.deduplicateBySimilarity = deduplicateBySimilarity;
   window.textSimilarity = textSimilarity;
 }
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    extractTopics,
+    extractTopicsWithMeta,
+    extractDecisions,
+    extractInsights,
+    extractConstraints,
+    deduplicateBySimilarity,
+    textSimilarity,
+    tokenize,
+    stripCode,
+    extractChunks
+  };
+}
@@ -0,0 +1,230 @@
+/**
+ * RL4 Handoff budget
+ * Fits a snapshot under the paste limit of the destination LLM before buildInjectionPrompt (popup.js) serializes it.
+ *
+ * - estimateTokens(text)       : offline approximation, no vocabulary (see below)
+ * - getHandoffTokenBudget(id)  : adapter.pasteLimitTokens (lib/providers.js), else HANDOFF_DEFAULT_PASTE_LIMIT_TOKENS
+ * - planHandoffBudget(snap, …) : keeps the identity/integrity fields, then adds the other fields group by group:
+ *     portable summary → decisions and action items → constraints → topics → cognitive days → everything else → transcript excerpt
+ *   A field that does not fit is dropped and the next (smaller) fields are still tried. Arrays keep their first
+ *   items (they are ranked), the transcript keeps its last messages (most recent context).
+ *   A plan that is not a full copy is a partial view: `checksum` becomes `source_checksum` (the seal still covers
+ *   the full snapshot) and `partial_view: true` is added, so verifySnapshot (lib/verify.js) does not read the
+ *   missing fields as tampering.
+ */
+
+// ~the former 50,000-character transcript cap.
+const HANDOFF_DEFAULT_PASTE_LIMIT_TOKENS = 12_000;
+// Prompt header + instructions around CONTEXT_JSON.
+const HANDOFF_PROMPT_RESERVE_TOKENS = 600;
+const HANDOFF_TRANSCRIPT_SEPARATOR = '\n\n<|RL4_MSG|>\n\n';
+
+// Never dropped: who produced the snapshot and how to verify it.
+const HANDOFF_CORE_FIELDS = [
+  '_branding',
+  'producer',
+  'protocol',
+  'version',
+  'mode',
+  'session_id',
+  'timestamp',
+  'scan_id',
+  'messages',
+  'checksum',
+  'signature',
+  'conversation_fingerprint',
+  'transcript_ref',
+  'transcript_sha256',
+  'transcript_format',
+  'metadata'
+];
+
+// Priority order. fields: null = every field not listed elsewhere.
+const HANDOFF_FIELD_GROUPS = [
+  { id: 'summary', fields: ['portable_memory', 'context_summary_ultra', 'context_summary', 'context_state', 'progressive_summary', 'rl4_blocks'] },
+  { id: 'decisions', fields: ['decisions', 'action_items', 'semantic_spine'] },
+  { id: 'constraints', fields: ['constraints', 'validation_checklist', 'unknowns', 'assumptions_candidates'] },
+  { id: 'topics', fields: ['topics', 'topics_meta'] },
+  { id: 'cognitive_days', fields: ['cognitive_days', 'causal_chains_v2'] },
+  { id: 'other', fields: null },
+  { id: 'transcript', fields: ['transcript_compact'] }
+];
+
+/**
+ * Approximate token count (BPE-like): a Latin/Cyrillic word costs ~1 token per 4 characters (at least 1), a CJK character
+ * or a punctuation mark 1 token, a line break with its indentation 1 token. Good to ~15% on English JSON.
+ * @param {string} text
+ * @returns {number}
+ */
+function estimateTokens(text) {
+  const s = String(text || '');
+  if (!s) return 0;
+  let tokens = 0;
+  const re = /[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af]|[\p{L}\p{N}_]+|\s*\n\s*|[^\s\p{L}\p{N}_]/gu;
+  let m;
+  while ((m = re.exec(s))) {
+    const t = m[0];
+    if (/^[\p{L}\p{N}_]/u.test(t) && t.length > 1) tokens += Math.max(1, Math.round(t.length / 4));
+    else tokens += 1;
+  }
+  return tokens;
+}
+
+/**
+ * Resolve getProviderAdapterById from lib/providers.js (global in the popup, required in Node).
+ * @returns {Function|null}
+ */
+function getHandoffProviderLookup() {
+  if (typeof getProviderAdapterById === 'function') return getProviderAdapterById;
+  try {
+    // eslint-disable-next-line no-undef
+    if (typeof require === 'function') return require('./providers.js').getProviderAdapterById;
+  } catch (_) {}
+  return null;
+}
+
+/**
+ * Paste limit of the destination provider, in tokens.
+ * @param {string} provider - Adapter id ('' → default)
+ * @returns {number}
+ */
+function getHandoffTokenBudget(provider) {
+  const lookup = getHandoffProviderLookup();
+  const adapter = lookup && provider ? lookup(String(provider).toLowerCase()) : null;
+  const limit = adapter && Number(adapter.pasteLimitTokens);
+  return limit > 0 ? limit : HANDOFF_DEFAULT_PASTE_LIMIT_TOKENS;
+}
+
+/**
+ * Cost of `"key": value` inside the pretty-printed CONTEXT_JSON.
+ * @param {string} key
+ * @param {any} value
+ * @returns {number}
+ */
+function estimateHandoffFieldTokens(key, value) {
+  return estimateTokens(JSON.stringify({ [key]: value }, null, 2));
+}
+
+/**
+ * Plan what of `snapshot` fits in `budgetTokens`.
+ * @param {any} snapshot
+ * @param {{budgetTokens?:number, reserveTokens?:number}} [opts] - budgetTokens: paste limit (whole prompt);
+ *   reserveTokens: part of it kept for the prompt text around the JSON
+ * @returns {{
+ *   snapshot: Object,
+ *   budgetTokens: number,
+ *   usedTokens: number,
+ *   fullTokens: number,
+ *   dropped: Array<{field:string, tokens:number}>,
+ *   trimmed: Array<{field:string, kept:number, total:number, unit:'items'|'messages', tokens:number}>,
+ *   partial: boolean
+ * }}
+ */
+function planHandoffBudget(snapshot, { budgetTokens = HANDOFF_DEFAULT_PASTE_LIMIT_TOKENS, reserveTokens = HANDOFF_PROMPT_RESERVE_TOKENS } = {}) {
+  const src = snapshot && typeof snapshot === 'object' ? snapshot : {};
+  const available = Math.max(0, budgetTokens - reserveTokens);
+  const kept = new Map();
+  const dropped = [];
+  const trimmed = [];
+  let used = 2; // {}
+
+  const present = Object.keys(src).filter((k) => src[k] !== undefined);
+  for (const k of present) {
+    if (!HANDOFF_CORE_FIELDS.includes(k)) continue;
+    kept.set(k, [k, src[k]]);
+    used += estimateHandoffFieldTokens(k, src[k]);
+  }
+  let full = used;
+
+  const listed = new Set(HANDOFF_CORE_FIELDS);
+  for (const g of HANDOFF_FIELD_GROUPS) for (const f of g.fields || []) listed.add(f);
+  const ordered = [];
+  for (const g of HANDOFF_FIELD_GROUPS) {
+    const fields = g.fields ? g.fields.filter((f) => present.includes(f)) : present.filter((f) => !listed.has(f));
+    ordered.push(...fields);
+  }
+
+  for (const key of ordered) {
+    const value = src[key];
+    const cost = estimateHandoffFieldTokens(key, value);
+    full += cost;
+    if (used + cost <= available) {
+      kept.set(key, [key, value]);
+      used += cost;
+      continue;
+    }
+    const room = available - used;
+
+    // Ranked arrays: keep the first items that fit.
+    if (Array.isArray(value) && value.length > 1) {
+      let size = estimateHandoffFieldTokens(key, []);
+      let n = 0;
+      while (n < value.length) {
+        const next = estimateTokens(JSON.stringify(value[n], null, 2)) + 1;
+        if (size + next > room) break;
+        size += next;
+        n++;
+      }
+      if (n > 0) {
+        kept.set(key, [key, value.slice(0, n)]);
+        used += size;
+        trimmed.push({ field: key, kept: n, total: value.length, unit: 'items', tokens: cost - size });
+        continue;
+      }
+    }
+
+    // Transcript: keep the most recent messages, under transcript_excerpt (transcript_compact is the sealed full text).
+    if (key === 'transcript_compact' && typeof value === 'string') {
+      const msgs = value.split(HANDOFF_TRANSCRIPT_SEPARATOR);
+      let size = estimateHandoffFieldTokens('transcript_excerpt', '');
+      let n = 0;
+      while (n < msgs.length) {
+        const next = estimateTokens(JSON.stringify(msgs[msgs.length - 1 - n])) + 3;
+        if (size + next > room) break;
+        size += next;
+        n++;
+      }
+      if (n > 0) {
+        kept.set(key, ['transcript_excerpt', msgs.slice(msgs.length - n).join(HANDOFF_TRANSCRIPT_SEPARATOR)]);
+        used += size;
+        trimmed.push({ field: key, kept: n, total: msgs.length, unit: 'messages', tokens: cost - size });
+        continue;
+      }
+    }
+
+    dropped.push({ field: key, tokens: cost });
+  }
+
+  const partial = dropped.length > 0 || trimmed.length > 0;
+  if (partial && kept.has('checksum')) {
+    kept.set('checksum', ['source_checksum', src.checksum]);
+    used += estimateHandoffFieldTokens('source_checksum', src.checksum) - estimateHandoffFieldTokens('checksum', src.checksum);
+  }
+
+  // Same field order as the snapshot.
+  const out = {};
+  for (const k of present) {
+    if (!kept.has(k)) continue;
+    const [name, value] = kept.get(k);
+    if (name === 'source_checksum') out.partial_view = true;
+    out[name] = value;
+  }
+  if (partial && !out.partial_view) out.partial_view = true;
+  if (partial) used += estimateHandoffFieldTokens('partial_view', true);
+  return { snapshot: out, budgetTokens, usedTokens: used + reserveTokens, fullTokens: full + reserveTokens, dropped, trimmed, partial };
+}
+
+// Export for browser and Node.js
+if (typeof window !== 'undefined') {
+  window.estimateTokens = estimateTokens;
+  window.getHandoffTokenBudget = getHandoffTokenBudget;
+  window.planHandoffBudget = planHandoffBudget;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    estimateTokens,
+    getHandoffTokenBudget,
+    planHandoffBudget
+  };
+}
@@ -0,0 +1,76 @@
+/**
+ * RL4 Incremental capture
+ * Resume a capture from the stored transcript: find where the stored tail sits in a fresh capture of recent
+ * turns and keep only what comes after it. Used by content.js (tryIncrementalCapture).
+ *
+ * - findOverlapEnd(fresh, tail)                 : index right after the stored tail in `fresh`, -1 if not found
+ * - collectAppendedTurns(fresh, end, fallbackTs) : the new turns to append to the stored prefix
+ */
+
+/**
+ * Resolve messageSignature from lib/message-json.js (global in the content script, required in Node).
+ * @returns {Function}
+ */
+function getOverlapSignature() {
+  if (typeof messageSignature === 'function') return messageSignature;
+  // eslint-disable-next-line no-undef
+  if (typeof require === 'function') return require('./message-json.js').messageSignature;
+  throw new Error('messageSignature not available (load lib/message-json.js)');
+}
+
+/**
+ * Locate the stored tail (overlap anchor) inside a freshly captured list.
+ * @param {Array<{role:string, content:string}>} fresh
+ * @param {Array<{role:string, content:string}>} tail
+ * @returns {number} index in `fresh` right after the anchor, or -1 if the boundary can't be verified
+ */
+function findOverlapEnd(fresh, tail) {
+  const list = Array.isArray(fresh) ? fresh : [];
+  const anchor = Array.isArray(tail) ? tail : [];
+  if (!anchor.length || list.length < anchor.length) return -1;
+  const signature = getOverlapSignature();
+  const want = anchor.map((m) => signature(m.role, m.content));
+  // Prefer the LAST match: short exchanges ("ok", "thanks") can repeat earlier in the chat.
+  for (let i = list.length - want.length; i >= 0; i--) {
+    let match = true;
+    for (let j = 0; j < want.length; j++) {
+      const m = list[i + j];
+      if (signature(m && m.role, m && m.content) !== want[j]) {
+        match = false;
+        break;
+      }
+    }
+    if (match) return i + want.length;
+  }
+  return -1;
+}
+
+/**
+ * New turns after the overlap boundary, in the stored transcript shape. Empty messages are skipped.
+ * @param {Array<{role:string, content:string, timestamp?:string}>} fresh
+ * @param {number} end - findOverlapEnd() result
+ * @param {string} fallbackTs - timestamp for turns the provider did not date
+ * @returns {Array<{role:'user'|'assistant'|null, content:string, timestamp:string}>}
+ */
+function collectAppendedTurns(fresh, end, fallbackTs) {
+  const list = Array.isArray(fresh) ? fresh : [];
+  if (!(end >= 0)) return [];
+  return list
+    .slice(end)
+    .filter((m) => m && m.content && String(m.content).trim())
+    .map((m) => ({
+      role: m.role === 'user' || m.role === 'assistant' ? m.role : null,
+      content: String(m.content),
+      timestamp: typeof m.timestamp === 'string' ? m.timestamp : fallbackTs
+    }));
+}
+
+// Export for browser and Node.js
+if (typeof window !== 'undefined') {
+  window.findOverlapEnd = findOverlapEnd;
+  window.collectAppendedTurns = collectAppendedTurns;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { findOverlapEnd, collectAppendedTurns };
+}
@@ -0,0 +1,486 @@
+/**
+ * RL4 Language packs
+ * Per-language tables for lib/extraction.js, lib/cognitive-splitter.js and lib/causal-linker.js.
+ *
+ * - detectLanguage(text)        : 'en' | 'fr' | 'de' | 'es' | 'it' | 'pt' | null, from function-word hits (+ accents)
+ * - getLanguagePack(lang)       : the pack, or null for an unknown id
+ * - getLanguageStopwords(lang)  : the pack's stopwords as a Set (empty for en/fr and unknown ids)
+ * - getExtractionPatterns(lang) : the pack's tables plus every pack's explicit decisions and constraints
+ *
+ * The English and French patterns and stopwords are the built-in tables of lib/extraction.js and stay applied to
+ * every message (chats mix English technical vocabulary into every language), so the en/fr packs only carry what
+ * detection needs. The other packs add their patterns to the built-in ones for the messages written in that language;
+ * their explicit decision markers and constraints ("Entscheidung:", "NIEMALS …") are applied to every message, since
+ * a short line is often too terse to be detected.
+ *
+ * Pack shape:
+ *   markers      : frequent function words, counted by detectLanguage (words shared with an earlier pack, such as
+ *                  de/la/que, only win when the language's own words outnumber them)
+ *   hints        : characters specific to the language, counted once per occurrence (optional)
+ *   stopwords    : words ignored by topic extraction and cognitive-day tokenization
+ *   decisions    : { category: [{re, intent, confidence, extract?}] }, categories of DECISION_PATTERNS
+ *   commitments  : fallback regexes whose group 1 is the chosen option
+ *   insights     : [{re, priority}]
+ *   constraints  : [{re, type}], types of CONSTRAINT_PATTERNS
+ */
+
+const LANGUAGE_PACKS = {
+  en: {
+    id: 'en',
+    label: 'English',
+    markers: ['the', 'and', 'is', 'are', 'with', 'this', 'that', 'we', 'you', 'it', 'for', 'not', 'have', 'should', 'will', 'can', 'what', 'of', 'to', 'be'],
+    hints: null,
+    stopwords: [],
+    decisions: {},
+    commitments: [],
+    insights: [],
+    constraints: []
+  },
+  fr: {
+    id: 'fr',
+    label: 'Français',
+    markers: [
+      'le', 'les', 'des', 'est', 'et', 'un', 'une', 'ou', 'pour', 'pas', 'qui', 'dans', 'avec', 'sur', 'nous', 'vous', 'ce',
+      'du', 'au', 'je', 'sont', 'cette', 'ça', 'aussi', 'mais', 'peut', 'doit', 'faut', 'très', 'trop', 'comme', 'comment',
+      'de', 'la', 'que'
+    ],
+    hints: /[êœù]/g,
+    stopwords: [],
+    decisions: {},
+    commitments: [],
+    insights: [],
+    constraints: []
+  },
+  de: {
+    id: 'de',
+    label: 'Deutsch',
+    markers: ['der', 'die', 'das', 'und', 'ist', 'nicht', 'ein', 'eine', 'mit', 'für', 'wir', 'ich', 'auf', 'den', 'dem', 'zu', 'auch', 'wird', 'werden', 'oder', 'aber', 'wenn', 'sind', 'noch', 'sollten', 'muss', 'dass'],
+    hints: /[äöüß]/g,
+    stopwords: [
+      'aber', 'alle', 'allem', 'allen', 'aller', 'alles', 'also', 'andere', 'anderen', 'auch', 'bereits', 'bitte',
+      'damit', 'danke', 'dann', 'darauf', 'darum', 'dass', 'dein', 'deine', 'denn', 'dessen', 'diese', 'diesem',
+      'diesen', 'dieser', 'dieses', 'doch', 'dort', 'durch', 'eine', 'einem', 'einen', 'einer', 'eines', 'einfach', 'etwa',
+      'etwas', 'euch', 'ganz', 'gegen', 'genau', 'gerade', 'gibt', 'haben', 'hast', 'hatte', 'hier', 'ihre', 'ihren',
+      'ihrer', 'immer', 'jede', 'jeden', 'jeder', 'jedes', 'jetzt', 'kann', 'kannst', 'kein', 'keine', 'können',
+      'könnte', 'machen', 'mehr', 'mein', 'meine', 'mich', 'muss', 'müssen', 'nach', 'nicht', 'noch', 'oder', 'ohne',
+      'schon', 'sehr', 'sein', 'seine', 'selbst', 'sich', 'sind', 'soll', 'sollte', 'sollten', 'sondern', 'über',
+      'unter', 'unser', 'unsere', 'viel', 'wann', 'warum', 'weil', 'weiter', 'welche', 'welcher', 'wenn', 'werden',
+      'wieder', 'wird', 'wurde', 'wäre', 'zwischen'
+    ],
+    decisions: {
+      explicit: [
+        { re: /Entscheidung\s*:\s*(.+)/i, intent: 'decide', confidence: 'high', extract: 1 },
+        { re: /\b(?:ich|wir)\s+habe?n?\s+(?:mich\s+|uns\s+)?entschieden\b/i, intent: 'decide', confidence: 'high' },
+        { re: /\bendgültige\s+Wahl\s*:\s*(.+)/i, intent: 'decide', confidence: 'high', extract: 1 }
+      ],
+      recommend: [
+        { re: /\bich\s+empfehle\b/i, intent: 'recommend', confidence: 'medium' },
+        { re: /\bmeine\s+Empfehlung\s+(?:ist|lautet)\b/i, intent: 'recommend', confidence: 'medium' },
+        { re: /\bder\s+beste\s+Ansatz\s+(?:ist|wäre)/i, intent: 'recommend', confidence: 'medium' },
+        { re: /\bich\s+schlage\s+vor\b/i, intent: 'recommend', confidence: 'medium' }
+      ],
+      propose: [
+        { re: /\bwir\s+sollten\b/i, intent: 'propose', confidence: 'medium' },
+        { re: /\bwir\s+müssen\b/i, intent: 'propose', confidence: 'medium' },
+        { re: /\blass(?:t)?\s+uns\b/i, intent: 'propose', confidence: 'medium' }
+      ],
+      commit: [
+        { re: /\b(?:ich|wir)\s+werden?\s+(.+)/i, intent: 'commit', confidence: 'medium', extract: 1 },
+        { re: /\bZiel\s*:\s*(.+)/i, intent: 'commit', confidence: 'medium', extract: 1 },
+        { re: /\bnächster\s+Schritt\s*:\s*(.+)/i, intent: 'commit', confidence: 'medium', extract: 1 }
+      ],
+      compare: [
+        { re: /\bwählen\s+zwischen\b/i, intent: 'compare', confidence: 'low' },
+        { re: /\bentweder\b.+\boder\b/i, intent: 'compare', confidence: 'low' },
+        { re: /\bVor-?\s+und\s+Nachteile\b/i, intent: 'compare', confidence: 'low' }
+      ],
+      architecture: [
+        { re: /\bArchitekturentscheidung\b/i, intent: 'architecture', confidence: 'high' },
+        { re: /\bwir\s+(?:verwenden|nutzen)\s+(\S+)\s+für\b/i, intent: 'architecture', confidence: 'medium' }
+      ],
+      fix: [
+        { re: /\b(?:Bug|Fehler|Problem)\s+(?:behoben|gefixt|gelöst)/i, intent: 'fix', confidence: 'medium' },
+        { re: /\b(?:Grund)?ursache\s*:\s*(.+)/i, intent: 'fix', confidence: 'high', extract: 1 },
+        { re: /\bdas\s+(?:eigentliche\s+)?Problem\s+(?:war|ist)\b/i, intent: 'fix', confidence: 'medium' }
+      ]
+    },
+    commitments: [/\b(?:ich|wir)\s+werden?\s+(.+)/i],
+    insights: [
+      { re: /Kritisch\s*:\s*(.+)/i, priority: 10 },
+      { re: /Wichtig\s*:\s*(.+)/i, priority: 9 },
+      { re: /(?:Kernpunkt|Erkenntnis)\s*:\s*(.+)/i, priority: 10 },
+      { re: /Merke\s*:\s*(.+)/i, priority: 8 },
+      { re: /Hinweis\s*:\s*(.+)/i, priority: 7 },
+      { re: /Warnung\s*:\s*(.+)/i, priority: 9 },
+      { re: /Achtung\s*:\s*(.+)/i, priority: 8 },
+      { re: /Tipp\s*:\s*(.+)/i, priority: 7 },
+      { re: /\bich\s+habe\s+(?:gerade\s+)?(?:gelernt|entdeckt|gemerkt|herausgefunden)\b/i, priority: 8 },
+      { re: /\bes\s+stellt\s+sich\s+heraus\b/i, priority: 7 },
+      { re: /\bder\s+Trick\s+(?:ist|war)\b/i, priority: 8 },
+      { re: /\bdas\s+(?:eigentliche\s+)?Problem\s+(?:ist|war)\b/i, priority: 8 },
+      { re: /\bLösung\s*:\s*(.+)/i, priority: 9 },
+      { re: /\bEinschränkung\s*:\s*(.+)/i, priority: 8 },
+      { re: /\bich\s+(?:will|möchte)\s+(.+)/i, priority: 6 },
+      { re: /\bwir\s+müssen\b/i, priority: 6 },
+      { re: /\bbewährte\s+Praxis\s*:\s*(.+)/i, priority: 9 },
+      { re: /\bdas\s+funktioniert\s+(?:perfekt|super|einwandfrei)\b/i, priority: 7 },
+      { re: /\bdas\s+(?:bricht|stürzt\s+ab|crasht)\b/i, priority: 8 }
+    ],
+    constraints: [
+      { re: /\bEinschränkung\s*:\s*(.+)/i, type: 'explicit' },
+      { re: /\bBeschränkung\s*:\s*(.+)/i, type: 'technical' },
+      { re: /\bnicht\s+(?:möglich|unterstützt|erlaubt)/i, type: 'technical' },
+      { re: /\bSpeicher(?:problem|grenze|limit)/i, type: 'performance' },
+      { re: /\bzu\s+(?:langsam|groß|schwer)/i, type: 'performance' },
+      { re: /\b(?:CORS|CSP|Berechtigungs)-?(?:Fehler|Problem)/i, type: 'security' },
+      { re: /\bNIEMALS\s+(.+)/i, type: 'dont' },
+      { re: /\bVERMEIDEN?\s+(.+)/i, type: 'dont' },
+      { re: /\bIMMER\s+(.+)/i, type: 'do' },
+      { re: /\bMUSS\s+(.+)/i, type: 'do' }
+    ]
+  },
+  es: {
+    id: 'es',
+    label: 'Español',
+    markers: [
+      'el', 'los', 'las', 'la', 'de', 'que', 'es', 'y', 'una', 'por', 'para', 'con', 'del', 'se', 'lo', 'pero', 'son', 'hay',
+      'muy', 'esto', 'este', 'cómo', 'sin', 'porque', 'vamos'
+    ],
+    hints: /[ñ¿¡]/g,
+    stopwords: [
+      'algo', 'algunos', 'ahora', 'ante', 'antes', 'aquí', 'así', 'aunque', 'bien', 'cada', 'como', 'cómo', 'contra',
+      'creo', 'cual', 'cuando', 'debe', 'deben', 'debemos', 'desde', 'donde', 'dónde', 'durante', 'ella', 'ellos',
+      'entonces', 'entre', 'esta', 'está', 'están', 'estas', 'este', 'esto', 'estos', 'gracias', 'hace', 'hacer',
+      'hasta', 'luego', 'mejor', 'mismo', 'mucho', 'nada', 'nosotros', 'otra', 'otro', 'otros', 'para', 'pero',
+      'poco', 'porque', 'puede', 'pueden', 'puedes', 'quiero', 'según', 'sería', 'sino', 'sobre', 'solo', 'también',
+      'tanto', 'tengo', 'tiene', 'tienen', 'todo', 'todos', 'usted', 'vamos'
+    ],
+    decisions: {
+      explicit: [
+        { re: /Decisión\s*:\s*(.+)/i, intent: 'decide', confidence: 'high', extract: 1 },
+        { re: /\b(?:he|hemos)\s+decidido\b/i, intent: 'decide', confidence: 'high' },
+        { re: /\b(?:elección|opción)\s+final\s*:\s*(.+)/i, intent: 'decide', confidence: 'high', extract: 1 }
+      ],
+      recommend: [
+        { re: /\brecomiendo\b/i, intent: 'recommend', confidence: 'medium' },
+        { re: /\bmi\s+recomendación\s+es\b/i, intent: 'recommend', confidence: 'medium' },
+        { re: /\bel\s+mejor\s+enfoque\s+(?:es|sería)/i, intent: 'recommend', confidence: 'medium' },
+        { re: /\bsugiero\b/i, intent: 'recommend', confidence: 'medium' }
+      ],
+      propose: [
+        { re: /\bdeberíamos\b/i, intent: 'propose', confidence: 'medium' },
+        { re: /\btenemos\s+que\b/i, intent: 'propose', confidence: 'medium' },
+        { re: /\bhay\s+que\b/i, intent: 'propose', confidence: 'medium' },
+        { re: /\bvamos\s+con\b/i, intent: 'propose', confidence: 'medium' }
+      ],
+      commit: [
+        { re: /\b(?:voy|vamos)\s+a\s+(.+)/i, intent: 'commit', confidence: 'medium', extract: 1 },
+        { re: /\bobjetivo\s*:\s*(.+)/i, intent: 'commit', confidence: 'medium', extract: 1 },
+        { re: /\bpróximo\s+paso\s*:\s*(.+)/i, intent: 'commit', confidence: 'medium', extract: 1 }
+      ],
+      compare: [
+        { re: /\belegir\s+entre\b/i, intent: 'compare', confidence: 'low' },
+        { re: /\bventajas\s+y\s+desventajas\b/i, intent: 'compare', confidence: 'low' }
+      ],
+      architecture: [
+        { re: /\bdecisión\s+de\s+arquitectura\b/i, intent: 'architecture', confidence: 'high' },
+        { re: /\b(?:usaremos|vamos\s+a\s+usar)\s+(\S+)\s+para\b/i, intent: 'architecture', confidence: 'medium' }
+      ],
+      fix: [
+        { re: /\b(?:corregí|arreglé|solucioné|corregido|arreglado)\s+(?:el\s+)?(?:bug|error|problema)\b/i, intent: 'fix', confidence: 'medium' },
+        { re: /\bcausa\s+raíz\s*:\s*(.+)/i, intent: 'fix', confidence: 'high', extract: 1 },
+        { re: /\bel\s+(?:verdadero\s+)?problema\s+(?:era|es)\b/i, intent: 'fix', confidence: 'medium' }
+      ]
+    },
+    commitments: [/\b(?:voy|vamos)\s+a\s+(.+)/i],
+    insights: [
+      { re: /Crítico\s*:\s*(.+)/i, priority: 10 },
+      { re: /Importante\s*:\s*(.+)/i, priority: 9 },
+      { re: /Punto\s+clave\s*:\s*(.+)/i, priority: 10 },
+      { re: /Recuerda\s*:\s*(.+)/i, priority: 8 },
+      { re: /Nota\s*:\s*(.+)/i, priority: 7 },
+      { re: /Advertencia\s*:\s*(.+)/i, priority: 9 },
+      { re: /Atención\s*:\s*(.+)/i, priority: 8 },
+      { re: /Consejo\s*:\s*(.+)/i, priority: 7 },
+      { re: /\b(?:aprendí|descubrí|me\s+di\s+cuenta)/i, priority: 8 },
+      { re: /\bresulta\s+que\b/i, priority: 7 },
+      { re: /\bel\s+truco\s+(?:es|era)\b/i, priority: 8 },
+      { re: /\bsolución\s*:\s*(.+)/i, priority: 9 },
+      { re: /\blimitación\s*:\s*(.+)/i, priority: 8 },
+      { re: /\brestricción\s*:\s*(.+)/i, priority: 8 },
+      { re: /\bquiero\s+(.+)/i, priority: 6 },
+      { re: /\bbuena\s+práctica\s*:\s*(.+)/i, priority: 9 },
+      { re: /\bfunciona\s+(?:perfectamente|muy\s+bien)\b/i, priority: 7 },
+      { re: /\besto\s+(?:rompe|falla)\b/i, priority: 8 }
+    ],
+    constraints: [
+      { re: /\brestricción\s*:\s*(.+)/i, type: 'explicit' },
+      { re: /\blimitación\s*:\s*(.+)/i, type: 'technical' },
+      { re: /\bno\s+(?:es\s+)?(?:posible|compatible|permitido)\b/i, type: 'technical' },
+      { re: /\bproblema\s+de\s+memoria\b/i, type: 'performance' },
+      { re: /\bdemasiado\s+(?:lento|grande|pesado)\b/i, type: 'performance' },
+      { re: /\b(?:error|problema)\s+de\s+(?:CORS|CSP|permisos?)\b/i, type: 'security' },
+      { re: /\bNUNCA\s+(.+)/i, type: 'dont' },
+      { re: /\bEVITAR?\s+(.+)/i, type: 'dont' },
+      { re: /\bSIEMPRE\s+(.+)/i, type: 'do' },
+      { re: /\bDEBE\s+(.+)/i, type: 'do' }
+    ]
+  },
+  it: {
+    id: 'it',
+    label: 'Italiano',
+    markers: ['il', 'gli', 'le', 'un', 'una', 'che', 'è', 'della', 'delle', 'sono', 'di', 'questo', 'questa', 'anche', 'ma', 'non', 'per', 'più', 'perché', 'abbiamo', 'nel', 'alla'],
+    hints: null,
+    stopwords: [
+      'abbiamo', 'alla', 'alle', 'allo', 'allora', 'anche', 'ancora', 'avere', 'bene', 'cioè', 'come', 'cosa', 'così',
+      'dalla', 'dalle', 'degli', 'della', 'delle', 'dello', 'dobbiamo', 'dopo', 'dove', 'dunque', 'ecco', 'essere',
+      'fare', 'fatto', 'grazie', 'hanno', 'invece', 'loro', 'molto', 'nella', 'nelle', 'nello', 'ogni', 'oppure',
+      'perché', 'però', 'possiamo', 'prima', 'quale', 'quando', 'quella', 'quelli', 'quello', 'questa', 'queste',
+      'questi', 'questo', 'sempre', 'senza', 'sono', 'stato', 'sulla', 'tutte', 'tutti', 'tutto', 'vogliamo', 'voglio'
+    ],
+    decisions: {
+      explicit: [
+        { re: /Decisione\s*:\s*(.+)/i, intent: 'decide', confidence: 'high', extract: 1 },
+        { re: /\b(?:ho|abbiamo)\s+deciso\b/i, intent: 'decide', confidence: 'high' },
+        { re: /\bscelta\s+finale\s*:\s*(.+)/i, intent: 'decide', confidence: 'high', extract: 1 }
+      ],
+      recommend: [
+        { re: /\b(?:consiglio|raccomando)\b/i, intent: 'recommend', confidence: 'medium' },
+        { re: /\bla\s+mia\s+raccomandazione\s+è/i, intent: 'recommend', confidence: 'medium' },
+        { re: /\bl'approccio\s+migliore\s+(?:è|sarebbe)/i, intent: 'recommend', confidence: 'medium' },
+        { re: /\bsuggerisco\b/i, intent: 'recommend', confidence: 'medium' }
+      ],
+      propose: [
+        { re: /\bdovremmo\b/i, intent: 'propose', confidence: 'medium' },
+        { re: /\bdobbiamo\b/i, intent: 'propose', confidence: 'medium' },
+        { re: /\bbisogna\b/i, intent: 'propose', confidence: 'medium' },
+        { re: /\bandiamo\s+con\b/i, intent: 'propose', confidence: 'medium' }
+      ],
+      commit: [
+        { re: /\b(?:farò|faremo)\s+(.+)/i, intent: 'commit', confidence: 'medium', extract: 1 },
+        { re: /\bvado\s+a\s+(.+)/i, intent: 'commit', confidence: 'medium', extract: 1 },
+        { re: /\bobiettivo\s*:\s*(.+)/i, intent: 'commit', confidence: 'medium', extract: 1 },
+        { re: /\bprossimo\s+passo\s*:\s*(.+)/i, intent: 'commit', confidence: 'medium', extract: 1 }
+      ],
+      compare: [
+        { re: /\bscegliere\s+tra\b/i, intent: 'compare', confidence: 'low' },
+        { re: /\bpro\s+e\s+contro\b/i, intent: 'compare', confidence: 'low' }
+      ],
+      architecture: [
+        { re: /\bdecisione\s+(?:di\s+)?architettur(?:a|ale)\b/i, intent: 'architecture', confidence: 'high' },
+        { re: /\b(?:useremo|usiamo)\s+(\S+)\s+per\b/i, intent: 'architecture', confidence: 'medium' }
+      ],
+      fix: [
+        { re: /\b(?:corretto|risolto|sistemato)\s+(?:il\s+)?(?:bug|errore|problema)\b/i, intent: 'fix', confidence: 'medium' },
+        { re: /\bcausa\s+(?:principale|radice)\s*:\s*(.+)/i, intent: 'fix', confidence: 'high', extract: 1 },
+        { re: /\bil\s+(?:vero\s+)?problema\s+(?:era|è)/i, intent: 'fix', confidence: 'medium' }
+      ]
+    },
+    commitments: [/\b(?:farò|faremo)\s+(.+)/i, /\bvado\s+a\s+(.+)/i],
+    insights: [
+      { re: /Critico\s*:\s*(.+)/i, priority: 10 },
+      { re: /Importante\s*:\s*(.+)/i, priority: 9 },
+      { re: /Punto\s+chiave\s*:\s*(.+)/i, priority: 10 },
+      { re: /Ricorda\s*:\s*(.+)/i, priority: 8 },
+      { re: /Nota\s*:\s*(.+)/i, priority: 7 },
+      { re: /Avviso\s*:\s*(.+)/i, priority: 9 },
+      { re: /Attenzione\s*:\s*(.+)/i, priority: 8 },
+      { re: /Suggerimento\s*:\s*(.+)/i, priority: 7 },
+      { re: /\bho\s+(?:appena\s+)?(?:imparato|scoperto|capito)\b/i, priority: 8 },
+      { re: /\bsi\s+scopre\s+che\b/i, priority: 7 },
+      { re: /\bil\s+trucco\s+(?:è|era)/i, priority: 8 },
+      { re: /\bsoluzione\s*:\s*(.+)/i, priority: 9 },
+      { re: /\blimitazione\s*:\s*(.+)/i, priority: 8 },
+      { re: /\bvincolo\s*:\s*(.+)/i, priority: 8 },
+      { re: /\bvoglio\s+(.+)/i, priority: 6 },
+      { re: /\bbuona\s+pratica\s*:\s*(.+)/i, priority: 9 },
+      { re: /\bfunziona\s+(?:perfettamente|benissimo)\b/i, priority: 7 },
+      { re: /\bsi\s+(?:rompe|blocca)\b/i, priority: 8 }
+    ],
+    constraints: [
+      { re: /\bvincolo\s*:\s*(.+)/i, type: 'explicit' },
+      { re: /\blimitazione\s*:\s*(.+)/i, type: 'technical' },
+      { re: /\bnon\s+(?:è\s+)?(?:possibile|supportato|consentito)\b/i, type: 'technical' },
+      { re: /\bproblema\s+di\s+memoria\b/i, type: 'performance' },
+      { re: /\btroppo\s+(?:lento|grande|pesante)\b/i, type: 'performance' },
+      { re: /\berrore\s+(?:di\s+)?(?:CORS|CSP|permessi)\b/i, type: 'security' },
+      { re: /\bnon\s+(?:bisogna|devi|dobbiamo)\s+mai\s+(.+)/i, type: 'dont' },
+      { re: /\bEVITA(?:RE)?\s+(.+)/i, type: 'dont' },
+      { re: /\bSEMPRE\s+(.+)/i, type: 'do' },
+      { re: /\bDEVE\s+(.+)/i, type: 'do' }
+    ]
+  },
+  pt: {
+    id: 'pt',
+    label: 'Português',
+    markers: [
+      'o', 'os', 'não', 'uma', 'um', 'com', 'do', 'da', 'dos', 'das', 'em', 'no', 'na', 'ao', 'são', 'ele', 'ela', 'você', 'isso',
+      'esse', 'essa', 'muito', 'pelo', 'pela'
+    ],
+    hints: /[ãõ]/g,
+    stopwords: [
+      'agora', 'ainda', 'antes', 'aqui', 'assim', 'cada', 'como', 'depois', 'desse', 'dessa', 'deste', 'desta', 'deve',
+      'devemos', 'disso', 'elas', 'eles', 'então', 'entre', 'essa', 'esse', 'esta', 'este', 'está', 'estão', 'fazer',
+      'isso', 'isto', 'mais', 'mesmo', 'muita', 'muito', 'nossa', 'nosso', 'nunca', 'obrigado', 'onde', 'para', 'pela',
+      'pelo', 'pode', 'podemos', 'porque', 'qual', 'quando', 'quero', 'sempre', 'sobre', 'também', 'toda', 'todo',
+      'todos', 'umas', 'você', 'vocês', 'vamos'
+    ],
+    decisions: {
+      explicit: [
+        { re: /Decisão\s*:\s*(.+)/i, intent: 'decide', confidence: 'high', extract: 1 },
+        { re: /\b(?:decidi|decidimos)\b/i, intent: 'decide', confidence: 'high' },
+        { re: /\bescolha\s+final\s*:\s*(.+)/i, intent: 'decide', confidence: 'high', extract: 1 }
+      ],
+      recommend: [
+        { re: /\brecomendo\b/i, intent: 'recommend', confidence: 'medium' },
+        { re: /\bminha\s+recomendação\s+é/i, intent: 'recommend', confidence: 'medium' },
+        { re: /\ba\s+melhor\s+abordagem\s+(?:é|seria)/i, intent: 'recommend', confidence: 'medium' },
+        { re: /\bsugiro\b/i, intent: 'recommend', confidence: 'medium' }
+      ],
+      propose: [
+        { re: /\b(?:devemos|deveríamos)\b/i, intent: 'propose', confidence: 'medium' },
+        { re: /\btemos\s+que\b/i, intent: 'propose', confidence: 'medium' },
+        { re: /\bprecisamos\b/i, intent: 'propose', confidence: 'medium' },
+        { re: /\bvamos\s+de\b/i, intent: 'propose', confidence: 'medium' }
+      ],
+      commit: [
+        { re: /\bvou\s+(.+)/i, intent: 'commit', confidence: 'medium', extract: 1 },
+        { re: /\bobjetivo\s*:\s*(.+)/i, intent: 'commit', confidence: 'medium', extract: 1 },
+        { re: /\bpróximo\s+passo\s*:\s*(.+)/i, intent: 'commit', confidence: 'medium', extract: 1 }
+      ],
+      compare: [
+        { re: /\bescolher\s+entre\b/i, intent: 'compare', confidence: 'low' },
+        { re: /\b(?:prós\s+e\s+contras|vantagens\s+e\s+desvantagens)/i, intent: 'compare', confidence: 'low' }
+      ],
+      architecture: [
+        { re: /\bdecisão\s+de\s+arquitetura\b/i, intent: 'architecture', confidence: 'high' },
+        { re: /\b(?:vamos\s+usar|usaremos)\s+(\S+)\s+para\b/i, intent: 'architecture', confidence: 'medium' }
+      ],
+      fix: [
+        { re: /\b(?:corrigi|resolvi|corrigido|resolvido)\s+(?:o\s+)?(?:bug|erro|problema)\b/i, intent: 'fix', confidence: 'medium' },
+        { re: /\bcausa\s+raiz\s*:\s*(.+)/i, intent: 'fix', confidence: 'high', extract: 1 },
+        { re: /\bo\s+(?:verdadeiro\s+)?problema\s+(?:era|é)/i, intent: 'fix', confidence: 'medium' }
+      ]
+    },
+    commitments: [/\b(?:vou|vamos)\s+(.+)/i],
+    insights: [
+      { re: /Crítico\s*:\s*(.+)/i, priority: 10 },
+      { re: /Importante\s*:\s*(.+)/i, priority: 9 },
+      { re: /Ponto\s+chave\s*:\s*(.+)/i, priority: 10 },
+      { re: /Lembre-se\s*:\s*(.+)/i, priority: 8 },
+      { re: /Nota\s*:\s*(.+)/i, priority: 7 },
+      { re: /Aviso\s*:\s*(.+)/i, priority: 9 },
+      { re: /Atenção\s*:\s*(.+)/i, priority: 8 },
+      { re: /Dica\s*:\s*(.+)/i, priority: 7 },
+      { re: /\b(?:aprendi|descobri|percebi)\b/i, priority: 8 },
+      { re: /\bacontece\s+que\b/i, priority: 7 },
+      { re: /\bo\s+truque\s+(?:é|era)/i, priority: 8 },
+      { re: /\bsolução\s*:\s*(.+)/i, priority: 9 },
+      { re: /\blimitação\s*:\s*(.+)/i, priority: 8 },
+      { re: /\brestrição\s*:\s*(.+)/i, priority: 8 },
+      { re: /\bquero\s+(.+)/i, priority: 6 },
+      { re: /\bboa\s+prática\s*:\s*(.+)/i, priority: 9 },
+      { re: /\bfunciona\s+(?:perfeitamente|muito\s+bem)\b/i, priority: 7 },
+      { re: /\bisso\s+(?:quebra|falha)\b/i, priority: 8 }
+    ],
+    constraints: [
+      { re: /\brestrição\s*:\s*(.+)/i, type: 'explicit' },
+      { re: /\blimitação\s*:\s*(.+)/i, type: 'technical' },
+      { re: /\bnão\s+(?:é\s+)?(?:possível|suportado|permitido)/i, type: 'technical' },
+      { re: /\bproblema\s+de\s+memória/i, type: 'performance' },
+      { re: /\bmuito\s+(?:lento|grande|pesado)\b/i, type: 'performance' },
+      { re: /\berro\s+de\s+(?:CORS|CSP|permissão)/i, type: 'security' },
+      { re: /\bNUNCA\s+(.+)/i, type: 'dont' },
+      { re: /\bEVIT(?:E|AR)\s+(.+)/i, type: 'dont' },
+      { re: /\bSEMPRE\s+(.+)/i, type: 'do' },
+      { re: /\bDEVE\s+(.+)/i, type: 'do' }
+    ]
+  }
+};
+
+const LANGUAGE_MARKER_SETS = Object.fromEntries(Object.values(LANGUAGE_PACKS).map((p) => [p.id, new Set(p.markers)]));
+const LANGUAGE_STOPWORD_SETS = Object.fromEntries(Object.values(LANGUAGE_PACKS).map((p) => [p.id, new Set(p.stopwords)]));
+const EMPTY_STOPWORDS = new Set();
+const ALL_EXPLICIT_DECISIONS = Object.values(LANGUAGE_PACKS).flatMap((p) => p.decisions.explicit || []);
+const ALL_CONSTRAINTS = Object.values(LANGUAGE_PACKS).flatMap((p) => p.constraints);
+const EXTRACTION_PATTERNS_CACHE = new Map();
+
+/**
+ * Detect the language of one message. Code should be stripped by the caller.
+ * Short texts (< 8 words) need one marker hit, longer ones two; ties go to the first pack (en, fr, de, es, it, pt).
+ * @param {string} text
+ * @returns {string|null} Pack id, or null when no pack scores enough (code, numbers, one-word replies)
+ */
+function detectLanguage(text) {
+  const s = String(text || '').toLowerCase();
+  if (!s) return null;
+  const words = s.split(/[^\p{L}]+/u).filter(Boolean);
+  if (!words.length) return null;
+
+  let best = null;
+  let bestScore = 0;
+  for (const pack of Object.values(LANGUAGE_PACKS)) {
+    const markers = LANGUAGE_MARKER_SETS[pack.id];
+    let score = 0;
+    for (const w of words) if (markers.has(w)) score++;
+    if (pack.hints) score += (s.match(pack.hints) || []).length;
+    if (score > bestScore) {
+      best = pack.id;
+      bestScore = score;
+    }
+  }
+  return bestScore >= (words.length < 8 ? 1 : 2) ? best : null;
+}
+
+/**
+ * @param {string} lang - Pack id
+ * @returns {Object|null}
+ */
+function getLanguagePack(lang) {
+  return Object.prototype.hasOwnProperty.call(LANGUAGE_PACKS, lang) ? LANGUAGE_PACKS[lang] : null;
+}
+
+/**
+ * @param {string} lang - Pack id
+ * @returns {Set<string>}
+ */
+function getLanguageStopwords(lang) {
+  return Object.prototype.hasOwnProperty.call(LANGUAGE_STOPWORD_SETS, lang) ? LANGUAGE_STOPWORD_SETS[lang] : EMPTY_STOPWORDS;
+}
+
+/**
+ * Patterns to add to the built-in EN/FR tables for one message: the pack's own tables, with the explicit decision
+ * markers and the constraints of every pack (they are specific enough not to fire on another language).
+ * @param {string|null} lang - Pack id, null when the message language is undetermined
+ * @returns {{decisions:Object, commitments:RegExp[], insights:Array, constraints:Array}}
+ */
+function getExtractionPatterns(lang) {
+  const key = getLanguagePack(lang) ? lang : '';
+  if (EXTRACTION_PATTERNS_CACHE.has(key)) return EXTRACTION_PATTERNS_CACHE.get(key);
+  const pack = getLanguagePack(lang) || { decisions: {}, commitments: [], insights: [], constraints: [] };
+  const patterns = {
+    decisions: { ...pack.decisions, explicit: ALL_EXPLICIT_DECISIONS },
+    commitments: pack.commitments,
+    insights: pack.insights,
+    constraints: ALL_CONSTRAINTS
+  };
+  EXTRACTION_PATTERNS_CACHE.set(key, patterns);
+  return patterns;
+}
+
+// Export for browser and Node.js
+if (typeof window !== 'undefined') {
+  window.detectLanguage = detectLanguage;
+  window.getLanguagePack = getLanguagePack;
+  window.getLanguageStopwords = getLanguageStopwords;
+  window.getExtractionPatterns = getExtractionPatterns;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    detectLanguage,
+    getLanguagePack,
+    getLanguageStopwords,
+    getExtractionPatterns
+  };
+}
@@ -0,0 +1,257 @@
+/**
+ * RL4 Message Merkle Tree
+ * Binary Merkle tree over individual transcript messages, so a single quoted message can be proven
+ * to belong to a fingerprinted transcript without shipping the whole transcript.
+ *
+ *   leaf_i = SHA256( 0x00 || "ROLE:\nCONTENT" )   (ROLE = USER|ASSISTANT, content trimmed)
+ *   node   = SHA256( 0x01 || left || right )
+ *   An odd node at the end of a level is promoted unchanged (no duplication).
+ *
+ * Runs in content script / popup (window globals) and under Node >= 18 (WebCrypto).
+ */
+
+const MESSAGE_MERKLE_VERSION = 'rl4_msg_merkle_v1';
+const MESSAGE_MERKLE_LEAF_FORMAT = 'sha256(0x00 || ROLE:\\nCONTENT) ROLE=USER|ASSISTANT content=trim';
+const MESSAGE_MERKLE_NODE_FORMAT = 'sha256(0x01 || left || right), odd node promoted';
+
+/**
+ * Resolve WebCrypto SubtleCrypto in browser or Node.
+ * @returns {SubtleCrypto}
+ */
+function getMerkleSubtle() {
+  if (typeof globalThis !== 'undefined' && globalThis.crypto && globalThis.crypto.subtle) {
+    return globalThis.crypto.subtle;
+  }
+  // eslint-disable-next-line no-undef
+  if (typeof require === 'function') return require('crypto').webcrypto.subtle;
+  throw new Error('WebCrypto not available');
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function merkleToHex(bytes) {
+  return Array.from(bytes)
+    .map((b) => b.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * @param {string} hex
+ * @returns {Uint8Array}
+ */
+function merkleFromHex(hex) {
+  const s = String(hex || '').toLowerCase();
+  if (!/^[a-f0-9]{64}$/.test(s)) throw new Error(`Invalid sha256 hex: ${hex}`);
+  const out = new Uint8Array(32);
+  for (let i = 0; i < 32; i++) out[i] = parseInt(s.slice(i * 2, i * 2 + 2), 16);
+  return out;
+}
+
+/**
+ * SHA-256 over (prefix byte || parts...).
+ * @param {number} prefix
+ * @param {Array<Uint8Array>} parts
+ * @returns {Promise<Uint8Array>}
+ */
+async function merkleDigest(prefix, parts) {
+  const len = parts.reduce((acc, p) => acc + p.length, 1);
+  const buf = new Uint8Array(len);
+  buf[0] = prefix;
+  let offset = 1;
+  for (const p of parts) {
+    buf.set(p, offset);
+    offset += p.length;
+  }
+  return new Uint8Array(await getMerkleSubtle().digest('SHA-256', buf));
+}
+
+/**
+ * Leaf text for a message (same role/content normalization as transcript_compact).
+ * @param {{role?:string, content?:string}} message
+ * @returns {string}
+ */
+function merkleLeafText(message) {
+  const role = message && message.role === 'user' ? 'USER' : 'ASSISTANT';
+  return `${role}:\n${String((message && message.content) || '').trim()}`;
+}
+
+/**
+ * Leaf hash (hex) for one message.
+ * @param {{role?:string, content?:string}} message
+ * @returns {Promise<string>}
+ */
+async function merkleLeafHex(message) {
+  const bytes = new TextEncoder().encode(merkleLeafText(message));
+  return merkleToHex(await merkleDigest(0x00, [bytes]));
+}
+
+/**
+ * Build all tree levels from leaf hashes (level 0 = leaves, last level = [root]).
+ * @param {string[]} leaves
+ * @returns {Promise<Array<Uint8Array[]>>}
+ */
+async function buildMerkleLevels(leaves) {
+  let level = (Array.isArray(leaves) ? leaves : []).map(merkleFromHex);
+  const levels = [level];
+  while (level.length > 1) {
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(i + 1 < level.length ? await merkleDigest(0x01, [level[i], level[i + 1]]) : level[i]);
+    }
+    levels.push(next);
+    level = next;
+  }
+  return levels;
+}
+
+/**
+ * Hash every message and compute the tree root.
+ * A message's idx is its `idx` field (stored transcript rows) or its position in the list (a capture).
+ * Messages with empty content get no leaf (as in transcript_compact); their idx is listed in
+ * `skipped_message_idx` so merkleLeafIndex() can map a message idx to its leaf.
+ * @param {Array<{idx?:number, role:string, content:string}>} messages - in idx order
+ * @returns {Promise<{version:string, leaf_format:string, node_format:string, leaf_count:number, message_count:number,
+ *   skipped_message_idx:number[], root:string, leaves:string[]}>}
+ */
+async function buildMessageMerkle(messages) {
+  const leaves = [];
+  const withLeaf = new Set();
+  let messageCount = 0;
+  const list = Array.isArray(messages) ? messages : [];
+  for (let pos = 0; pos < list.length; pos++) {
+    const m = list[pos];
+    const idx = Number.isInteger(m && m.idx) ? m.idx : pos;
+    messageCount = Math.max(messageCount, idx + 1);
+    if (!String((m && m.content) || '').trim()) continue;
+    withLeaf.add(idx);
+    leaves.push(await merkleLeafHex(m));
+  }
+  const skipped = [];
+  for (let idx = 0; idx < messageCount; idx++) if (!withLeaf.has(idx)) skipped.push(idx);
+  const levels = await buildMerkleLevels(leaves);
+  const top = levels[levels.length - 1];
+  return {
+    version: MESSAGE_MERKLE_VERSION,
+    leaf_format: MESSAGE_MERKLE_LEAF_FORMAT,
+    node_format: MESSAGE_MERKLE_NODE_FORMAT,
+    leaf_count: leaves.length,
+    message_count: messageCount,
+    skipped_message_idx: skipped,
+    root: top.length ? merkleToHex(top[0]) : '',
+    leaves
+  };
+}
+
+/**
+ * Leaf index of a message in a tree built by buildMessageMerkle().
+ * @param {{leaf_count:number, message_count?:number, skipped_message_idx?:number[]}} merkle
+ * @param {number} messageIdx - 0-based message idx (stored transcript idx)
+ * @returns {number} leaf index, -1 when the message is out of range or has no leaf (empty)
+ */
+function merkleLeafIndex(merkle, messageIdx) {
+  const idx = Number(messageIdx);
+  const skipped = Array.isArray(merkle && merkle.skipped_message_idx) ? merkle.skipped_message_idx : [];
+  const count = typeof (merkle && merkle.message_count) === 'number' ? merkle.message_count : Number(merkle && merkle.leaf_count) || 0;
+  if (!Number.isInteger(idx) || idx < 0 || idx >= count || skipped.includes(idx)) return -1;
+  return idx - skipped.filter((s) => s < idx).length;
+}
+
+/**
+ * Inclusion proof for leaf N.
+ * @param {string[]} leaves - Leaf hashes (hex), e.g. snapshot.conversation_fingerprint.merkle.leaves
+ * @param {number} index - 0-based leaf index (see merkleLeafIndex for a message idx)
+ * @returns {Promise<{version:string, index:number, leaf_count:number, leaf:string, path:Array<{side:'left'|'right', hash:string}>, root:string}>}
+ */
+async function buildMerkleProof(leaves, index) {
+  const list = Array.isArray(leaves) ? leaves : [];
+  const i0 = Number(index);
+  if (!Number.isInteger(i0) || i0 < 0 || i0 >= list.length) {
+    throw new Error(`Leaf index out of range: ${index} (leaf_count=${list.length})`);
+  }
+  const levels = await buildMerkleLevels(list);
+  const path = [];
+  let i = i0;
+  for (let d = 0; d < levels.length - 1; d++) {
+    const level = levels[d];
+    const sibling = i % 2 === 0 ? i + 1 : i - 1;
+    // Promoted odd node: no sibling at this level.
+    if (sibling < level.length) {
+      path.push({ side: i % 2 === 0 ? 'right' : 'left', hash: merkleToHex(level[sibling]) });
+    }
+    i = Math.floor(i / 2);
+  }
+  return {
+    version: MESSAGE_MERKLE_VERSION,
+    index: i0,
+    leaf_count: list.length,
+    leaf: String(list[i0]).toLowerCase(),
+    path,
+    root: merkleToHex(levels[levels.length - 1][0])
+  };
+}
+
+/**
+ * Verify an inclusion proof against an expected root (and optionally the quoted message itself).
+ * The side of each step is derived from the leaf index and the leaf count (odd nodes promoted), never read from the
+ * proof: a proof relabelled with another index, or with a path of the wrong length, fails.
+ * @param {{index:number, leaf_count?:number, leaf:string, path:Array<{side:string, hash:string}>}} proof
+ * @param {string} expectedRoot - Root taken from the (checksummed) snapshot, never from the proof
+ * @param {{role:string, content:string}} [message] - When given, the leaf is recomputed from it
+ * @param {number} [leafCount] - Leaf count from the snapshot (defaults to proof.leaf_count)
+ * @returns {Promise<{ok:boolean, reason:string, root?:string}>}
+ */
+async function verifyMerkleProof(proof, expectedRoot, message, leafCount) {
+  if (!proof || typeof proof !== 'object' || !Array.isArray(proof.path)) {
+    return { ok: false, reason: 'malformed_proof' };
+  }
+  if (proof.path.some((step) => !step || (step.side !== 'left' && step.side !== 'right'))) {
+    return { ok: false, reason: 'malformed_proof' };
+  }
+  const count = leafCount === undefined ? proof.leaf_count : leafCount;
+  if (!Number.isInteger(count) || !Number.isInteger(proof.index) || proof.index < 0 || proof.index >= count) {
+    return { ok: false, reason: 'index_out_of_range' };
+  }
+  try {
+    if (message) {
+      const leaf = await merkleLeafHex(message);
+      if (leaf !== String(proof.leaf || '').toLowerCase()) return { ok: false, reason: 'message_does_not_match_leaf' };
+    }
+    let node = merkleFromHex(proof.leaf);
+    let i = proof.index;
+    let width = count;
+    let step = 0;
+    while (width > 1) {
+      // Promoted odd node: no sibling at this level.
+      if (!(i % 2 === 0 && i + 1 >= width)) {
+        const expected = i % 2 === 0 ? 'right' : 'left';
+        const next = proof.path[step++];
+        if (!next || next.side !== expected) return { ok: false, reason: 'path_does_not_match_index' };
+        const sib = merkleFromHex(next.hash);
+        node = await merkleDigest(0x01, expected === 'left' ? [sib, node] : [node, sib]);
+      }
+      i = Math.floor(i / 2);
+      width = Math.ceil(width / 2);
+    }
+    if (step !== proof.path.length) return { ok: false, reason: 'path_does_not_match_index' };
+    const root = merkleToHex(node);
+    if (root !== String(expectedRoot || '').toLowerCase()) return { ok: false, reason: 'root_mismatch', root };
+    return { ok: true, reason: 'included', root };
+  } catch (e) {
+    return { ok: false, reason: String(e?.message || e) };
+  }
+}
+
+// Export for browser and Node.js
+if (typeof window !== 'undefined') {
+  window.buildMessageMerkle = buildMessageMerkle;
+  window.buildMerkleProof = buildMerkleProof;
+  window.verifyMerkleProof = verifyMerkleProof;
+  window.merkleLeafHex = merkleLeafHex;
+  window.merkleLeafIndex = merkleLeafIndex;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { buildMessageMerkle, buildMerkleProof, verifyMerkleProof, merkleLeafHex, merkleLeafIndex };
+}
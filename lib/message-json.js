@@ -0,0 +1,324 @@
+/**
+ * RL4 Message JSON normalization
+ * Shared by the content script (provider API payloads) and the popup (provider export archives):
+ * role/content normalization, de-dup signature and the generic "find messages in any JSON" walker.
+ */
+
+/**
+ * Cheap stable signature for de-dup (no crypto).
+ * IMPORTANT: do NOT use only the prefix, as many LLM messages share long identical starts.
+ * We use: normalized prefix + normalized suffix + length.
+ * @param {string} role
+ * @param {string} content
+ * @returns {string}
+ */
+function messageSignature(role, content) {
+  const c = (content || '').replace(/\s+/g, ' ').trim().toLowerCase();
+  const len = c.length;
+  const head = c.slice(0, 220);
+  const tail = len > 220 ? c.slice(Math.max(0, len - 220)) : '';
+  return `${role || 'unknown'}|${len}|${head}|${tail}`;
+}
+
+/**
+ * Heuristic role normalization.
+ * @param {any} role
+ * @param {any} sender
+ * @returns {'user'|'assistant'|null}
+ */
+function normalizeMessageRole(role, sender) {
+  const r = String(role || '').toLowerCase();
+  const s = String(sender || '').toLowerCase();
+  if (r === 'user' || r === 'human') return 'user';
+  if (r === 'assistant' || r === 'claude' || r === 'ai') return 'assistant';
+  if (s === 'user' || s === 'human') return 'user';
+  if (s === 'assistant' || s === 'claude' || s === 'ai') return 'assistant';
+  return null;
+}
+
+/**
+ * Extract text content from Claude-style message shapes.
+ * Improved to handle Claude.ai block format (arrays of objects with type/text).
+ * @param {any} content
+ * @returns {string}
+ */
+function normalizeMessageContent(content) {
+  if (content === null || content === undefined) return '';
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content
+      .map((x) => {
+        if (typeof x === 'string') return x;
+        // Claude.ai block format: { type: "text", text: "..." }
+        if (x && typeof x === 'object') {
+          if (typeof x.text === 'string') return x.text;
+          if (x.type === 'text' && typeof x.text === 'string') return x.text;
+          // Fallback: try to stringify the whole block
+          if (x.content && typeof x.content === 'string') return x.content;
+        }
+        return '';
+      })
+      .filter(Boolean)
+      .join('\n')
+      .trim();
+  }
+  if (typeof content === 'object') {
+    // ChatGPT: { parts: ["..."] } (most common)
+    if (Array.isArray(content.parts)) {
+      return content.parts
+        .map((p) => {
+          if (typeof p === 'string') return p;
+          // Some ChatGPT payloads include structured parts: { type:'text', text:'...' } / { text:'...' }
+          if (p && typeof p === 'object') {
+            if (typeof p.text === 'string') return p.text;
+            if (p.type === 'text' && typeof p.text === 'string') return p.text;
+            if (typeof p.content === 'string') return p.content;
+          }
+          return '';
+        })
+        .filter(Boolean)
+        .join('\n')
+        .trim();
+    }
+    // Sometimes nested: { content: { parts: [...] } }
+    if (content.content && typeof content.content === 'object' && Array.isArray(content.content.parts)) {
+      return content.content.parts
+        .map((p) => {
+          if (typeof p === 'string') return p;
+          if (p && typeof p === 'object') {
+            if (typeof p.text === 'string') return p.text;
+            if (p.type === 'text' && typeof p.text === 'string') return p.text;
+            if (typeof p.content === 'string') return p.content;
+          }
+          return '';
+        })
+        .filter(Boolean)
+        .join('\n')
+        .trim();
+    }
+    if (typeof content.text === 'string') return content.text;
+    if (content.type === 'text' && typeof content.text === 'string') return content.text;
+  }
+  return '';
+}
+
+/**
+ * Extract messages from an array of message-like objects.
+ * @param {Array<any>} arr
+ * @param {Set<string>} seen
+ * @returns {Array<{role:'user'|'assistant', content:string, timestamp?:string}>}
+ */
+function extractMessagesFromArray(arr, seen) {
+  const out = [];
+  for (const item of arr) {
+    if (item && typeof item === 'object') {
+      // ChatGPT often nests the actual message under { message: { author: { role }, content: { parts } } }
+      const nestedMsg = item.message && typeof item.message === 'object' ? item.message : null;
+      const nestedRole = nestedMsg && nestedMsg.author ? nestedMsg.author.role : undefined;
+      const role = normalizeMessageRole(item.role ?? nestedRole, item.sender ?? nestedRole);
+      const content = normalizeMessageContent(
+        item.content ??
+          item.text ??
+          item.completion ??
+          (nestedMsg ? nestedMsg.content ?? nestedMsg : item.message)
+      );
+      if (role && content && content.length > 0) {
+        const sig = messageSignature(role, content);
+        if (!seen.has(sig)) {
+          seen.add(sig);
+          out.push({
+            role,
+            content,
+            timestamp:
+              item.timestamp ||
+              item.created_at ||
+              item.createdAt ||
+              item.updated_at ||
+              item.updatedAt ||
+              (nestedMsg && typeof nestedMsg.create_time === 'number'
+                ? new Date(nestedMsg.create_time * 1000).toISOString()
+                : undefined) ||
+              undefined
+          });
+        }
+      }
+    }
+  }
+  return out;
+}
+
+/**
+ * Recursively walk an object to find arrays of message-like objects.
+ * Improved to prioritize common Claude.ai structures (messages, chat_messages, conversation).
+ * @param {any} root
+ * @param {{log?: (msg:string, data?:any) => void, preferMapping?: boolean}} [options]
+ *   preferMapping: for ChatGPT `mapping` graphs, return only the root → current_node path
+ *   (skip the generic passes that would also pick up abandoned branches).
+ * @returns {Array<{role:'user'|'assistant', content:string, timestamp?:string}>}
+ */
+function extractMessagesFromAnyJson(root, options = {}) {
+  const log = typeof options.log === 'function' ? options.log : () => {};
+  const out = [];
+  const seen = new Set();
+
+  const pushOne = (role, content, timestamp) => {
+    if (!role || !content) return;
+    const sig = messageSignature(role, String(content));
+    if (seen.has(sig)) return;
+    seen.add(sig);
+    out.push({ role, content: String(content), timestamp });
+  };
+
+  const tryExtractChatGPTMessageObject = (node) => {
+    if (!node || typeof node !== 'object') return;
+    // Direct message object: { author:{role}, content:{parts:[...]}, create_time }
+    if (node.author && node.content) {
+      const authorRole = node.author && typeof node.author === 'object' ? node.author.role : undefined;
+      const role = normalizeMessageRole(authorRole, authorRole);
+      const content = normalizeMessageContent(node.content ?? node);
+      if (role && content) {
+        const ts =
+          typeof node.create_time === 'number' ? new Date(node.create_time * 1000).toISOString() : undefined;
+        pushOne(role, content, ts);
+      }
+    }
+    // Wrapper shape: { message: { author:{role}, content:{parts:[...]} } }
+    if (node.message && typeof node.message === 'object') {
+      tryExtractChatGPTMessageObject(node.message);
+    }
+  };
+
+  // ChatGPT full conversation format: { mapping: { nodeId: { parent, message } }, current_node: "<nodeId>" }
+  // IMPORTANT: mapping is a graph. The "real conversation" is the path root -> current_node (not Object.values(mapping)).
+  if (root && typeof root === 'object' && root.mapping && typeof root.mapping === 'object') {
+    try {
+      const mapping = root.mapping;
+      const currentNode =
+        (typeof root.current_node === 'string' && root.current_node) ||
+        (typeof root.currentNode === 'string' && root.currentNode) ||
+        '';
+
+      const chainIds = [];
+      if (currentNode && mapping[currentNode]) {
+        let cur = currentNode;
+        const guard = new Set();
+        while (cur && mapping[cur] && !guard.has(cur) && chainIds.length < 100_000) {
+          guard.add(cur);
+          chainIds.push(cur);
+          cur = mapping[cur] && typeof mapping[cur] === 'object' ? mapping[cur].parent : null;
+        }
+        chainIds.reverse();
+      }
+
+      const extracted = [];
+      const idsToUse = chainIds.length ? chainIds : Object.keys(mapping);
+      for (const id of idsToUse) {
+        const node = mapping[id];
+        const msg = node && typeof node === 'object' ? node.message : null;
+        if (!msg || typeof msg !== 'object') continue;
+
+        const authorRole = msg.author && typeof msg.author === 'object' ? msg.author.role : undefined;
+        const role = normalizeMessageRole(authorRole, authorRole);
+        if (role !== 'user' && role !== 'assistant') continue;
+
+        // Skip non-conversation blobs and hidden items
+        const c = msg.content && typeof msg.content === 'object' ? msg.content : null;
+        const ctype = c && typeof c.content_type === 'string' ? c.content_type : '';
+        if (ctype === 'user_editable_context') continue;
+        const md = msg.metadata && typeof msg.metadata === 'object' ? msg.metadata : null;
+        if (md && md.is_visually_hidden_from_conversation) continue;
+
+        const content = normalizeMessageContent(c ?? msg);
+        if (!content) continue;
+
+        extracted.push({
+          role,
+          content,
+          timestamp:
+            typeof msg.create_time === 'number'
+              ? new Date(msg.create_time * 1000).toISOString()
+              : undefined
+        });
+      }
+
+      const asArray = extractMessagesFromArray(extracted, seen);
+      if (asArray.length > 0) {
+        log('Found ChatGPT mapping structure', { count: asArray.length, usedPath: !!chainIds.length });
+        out.push(...asArray);
+        if (options.preferMapping) return out;
+      }
+    } catch (_) {
+      // ignore
+    }
+  }
+
+  // First pass: look for common Claude.ai structures
+  if (root && typeof root === 'object') {
+    const commonKeys = ['messages', 'chat_messages', 'conversation', 'items', 'chat', 'data'];
+    for (const key of commonKeys) {
+      if (!Array.isArray(root[key])) continue;
+      log(`Found common structure: ${key}`, { count: root[key].length });
+      const extracted = extractMessagesFromArray(root[key], seen);
+      if (extracted.length > 0) {
+        out.push(...extracted);
+        log(`Extracted ${extracted.length} messages from ${key}`, { totalSoFar: out.length });
+      }
+    }
+  }
+
+  // Fallback: recursive walk
+  const visit = (node, depth) => {
+    if (!node || depth > 8) return; // Increased depth limit
+    if (Array.isArray(node)) {
+      const extracted = extractMessagesFromArray(node, seen);
+      if (extracted.length > 0) {
+        out.push(...extracted);
+      }
+      // Continue visiting for nested structures
+      for (const item of node) {
+        visit(item, depth + 1);
+      }
+      return;
+    }
+    if (typeof node === 'object') {
+      // ChatGPT SSE / backend frames often contain a single "message" object (not in arrays)
+      tryExtractChatGPTMessageObject(node);
+      for (const k of Object.keys(node)) {
+        visit(node[k], depth + 1);
+      }
+    }
+  };
+
+  visit(root, 0);
+
+  // Final pass: de-dup again (across key-based + recursive extraction)
+  const uniq = [];
+  const sigSeen = new Set();
+  for (const m of out) {
+    const sig = messageSignature(m.role, m.content || '');
+    if (sigSeen.has(sig)) continue;
+    sigSeen.add(sig);
+    uniq.push(m);
+  }
+
+  return uniq;
+}
+
+// Export for browser and Node.js
+if (typeof window !== 'undefined') {
+  window.messageSignature = messageSignature;
+  window.normalizeMessageRole = normalizeMessageRole;
+  window.normalizeMessageContent = normalizeMessageContent;
+  window.extractMessagesFromArray = extractMessagesFromArray;
+  window.extractMessagesFromAnyJson = extractMessagesFromAnyJson;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    messageSignature,
+    normalizeMessageRole,
+    normalizeMessageContent,
+    extractMessagesFromArray,
+    extractMessagesFromAnyJson
+  };
+}
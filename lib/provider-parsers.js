@@ -0,0 +1,457 @@
+/**
+ * RL4 Provider payload parsers
+ * Pure parsers for the provider API payloads the content script sees (no DOM, no chrome.*), so they
+ * can be replayed offline against recorded fixtures (tests/fixtures/providers/).
+ *
+ * - tryParseGoogleBatchExecute : Gemini/Bard `batchexecute` frames
+ * - extractClaudeMessageRecords / detectClaudePaginationInfo : Claude chat_conversations pages
+ * - extractChatGPTMappingMessages : ChatGPT /backend-api/conversation `mapping` tree
+ * - extractDeepSeekHistoryMessages : DeepSeek /api/v0/chat/history_messages
+ * - extractGrokResponses : Grok /rest/app-chat/conversations/<id>/responses
+ * - assembleSseAssistantText : assistant text of one streamed reply (ChatGPT SSE `data:` frames)
+ * - parseApiResponseBody : JSON → batchexecute → NDJSON cascade for intercepted bodies
+ */
+
+/**
+ * Resolve lib/message-json.js helpers (globals in the content script, required in Node).
+ * @returns {{normalizeMessageRole:Function, normalizeMessageContent:Function}}
+ */
+function getProviderMessageJson() {
+  if (typeof normalizeMessageContent === 'function' && typeof normalizeMessageRole === 'function') {
+    return { normalizeMessageRole, normalizeMessageContent };
+  }
+  // eslint-disable-next-line no-undef
+  if (typeof require === 'function') return require('./message-json.js');
+  throw new Error('message-json helpers not available (load lib/message-json.js)');
+}
+
+/**
+ * Best-effort parser for Google "batchexecute" responses (Gemini/Bard).
+ * The response is often XSSI-prefixed and line-delimited. Some frames contain JSON strings.
+ * @param {string} text
+ * @returns {any[]|null}
+ */
+function tryParseGoogleBatchExecute(text) {
+  try {
+    let t = String(text || '');
+    // XSSI prefix
+    t = t.replace(/^\)\]\}'\s*/m, '').trim();
+    if (!t) return null;
+
+    const lines = t
+      .split('\n')
+      .map((l) => l.trim())
+      .filter(Boolean);
+
+    const parsed = [];
+    for (const line of lines) {
+      // Skip length prefixes / non-JSON lines
+      if (!line.startsWith('[') && !line.startsWith('{')) continue;
+      try {
+        parsed.push(JSON.parse(line));
+      } catch (_) {
+        // ignore
+      }
+    }
+
+    // Expand nested JSON strings commonly embedded in batchexecute frames
+    const expanded = [];
+    const stack = [...parsed];
+    while (stack.length) {
+      const cur = stack.pop();
+      expanded.push(cur);
+      if (typeof cur === 'string') {
+        const s = cur.trim();
+        if ((s.startsWith('[') && s.endsWith(']')) || (s.startsWith('{') && s.endsWith('}'))) {
+          try {
+            stack.push(JSON.parse(s));
+          } catch (_) {
+            // ignore
+          }
+        }
+      } else if (Array.isArray(cur)) {
+        for (const v of cur) {
+          if (typeof v === 'string') stack.push(v);
+        }
+      } else if (cur && typeof cur === 'object') {
+        for (const v of Object.values(cur)) {
+          if (typeof v === 'string') stack.push(v);
+        }
+      }
+    }
+
+    return expanded.length ? expanded : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Parse an intercepted response body: JSON first, then batchexecute (Gemini/Bard URLs),
+ * then newline-delimited JSON.
+ * @param {string} body
+ * @param {string} url
+ * @returns {any|null}
+ */
+function parseApiResponseBody(body, url) {
+  try {
+    return JSON.parse(body);
+  } catch (_) {
+    // not plain JSON
+  }
+  const u = String(url || '');
+  if (u.includes('/batchexecute') || u.includes('/_/BardChatUi/')) {
+    const parsed = tryParseGoogleBatchExecute(body);
+    if (parsed && parsed.length) return parsed;
+  }
+  const lines = String(body || '')
+    .split('\n')
+    .map((l) => l.trim())
+    .filter(Boolean);
+  if (lines.length <= 1) return null;
+  const parsed = [];
+  for (const line of lines) {
+    try {
+      parsed.push(JSON.parse(line));
+    } catch (_) {
+      // ignore
+    }
+  }
+  return parsed.length ? parsed : null;
+}
+
+/**
+ * Claude message records (ids kept to support the "before" pagination cursor).
+ * Picks the largest message-like array among the known payload shapes.
+ * @param {any} json
+ * @returns {Array<{id:string, role:'user'|'assistant'|null, content:string, timestamp?:string, raw:any}>}
+ */
+function extractClaudeMessageRecords(json) {
+  const out = [];
+  try {
+    const { normalizeMessageRole, normalizeMessageContent } = getProviderMessageJson();
+    const candidates = [];
+    const pushArr = (arr) => {
+      if (Array.isArray(arr) && arr.length) candidates.push(arr);
+    };
+
+    if (json && typeof json === 'object') {
+      pushArr(json.chat_messages);
+      pushArr(json.messages);
+      if (json.conversation && typeof json.conversation === 'object') {
+        pushArr(json.conversation.chat_messages);
+        pushArr(json.conversation.messages);
+      }
+      if (json.data && typeof json.data === 'object') {
+        pushArr(json.data.chat_messages);
+        pushArr(json.data.messages);
+      }
+    }
+    // Try the largest candidate.
+    const arr = candidates.sort((a, b) => b.length - a.length)[0] || [];
+    for (const m of arr) {
+      if (!m || typeof m !== 'object') continue;
+      const id = m.id || m.uuid || m.message_id || m.messageId || m.chat_message_id || m.chatMessageId || '';
+
+      // Sender can be a string ("human"/"assistant") or an object with a role.
+      let role = null;
+      if (m.role) {
+        role = normalizeMessageRole(m.role, m.sender);
+      } else if (m.sender) {
+        if (typeof m.sender === 'string') {
+          role = normalizeMessageRole(m.sender, m.sender);
+        } else if (typeof m.sender === 'object' && m.sender.role) {
+          role = normalizeMessageRole(m.sender.role, m.sender);
+        }
+      }
+      if (!role) {
+        role = normalizeMessageRole(m.author, m.sender);
+      }
+
+      // Content array (Claude format) first, then text / message / completion.
+      let content = '';
+      if (m.content) {
+        content = normalizeMessageContent(m.content);
+      } else if (m.text) {
+        content = normalizeMessageContent(m.text);
+      } else if (m.message) {
+        content = normalizeMessageContent(m.message);
+      } else if (m.completion) {
+        content = normalizeMessageContent(m.completion);
+      }
+
+      if (!content || content.trim().length === 0) continue;
+
+      out.push({
+        id: String(id || ''),
+        role: role || null,
+        content: content.trim(),
+        timestamp:
+          typeof m.created_at === 'string'
+            ? m.created_at
+            : typeof m.createdAt === 'string'
+              ? m.createdAt
+              : typeof m.updated_at === 'string'
+                ? m.updated_at
+                : typeof m.updatedAt === 'string'
+                  ? m.updatedAt
+                  : Array.isArray(m.content) && m.content.length > 0 && m.content[0].start_timestamp
+                    ? m.content[0].start_timestamp
+                    : undefined,
+        raw: m
+      });
+    }
+  } catch (e) {
+    console.error('[RL4]', 'extractClaudeMessageRecords failed', e);
+  }
+  return out;
+}
+
+/**
+ * @param {any} json - One Claude messages page
+ * @returns {{hasMore:boolean, nextCursor:string}}
+ */
+function detectClaudePaginationInfo(json) {
+  try {
+    if (!json || typeof json !== 'object') return { hasMore: false, nextCursor: '' };
+    const hasMore =
+      json.has_more === true ||
+      json.hasMore === true ||
+      (json.pagination && typeof json.pagination === 'object' && json.pagination.has_more === true) ||
+      (json.pagination && typeof json.pagination === 'object' && json.pagination.hasMore === true);
+    const nextCursor =
+      (typeof json.next_cursor === 'string' && json.next_cursor) ||
+      (typeof json.nextCursor === 'string' && json.nextCursor) ||
+      (json.pagination && typeof json.pagination === 'object' && (json.pagination.next_cursor || json.pagination.nextCursor)) ||
+      '';
+    return { hasMore: !!hasMore, nextCursor: String(nextCursor || '') };
+  } catch (_) {
+    return { hasMore: false, nextCursor: '' };
+  }
+}
+
+/**
+ * ChatGPT conversation JSON: follow the real path root → current_node through `mapping`
+ * (edited / regenerated branches are dropped). Falls back to every node when current_node is missing.
+ * @param {any} json
+ * @returns {Array<{role:'user'|'assistant', content:string, timestamp:number|null}>} timestamp in epoch seconds
+ */
+function extractChatGPTMappingMessages(json) {
+  const out = [];
+  const mapping = json && typeof json === 'object' ? json.mapping : null;
+  if (!mapping || typeof mapping !== 'object') return out;
+  const { normalizeMessageContent } = getProviderMessageJson();
+
+  const currentNode =
+    (typeof json.current_node === 'string' && json.current_node) ||
+    (typeof json.currentNode === 'string' && json.currentNode) ||
+    '';
+
+  const chainIds = [];
+  if (currentNode && mapping[currentNode]) {
+    let cur = currentNode;
+    const guard = new Set();
+    while (cur && mapping[cur] && !guard.has(cur) && chainIds.length < 100_000) {
+      guard.add(cur);
+      chainIds.push(cur);
+      cur = mapping[cur] && typeof mapping[cur] === 'object' ? mapping[cur].parent : null;
+    }
+    chainIds.reverse();
+  }
+
+  const idsToUse = chainIds.length ? chainIds : Object.keys(mapping);
+  for (const id of idsToUse) {
+    const node = mapping[id];
+    const msg = node && typeof node === 'object' ? node.message : null;
+    if (!msg || typeof msg !== 'object') continue;
+
+    const role = msg.author && typeof msg.author === 'object' ? msg.author.role : null;
+    if (role !== 'user' && role !== 'assistant') continue;
+
+    const content = msg.content && typeof msg.content === 'object' ? msg.content : null;
+    const ctype = content && typeof content.content_type === 'string' ? content.content_type : '';
+    if (ctype === 'user_editable_context') continue;
+
+    const md = msg.metadata && typeof msg.metadata === 'object' ? msg.metadata : null;
+    if (md && md.is_visually_hidden_from_conversation) continue;
+
+    const text = normalizeMessageContent(content ?? msg);
+    if (!text) continue;
+
+    out.push({
+      role,
+      content: text,
+      timestamp: typeof msg.create_time === 'number' ? msg.create_time : null
+    });
+  }
+  return out;
+}
+
+/**
+ * DeepSeek chat history: data.biz_data.chat_messages (roles USER / ASSISTANT).
+ * Follows chat_session.current_message_id through parent_id when present, so regenerated answers
+ * are dropped like ChatGPT branches. Reasoning (thinking_content, THINK fragments) is not transcript.
+ * @param {any} json
+ * @returns {Array<{id:string, role:'user'|'assistant', content:string, timestamp:string|null}>}
+ */
+function extractDeepSeekHistoryMessages(json) {
+  const out = [];
+  const root = json && typeof json === 'object' ? json : null;
+  const biz = root && root.data && typeof root.data === 'object' && root.data.biz_data ? root.data.biz_data : root;
+  const list = biz && Array.isArray(biz.chat_messages) ? biz.chat_messages : [];
+  if (!list.length) return out;
+  const { normalizeMessageRole } = getProviderMessageJson();
+
+  const byId = new Map();
+  for (const m of list) {
+    if (m && typeof m === 'object' && m.message_id !== undefined && m.message_id !== null) byId.set(m.message_id, m);
+  }
+  let chain = list;
+  const session = biz.chat_session && typeof biz.chat_session === 'object' ? biz.chat_session : null;
+  const currentId = session ? session.current_message_id : null;
+  if (currentId !== null && currentId !== undefined && byId.has(currentId)) {
+    const ids = [];
+    const guard = new Set();
+    let cur = currentId;
+    while (cur !== null && cur !== undefined && byId.has(cur) && !guard.has(cur)) {
+      guard.add(cur);
+      ids.push(cur);
+      cur = byId.get(cur).parent_id;
+    }
+    chain = ids.reverse().map((id) => byId.get(id));
+  }
+
+  for (const m of chain) {
+    if (!m || typeof m !== 'object') continue;
+    const role = normalizeMessageRole(m.role, null);
+    if (!role) continue;
+    let content = typeof m.content === 'string' ? m.content : '';
+    if (!content && Array.isArray(m.fragments)) {
+      content = m.fragments
+        .filter((f) => f && f.type !== 'THINK' && typeof f.content === 'string')
+        .map((f) => f.content)
+        .join('\n');
+    }
+    content = content.trim();
+    if (!content) continue;
+    out.push({
+      id: String(m.message_id ?? ''),
+      role,
+      content,
+      timestamp: typeof m.inserted_at === 'number' ? new Date(m.inserted_at * 1000).toISOString() : null
+    });
+  }
+  return out;
+}
+
+/**
+ * Grok conversation responses: responses[] with sender (human / ASSISTANT) and message.
+ * @param {any} json
+ * @returns {Array<{id:string, role:'user'|'assistant', content:string, timestamp:string|null}>}
+ */
+function extractGrokResponses(json) {
+  const out = [];
+  const list = json && typeof json === 'object' && Array.isArray(json.responses) ? json.responses : [];
+  if (!list.length) return out;
+  const { normalizeMessageRole } = getProviderMessageJson();
+  for (const r of list) {
+    if (!r || typeof r !== 'object') continue;
+    const role = normalizeMessageRole(r.sender, null);
+    const content = typeof r.message === 'string' ? r.message.trim() : '';
+    if (!role || !content) continue;
+    out.push({
+      id: String(r.responseId || ''),
+      role,
+      content,
+      timestamp: typeof r.createTime === 'string' ? r.createTime : null
+    });
+  }
+  return out;
+}
+
+/**
+ * Rebuild the assistant text of one streamed reply from its SSE `data:` payloads.
+ * Handles ChatGPT's full-message frames (message.content.parts, cumulative), its delta encoding
+ * ({p, o:'append'|'patch', v}) and OpenAI-style choices[].delta.content.
+ * @param {string[]} frames - `data:` payloads in arrival order
+ * @returns {string}
+ */
+function assembleSseAssistantText(frames) {
+  const PART = /^\/message\/content\/parts\/\d+$/;
+  let text = '';
+  let lastPath = '';
+  const fullText = (msg) => {
+    if (!msg || typeof msg !== 'object') return null;
+    const role = msg.author && typeof msg.author === 'object' ? msg.author.role : msg.role;
+    const parts = msg.content && Array.isArray(msg.content.parts) ? msg.content.parts : null;
+    if (role !== 'assistant' || !parts) return null;
+    return parts.filter((p) => typeof p === 'string').join('');
+  };
+  const applyOp = (op) => {
+    if (!op || typeof op !== 'object') return;
+    const path = typeof op.p === 'string' ? op.p : lastPath;
+    if (op.o === 'patch' && Array.isArray(op.v)) {
+      for (const sub of op.v) applyOp(sub);
+      return;
+    }
+    if (typeof op.v === 'string' && PART.test(path) && (!op.o || op.o === 'append')) {
+      text += op.v;
+      lastPath = path;
+      return;
+    }
+    if (op.v && typeof op.v === 'object' && !Array.isArray(op.v)) {
+      const full = fullText(op.v.message);
+      if (full !== null) {
+        text = full;
+        lastPath = '/message/content/parts/0';
+      }
+    }
+  };
+
+  for (const frame of Array.isArray(frames) ? frames : []) {
+    let json = null;
+    try {
+      json = JSON.parse(String(frame || ''));
+    } catch (_) {
+      continue;
+    }
+    if (!json || typeof json !== 'object') continue;
+    const full = fullText(json.message);
+    if (full !== null) {
+      text = full;
+      continue;
+    }
+    const choice = Array.isArray(json.choices) ? json.choices[0] : null;
+    if (choice && choice.delta && typeof choice.delta.content === 'string') {
+      text += choice.delta.content;
+      continue;
+    }
+    applyOp(json);
+  }
+  return text.trim();
+}
+
+// Export for browser and Node.js
+if (typeof window !== 'undefined') {
+  window.tryParseGoogleBatchExecute = tryParseGoogleBatchExecute;
+  window.parseApiResponseBody = parseApiResponseBody;
+  window.extractClaudeMessageRecords = extractClaudeMessageRecords;
+  window.detectClaudePaginationInfo = detectClaudePaginationInfo;
+  window.extractChatGPTMappingMessages = extractChatGPTMappingMessages;
+  window.extractDeepSeekHistoryMessages = extractDeepSeekHistoryMessages;
+  window.extractGrokResponses = extractGrokResponses;
+  window.assembleSseAssistantText = assembleSseAssistantText;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    tryParseGoogleBatchExecute,
+    parseApiResponseBody,
+    extractClaudeMessageRecords,
+    detectClaudePaginationInfo,
+    extractChatGPTMappingMessages,
+    extractDeepSeekHistoryMessages,
+    extractGrokResponses,
+    assembleSseAssistantText
+  };
+}
@@ -0,0 +1,469 @@
+/**
+ * RL4 Provider adapters
+ * One adapter per supported LLM site. Everything provider-specific lives here, so supporting a new
+ * site means adding one adapter (plus its match patterns in manifest.json, checked by the tests).
+ *
+ * Loaded in the extension contexts that need provider knowledge:
+ * - content script (manifest content_scripts)
+ * - service worker (importScripts) and popup (popup.html)
+ * The page context never loads this file: content.js hands lib/api-interceptor.js a JSON copy of the
+ * data it needs (getPageInterceptorConfig), so the page cannot read or change the registry.
+ *
+ * Adapter shape:
+ * - id / label
+ * - hosts            : page hostnames (exact match)
+ * - conversationPath : path segment before the conversation id (/chat/<id>); null → hash of the path
+ * - selectors        : DOM capture. messageNodes = one node per turn; the role comes from
+ *                      roleAttribute (value user|assistant, or true|false for an is-user flag),
+ *                      userContainer/assistantContainer (closest)
+ *                      or userMessage/assistantMessage (text nodes, preferred over messageNodes).
+ *                      userText / assistantMarkdown / thoughtDisclosure = turn internals (Gemini): with
+ *                      assistantMarkdown set, turns are read through them and toolbar labels are dropped.
+ *                      assistantAriaLabel = extra aria-label word marking an assistant turn.
+ *                      composer / sendButton = where "Send to…" pastes the handoff (lib/composer.js);
+ *                      no sendButton → submit with Enter
+ * - selectorsFrom    : id of the adapter whose message selectors DOM capture uses when this one has no messageNodes
+ * - capture          : content.js capture strategy and tuning (all optional)
+ *                      api         = history fetch before DOM capture: 'chatgpt_conversation' (api.conversation
+ *                                    JSON, embedded state, page-context request), 'claude_messages' (paginated
+ *                                    messages API), 'perplexity_thread' (page-context thread request);
+ *                                    none → api.historyUrl when set
+ *                      share       = /share/ pages: 'claude_snapshot' (snapshot API) or 'dom' (default)
+ *                      scanRetries = initial DOM scans while the page hydrates (default 3)
+ *                      deepMaxMs   = deep capture budget (default 12s)
+ *                      hydrate     = reverse infinite scroll: scroll up until history stops growing. waitMs,
+ *                                    maxNoGrowth, maxMs, pulses, pulseDelayMs, observeDocument (mutations
+ *                                    land outside the scroller), wheelDocument, apiSettleMs, topJitter
+ * - startUrl         : new-chat page opened by "Send to…" (an open tab is reused only when it is on this page)
+ * - pasteLimitTokens : practical size of a pasted handoff before the site truncates it or turns it into an
+ *                      attachment (lib/handoff-budget.js fits the prompt under it)
+ * - api.paths        : same-origin endpoint path fragments the page interceptor mirrors
+ * - api.hosts        : cross-origin API hosts the page is allowed to call (and we may observe)
+ * - api.history      : path fragment of the conversation history endpoint (intercepted bodies go to parse)
+ * - api.historyUrl(id) / api.historyHeaders(storage) : same-origin history fetch issued by content.js
+ * - parse(json)      : provider-shaped API JSON → [{role, content, timestamp?}]
+ */
+
+/**
+ * Resolve lib/provider-parsers.js + lib/message-json.js (globals in the extension, required in Node).
+ * Resolved lazily: only parse() needs them.
+ * @returns {Object}
+ */
+function getProviderParserLib() {
+  if (typeof extractClaudeMessageRecords === 'function' && typeof extractMessagesFromAnyJson === 'function') {
+    return {
+      extractClaudeMessageRecords,
+      extractChatGPTMappingMessages,
+      extractDeepSeekHistoryMessages,
+      extractGrokResponses,
+      extractMessagesFromAnyJson
+    };
+  }
+  // eslint-disable-next-line no-undef
+  if (typeof require === 'function') return { ...require('./provider-parsers.js'), ...require('./message-json.js') };
+  throw new Error('provider parsers not available (load lib/provider-parsers.js and lib/message-json.js)');
+}
+
+const RL4_PROVIDER_ADAPTERS = [
+  {
+    id: 'claude',
+    label: 'Claude',
+    hosts: ['claude.ai'],
+    conversationPath: 'chat',
+    selectors: {
+      // Claude UI changes often; keep selectors broad but still message-oriented.
+      messageNodes:
+        'div[data-testid*="message"],article[data-testid*="message"],[data-testid^="chat-message"],[data-testid*="chat-message"],[data-testid^="conversation-turn"],article[data-testid^="conversation-turn-"]',
+      userMessage: '.font-user-message',
+      assistantMessage: '.font-claude-message',
+      roleAttribute: 'data-is-user-message',
+      assistantAriaLabel: 'claude',
+      composer: 'div.ProseMirror[contenteditable="true"], [contenteditable="true"][role="textbox"]',
+      sendButton: 'button[aria-label="Send message"], button[aria-label="Send Message"]'
+    },
+    startUrl: 'https://claude.ai/new',
+    pasteLimitTokens: 25_000,
+    capture: {
+      api: 'claude_messages',
+      share: 'claude_snapshot',
+      // Messages hydrate a while after load; history chunks load slowly.
+      scanRetries: 12,
+      hydrate: { waitMs: 2200, maxNoGrowth: 10, maxMs: 180_000, pulses: 12, pulseDelayMs: 120, observeDocument: true }
+    },
+    api: { paths: ['/api/'], hosts: [] },
+    parse: (json) => getProviderParserLib().extractClaudeMessageRecords(json)
+  },
+  {
+    id: 'chatgpt',
+    label: 'ChatGPT',
+    hosts: ['chatgpt.com', 'chat.openai.com'],
+    conversationPath: 'c',
+    selectors: {
+      // Modern UI: data-message-author-role; some variants wrap turns in <article data-testid="conversation-turn-*">
+      messageNodes: '[data-message-author-role], article[data-testid^="conversation-turn-"]',
+      roleAttribute: 'data-message-author-role',
+      // #prompt-textarea is a ProseMirror div in the current UI, a <textarea> in older ones.
+      composer: '#prompt-textarea, textarea[data-id="root"]',
+      sendButton: '#composer-submit-button, button[data-testid="send-button"]'
+    },
+    startUrl: 'https://chatgpt.com/',
+    pasteLimitTokens: 25_000,
+    capture: {
+      api: 'chatgpt_conversation',
+      deepMaxMs: 60_000,
+      // Slow pulses with wheel events on the document trigger chunk loading more reliably than a jump to the top.
+      hydrate: {
+        waitMs: 2500,
+        maxNoGrowth: 25,
+        maxMs: 420_000,
+        pulses: 14,
+        pulseDelayMs: 90,
+        observeDocument: true,
+        wheelDocument: true,
+        apiSettleMs: 650,
+        topJitter: true
+      }
+    },
+    // ChatGPT sometimes uses a cross-origin gateway (still first-party).
+    api: {
+      paths: ['/backend-api/'],
+      conversation: '/backend-api/conversation/',
+      hosts: [/\.api\.openai\.com$/, /chat\.gateway\.unified|chat-gateway|gateway\.unified/]
+    },
+    parse: (json) => getProviderParserLib().extractChatGPTMappingMessages(json)
+  },
+  {
+    id: 'gemini',
+    label: 'Gemini',
+    hosts: ['gemini.google.com', 'bard.google.com', 'g.co'],
+    conversationPath: 'app',
+    selectors: {
+      // Gemini often uses custom elements like <user-query> / <model-response>; support tag + class forms.
+      messageNodes: '.user-query-bubble-with-background, user-query, .model-response, model-response',
+      userContainer: '.user-query-bubble-with-background, user-query',
+      userText: '.query-text',
+      assistantContainer: '.model-response, model-response',
+      assistantMarkdown: '.markdown',
+      thoughtDisclosure: '.thought-disclosure',
+      // Quill editor inside <rich-textarea>.
+      composer: 'rich-textarea .ql-editor[contenteditable="true"], div.ql-editor[contenteditable="true"]',
+      sendButton: 'button.send-button, button[aria-label="Send message"]'
+    },
+    startUrl: 'https://gemini.google.com/app',
+    pasteLimitTokens: 25_000,
+    capture: { hydrate: {} },
+    api: { paths: ['/batchexecute', '/_/BardChatUi/'], hosts: [] },
+    parse: (json) => getProviderParserLib().extractMessagesFromAnyJson(json)
+  },
+  {
+    id: 'perplexity',
+    label: 'Perplexity',
+    hosts: ['www.perplexity.ai', 'perplexity.ai'],
+    // Threads live under /search/<slug>; the conversation id stays the path hash (stable across releases).
+    conversationPath: null,
+    threadPath: 'search',
+    selectorsFrom: 'claude',
+    selectors: {
+      // <textarea> in older builds, a Lexical contenteditable with the same id in newer ones.
+      composer: '#ask-input, textarea[placeholder]',
+      sendButton: 'button[data-testid="submit-button"], button[aria-label="Submit"]'
+    },
+    startUrl: 'https://www.perplexity.ai/',
+    // Large pastes switch Perplexity to file analysis, which ignores the handoff instructions.
+    pasteLimitTokens: 8_000,
+    capture: { api: 'perplexity_thread' },
+    // Thread history (GET /rest/thread/<slug>) and OpenAI-compatible /chat/completions.
+    api: { paths: ['/rest/thread/', '/chat/completions'], hosts: [/^api\.perplexity\.ai$/] },
+    parse: (json) => getProviderParserLib().extractMessagesFromAnyJson(json)
+  },
+  {
+    id: 'copilot',
+    label: 'Copilot',
+    hosts: ['copilot.microsoft.com'],
+    conversationPath: null,
+    selectorsFrom: 'claude',
+    selectors: {
+      composer: 'textarea#userInput, textarea[data-testid="composer-input"], textarea',
+      sendButton: 'button[data-testid="submit-button"], button[aria-label="Submit message"]'
+    },
+    startUrl: 'https://copilot.microsoft.com/',
+    // The composer stops accepting text at ~10k characters.
+    pasteLimitTokens: 2_500,
+    api: { paths: ['/chat/completions'], hosts: [/(^|\.)githubcopilot\.com$/] },
+    parse: (json) => getProviderParserLib().extractMessagesFromAnyJson(json)
+  },
+  {
+    id: 'mistral',
+    label: 'Le Chat',
+    hosts: ['chat.mistral.ai'],
+    conversationPath: 'chat',
+    selectors: {
+      messageNodes: '[data-message-author-role]',
+      roleAttribute: 'data-message-author-role',
+      composer: 'div.ProseMirror[contenteditable="true"], textarea',
+      sendButton: 'form button[type="submit"]'
+    },
+    startUrl: 'https://chat.mistral.ai/chat',
+    // Le Chat turns long pastes into an attachment much earlier than the other providers.
+    pasteLimitTokens: 5_000,
+    // Conversation payloads come from the app's own /api/ routes (messages[] with role/content).
+    api: { paths: ['/api/'], hosts: [] },
+    parse: (json) => getProviderParserLib().extractMessagesFromAnyJson(json)
+  },
+  {
+    id: 'deepseek',
+    label: 'DeepSeek',
+    hosts: ['chat.deepseek.com'],
+    // /a/chat/s/<uuid>
+    conversationPath: 's',
+    selectors: {
+      // Assistant turns render through .ds-markdown; user turns are plain .ds-message bubbles.
+      messageNodes: '.ds-message',
+      userContainer: '.ds-message:not(:has(.ds-markdown))',
+      assistantContainer: '.ds-message:has(.ds-markdown)',
+      // The send control is an unlabeled div[role=button]: submit with Enter.
+      composer: 'textarea#chat-input, textarea'
+    },
+    startUrl: 'https://chat.deepseek.com/',
+    pasteLimitTokens: 15_000,
+    api: {
+      paths: ['/api/'],
+      history: '/api/v0/chat/history_messages',
+      historyUrl: (id) => `/api/v0/chat/history_messages?chat_session_id=${encodeURIComponent(id)}`,
+      // The web app keeps its bearer token in localStorage.userToken ({"value": "..."}).
+      historyHeaders: (storage) => {
+        try {
+          const raw = storage && storage.getItem('userToken');
+          const token = raw ? JSON.parse(raw).value : '';
+          return token ? { Authorization: `Bearer ${token}` } : {};
+        } catch (_) {
+          return {};
+        }
+      },
+      hosts: []
+    },
+    parse: (json) => getProviderParserLib().extractDeepSeekHistoryMessages(json)
+  },
+  {
+    id: 'grok',
+    label: 'Grok',
+    hosts: ['grok.com'],
+    conversationPath: 'c',
+    selectors: {
+      messageNodes: 'div[id^="response-"]',
+      userContainer: 'div[id^="response-"].items-end',
+      assistantContainer: 'div[id^="response-"].items-start',
+      composer: 'div.ProseMirror[contenteditable="true"], textarea[aria-label], textarea',
+      sendButton: 'form button[type="submit"]'
+    },
+    startUrl: 'https://grok.com/',
+    pasteLimitTokens: 15_000,
+    api: {
+      paths: ['/rest/app-chat/'],
+      history: '/rest/app-chat/conversations/',
+      historyUrl: (id) => `/rest/app-chat/conversations/${encodeURIComponent(id)}/responses?includeThreads=true`,
+      hosts: []
+    },
+    parse: (json) => getProviderParserLib().extractGrokResponses(json)
+  }
+];
+
+/**
+ * @returns {Array<Object>} Registered adapters (registration order)
+ */
+function getProviderAdapters() {
+  return RL4_PROVIDER_ADAPTERS.slice();
+}
+
+/**
+ * Register (or replace, by id) a provider adapter.
+ * @param {Object} adapter
+ * @returns {Object} adapter
+ */
+function registerProviderAdapter(adapter) {
+  if (!adapter || typeof adapter.id !== 'string' || !adapter.id || !Array.isArray(adapter.hosts) || !adapter.hosts.length) {
+    throw new Error('Provider adapter needs an id and at least one host');
+  }
+  const full = {
+    label: adapter.id,
+    conversationPath: null,
+    selectors: {},
+    capture: {},
+    startUrl: `https://${adapter.hosts[0]}/`,
+    ...adapter,
+    api: { paths: [], hosts: [], ...(adapter.api || {}) }
+  };
+  const idx = RL4_PROVIDER_ADAPTERS.findIndex((a) => a.id === full.id);
+  if (idx >= 0) RL4_PROVIDER_ADAPTERS[idx] = full;
+  else RL4_PROVIDER_ADAPTERS.push(full);
+  return full;
+}
+
+/**
+ * @param {string} hostOrUrl - Hostname or absolute URL
+ * @returns {string} Lowercase hostname ('' when unparsable)
+ */
+function providerHostOf(hostOrUrl) {
+  const s = String(hostOrUrl || '').trim().toLowerCase();
+  if (!s) return '';
+  if (!s.includes('/')) return s;
+  try {
+    return new URL(s).hostname.toLowerCase();
+  } catch (_) {
+    return '';
+  }
+}
+
+/**
+ * @param {string} hostOrUrl - Page hostname or URL
+ * @returns {Object|null}
+ */
+function getProviderAdapter(hostOrUrl) {
+  const host = providerHostOf(hostOrUrl);
+  if (!host) return null;
+  return RL4_PROVIDER_ADAPTERS.find((a) => a.hosts.includes(host)) || null;
+}
+
+/**
+ * @param {string} id
+ * @returns {Object|null}
+ */
+function getProviderAdapterById(id) {
+  return RL4_PROVIDER_ADAPTERS.find((a) => a.id === id) || null;
+}
+
+/**
+ * @param {string} hostOrUrl
+ * @returns {string} Provider id, or 'unknown'
+ */
+function detectProviderId(hostOrUrl) {
+  const adapter = getProviderAdapter(hostOrUrl);
+  return adapter ? adapter.id : 'unknown';
+}
+
+/**
+ * https page on a supported provider host.
+ * @param {string} url
+ * @returns {boolean}
+ */
+function isSupportedProviderUrl(url) {
+  const u = String(url || '');
+  return u.startsWith('https://') && !!getProviderAdapter(u);
+}
+
+/**
+ * @returns {string[]} Every provider page hostname
+ */
+function getProviderHosts() {
+  return RL4_PROVIDER_ADAPTERS.flatMap((a) => a.hosts);
+}
+
+/**
+ * Chrome match patterns for manifest.json (host_permissions, content_scripts, web_accessible_resources).
+ * @returns {string[]}
+ */
+function getProviderMatchPatterns() {
+  return getProviderHosts().map((h) => `https://${h}/*`);
+}
+
+/**
+ * Provider owning a cross-origin API host (e.g. api.githubcopilot.com → copilot).
+ * @param {string} hostOrUrl
+ * @returns {Object|null}
+ */
+function getProviderAdapterForApiHost(hostOrUrl) {
+  const host = providerHostOf(hostOrUrl);
+  if (!host) return null;
+  return RL4_PROVIDER_ADAPTERS.find((a) => a.api.hosts.some((re) => re.test(host))) || null;
+}
+
+/**
+ * @returns {string[]} Union of the endpoint path fragments of every adapter
+ */
+function getProviderApiPaths() {
+  return Array.from(new Set(RL4_PROVIDER_ADAPTERS.flatMap((a) => a.api.paths)));
+}
+
+/**
+ * Tab URL on the adapter's new-chat page (startUrl path on any of its hosts; query and hash ignored).
+ * @param {Object|null} adapter
+ * @param {string} url
+ * @returns {boolean}
+ */
+function isProviderStartUrl(adapter, url) {
+  if (!adapter || !adapter.startUrl) return false;
+  try {
+    const u = new URL(String(url || ''));
+    if (u.protocol !== 'https:' || !adapter.hosts.includes(u.hostname.toLowerCase())) return false;
+    const trim = (p) => p.replace(/\/+$/, '');
+    return trim(u.pathname) === trim(new URL(adapter.startUrl).pathname);
+  } catch (_) {
+    return false;
+  }
+}
+
+/**
+ * Conversation id from the URL path segment the adapter declares (/chat/<id>, /c/<id>, /app/<id>).
+ * @param {Object|null} adapter
+ * @param {string} pathname
+ * @returns {string} '' when the adapter has no id segment or the path does not contain one
+ */
+function getProviderConversationId(adapter, pathname) {
+  if (!adapter || !adapter.conversationPath) return '';
+  const parts = String(pathname || '').split('/').filter(Boolean);
+  const idx = parts.indexOf(adapter.conversationPath);
+  return idx >= 0 && parts[idx + 1] ? parts[idx + 1] : '';
+}
+
+/**
+ * What lib/api-interceptor.js needs from the registry, as plain JSON (it crosses into the page as a
+ * data-rl4-config attribute; the interceptor rebuilds the host patterns and freezes it).
+ * @param {string} hostOrUrl - Page hostname or URL
+ * @returns {{provider: string, paths: string[], conversationPrefix: string, apiHosts: Array<{id: string, source: string, flags: string, paths: string[]}>}}
+ */
+function getPageInterceptorConfig(hostOrUrl) {
+  const adapter = getProviderAdapter(hostOrUrl);
+  return {
+    provider: adapter ? adapter.id : 'unknown',
+    paths: getProviderApiPaths(),
+    conversationPrefix: (adapter && adapter.api.conversation) || '',
+    apiHosts: RL4_PROVIDER_ADAPTERS.flatMap((a) =>
+      a.api.hosts.map((re) => ({ id: a.id, source: re.source, flags: re.flags, paths: a.api.paths.slice() }))
+    )
+  };
+}
+
+// Export for browser and Node.js
+if (typeof window !== 'undefined') {
+  window.getProviderAdapters = getProviderAdapters;
+  window.registerProviderAdapter = registerProviderAdapter;
+  window.getProviderAdapter = getProviderAdapter;
+  window.getProviderAdapterById = getProviderAdapterById;
+  window.detectProviderId = detectProviderId;
+  window.isSupportedProviderUrl = isSupportedProviderUrl;
+  window.getProviderHosts = getProviderHosts;
+  window.getProviderMatchPatterns = getProviderMatchPatterns;
+  window.getProviderAdapterForApiHost = getProviderAdapterForApiHost;
+  window.getProviderApiPaths = getProviderApiPaths;
+  window.getProviderConversationId = getProviderConversationId;
+  window.isProviderStartUrl = isProviderStartUrl;
+  window.getPageInterceptorConfig = getPageInterceptorConfig;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    getProviderAdapters,
+    registerProviderAdapter,
+    getProviderAdapter,
+    getProviderAdapterById,
+    detectProviderId,
+    isSupportedProviderUrl,
+    getProviderHosts,
+    getProviderMatchPatterns,
+    getProviderAdapterForApiHost,
+    getProviderApiPaths,
+    getProviderConversationId,
+    isProviderStartUrl,
+    getPageInterceptorConfig
+  };
+}
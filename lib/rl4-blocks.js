@@ -0,0 +1,627 @@
+/**
+ * RL4 Blocks grammar
+ * Parser + linter for the encoder reply (<RL4-ARCH> … HUMAN SUMMARY … <RL4-END/>).
+ * Used by content.js (auto-capture, round-trip, manual finalize) and by the popup's Step 3 paste box.
+ * Also parses the <RL4-CHUNK> notes of the chunked (map/merge) encoder, in content.js and background.js.
+ *
+ * Block bodies (NOT_AVAILABLE is accepted as the whole body of any block):
+ * - ARCH            : key:value|key:value (phase required, compress = NN.Nx)
+ * - LAYERS          : free text
+ * - TOPICS          : label(weight), label, … (comma or semicolon separated)
+ * - TIMELINE        : phase text|…|VELOCITY:..|CLARITY:..|DECISIONS:..
+ * - DECISIONS       : validated_intents=..|rejected=[..]|constraints=..|control_style=..
+ * - INSIGHTS        : patterns=.. correlations=.. risks=.. recommendations=.. (space or | separated)
+ * - COGNITIVE-DAYS  : day_id:focus1,focus2:key_shift|…
+ * - CAUSAL-CHAINS   : chain_id:trigger→decision→outcome(score)|…
+ * - PROGRESSIVE     : L1:glance|L2:context
+ *
+ * Diagnostics: { severity:'error'|'warning'|'info', code, message, block, line, column } (1-based).
+ * Errors mean the reply must not be sealed; warnings are reported but accepted.
+ */
+
+const RL4_NOT_AVAILABLE = 'NOT_AVAILABLE';
+
+/**
+ * Tag → AST key, whether the encoder must emit it, and the body parser.
+ * Core blocks are required; the cognitive V2.0 blocks are optional (older encoders and the local
+ * Copilot template do not emit them).
+ */
+const RL4_BLOCK_SPECS = {
+  'RL4-ARCH': { key: 'arch', required: true, parse: parseRl4ArchBody },
+  'RL4-LAYERS': { key: 'layers', required: true, parse: parseRl4TextBody },
+  'RL4-TOPICS': { key: 'topics', required: true, parse: parseRl4TopicsBody },
+  'RL4-TIMELINE': { key: 'timeline', required: true, parse: parseRl4TimelineBody },
+  'RL4-DECISIONS': { key: 'decisions', required: true, parse: parseRl4DecisionsBody },
+  'RL4-INSIGHTS': { key: 'insights', required: true, parse: parseRl4InsightsBody },
+  'RL4-COGNITIVE-DAYS': { key: 'cognitive_days', required: false, parse: parseRl4CognitiveDaysBody },
+  'RL4-CAUSAL-CHAINS': { key: 'causal_chains', required: false, parse: parseRl4CausalChainsBody },
+  'RL4-PROGRESSIVE': { key: 'progressive', required: false, parse: parseRl4ProgressiveBody }
+};
+
+const RL4_DECISION_KEYS = ['validated_intents', 'rejected', 'constraints', 'control_style'];
+const RL4_INSIGHT_KEYS = ['patterns', 'correlations', 'risks', 'recommendations'];
+const RL4_TIMELINE_METRICS = ['VELOCITY', 'CLARITY', 'DECISIONS'];
+
+/**
+ * offset → {line, column} (1-based) for one source text.
+ * @param {string} text
+ * @returns {(offset:number) => {line:number, column:number}}
+ */
+function createRl4Locator(text) {
+  const starts = [0];
+  for (let i = 0; i < text.length; i++) if (text.charCodeAt(i) === 10) starts.push(i + 1);
+  return (offset) => {
+    let lo = 0;
+    let hi = starts.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (starts[mid] <= offset) lo = mid;
+      else hi = mid - 1;
+    }
+    return { line: lo + 1, column: offset - starts[lo] + 1 };
+  };
+}
+
+/**
+ * Split a block body on a separator, ignoring separators inside [..], (..), {..} and "..".
+ * @param {string} body
+ * @param {string} sep - Single character
+ * @param {number} base - Offset of body in the source text
+ * @returns {Array<{text:string, offset:number}>} Trimmed segments with their source offsets
+ */
+function splitRl4Segments(body, sep, base) {
+  const out = [];
+  let depth = 0;
+  let inQuote = false;
+  let start = 0;
+  const push = (end) => {
+    const raw = body.slice(start, end);
+    const lead = raw.length - raw.trimStart().length;
+    out.push({ text: raw.trim(), offset: base + start + lead });
+  };
+  for (let i = 0; i < body.length; i++) {
+    const c = body[i];
+    if (c === '"' && body[i - 1] !== '\\') inQuote = !inQuote;
+    if (inQuote) continue;
+    if (c === '[' || c === '(' || c === '{') depth++;
+    else if ((c === ']' || c === ')' || c === '}') && depth > 0) depth--;
+    else if (c === sep && depth === 0) {
+      push(i);
+      start = i + 1;
+    }
+  }
+  push(body.length);
+  return out;
+}
+
+/**
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isRl4Placeholder(value) {
+  const v = String(value || '').trim();
+  return v === '...' || v === '…';
+}
+
+/**
+ * Shared checks for one value (empty, placeholder, "none"/"UNKNOWN").
+ * @param {Object} ctx
+ * @param {string} label - Field name for messages
+ * @param {string} value
+ * @param {number} offset
+ */
+function lintRl4Value(ctx, label, value, offset) {
+  const v = String(value || '').trim();
+  if (!v) ctx.report('error', 'empty-value', `${label} is empty (use ${RL4_NOT_AVAILABLE})`, offset);
+  else if (isRl4Placeholder(v)) ctx.report('error', 'truncated', `${label} is a "..." placeholder`, offset);
+  else if (/^(none|unknown|n\/a)$/i.test(v)) ctx.report('warning', 'not-available-marker', `${label} is "${v}" (use ${RL4_NOT_AVAILABLE})`, offset);
+}
+
+/**
+ * key=value / key:value pairs separated by "|"; a segment that does not start with a key continues
+ * the previous value (values may contain "|").
+ * @param {Object} ctx
+ * @param {string} body
+ * @param {number} base
+ * @param {{sep:'='|':', keys?:string[]}} opts
+ * @returns {Array<{key:string, value:string, line:number, column:number, offset:number, separator:string}>}
+ */
+function parseRl4Pairs(ctx, body, base, { sep, keys }) {
+  const pairs = [];
+  for (const seg of splitRl4Segments(body, '|', base)) {
+    const m = /^([A-Za-z_][\w-]*)\s*([=:])\s*/.exec(seg.text);
+    const isKnown = m && keys && keys.includes(m[1].toLowerCase());
+    // Any "key<sep>" starts a pair; a known key with the wrong separator too (reported below).
+    if (m && (m[2] === sep || isKnown)) {
+      const key = keys ? m[1].toLowerCase() : m[1];
+      pairs.push({ key, value: seg.text.slice(m[0].length), offset: seg.offset, separator: m[2], ...ctx.locate(seg.offset) });
+      continue;
+    }
+    if (pairs.length) {
+      pairs[pairs.length - 1].value += `|${seg.text}`;
+      continue;
+    }
+    ctx.report('error', 'expected-pair', `expected key${sep}value, got "${seg.text.slice(0, 40)}"`, seg.offset);
+  }
+  for (const p of pairs) p.value = p.value.trim();
+  return pairs;
+}
+
+/**
+ * @param {Object} ctx
+ * @param {string} body
+ * @param {number} base
+ */
+function parseRl4TextBody(ctx, body, base) {
+  return { text: body.trim() };
+}
+
+/**
+ * @param {Object} ctx
+ * @param {string} body
+ * @param {number} base
+ */
+function parseRl4ArchBody(ctx, body, base) {
+  const pairs = parseRl4Pairs(ctx, body, base, { sep: ':' });
+  const values = {};
+  for (const p of pairs) {
+    if (p.separator !== ':') ctx.report('warning', 'separator', `use "${p.key}:" in RL4-ARCH (":" separates keys here)`, p.offset);
+    if (Object.prototype.hasOwnProperty.call(values, p.key)) ctx.report('warning', 'duplicate-key', `duplicate key "${p.key}"`, p.offset);
+    else values[p.key] = p.value;
+    lintRl4Value(ctx, p.key, p.value, p.offset);
+  }
+  if (!Object.prototype.hasOwnProperty.call(values, 'phase')) ctx.report('error', 'missing-key', 'missing "phase"', base);
+  if (!Object.prototype.hasOwnProperty.call(values, 'compress')) {
+    ctx.report('warning', 'missing-key', 'missing "compress"', base);
+  } else if (values.compress !== RL4_NOT_AVAILABLE && !/^\d+(\.\d+)?x$/i.test(values.compress)) {
+    ctx.report('warning', 'compress-format', `compress should look like "45.2x", got "${values.compress}"`, base);
+  }
+  return { pairs: pairs.map(({ key, value, line, column }) => ({ key, value, line, column })), values };
+}
+
+/**
+ * @param {Object} ctx
+ * @param {string} body
+ * @param {number} base
+ */
+function parseRl4TopicsBody(ctx, body, base) {
+  const items = [];
+  const segs = splitRl4Segments(body.replace(/;/g, ','), ',', base).filter((s) => s.text);
+  for (const seg of segs) {
+    const m = /^(.*?)\s*\(\s*(-?\d+(?:\.\d+)?)\s*\)$/.exec(seg.text);
+    const label = (m ? m[1] : seg.text).trim();
+    const weight = m ? Number(m[2]) : null;
+    if (!label) ctx.report('error', 'empty-value', 'topic without a label', seg.offset);
+    else if (/^none$/i.test(label)) ctx.report('warning', 'not-available-marker', `topic "none" (use ${RL4_NOT_AVAILABLE})`, seg.offset);
+    items.push({ label, weight, ...ctx.locate(seg.offset) });
+  }
+  return { items };
+}
+
+/**
+ * @param {Object} ctx
+ * @param {string} body
+ * @param {number} base
+ */
+function parseRl4TimelineBody(ctx, body, base) {
+  const phases = [];
+  const metrics = {};
+  for (const seg of splitRl4Segments(body, '|', base)) {
+    if (!seg.text) continue;
+    const m = /^(VELOCITY|CLARITY|DECISIONS)\s*[:=]\s*(.*)$/i.exec(seg.text);
+    if (m) {
+      const key = m[1].toUpperCase();
+      metrics[key] = m[2].trim();
+      lintRl4Value(ctx, key, metrics[key], seg.offset);
+    } else {
+      if (isRl4Placeholder(seg.text)) ctx.report('error', 'truncated', 'timeline entry is a "..." placeholder', seg.offset);
+      phases.push(seg.text);
+    }
+  }
+  for (const k of RL4_TIMELINE_METRICS) {
+    if (!Object.prototype.hasOwnProperty.call(metrics, k)) ctx.report('warning', 'missing-key', `missing "${k}:"`, base);
+  }
+  if (!phases.length) ctx.report('warning', 'empty-timeline', 'no timeline entries before the metrics', base);
+  return { phases, metrics };
+}
+
+/**
+ * rejected=[..]: JSON array, or a bracketed comma list.
+ * @param {Object} ctx
+ * @param {{value:string, offset:number}} pair
+ * @returns {string[]|null}
+ */
+function parseRl4RejectedList(ctx, pair) {
+  const v = pair.value.trim();
+  if (v === RL4_NOT_AVAILABLE) {
+    ctx.report('warning', 'rejected-format', 'rejected should be [] when nothing was rejected', pair.offset);
+    return [];
+  }
+  if (!/^\[[\s\S]*\]$/.test(v)) {
+    ctx.report('error', 'rejected-format', `rejected must be a [list], got "${v.slice(0, 40)}"`, pair.offset);
+    return null;
+  }
+  try {
+    const arr = JSON.parse(v);
+    if (Array.isArray(arr)) return arr.map((x) => (typeof x === 'string' ? x : JSON.stringify(x)));
+  } catch (_) {
+    // bracketed free text
+  }
+  return splitRl4Segments(v.slice(1, -1), ',', 0)
+    .map((s) => s.text.replace(/^["']|["']$/g, ''))
+    .filter(Boolean);
+}
+
+/**
+ * @param {Object} ctx
+ * @param {string} body
+ * @param {number} base
+ */
+function parseRl4DecisionsBody(ctx, body, base) {
+  const pairs = parseRl4Pairs(ctx, body, base, { sep: '=', keys: RL4_DECISION_KEYS });
+  const values = {};
+  let rejected = null;
+  for (const p of pairs) {
+    if (p.separator !== '=') ctx.report('error', 'separator', `use "${p.key}=" (never ":" in RL4-DECISIONS)`, p.offset);
+    if (!RL4_DECISION_KEYS.includes(p.key)) ctx.report('warning', 'unknown-key', `unknown key "${p.key}"`, p.offset);
+    if (Object.prototype.hasOwnProperty.call(values, p.key)) {
+      ctx.report('warning', 'duplicate-key', `duplicate key "${p.key}"`, p.offset);
+      continue;
+    }
+    values[p.key] = p.value;
+    if (p.key === 'rejected') rejected = parseRl4RejectedList(ctx, p);
+    else lintRl4Value(ctx, p.key, p.value, p.offset);
+  }
+  for (const k of RL4_DECISION_KEYS) {
+    if (!Object.prototype.hasOwnProperty.call(values, k)) ctx.report('error', 'missing-key', `missing "${k}="`, base);
+  }
+  return { values, rejected: rejected || [] };
+}
+
+/**
+ * @param {Object} ctx
+ * @param {string} body
+ * @param {number} base
+ */
+function parseRl4InsightsBody(ctx, body, base) {
+  const values = {};
+  const re = /(^|[\s|])(patterns|correlations|risks|recommendations)\s*([=:])/gi;
+  const hits = [];
+  let m;
+  while ((m = re.exec(body))) hits.push({ key: m[2].toLowerCase(), sep: m[3], start: m.index + m[1].length, valueStart: re.lastIndex });
+  if (!hits.length) {
+    ctx.report('error', 'expected-pair', 'expected patterns=… correlations=… risks=… recommendations=…', base);
+    return { values };
+  }
+  const lead = body.slice(0, hits[0].start).trim();
+  if (lead) ctx.report('error', 'unexpected-text', `unexpected text before "${hits[0].key}=": "${lead.slice(0, 40)}"`, base);
+  hits.forEach((h, i) => {
+    const end = i + 1 < hits.length ? hits[i + 1].start : body.length;
+    const value = body.slice(h.valueStart, end).trim().replace(/\|$/, '').trim();
+    const offset = base + h.start;
+    if (h.sep !== '=') ctx.report('error', 'separator', `use "${h.key}=" (never ":" in RL4-INSIGHTS)`, offset);
+    if (Object.prototype.hasOwnProperty.call(values, h.key)) {
+      ctx.report('warning', 'duplicate-key', `duplicate key "${h.key}"`, offset);
+      return;
+    }
+    values[h.key] = value;
+    lintRl4Value(ctx, h.key, value, offset);
+  });
+  for (const k of RL4_INSIGHT_KEYS) {
+    if (!Object.prototype.hasOwnProperty.call(values, k)) ctx.report('error', 'missing-key', `missing "${k}="`, base);
+  }
+  return { values };
+}
+
+/**
+ * @param {Object} ctx
+ * @param {string} body
+ * @param {number} base
+ */
+function parseRl4CognitiveDaysBody(ctx, body, base) {
+  const days = [];
+  for (const seg of splitRl4Segments(body, '|', base)) {
+    if (!seg.text) continue;
+    const parts = seg.text.split(':');
+    if (parts.length < 3) {
+      ctx.report('error', 'day-format', `expected day_id:focus:key_shift, got "${seg.text.slice(0, 40)}"`, seg.offset);
+      continue;
+    }
+    const id = parts[0].trim();
+    if (!/^day-\d+$/i.test(id)) ctx.report('warning', 'day-id', `day id "${id}" should look like day-1`, seg.offset);
+    days.push({
+      id,
+      focus: parts[1].split(',').map((f) => f.trim()).filter(Boolean),
+      key_shift: parts.slice(2).join(':').trim(),
+      ...ctx.locate(seg.offset)
+    });
+  }
+  return { days };
+}
+
+/**
+ * @param {Object} ctx
+ * @param {string} body
+ * @param {number} base
+ */
+function parseRl4CausalChainsBody(ctx, body, base) {
+  const chains = [];
+  for (const seg of splitRl4Segments(body, '|', base)) {
+    if (!seg.text) continue;
+    const colon = seg.text.indexOf(':');
+    if (colon <= 0) {
+      ctx.report('error', 'chain-format', `expected chain_id:trigger→decision→outcome(score), got "${seg.text.slice(0, 40)}"`, seg.offset);
+      continue;
+    }
+    const id = seg.text.slice(0, colon).trim();
+    let rest = seg.text.slice(colon + 1).trim();
+    let score = null;
+    const sm = /\(\s*([^()]*?)\s*\)\s*$/.exec(rest);
+    if (sm && /^-?\d*\.?\d+$/.test(sm[1])) {
+      score = Number(sm[1]);
+      rest = rest.slice(0, sm.index).trim();
+      if (score < 0 || score > 1) ctx.report('error', 'chain-score', `impact score ${sm[1]} is outside 0..1`, seg.offset);
+    }
+    const steps = rest.split(/\s*(?:→|->)\s*/).map((s) => s.trim()).filter(Boolean);
+    if (steps.length < 3) ctx.report('warning', 'chain-format', `chain "${id}" should read trigger→decision→outcome`, seg.offset);
+    chains.push({ id, steps, score, ...ctx.locate(seg.offset) });
+  }
+  return { chains };
+}
+
+/**
+ * @param {Object} ctx
+ * @param {string} body
+ * @param {number} base
+ */
+function parseRl4ProgressiveBody(ctx, body, base) {
+  const pairs = parseRl4Pairs(ctx, body, base, { sep: ':', keys: ['l1', 'l2'] });
+  const levels = {};
+  for (const p of pairs) {
+    const key = p.key.toUpperCase();
+    if (key !== 'L1' && key !== 'L2') ctx.report('warning', 'unknown-key', `unknown level "${p.key}"`, p.offset);
+    levels[key] = p.value;
+    lintRl4Value(ctx, key, p.value, p.offset);
+  }
+  if (!levels.L1) ctx.report('error', 'missing-key', 'missing "L1:"', base);
+  else if (levels.L1.length > 100) ctx.report('warning', 'length', `L1 is ${levels.L1.length} chars (max 100)`, base);
+  if (!levels.L2) ctx.report('warning', 'missing-key', 'missing "L2:"', base);
+  else if (levels.L2.length > 500) ctx.report('warning', 'length', `L2 is ${levels.L2.length} chars (max 500)`, base);
+  return { L1: levels.L1 || '', L2: levels.L2 || '' };
+}
+
+/**
+ * Parse an encoder reply into a typed AST and lint it.
+ * @param {string} input
+ * @returns {{
+ *   ok: boolean,
+ *   blocks: Object<string, {tag:string, text:string, body:string, line:number, column:number, not_available:boolean}>,
+ *   human_summary: string,
+ *   has_end: boolean,
+ *   diagnostics: Array<{severity:string, code:string, message:string, block:string, line:number, column:number}>,
+ *   counts: {errors:number, warnings:number}
+ * }}
+ */
+function parseRl4Blocks(input) {
+  const source = String(input || '');
+  const locate = createRl4Locator(source);
+  const diagnostics = [];
+  let currentBlock = '';
+  const ctx = {
+    locate,
+    report(severity, code, message, offset) {
+      diagnostics.push({ severity, code, message, block: currentBlock, ...locate(Math.max(0, offset)) });
+    }
+  };
+
+  const endIx = source.indexOf('<RL4-END/>');
+  const hasEnd = endIx !== -1;
+  const text = hasEnd ? source.slice(0, endIx) : source;
+  if (hasEnd && source.slice(endIx + '<RL4-END/>'.length).trim()) {
+    ctx.report('info', 'after-end', 'text after <RL4-END/> is ignored', endIx);
+  }
+
+  const blocks = {};
+  const seenOrder = [];
+  const tagRe = /<(\/?)(RL4-[A-Z0-9-]+)>/gi;
+  let open = null;
+  let sawOpen = false;
+  let lastClose = 0;
+  let m;
+  while ((m = tagRe.exec(text))) {
+    const closing = m[1] === '/';
+    const tag = m[2].toUpperCase();
+    if (!closing) {
+      if (open) {
+        currentBlock = open.tag;
+        ctx.report('error', 'unclosed', `<${open.tag}> is not closed before <${tag}>`, open.start);
+      } else if (!sawOpen && text.slice(0, m.index).trim()) {
+        currentBlock = '';
+        ctx.report('warning', 'leading-text', `text before <${tag}> (the reply must start with the first block)`, 0);
+      }
+      open = { tag, start: m.index, bodyStart: tagRe.lastIndex };
+      sawOpen = true;
+      continue;
+    }
+    currentBlock = tag;
+    if (!open || open.tag !== tag) {
+      ctx.report('error', 'unexpected-close', `</${tag}> without a matching <${tag}>`, m.index);
+      continue;
+    }
+    const spec = RL4_BLOCK_SPECS[tag];
+    const start = open.start;
+    const body = text.slice(open.bodyStart, m.index);
+    const node = {
+      tag,
+      text: text.slice(start, tagRe.lastIndex),
+      body: body.trim(),
+      not_available: body.trim() === RL4_NOT_AVAILABLE,
+      ...locate(start)
+    };
+    open = null;
+    lastClose = tagRe.lastIndex;
+    if (!spec) {
+      ctx.report('warning', 'unknown-block', `unknown block <${tag}>`, start);
+      continue;
+    }
+    if (blocks[spec.key]) {
+      ctx.report('warning', 'duplicate-block', `<${tag}> appears more than once (the first one is used)`, m.index);
+      continue;
+    }
+    seenOrder.push({ tag, start });
+    blocks[spec.key] = node;
+    const bodyOffset = m.index - body.length + (body.length - body.trimStart().length);
+    if (!node.body) ctx.report('error', 'empty-block', `empty block (use ${RL4_NOT_AVAILABLE})`, bodyOffset);
+    else if (isRl4Placeholder(node.body) || (node.body.includes('...') && node.body.length < 60 && !node.not_available)) {
+      ctx.report('error', 'truncated', 'block looks truncated ("...")', bodyOffset);
+    } else if (!node.not_available) {
+      Object.assign(node, spec.parse(ctx, node.body, bodyOffset));
+    }
+  }
+  if (open) {
+    currentBlock = open.tag;
+    ctx.report('error', 'unclosed', `<${open.tag}> is never closed`, open.start);
+  }
+
+  currentBlock = '';
+  const order = Object.keys(RL4_BLOCK_SPECS);
+  for (let i = 1; i < seenOrder.length; i++) {
+    const [prev, cur] = [seenOrder[i - 1], seenOrder[i]];
+    if (order.indexOf(cur.tag) < order.indexOf(prev.tag)) {
+      currentBlock = cur.tag;
+      ctx.report('warning', 'order', `<${cur.tag}> should come before <${prev.tag}>`, cur.start);
+      currentBlock = '';
+      break;
+    }
+  }
+  for (const [tag, spec] of Object.entries(RL4_BLOCK_SPECS)) {
+    if (!blocks[spec.key] && spec.required) ctx.report('error', 'missing-block', `missing <${tag}>`, text.length);
+  }
+
+  // HUMAN SUMMARY: free text after the last block.
+  const tail = text.slice(lastClose);
+  const hm = /HUMAN\s+SUMMARY\s*\**\s*:?\s*\**\s*\n?([\s\S]*)$/i.exec(tail);
+  const humanSummary = hm ? hm[1].trim() : '';
+  if (!humanSummary) ctx.report('warning', 'missing-summary', 'no HUMAN SUMMARY after the blocks', text.length);
+  if (!hasEnd) ctx.report('warning', 'missing-end', 'missing <RL4-END/>', source.length);
+
+  const errors = diagnostics.filter((d) => d.severity === 'error').length;
+  const warnings = diagnostics.filter((d) => d.severity === 'warning').length;
+  diagnostics.sort((a, b) => a.line - b.line || a.column - b.column);
+  return { ok: errors === 0, blocks, human_summary: humanSummary, has_end: hasEnd, diagnostics, counts: { errors, warnings } };
+}
+
+const RL4_CHUNK_SECTIONS = ['topics', 'decisions', 'rejected', 'constraints/control_style', 'open_questions'];
+const RL4_CHUNK_REQUIRED_SECTIONS = ['topics', 'decisions'];
+
+/**
+ * Parse the chunk notes block of the map step (<RL4-CHUNK> with "section:" headings and "- item" bullets).
+ * The last complete block wins (the encoder prompt itself contains an empty template).
+ * @param {string} input
+ * @returns {{
+ *   ok: boolean,
+ *   notes: string,
+ *   sections: Object<string, string[]>,
+ *   diagnostics: Array<{severity:string, code:string, message:string, block:string, line:number, column:number}>
+ * }}
+ */
+function parseRl4ChunkNotes(input) {
+  const source = String(input || '');
+  const locate = createRl4Locator(source);
+  const diagnostics = [];
+  const report = (severity, code, message, offset) =>
+    diagnostics.push({ severity, code, message, block: 'RL4-CHUNK', ...locate(Math.max(0, offset)) });
+
+  const re = /<RL4-CHUNK>([\s\S]*?)<\/RL4-CHUNK>/gi;
+  let m;
+  let last = null;
+  while ((m = re.exec(source))) last = { body: m[1], offset: m.index + '<RL4-CHUNK>'.length };
+  const sections = {};
+  if (!last) {
+    const open = source.search(/<RL4-CHUNK>/i);
+    if (open === -1) report('error', 'missing-block', 'missing <RL4-CHUNK>', source.length);
+    else report('error', 'unclosed', '<RL4-CHUNK> is never closed', open);
+    return { ok: false, notes: '', sections, diagnostics };
+  }
+
+  let current = null;
+  let offset = last.offset;
+  for (const line of last.body.split('\n')) {
+    const lineOffset = offset;
+    offset += line.length + 1;
+    const t = line.trim();
+    if (!t) continue;
+    const h = /^(topics|decisions|rejected|constraints\s*\/\s*control_style|constraints|control_style|open_questions)\s*:\s*(.*)$/i.exec(t);
+    if (h) {
+      current = /^constraints|^control_style/i.test(h[1]) ? 'constraints/control_style' : h[1].toLowerCase();
+      if (!sections[current]) sections[current] = [];
+      if (h[2].trim()) sections[current].push(h[2].trim());
+      continue;
+    }
+    if (!current) {
+      report('warning', 'unexpected-text', `text before the first section: "${t.slice(0, 40)}"`, lineOffset);
+      continue;
+    }
+    sections[current].push(t.replace(/^[-*•]\s*/, ''));
+  }
+
+  // Placeholders and "none" markers are not notes.
+  for (const k of Object.keys(sections)) {
+    sections[k] = sections[k].filter((item) => item && !isRl4Placeholder(item) && !/^(none|n\/a|NOT_AVAILABLE)$/i.test(item));
+  }
+  for (const k of RL4_CHUNK_SECTIONS) {
+    if (sections[k]) continue;
+    const required = RL4_CHUNK_REQUIRED_SECTIONS.includes(k);
+    report(required ? 'error' : 'warning', 'missing-section', `missing "${k}:"`, last.offset);
+  }
+  if (!Object.values(sections).some((items) => items.length)) {
+    report('error', 'empty-block', 'every section is empty or "..."', last.offset);
+  }
+
+  const ok = !diagnostics.some((d) => d.severity === 'error');
+  const notes = RL4_CHUNK_SECTIONS.map((k) => `${k}:\n${(sections[k] || []).map((x) => `- ${x}`).join('\n') || '- none'}`).join('\n');
+  return { ok, notes: ok ? `<RL4-CHUNK>\n${notes}\n</RL4-CHUNK>` : '', sections, diagnostics };
+}
+
+/**
+ * Lint only.
+ * @param {string} input
+ * @returns {Array<Object>} diagnostics (see parseRl4Blocks)
+ */
+function lintRl4Blocks(input) {
+  return parseRl4Blocks(input).diagnostics;
+}
+
+/**
+ * "3:12 error RL4-DECISIONS missing "rejected="" lines, most severe first.
+ * @param {Array<Object>} diagnostics
+ * @param {{max?:number, minSeverity?:'error'|'warning'|'info'}} [opts]
+ * @returns {string}
+ */
+function formatRl4Diagnostics(diagnostics, { max = 8, minSeverity = 'warning' } = {}) {
+  const rank = { error: 0, warning: 1, info: 2 };
+  const list = (Array.isArray(diagnostics) ? diagnostics : [])
+    .filter((d) => rank[d.severity] <= rank[minSeverity])
+    .slice()
+    .sort((a, b) => rank[a.severity] - rank[b.severity] || a.line - b.line || a.column - b.column);
+  const lines = list.slice(0, max).map((d) => `${d.line}:${d.column} ${d.severity} ${d.block ? `${d.block} ` : ''}${d.message}`);
+  if (list.length > max) lines.push(`… ${list.length - max} more`);
+  return lines.join('\n');
+}
+
+// Export for browser and Node.js
+if (typeof window !== 'undefined') {
+  window.parseRl4Blocks = parseRl4Blocks;
+  window.lintRl4Blocks = lintRl4Blocks;
+  window.formatRl4Diagnostics = formatRl4Diagnostics;
+  window.parseRl4ChunkNotes = parseRl4ChunkNotes;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    parseRl4Blocks,
+    lintRl4Blocks,
+    formatRl4Diagnostics,
+    parseRl4ChunkNotes
+  };
+}
@@ -0,0 +1,233 @@
+/**
+ * RL4 Blocks grounding
+ * Cross-checks what the encoder LLM wrote (parsed by lib/rl4-blocks.js) against the snapshot JSON it was given.
+ * Stored as rl4_blocks.grounding_report when content.js seals the blocks; it never blocks the seal.
+ *
+ * Checks:
+ * - ARCH compress:      must equal the snapshot compression field the encoder prompt points to
+ * - TOPICS:             labels whose words do not appear in the snapshot (invented); high-weight topics missing
+ * - DECISIONS:          validated_intents / rejected items not supported by the snapshot; rejected without rejected_alternatives
+ * - CAUSAL-CHAINS:      chains not supported by the snapshot, impact scores that differ from causal_chains_v2
+ *
+ * "Supported" is lexical: at least half of an item's content words occur somewhere in the snapshot JSON.
+ */
+
+const RL4_GROUNDING_MIN_COVERAGE = 0.5;
+const RL4_GROUNDING_TOP_TOPICS = 3;
+const RL4_GROUNDING_SCORE_TOLERANCE = 0.15;
+const RL4_GROUNDING_MAX_CORPUS_CHARS = 2000000;
+
+// Function words that say nothing about grounding (EN + FR, like the extraction tables).
+const RL4_GROUNDING_STOPWORDS = new Set(
+  (
+    'the and for with that this from into over under then than when what which while have has had are was were will would ' +
+    'should could can not but use used using about after before via per its our your their them they you all any each more most ' +
+    'les des une pour avec dans sur par que qui est sont pas plus mais ces ses leur nous vous été être'
+  ).split(' ')
+);
+
+/**
+ * Content words of a text: lowercase, accents folded, length >= 3, no stopwords.
+ * @param {string} text
+ * @returns {Set<string>}
+ */
+function rl4GroundingTokens(text) {
+  const out = new Set();
+  const folded = String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+  for (const w of folded.split(/[^a-z0-9]+/)) {
+    if (w.length >= 3 && !RL4_GROUNDING_STOPWORDS.has(w)) out.add(w);
+  }
+  return out;
+}
+
+/**
+ * Share of the claim's content words found in the source (1 when the claim has none).
+ * @param {Set<string>} claim
+ * @param {Set<string>} source
+ * @returns {number}
+ */
+function rl4GroundingCoverage(claim, source) {
+  if (!claim.size) return 1;
+  let hit = 0;
+  for (const w of claim) if (source.has(w)) hit++;
+  return hit / claim.size;
+}
+
+/**
+ * All string values of the snapshot (keys excluded), bounded. The previous rl4_blocks is skipped:
+ * a re-seal must not ground the new blocks in the old ones.
+ * @param {any} snapshot
+ * @returns {Set<string>}
+ */
+function buildRl4GroundingCorpus(snapshot) {
+  const parts = [];
+  let size = 0;
+  const walk = (v, depth) => {
+    if (size > RL4_GROUNDING_MAX_CORPUS_CHARS || depth > 12 || v === null || v === undefined) return;
+    if (typeof v === 'string' || typeof v === 'number') {
+      const s = String(v);
+      size += s.length;
+      parts.push(s);
+    } else if (Array.isArray(v)) {
+      for (const x of v) walk(x, depth + 1);
+    } else if (typeof v === 'object') {
+      for (const [k, x] of Object.entries(v)) if (k !== 'rl4_blocks') walk(x, depth + 1);
+    }
+  };
+  walk(snapshot, 0);
+  return rl4GroundingTokens(parts.join(' '));
+}
+
+/**
+ * The compression value the encoder prompt tells the LLM to copy into compress:.
+ * @param {any} snapshot
+ * @returns {string}
+ */
+function getExpectedRl4Compress(snapshot) {
+  const md = snapshot && snapshot.metadata && typeof snapshot.metadata === 'object' ? snapshot.metadata : {};
+  return String(md.compression_digest || md.compression_ratio || md.compression_bundle || '');
+}
+
+/**
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isRl4NotAvailable(value) {
+  return /^(NOT_AVAILABLE|none|unknown|n\/a)?$/i.test(String(value || '').trim());
+}
+
+/**
+ * Compare parsed RL4 blocks with the snapshot they were generated from.
+ * @param {{blocks:Object}} parsed - parseRl4Blocks() result
+ * @param {any} snapshot
+ * @returns {{
+ *   ok: boolean,
+ *   score: number,
+ *   compress: {claimed:string, expected:string, match:boolean|null},
+ *   topics: {claimed:number, grounded:number, invented:string[], dropped:string[]},
+ *   decisions: {claimed:number, grounded:number, invented:string[]},
+ *   causal_chains: {claimed:number, grounded:number, invented:string[], score_mismatch:Array<{id:string, claimed:number, expected:number}>},
+ *   findings: Array<{severity:'warning', code:string, block:string, message:string, line:number|null, column:number|null}>
+ * }}
+ */
+function checkRl4BlocksGrounding(parsed, snapshot) {
+  const blocks = parsed && parsed.blocks && typeof parsed.blocks === 'object' ? parsed.blocks : {};
+  const s = snapshot && typeof snapshot === 'object' ? snapshot : {};
+  const corpus = buildRl4GroundingCorpus(s);
+  const findings = [];
+  const report = (code, block, message, node) =>
+    findings.push({
+      severity: 'warning',
+      code,
+      block,
+      message,
+      line: node && typeof node.line === 'number' ? node.line : null,
+      column: node && typeof node.column === 'number' ? node.column : null
+    });
+  const grounded = (text) => rl4GroundingCoverage(rl4GroundingTokens(text), corpus) >= RL4_GROUNDING_MIN_COVERAGE;
+
+  // ARCH compress:
+  const expected = getExpectedRl4Compress(s);
+  const claimed = blocks.arch && blocks.arch.values ? String(blocks.arch.values.compress || '') : '';
+  let compressMatch = null;
+  if (expected && blocks.arch && !blocks.arch.not_available) {
+    const num = (v) => parseFloat(String(v).replace(/x$/i, ''));
+    compressMatch = !isRl4NotAvailable(claimed) && Math.abs(num(claimed) - num(expected)) < 0.05;
+    if (!compressMatch) report('compress-mismatch', 'RL4-ARCH', `compress:${claimed || '(missing)'} but the snapshot says ${expected}`, blocks.arch);
+  }
+
+  // TOPICS: invented labels, dropped high-weight topics.
+  const topicItems = blocks.topics && Array.isArray(blocks.topics.items) ? blocks.topics.items : [];
+  const topicsOut = { claimed: topicItems.length, grounded: 0, invented: [], dropped: [] };
+  for (const t of topicItems) {
+    if (isRl4NotAvailable(t.label)) continue;
+    if (grounded(t.label)) topicsOut.grounded++;
+    else {
+      topicsOut.invented.push(t.label);
+      report('invented-topic', 'RL4-TOPICS', `topic "${t.label}" does not appear in the snapshot`, t);
+    }
+  }
+  const claimedTopicWords = rl4GroundingTokens(topicItems.map((t) => t.label).join(' '));
+  const snapshotTopics = (Array.isArray(s.topics) ? s.topics : [])
+    .filter((t) => t && typeof t.label === 'string' && t.label.trim())
+    .slice()
+    .sort((a, b) => (Number(b.weight) || 0) - (Number(a.weight) || 0))
+    .slice(0, RL4_GROUNDING_TOP_TOPICS);
+  if (blocks.topics) {
+    for (const t of snapshotTopics) {
+      if (rl4GroundingCoverage(rl4GroundingTokens(t.label), claimedTopicWords) >= RL4_GROUNDING_MIN_COVERAGE) continue;
+      topicsOut.dropped.push(t.label);
+      report('dropped-topic', 'RL4-TOPICS', `high-weight topic "${t.label}" is missing`, blocks.topics);
+    }
+  }
+
+  // DECISIONS: validated_intents + rejected items.
+  const decisionsOut = { claimed: 0, grounded: 0, invented: [] };
+  const dv = blocks.decisions && blocks.decisions.values ? blocks.decisions.values : null;
+  if (dv) {
+    const intents = String(dv.validated_intents || '')
+      .split(/[|;]/)
+      .map((x) => x.trim())
+      .filter((x) => !isRl4NotAvailable(x));
+    const rejected = (Array.isArray(blocks.decisions.rejected) ? blocks.decisions.rejected : []).filter((x) => !isRl4NotAvailable(x));
+    const spineRejected = s.semantic_spine && Array.isArray(s.semantic_spine.rejected_alternatives) ? s.semantic_spine.rejected_alternatives : [];
+    if (rejected.length && !spineRejected.length) {
+      report('invented-rejected', 'RL4-DECISIONS', `rejected lists ${rejected.length} item(s) but the snapshot has no rejected_alternatives`, blocks.decisions);
+    }
+    for (const item of [...intents, ...rejected]) {
+      decisionsOut.claimed++;
+      if (grounded(item)) decisionsOut.grounded++;
+      else {
+        decisionsOut.invented.push(item);
+        report('invented-decision', 'RL4-DECISIONS', `"${item.slice(0, 80)}" is not supported by the snapshot`, blocks.decisions);
+      }
+    }
+  }
+
+  // CAUSAL-CHAINS: supported steps, impact scores vs causal_chains_v2.
+  const chainItems = blocks.causal_chains && Array.isArray(blocks.causal_chains.chains) ? blocks.causal_chains.chains : [];
+  const sourceChains = Array.isArray(s.causal_chains_v2) ? s.causal_chains_v2 : [];
+  const chainsOut = { claimed: chainItems.length, grounded: 0, invented: [], score_mismatch: [] };
+  if (chainItems.length && !sourceChains.length) {
+    report('invented-chain', 'RL4-CAUSAL-CHAINS', 'causal chains were written but the snapshot has no causal_chains_v2', blocks.causal_chains);
+  }
+  for (const c of chainItems) {
+    const ok = sourceChains.length > 0 && grounded(c.steps.join(' '));
+    if (ok) chainsOut.grounded++;
+    else {
+      chainsOut.invented.push(c.id);
+      if (sourceChains.length) report('invented-chain', 'RL4-CAUSAL-CHAINS', `chain "${c.id}" is not supported by the snapshot`, c);
+    }
+    const src = sourceChains.find((x) => x && x.chain_id === c.id);
+    if (src && typeof src.impact_score === 'number' && typeof c.score === 'number' && Math.abs(src.impact_score - c.score) > RL4_GROUNDING_SCORE_TOLERANCE) {
+      chainsOut.score_mismatch.push({ id: c.id, claimed: c.score, expected: src.impact_score });
+      report('chain-score-mismatch', 'RL4-CAUSAL-CHAINS', `chain "${c.id}" impact ${c.score} but the snapshot says ${src.impact_score}`, c);
+    }
+  }
+
+  const claimedTotal = topicsOut.claimed + decisionsOut.claimed + chainsOut.claimed;
+  const groundedTotal = topicsOut.grounded + decisionsOut.grounded + chainsOut.grounded;
+  return {
+    ok: findings.length === 0,
+    score: claimedTotal ? Math.round((groundedTotal / claimedTotal) * 100) / 100 : 1,
+    compress: { claimed, expected, match: compressMatch },
+    topics: topicsOut,
+    decisions: decisionsOut,
+    causal_chains: chainsOut,
+    findings
+  };
+}
+
+// Export for browser and Node.js
+if (typeof window !== 'undefined') {
+  window.checkRl4BlocksGrounding = checkRl4BlocksGrounding;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    checkRl4BlocksGrounding
+  };
+}
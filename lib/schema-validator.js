@@ -0,0 +1,235 @@
+/**
+ * RL4 Schema Validator (lite)
+ * Offline JSON Schema subset validator for RCEP snapshots (schemas/*.json bundled with the extension).
+ *
+ * Supported keywords: type, const, enum, required, properties, additionalProperties, items,
+ * minItems, maxItems, minLength, maxLength, pattern, minimum, maximum, $ref (sibling files only).
+ * Unsupported keywords are ignored (never a false failure).
+ */
+
+const SCHEMA_VALIDATOR_VERSION = 'rl4_schema_lite_v1';
+
+// Protocol value → bundled schema file.
+const SNAPSHOT_SCHEMA_BY_PROTOCOL = {
+  RCEP_v1: 'rcep_v1_digest.schema.json',
+  RCEP_v2_Ultra: 'rcep_v2_ultra.schema.json',
+  RCEP_v2_UltraPlus: 'rcep_v2_ultra_plus.schema.json'
+};
+
+const schemaCache = new Map();
+
+/**
+ * Escape one JSON pointer token (RFC 6901).
+ * @param {string|number} token
+ * @returns {string}
+ */
+function escapePointerToken(token) {
+  return String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * JSON type name as used by JSON Schema.
+ * @param {any} v
+ * @returns {string}
+ */
+function jsonTypeOf(v) {
+  if (v === null) return 'null';
+  if (Array.isArray(v)) return 'array';
+  if (typeof v === 'number') return Number.isInteger(v) ? 'integer' : 'number';
+  return typeof v;
+}
+
+/**
+ * @param {any} v
+ * @param {string} type
+ * @returns {boolean}
+ */
+function matchesJsonType(v, type) {
+  const actual = jsonTypeOf(v);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+/**
+ * Validate a value against a JSON Schema subset.
+ * @param {any} value
+ * @param {any} schema
+ * @param {{resolveRef?: (ref:string) => any, maxErrors?: number}} [options]
+ * @returns {{valid:boolean, errors:Array<{pointer:string, keyword:string, message:string}>}}
+ */
+function validateJsonSchema(value, schema, options = {}) {
+  const resolveRef = typeof options.resolveRef === 'function' ? options.resolveRef : null;
+  const maxErrors = typeof options.maxErrors === 'number' ? options.maxErrors : 50;
+  const errors = [];
+  const push = (pointer, keyword, message) => {
+    if (errors.length < maxErrors) errors.push({ pointer: pointer || '/', keyword, message });
+  };
+
+  const walk = (v, s, pointer, depth) => {
+    if (!s || typeof s !== 'object' || depth > 64 || errors.length >= maxErrors) return;
+
+    if (typeof s.$ref === 'string') {
+      const target = resolveRef ? resolveRef(s.$ref) : null;
+      if (!target) {
+        push(pointer, '$ref', `Unresolved $ref: ${s.$ref}`);
+        return;
+      }
+      walk(v, target, pointer, depth + 1);
+      return;
+    }
+
+    if (Object.prototype.hasOwnProperty.call(s, 'const') && JSON.stringify(v) !== JSON.stringify(s.const)) {
+      push(pointer, 'const', `Expected ${JSON.stringify(s.const)}, got ${JSON.stringify(v)}`);
+    }
+    if (Array.isArray(s.enum) && !s.enum.some((x) => JSON.stringify(x) === JSON.stringify(v))) {
+      push(pointer, 'enum', `Value not in enum: ${JSON.stringify(v)}`);
+    }
+    if (s.type) {
+      const types = Array.isArray(s.type) ? s.type : [s.type];
+      if (!types.some((t) => matchesJsonType(v, t))) {
+        push(pointer, 'type', `Expected ${types.join('|')}, got ${jsonTypeOf(v)}`);
+        return;
+      }
+    }
+
+    if (typeof v === 'string') {
+      if (typeof s.minLength === 'number' && v.length < s.minLength) push(pointer, 'minLength', `Shorter than ${s.minLength}`);
+      if (typeof s.maxLength === 'number' && v.length > s.maxLength) push(pointer, 'maxLength', `Longer than ${s.maxLength}`);
+      if (typeof s.pattern === 'string') {
+        try {
+          if (!new RegExp(s.pattern, 'u').test(v)) push(pointer, 'pattern', `Does not match ${s.pattern}`);
+        } catch (_) {}
+      }
+    }
+
+    if (typeof v === 'number') {
+      if (typeof s.minimum === 'number' && v < s.minimum) push(pointer, 'minimum', `Less than ${s.minimum}`);
+      if (typeof s.maximum === 'number' && v > s.maximum) push(pointer, 'maximum', `Greater than ${s.maximum}`);
+    }
+
+    if (Array.isArray(v)) {
+      if (typeof s.minItems === 'number' && v.length < s.minItems) push(pointer, 'minItems', `Fewer than ${s.minItems} items`);
+      if (typeof s.maxItems === 'number' && v.length > s.maxItems) push(pointer, 'maxItems', `More than ${s.maxItems} items`);
+      if (s.items && typeof s.items === 'object') {
+        v.forEach((item, i) => walk(item, s.items, `${pointer}/${i}`, depth + 1));
+      }
+    }
+
+    if (v && typeof v === 'object' && !Array.isArray(v)) {
+      const props = s.properties && typeof s.properties === 'object' ? s.properties : {};
+      if (Array.isArray(s.required)) {
+        for (const k of s.required) {
+          if (!Object.prototype.hasOwnProperty.call(v, k)) {
+            push(`${pointer}/${escapePointerToken(k)}`, 'required', `Missing required property "${k}"`);
+          }
+        }
+      }
+      for (const [k, child] of Object.entries(v)) {
+        const childPointer = `${pointer}/${escapePointerToken(k)}`;
+        if (Object.prototype.hasOwnProperty.call(props, k)) {
+          walk(child, props[k], childPointer, depth + 1);
+        } else if (s.additionalProperties === false) {
+          push(childPointer, 'additionalProperties', `Unexpected property "${k}"`);
+        } else if (s.additionalProperties && typeof s.additionalProperties === 'object') {
+          walk(child, s.additionalProperties, childPointer, depth + 1);
+        }
+      }
+    }
+  };
+
+  walk(value, schema, '', 0);
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Pick the bundled schema file for a snapshot (by `protocol`).
+ * @param {any} snapshot
+ * @returns {string} schema file name, or '' when unknown
+ */
+function schemaNameForSnapshot(snapshot) {
+  const protocol = snapshot && typeof snapshot.protocol === 'string' ? snapshot.protocol : '';
+  return SNAPSHOT_SCHEMA_BY_PROTOCOL[protocol] || '';
+}
+
+/**
+ * Load a bundled schema from schemas/ (extension URL in browser, filesystem in Node).
+ * @param {string} name
+ * @returns {Promise<any>}
+ */
+async function loadBundledSchema(name) {
+  const file = String(name || '').replace(/^\.?\//, '');
+  if (!/^[a-z0-9_]+\.schema\.json$/i.test(file)) throw new Error(`Invalid schema name: ${name}`);
+  if (schemaCache.has(file)) return schemaCache.get(file);
+
+  let schema;
+  if (typeof chrome !== 'undefined' && chrome.runtime && typeof chrome.runtime.getURL === 'function') {
+    const res = await fetch(chrome.runtime.getURL(`schemas/${file}`));
+    if (!res.ok) throw new Error(`Failed to load schema ${file} (${res.status})`);
+    schema = await res.json();
+  } else {
+    // eslint-disable-next-line no-undef
+    const fs = require('fs');
+    // eslint-disable-next-line no-undef
+    const path = require('path');
+    // eslint-disable-next-line no-undef
+    schema = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'schemas', file), 'utf8'));
+  }
+  schemaCache.set(file, schema);
+  return schema;
+}
+
+/**
+ * Validate a snapshot against its bundled schema (resolves sibling $refs).
+ * @param {any} snapshot
+ * @returns {Promise<{validator:string, schema:string, valid:boolean, errors:Array<{pointer:string, keyword:string, message:string}>, missing_required:string[]}>}
+ */
+async function validateSnapshotSchema(snapshot) {
+  const schemaName = schemaNameForSnapshot(snapshot);
+  if (!schemaName) {
+    return {
+      validator: SCHEMA_VALIDATOR_VERSION,
+      schema: '',
+      valid: false,
+      errors: [{ pointer: '/protocol', keyword: 'schema', message: 'Unknown protocol: no matching schema' }],
+      missing_required: []
+    };
+  }
+
+  const root = await loadBundledSchema(schemaName);
+  // Pre-load sibling $refs so validation stays synchronous.
+  const refs = {};
+  const collectRefs = (s) => {
+    if (!s || typeof s !== 'object') return;
+    if (typeof s.$ref === 'string' && !s.$ref.startsWith('#')) refs[s.$ref] = null;
+    for (const v of Object.values(s)) collectRefs(v);
+  };
+  collectRefs(root);
+  for (const ref of Object.keys(refs)) {
+    try {
+      refs[ref] = await loadBundledSchema(ref);
+    } catch (_) {
+      refs[ref] = null;
+    }
+  }
+
+  const { valid, errors } = validateJsonSchema(snapshot, root, { resolveRef: (ref) => refs[ref] || null });
+  return {
+    validator: SCHEMA_VALIDATOR_VERSION,
+    schema: schemaName,
+    valid,
+    errors,
+    missing_required: errors.filter((e) => e.keyword === 'required').map((e) => e.pointer)
+  };
+}
+
+// Export for browser and Node.js
+if (typeof window !== 'undefined') {
+  window.validateJsonSchema = validateJsonSchema;
+  window.schemaNameForSnapshot = schemaNameForSnapshot;
+  window.loadBundledSchema = loadBundledSchema;
+  window.validateSnapshotSchema = validateSnapshotSchema;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { validateJsonSchema, schemaNameForSnapshot, loadBundledSchema, validateSnapshotSchema };
+}
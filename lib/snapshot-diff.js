@@ -0,0 +1,223 @@
+/**
+ * RL4 Snapshot Diff
+ * Compares two snapshots of the same conversation (older → newer) and reports what changed:
+ * topics (added/removed/changed), decisions (new/dropped), insights, constraints and the new message range.
+ * Works across modes (digest / Ultra / Ultra+) by reading the fields each mode emits.
+ */
+
+/**
+ * Normalize text for identity comparisons.
+ * @param {any} text
+ * @returns {string}
+ */
+function normalizeDiffText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .replace(/[.…]+$/, '')
+    .trim();
+}
+
+/**
+ * Stable identity of a decision: normalized choice text first (digest chosen_option and Ultra choice excerpt agree on
+ * their first 200 characters), then choice_sha256 (Ultra, no text), then id.
+ * @param {any} d
+ * @returns {string}
+ */
+function decisionDiffKey(d) {
+  if (!d || typeof d !== 'object') return '';
+  const choice = normalizeDiffText(d.choice || d.chosen_option || '');
+  if (choice) return `txt:${choice.slice(0, 200)}`;
+  if (typeof d.choice_sha256 === 'string' && d.choice_sha256) return `sha:${d.choice_sha256}`;
+  return d.id ? `id:${d.id}` : '';
+}
+
+/**
+ * @param {any} snap
+ * @returns {number}
+ */
+function snapshotMessageCount(snap) {
+  const m = snap && snap.metadata && typeof snap.metadata === 'object' ? snap.metadata : {};
+  const n = m.messages || m.total_messages || 0;
+  return typeof n === 'number' ? n : Number(n) || 0;
+}
+
+/**
+ * @param {any} snap
+ * @returns {string}
+ */
+function snapshotConvRef(snap) {
+  return String(snap?.metadata?.transcript_ref || '').trim();
+}
+
+/**
+ * Diff two snapshots (older → newer).
+ * @param {any} prev - Older snapshot (base of the delta)
+ * @param {any} next - Newer snapshot
+ * @returns {{
+ *   lineage:{related:boolean, same_conv:boolean, same_fingerprint:boolean, conv_ref:string},
+ *   base:{checksum:string, timestamp:string, messages:number},
+ *   head:{checksum:string, timestamp:string, messages:number},
+ *   messages:{new_range:{start:number, end:number}|null, new_count:number, reset:boolean},
+ *   topics:{added:Array<any>, removed:Array<any>, changed:Array<{label:string, before:any, after:any}>},
+ *   decisions:{added:Array<any>, removed:Array<any>},
+ *   insights:{added:string[], removed:string[]},
+ *   constraints:{added:Object<string, string[]>},
+ *   unchanged:boolean
+ * }}
+ */
+function diffSnapshots(prev, next) {
+  const a = prev && typeof prev === 'object' ? prev : {};
+  const b = next && typeof next === 'object' ? next : {};
+
+  // Lineage: same conversation pointer (transcript_ref). An identical fingerprint only means an identical transcript
+  // (e.g. two empty captures), not the same conversation, so it is reported but does not relate the snapshots.
+  const convA = snapshotConvRef(a);
+  const convB = snapshotConvRef(b);
+  const fpA = String(a?.conversation_fingerprint?.sha256 || '');
+  const fpB = String(b?.conversation_fingerprint?.sha256 || '');
+  const sameConv = !!convA && convA === convB;
+  const sameFingerprint = !!fpA && fpA === fpB;
+
+  // Messages: captures are append-only, so the new range starts after the old count.
+  const countA = snapshotMessageCount(a);
+  const countB = snapshotMessageCount(b);
+  const reset = countB < countA;
+  const newCount = reset ? countB : countB - countA;
+  const newRange = newCount > 0 ? (reset ? { start: 1, end: countB } : { start: countA + 1, end: countB }) : null;
+
+  // Topics (by label).
+  const topicsA = new Map();
+  for (const t of Array.isArray(a.topics) ? a.topics : []) {
+    const k = normalizeDiffText(t?.label);
+    if (k) topicsA.set(k, t);
+  }
+  const topicsB = new Map();
+  for (const t of Array.isArray(b.topics) ? b.topics : []) {
+    const k = normalizeDiffText(t?.label);
+    if (k) topicsB.set(k, t);
+  }
+  const topicsAdded = [];
+  const topicsChanged = [];
+  for (const [k, t] of topicsB) {
+    const old = topicsA.get(k);
+    if (!old) {
+      topicsAdded.push(t);
+      continue;
+    }
+    const weightChanged = typeof old.weight === 'number' && typeof t.weight === 'number' && old.weight !== t.weight;
+    const summaryChanged = normalizeDiffText(old.summary) !== normalizeDiffText(t.summary);
+    if (weightChanged || summaryChanged) {
+      topicsChanged.push({
+        label: String(t.label || ''),
+        before: { weight: old.weight, summary: old.summary },
+        after: { weight: t.weight, summary: t.summary }
+      });
+    }
+  }
+  const topicsRemoved = [...topicsA.entries()].filter(([k]) => !topicsB.has(k)).map(([, t]) => t);
+
+  // Decisions (by choice text / choice hash).
+  const decA = new Map();
+  for (const d of Array.isArray(a.decisions) ? a.decisions : []) {
+    const k = decisionDiffKey(d);
+    if (k) decA.set(k, d);
+  }
+  const decB = new Map();
+  for (const d of Array.isArray(b.decisions) ? b.decisions : []) {
+    const k = decisionDiffKey(d);
+    if (k) decB.set(k, d);
+  }
+  const decisionsAdded = [...decB.entries()].filter(([k]) => !decA.has(k)).map(([, d]) => d);
+  const decisionsRemoved = [...decA.entries()].filter(([k]) => !decB.has(k)).map(([, d]) => d);
+
+  // Insights (strings, or {text} objects).
+  const insightText = (x) => (typeof x === 'string' ? x : String(x?.text || ''));
+  const insA = new Set((Array.isArray(a.insights) ? a.insights : []).map((x) => normalizeDiffText(insightText(x))));
+  const insB = new Set((Array.isArray(b.insights) ? b.insights : []).map((x) => normalizeDiffText(insightText(x))));
+  const insightsAdded = (Array.isArray(b.insights) ? b.insights : [])
+    .map(insightText)
+    .filter((x) => x && !insA.has(normalizeDiffText(x)));
+  const insightsRemoved = (Array.isArray(a.insights) ? a.insights : [])
+    .map(insightText)
+    .filter((x) => x && !insB.has(normalizeDiffText(x)));
+
+  // Constraints ({dont, do, technical, performance, security} when present).
+  const constraintsAdded = {};
+  const ca = a.constraints && typeof a.constraints === 'object' ? a.constraints : {};
+  const cb = b.constraints && typeof b.constraints === 'object' ? b.constraints : {};
+  for (const [cat, list] of Object.entries(cb)) {
+    if (!Array.isArray(list)) continue;
+    const old = new Set((Array.isArray(ca[cat]) ? ca[cat] : []).map(normalizeDiffText));
+    const added = list.filter((x) => x && !old.has(normalizeDiffText(x)));
+    if (added.length) constraintsAdded[cat] = added;
+  }
+
+  const unchanged =
+    !newCount &&
+    !topicsAdded.length &&
+    !topicsRemoved.length &&
+    !topicsChanged.length &&
+    !decisionsAdded.length &&
+    !decisionsRemoved.length &&
+    !insightsAdded.length &&
+    !insightsRemoved.length &&
+    !Object.keys(constraintsAdded).length;
+
+  return {
+    lineage: { related: sameConv, same_conv: sameConv, same_fingerprint: sameFingerprint, conv_ref: convB || convA },
+    base: { checksum: String(a.checksum || ''), timestamp: String(a.timestamp || ''), messages: countA },
+    head: { checksum: String(b.checksum || ''), timestamp: String(b.timestamp || ''), messages: countB },
+    messages: { new_range: newRange, new_count: newCount, reset },
+    topics: { added: topicsAdded, removed: topicsRemoved, changed: topicsChanged },
+    decisions: { added: decisionsAdded, removed: decisionsRemoved },
+    insights: { added: insightsAdded, removed: insightsRemoved },
+    constraints: { added: constraintsAdded },
+    unchanged
+  };
+}
+
+/**
+ * Human-readable summary of a diff (popup view).
+ * @param {ReturnType<typeof diffSnapshots>} diff
+ * @returns {string}
+ */
+function formatSnapshotDiff(diff) {
+  const d = diff || {};
+  const lines = [];
+  const one = (v, max = 120) => {
+    const s = String(v || '').replace(/\s+/g, ' ').trim();
+    return s.length > max ? `${s.slice(0, max - 1)}…` : s;
+  };
+  if (!d.lineage?.related) lines.push('⚠ Snapshots do not share a conversation id.');
+  const r = d.messages?.new_range;
+  lines.push(
+    r
+      ? `Messages: +${d.messages.new_count} (${r.start}-${r.end})${d.messages.reset ? ' — capture restarted' : ''}`
+      : 'Messages: no new messages'
+  );
+  const section = (title, items, fmt) => {
+    if (!items || !items.length) return;
+    lines.push('', `${title} (${items.length}):`);
+    for (const x of items.slice(0, 12)) lines.push(`- ${fmt(x)}`);
+  };
+  section('+ Topics', d.topics?.added, (t) => one(t?.label, 60));
+  section('- Topics', d.topics?.removed, (t) => one(t?.label, 60));
+  section('~ Topics', d.topics?.changed, (t) => `${one(t.label, 60)} (weight ${t.before?.weight ?? '?'} → ${t.after?.weight ?? '?'})`);
+  section('+ Decisions', d.decisions?.added, (x) => `${x?.intent ? `${x.intent}: ` : ''}${one(x?.choice || x?.chosen_option)}`);
+  section('- Decisions', d.decisions?.removed, (x) => `${x?.intent ? `${x.intent}: ` : ''}${one(x?.choice || x?.chosen_option)}`);
+  section('+ Insights', d.insights?.added, (x) => one(x));
+  for (const [cat, list] of Object.entries(d.constraints?.added || {})) section(`+ Constraints/${cat}`, list, (x) => one(x));
+  if (d.unchanged) lines.push('', 'No semantic changes.');
+  return lines.join('\n');
+}
+
+// Export for browser and Node.js
+if (typeof window !== 'undefined') {
+  window.diffSnapshots = diffSnapshots;
+  window.formatSnapshotDiff = formatSnapshotDiff;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { diffSnapshots, formatSnapshotDiff, decisionDiffKey };
+}
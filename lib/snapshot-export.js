@@ -0,0 +1,360 @@
+/**
+ * RL4 Snapshot Export
+ * Renders a snapshot as a readable handoff document (Markdown, standalone HTML, plain text)
+ * for people who will not read the JSON: topics, decisions with rationale, action items, constraints,
+ * cognitive_days, causal_chains_v2 and progressive_summary L1/L2/L3.
+ *
+ * All three renderers share one intermediate model (buildExportModel) so they never drift.
+ * The footer prints checksum + signature status (pass a lib/verify.js result as `verification`).
+ */
+
+const EXPORT_FORMATS = {
+  markdown: { ext: 'md', mime: 'text/markdown' },
+  html: { ext: 'html', mime: 'text/html' },
+  text: { ext: 'txt', mime: 'text/plain' }
+};
+
+/**
+ * @param {any} v
+ * @returns {string}
+ */
+function exportOneLine(v) {
+  return String(v === undefined || v === null ? '' : v)
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Resolve isActionItemDecision from lib/action-items.js (global in the popup, required in Node).
+ * @returns {Function|null}
+ */
+function getExportActionItemDecisionCheck() {
+  if (typeof isActionItemDecision === 'function') return isActionItemDecision;
+  try {
+    // eslint-disable-next-line no-undef
+    if (typeof require === 'function') return require('./action-items.js').isActionItemDecision;
+  } catch (_) {}
+  return null;
+}
+
+/**
+ * Decision statement + rationale, across digest and Ultra shapes.
+ * @param {any} d
+ * @returns {{title:string, lines:string[]}}
+ */
+function exportDecision(d) {
+  const choice = exportOneLine(d?.chosen_option || d?.choice || '');
+  const intent = exportOneLine(d?.intent || '');
+  const lines = [];
+  const rationale = new Set();
+  if (d?.rationale) rationale.add(exportOneLine(d.rationale));
+  for (const o of Array.isArray(d?.options_considered) ? d.options_considered : []) {
+    if (o?.rationale) rationale.add(exportOneLine(o.rationale));
+  }
+  if (rationale.size) lines.push(`Rationale: ${[...rationale].join(' / ')}`);
+  const rejected = (Array.isArray(d?.options_considered) ? d.options_considered : [])
+    .map((o) => exportOneLine(o?.option))
+    .filter((o) => o && o !== choice);
+  if (rejected.length) lines.push(`Alternatives: ${rejected.join('; ')}`);
+  if (Array.isArray(d?.constraints) && d.constraints.length) lines.push(`Constraints: ${d.constraints.map(exportOneLine).join('; ')}`);
+  const confidence = [d?.decision_quality, typeof d?.confidence_llm === 'number' ? `${d.confidence_llm}%` : ''].filter(Boolean);
+  if (confidence.length) lines.push(`Confidence: ${confidence.join(', ')}`);
+  return { title: `${intent ? `${intent}: ` : ''}${choice || '(no choice text)'}`, lines };
+}
+
+/**
+ * Intermediate document model: title, meta lines, sections of paragraphs and items.
+ * @param {any} snapshot
+ * @param {{verification?: any}} [options]
+ * @returns {{title:string, meta:string[], sections:Array<{title:string, paragraphs:string[], items:Array<{title:string, lines:string[]}>}>, footer:string[]}}
+ */
+function buildExportModel(snapshot, options = {}) {
+  const s = snapshot && typeof snapshot === 'object' ? snapshot : {};
+  const md = s.metadata && typeof s.metadata === 'object' ? s.metadata : {};
+  const sections = [];
+  const section = (title, paragraphs = [], items = []) => {
+    const p = paragraphs.map(exportOneLine).filter(Boolean);
+    if (p.length || items.length) sections.push({ title, paragraphs: p, items });
+  };
+
+  const title = exportOneLine(s.context_state?.core_subject) || 'RL4 Snapshot';
+  const meta = [
+    `Protocol: ${exportOneLine(s.protocol) || 'unknown'}`,
+    s.timestamp ? `Generated: ${exportOneLine(s.timestamp)}` : '',
+    md.capture_provider ? `Source: ${exportOneLine(md.capture_provider)}` : '',
+    `Messages: ${md.messages || md.total_messages || 0}`,
+    md.capture_completeness ? `Capture: ${exportOneLine(md.capture_completeness)}` : ''
+  ].filter(Boolean);
+
+  // Summary (finalized human summary first, then generator summaries).
+  const humanSummary = String(s.rl4_blocks?.human_summary || '')
+    .replace(/^HUMAN SUMMARY\s*/i, '')
+    .split(/\r?\n/)
+    .filter((l) => l.trim());
+  section('Summary', [
+    ...humanSummary,
+    s.context_state?.current_goal ? `Goal: ${s.context_state.current_goal}` : '',
+    s.context_state?.status ? `Status: ${s.context_state.status}` : '',
+    humanSummary.length ? '' : s.context_summary_ultra || s.context_summary || ''
+  ]);
+
+  const spine = s.semantic_spine;
+  if (spine && typeof spine === 'object') {
+    const kd = spine.key_decision || {};
+    section(
+      'Semantic spine',
+      [
+        spine.main_tension ? `Main tension: ${spine.main_tension}` : '',
+        kd.statement ? `Key decision: ${kd.statement}${kd.why ? ` (why: ${kd.why})` : ''}` : ''
+      ],
+      [
+        { title: 'Open questions', lines: (spine.open_questions || []).map(exportOneLine) },
+        { title: 'Assumptions', lines: (spine.assumptions || []).map(exportOneLine) },
+        { title: 'Rejected alternatives', lines: (spine.rejected_alternatives || []).map(exportOneLine) }
+      ].filter((x) => x.lines.length)
+    );
+  }
+
+  section(
+    'Topics',
+    [],
+    (Array.isArray(s.topics) ? s.topics : []).map((t) => ({
+      title: `${exportOneLine(t?.label)}${typeof t?.weight === 'number' ? ` (weight ${t.weight})` : ''}`,
+      lines: t?.summary ? [exportOneLine(t.summary)] : []
+    }))
+  );
+
+  // Commitments restated by an action item are listed once, under Action items (with their status).
+  const actions = Array.isArray(s.action_items) ? s.action_items : [];
+  const isActionItem = getExportActionItemDecisionCheck();
+  section(
+    'Decisions',
+    [],
+    (Array.isArray(s.decisions) ? s.decisions : []).filter((d) => !(isActionItem && isActionItem(d, actions))).map(exportDecision)
+  );
+
+  // Action items: open first (what the next session has to pick up).
+  section(
+    'Action items',
+    [],
+    [...actions.filter((a) => a?.status === 'open'), ...actions.filter((a) => a?.status !== 'open')].map((a) => ({
+      title: `[${a?.status === 'open' ? 'open' : 'done'}] ${exportOneLine(a?.text)}`,
+      lines: [
+        `Owner: ${exportOneLine(a?.owner) || 'unknown'}${typeof a?.message_idx === 'number' ? ` (message ${a.message_idx + 1})` : ''}`,
+        a?.closed_by
+          ? `Closed by ${exportOneLine(a.closed_by.role)} in message ${a.closed_by.message_idx + 1}: ${exportOneLine(a.closed_by.evidence)}`
+          : ''
+      ].filter(Boolean)
+    }))
+  );
+
+  // Constraints: {category: [..]} object or flat list.
+  const c = s.constraints;
+  if (Array.isArray(c)) {
+    section('Constraints', [], c.map((x) => ({ title: exportOneLine(x?.text || x), lines: [] })));
+  } else if (c && typeof c === 'object') {
+    section(
+      'Constraints',
+      [],
+      Object.entries(c)
+        .filter(([, list]) => Array.isArray(list) && list.length)
+        .map(([cat, list]) => ({ title: cat, lines: list.map((x) => exportOneLine(x?.text || x)) }))
+    );
+  }
+
+  section(
+    'Insights',
+    [],
+    (Array.isArray(s.insights) ? s.insights : []).map((x) => ({ title: exportOneLine(typeof x === 'string' ? x : x?.text), lines: [] }))
+  );
+
+  section(
+    'Timeline',
+    [],
+    (Array.isArray(s.cognitive_days) ? s.cognitive_days : []).map((d) => {
+      const r = d?.messages_range;
+      const range = r && typeof r.start === 'number' ? ` (messages ${r.start + 1}-${r.end + 1})` : '';
+      return {
+        title: `${exportOneLine(d?.day_id)}${range}: ${exportOneLine(d?.focus)}`,
+        lines: [
+          d?.key_shift ? `Shift: ${exportOneLine(d.key_shift)}` : '',
+          ...(Array.isArray(d?.decisions_in_scope) ? d.decisions_in_scope.map((x) => `Decision: ${exportOneLine(x)}`) : [])
+        ].filter(Boolean)
+      };
+    })
+  );
+  // Ultra snapshots (and captures too short for cognitive days) carry the macro timeline instead.
+  if (!(Array.isArray(s.cognitive_days) && s.cognitive_days.length) && Array.isArray(s.timeline_macro)) {
+    section(
+      'Timeline',
+      [],
+      s.timeline_macro.map((p) => ({ title: `${exportOneLine(p?.phase)} (messages ${exportOneLine(p?.range)})`, lines: [exportOneLine(p?.summary)] }))
+    );
+  }
+
+  section(
+    'Causal chains',
+    [],
+    (Array.isArray(s.causal_chains_v2) ? s.causal_chains_v2 : []).map((ch) => ({
+      title: `${exportOneLine(ch?.decision?.chosen_option || ch?.decision?.intent || ch?.chain_id)}${
+        typeof ch?.impact_score === 'number' ? ` (impact ${ch.impact_score})` : ''
+      }`,
+      lines: [
+        ch?.trigger?.text ? `Trigger: ${exportOneLine(ch.trigger.text)}` : '',
+        ch?.implementation?.text ? `Implementation: ${exportOneLine(ch.implementation.text)}` : '',
+        ch?.outcome?.text ? `Outcome: ${exportOneLine(ch.outcome.text)}` : ''
+      ].filter(Boolean)
+    }))
+  );
+
+  const ps = s.progressive_summary;
+  if (ps && typeof ps === 'object') {
+    section(
+      'Progressive summary',
+      [ps.L1 ? `L1: ${ps.L1}` : '', ps.L2 ? `L2: ${ps.L2}` : ''],
+      (Array.isArray(ps.L3) ? ps.L3 : []).map((d) => ({
+        title: `L3 ${exportOneLine(d?.day)}: ${exportOneLine(d?.summary)}`,
+        lines: d?.key_shift ? [`Shift: ${exportOneLine(d.key_shift)}`] : []
+      }))
+    );
+  }
+
+  // Footer: integrity status.
+  const v = options.verification;
+  const checksum = exportOneLine(s.checksum) || 'missing';
+  let integrity = 'not verified';
+  if (v && typeof v === 'object') {
+    if (v.verdict === 'ok') integrity = 'checksum valid, signature valid';
+    else if (v.verdict === 'unsigned') integrity = 'checksum valid, unsigned';
+    else integrity = `${v.verdict}${v.reason ? ` (${v.reason})` : ''}`;
+  } else if (s.signature) {
+    integrity = 'signed (not verified)';
+  }
+  const footer = [`Checksum: ${checksum}`, `Integrity: ${integrity}`];
+  if (s.signature?.key_id) footer.push(`Signing key: ${exportOneLine(s.signature.key_id)}`);
+  if (md.schema_validation?.schema) {
+    footer.push(`Schema: ${md.schema_validation.schema} (${md.schema_validation.valid ? 'valid' : 'invalid'})`);
+  }
+
+  return { title, meta, sections, footer };
+}
+
+/**
+ * @param {any} snapshot
+ * @param {{verification?: any}} [options]
+ * @returns {string}
+ */
+function renderSnapshotMarkdown(snapshot, options = {}) {
+  const m = buildExportModel(snapshot, options);
+  const esc = (t) => String(t).replace(/([\\`*_[\]<>#|])/g, '\\$1');
+  const out = [`# ${esc(m.title)}`, '', ...m.meta.map((x) => `- ${esc(x)}`)];
+  for (const sec of m.sections) {
+    out.push('', `## ${esc(sec.title)}`, '');
+    for (const p of sec.paragraphs) out.push(esc(p), '');
+    for (const it of sec.items) {
+      out.push(`- **${esc(it.title)}**`);
+      for (const l of it.lines) out.push(`  - ${esc(l)}`);
+    }
+  }
+  out.push('', '---', '', ...m.footer.map((x) => `${esc(x)}  `));
+  return `${out.join('\n').replace(/\n{3,}/g, '\n\n').trim()}\n`;
+}
+
+/**
+ * Standalone HTML document (inline CSS, no scripts, no external resources).
+ * @param {any} snapshot
+ * @param {{verification?: any}} [options]
+ * @returns {string}
+ */
+function renderSnapshotHtml(snapshot, options = {}) {
+  const m = buildExportModel(snapshot, options);
+  const esc = (t) =>
+    String(t).replace(/[&<>"']/g, (ch) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch]);
+  const body = [`<h1>${esc(m.title)}</h1>`, `<p class="meta">${m.meta.map(esc).join(' · ')}</p>`];
+  for (const sec of m.sections) {
+    body.push(`<h2>${esc(sec.title)}</h2>`);
+    for (const p of sec.paragraphs) body.push(`<p>${esc(p)}</p>`);
+    if (sec.items.length) {
+      body.push('<ul>');
+      for (const it of sec.items) {
+        const sub = it.lines.length ? `<ul>${it.lines.map((l) => `<li>${esc(l)}</li>`).join('')}</ul>` : '';
+        body.push(`<li><strong>${esc(it.title)}</strong>${sub}</li>`);
+      }
+      body.push('</ul>');
+    }
+  }
+  body.push(`<footer>${m.footer.map((x) => `<div>${esc(x)}</div>`).join('')}</footer>`);
+  return [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '<meta charset="utf-8" />',
+    `<title>${esc(m.title)}</title>`,
+    '<style>',
+    'body{font-family:system-ui,-apple-system,Segoe UI,Roboto,sans-serif;max-width:820px;margin:32px auto;padding:0 16px;line-height:1.5;color:#1f2328}',
+    'h1{font-size:1.6em;margin-bottom:4px}h2{font-size:1.2em;margin-top:28px;border-bottom:1px solid #d0d7de;padding-bottom:4px}',
+    '.meta{color:#57606a;font-size:.9em}li{margin:4px 0}li ul{color:#57606a;font-size:.95em}',
+    'footer{margin-top:36px;padding-top:12px;border-top:1px solid #d0d7de;color:#57606a;font-size:.85em;font-family:ui-monospace,Menlo,monospace;word-break:break-all}',
+    '</style>',
+    '</head>',
+    '<body>',
+    ...body,
+    '</body>',
+    '</html>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Plain text (wrapped-free, email/ticket friendly).
+ * @param {any} snapshot
+ * @param {{verification?: any}} [options]
+ * @returns {string}
+ */
+function renderSnapshotText(snapshot, options = {}) {
+  const m = buildExportModel(snapshot, options);
+  const out = [m.title, '='.repeat(Math.min(60, Math.max(8, m.title.length))), ...m.meta];
+  for (const sec of m.sections) {
+    out.push('', sec.title.toUpperCase(), '-'.repeat(sec.title.length));
+    for (const p of sec.paragraphs) out.push(p);
+    for (const it of sec.items) {
+      out.push(`* ${it.title}`);
+      for (const l of it.lines) out.push(`    - ${l}`);
+    }
+  }
+  out.push('', '-'.repeat(40), ...m.footer);
+  return `${out.join('\n').trim()}\n`;
+}
+
+/**
+ * Render a snapshot in the requested format, with a download filename.
+ * @param {any} snapshot
+ * @param {'markdown'|'html'|'text'} format
+ * @param {{verification?: any}} [options]
+ * @returns {{filename:string, mime:string, content:string}}
+ */
+function exportSnapshotDocument(snapshot, format, options = {}) {
+  const f = EXPORT_FORMATS[format];
+  if (!f) throw new Error(`Unknown export format: ${format}`);
+  const content =
+    format === 'markdown'
+      ? renderSnapshotMarkdown(snapshot, options)
+      : format === 'html'
+        ? renderSnapshotHtml(snapshot, options)
+        : renderSnapshotText(snapshot, options);
+  const day = String(snapshot?.timestamp || new Date().toISOString()).slice(0, 10);
+  const short = String(snapshot?.checksum || '').slice(0, 8) || 'unsealed';
+  return { filename: `rl4-snapshot-${day}-${short}.${f.ext}`, mime: f.mime, content };
+}
+
+// Export for browser and Node.js
+if (typeof window !== 'undefined') {
+  window.renderSnapshotMarkdown = renderSnapshotMarkdown;
+  window.renderSnapshotHtml = renderSnapshotHtml;
+  window.renderSnapshotText = renderSnapshotText;
+  window.exportSnapshotDocument = exportSnapshotDocument;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { buildExportModel, renderSnapshotMarkdown, renderSnapshotHtml, renderSnapshotText, exportSnapshotDocument };
+}
@@ -1,4 +1,4 @@
-/* global calculateChecksum, extractTopics, extractTopicsWithMeta, extractDecisions, extractInsights, extractConstraints, canonicalize, splitIntoCognitiveDays, buildCausalChains, buildProgressiveSummary */
+/* global calculateChecksum, extractTopics, extractTopicsWithMeta, extractDecisions, extractInsights, extractConstraints, compileExtractionRules, buildArtifacts, extractActionItems, isActionItemDecision, canonicalize, validateSnapshotSchema, splitIntoCognitiveDays, buildCausalChains, buildProgressiveSummary */
 
 /**
  * Transform raw messages into a structured RL4 snapshot.
@@ -25,8 +25,27 @@ class RL4SnapshotGenerator {
     this.options = {
       includeTranscript: options.includeTranscript !== undefined ? !!options.includeTranscript : true,
       // digest: current default, ultra: aggressive size cut
-      outputMode: options.outputMode === 'ultra' || options.outputMode === 'ultra_plus' ? options.outputMode : 'digest'
+      outputMode: options.outputMode === 'ultra' || options.outputMode === 'ultra_plus' ? options.outputMode : 'digest',
+      // Per-message Merkle tree (inclusion proofs for quoted messages). Off by default: N extra digests.
+      messageMerkle: !!options.messageMerkle,
+      // User-defined extraction rules (options page, lib/extraction-rules.js), as stored
+      extractionRules: Array.isArray(options.extractionRules) ? options.extractionRules : []
     };
+    this._compiledRules = undefined;
+  }
+
+  /**
+   * Compiled user rules for the extract* calls (null when there are none or lib/extraction-rules.js is not loaded).
+   * @returns {{decisions:Array, insights:Array, constraints:Array}|null}
+   */
+  _extractionRules() {
+    if (this._compiledRules === undefined) {
+      this._compiledRules =
+        this.options.extractionRules.length && typeof compileExtractionRules === 'function'
+          ? compileExtractionRules(this.options.extractionRules)
+          : null;
+    }
+    return this._compiledRules;
   }
 
   /**
@@ -100,6 +119,12 @@ class RL4SnapshotGenerator {
 
     const originalSize = this.messages.reduce((acc, m) => acc + (m.content ? m.content.length : 0), 0);
 
+    // Action items (open/closed), indexed on the captured messages like artifacts.
+    const actionItems = this._buildActionItems(this.messages);
+
+    // Human handoff (what buildInjectionPrompt tells the receiving LLM to read first).
+    const portableMemory = this._buildPortableMemory({ topics, decisions, constraints, actionItems, messages: normalizedMessages });
+
     // RL4 digest mode:
     // - No full transcript in the clipboard JSON by default (to avoid token explosion)
     // - Keep verifiability: include a fingerprint of the FULL transcript
@@ -108,6 +133,10 @@ class RL4SnapshotGenerator {
     //   leaf_i = SHA256( role + "\n" + content )
     //   root   = SHA256( leaf_0_bytes || leaf_1_bytes || ... || leaf_n_bytes )
     const { transcriptSha256, transcriptFormat, transcriptCompact, fingerprintMethod, fingerprintBatching } = await this._fingerprintTranscript(normalizedMessages);
+    // Per-message Merkle tree over the captured messages (before de-duplication): leaves line up with the stored
+    // transcript, so proofs are keyed by stored message idx and leaves can be rebuilt from the store.
+    const messageMerkle = this.options.messageMerkle ? await this._buildMessageMerkle(this.messages) : null;
+    const timelineMacro = this._timelineMacro(normalizedMessages, { maxPhases: 6 });
 
     // Digest without transcript (pure “analysis” compression target)
     const digestWithoutTranscript = {
@@ -117,7 +146,7 @@ class RL4SnapshotGenerator {
         notice: 'RL4 Snapshot — Cross-LLM context transfer.',
         mode: 'digest'
       },
-      protocol: 'RL4',
+      protocol: 'RCEP_v1',
       version: '1.0',
       producer: {
         product: 'RL4 Snapshot',
@@ -132,6 +161,7 @@ class RL4SnapshotGenerator {
         current_goal: 'Capture → Compress → Seal',
         status: 'Digest generated'
       },
+      portable_memory: portableMemory,
       topics,
       decisions,
       insights,
@@ -140,7 +170,8 @@ class RL4SnapshotGenerator {
       conversation_fingerprint: {
         algorithm: 'sha256',
         transcript_format: transcriptFormat,
-        sha256: transcriptSha256
+        sha256: transcriptSha256,
+        ...(messageMerkle ? { merkle: messageMerkle } : {})
       },
       metadata: {
         messages: normalizedMessages.length,
@@ -163,7 +194,7 @@ class RL4SnapshotGenerator {
         notice: 'RL4 Snapshot — Cross-LLM context transfer.',
         mode: 'digest'
       },
-      protocol: 'RL4',
+      protocol: 'RCEP_v1',
       version: '1.0',
       producer: {
         product: 'RL4 Snapshot',
@@ -178,6 +209,7 @@ class RL4SnapshotGenerator {
         current_goal: 'Capture → Compress → Seal',
         status: 'Digest generated'
       },
+      portable_memory: portableMemory,
       topics,
       // topics_meta: proof-grade metadata about extraction quality (facts, not views)
       topics_meta: topicsMeta,
@@ -191,17 +223,22 @@ class RL4SnapshotGenerator {
       timeline_summary: this._timelineSummary(normalizedMessages),
       // Activity cycles: purely mechanical temporal segmentation (no semantic labels)
       activity_cycles_mechanical: this._buildActivityCyclesMechanical(normalizedMessages, { maxCycles: 6 }),
-      // timeline_macro_view_v1: DERIVED view with keywords (not proof-grade, marked as derived)
+      // Macro timeline: message ranges + keywords, same shape as Ultra's timeline_macro
+      timeline_macro: timelineMacro,
+      // timeline_macro_view_v1: how timeline_macro was DERIVED (not proof-grade)
       timeline_macro_view_v1: {
         derived: true,
         method_version: 'keyword_frequency_v1',
         derived_from: 'messages',
-        phases: this._timelineMacro(normalizedMessages, { maxPhases: 6 })
+        field: 'timeline_macro'
       },
+      // Filled once cognitive days / causal chains are built (see _buildCognitiveSpine)
+      cognitive_spine: null,
       conversation_fingerprint: {
         algorithm: 'sha256',
         transcript_format: transcriptFormat,
-        sha256: transcriptSha256
+        sha256: transcriptSha256,
+        ...(messageMerkle ? { merkle: messageMerkle } : {})
       },
       metadata: {
         messages: normalizedMessages.length,
@@ -329,6 +366,16 @@ class RL4SnapshotGenerator {
       digestWithoutTranscript.causal_chains_v2 = causalChainsV2;
     }
 
+    // Code artifacts: fenced blocks, latest version per file (extraction strips code, dedup may drop it)
+    const artifactsResult = await this._buildArtifactsFromMessages(this.messages);
+    if (artifactsResult.artifacts.length > 0) {
+      digest.artifacts = artifactsResult.artifacts;
+      digest.artifacts_meta = artifactsResult.meta;
+    }
+    if (actionItems.length > 0) {
+      digest.action_items = actionItems;
+    }
+
     // Build progressive summary (L1/L2/L3 levels)
     const progressiveSummary = this._buildProgressiveSummaryFromData({
       contextSummary,
@@ -338,10 +385,11 @@ class RL4SnapshotGenerator {
       contextState: digest.context_state,
       metadata: digest.metadata,
       cognitiveDays,
-      timelineMacro: digest.timeline_macro_view_v1?.phases || []
+      timelineMacro
     });
     digest.progressive_summary = progressiveSummary;
     digestWithoutTranscript.progressive_summary = progressiveSummary;
+    digest.cognitive_spine = this._buildCognitiveSpine({ cognitiveDays, causalChains: causalChainsV2, timelineMacro, progressiveSummary });
 
     // Compression metric: original conversation chars / digest-without-transcript chars (10–20x goal)
     // Compression metric: avoid deep canonicalization here (it can double memory usage on XXL objects).
@@ -375,14 +423,18 @@ class RL4SnapshotGenerator {
 
       const ultra = this._buildUltraSnapshot({
         digest,
+        constraints,
         originalSize,
         transcriptSha256,
         fingerprintMethod,
         fingerprintBatching,
+        messageMerkle,
         messages: normalizedMessages,
         semanticHints: this.options.outputMode === 'ultra_plus',
         decision_choice_sha256
       });
+      const ultraSchemaReport = await this._validateSchema(ultra);
+      if (ultraSchemaReport) ultra.metadata.schema_validation = ultraSchemaReport;
       const canonicalUltra = typeof canonicalize === 'function' ? canonicalize(ultra) : ultra;
       ultra.checksum = await calculateChecksum(canonicalUltra);
       return ultra;
@@ -390,6 +442,8 @@ class RL4SnapshotGenerator {
 
     // Re-seal: checksum is computed AFTER all fields (including transcript_compact) are set
     // This guarantees integrity of the complete bundle
+    const schemaReport = await this._validateSchema(digest);
+    if (schemaReport) digest.metadata.schema_validation = schemaReport;
     digest.checksum = await calculateChecksum(digest);
     return digest;
   }
@@ -589,6 +643,29 @@ class RL4SnapshotGenerator {
     };
   }
 
+  /**
+   * Per-message Merkle tree (lib/merkle.js) for inclusion proofs.
+   * Leaves are embedded only for small transcripts; above the cap only root + leaf_count are kept
+   * (leaves can be recomputed from the stored transcript to build proofs).
+   * @param {Array<{idx?:number, role:'user'|'assistant', content:string}>} messages - captured messages, in stored idx order
+   * @returns {Promise<any|null>}
+   */
+  async _buildMessageMerkle(messages) {
+    if (typeof buildMessageMerkle !== 'function') return null;
+    const MAX_EMBEDDED_LEAVES = 400;
+    try {
+      const tree = await buildMessageMerkle(messages);
+      if (tree.leaf_count > MAX_EMBEDDED_LEAVES) {
+        const { leaves: _leaves, ...rest } = tree;
+        return { ...rest, leaves_embedded: false };
+      }
+      return { ...tree, leaves_embedded: true };
+    } catch (_) {
+      // Best effort: the snapshot stays valid without per-message proofs.
+      return null;
+    }
+  }
+
   /**
    * Build an ultra-compressed, LLM-safe context package.
    * Goals:
@@ -641,7 +718,17 @@ class RL4SnapshotGenerator {
     // 3) Macro timeline: 5–7 entries max, grouped by message ranges only (no semantic labeling).
     const timeline_macro = this._timelineMacro(msgs, { maxPhases: 6 });
 
-    const ultraProtocol = semanticHints ? 'RL4_UltraPlus' : 'RL4_Ultra';
+    const ultraProtocol = semanticHints ? 'RCEP_v2_UltraPlus' : 'RCEP_v2_Ultra';
+    const hints = semanticHints
+      ? this._ultraSemanticHints({
+          digest,
+          prunedTopics,
+          prunedDecisions,
+          rawDecisions: Array.isArray(digest.decisions) ? digest.decisions : [],
+          timeline_macro,
+          messages: msgs
+        })
+      : null;
     const ultra = {
       _branding: {
         generator: 'RL4 Snapshot',
@@ -662,22 +749,23 @@ class RL4SnapshotGenerator {
         ...(digest.context_state || {}),
         status: semanticHints ? 'Ultra+ generated' : 'Ultra generated'
       },
+      // Built from the full (unpruned) topics/decisions: the handoff should not lose what Ultra prunes.
+      portable_memory: this._buildPortableMemory({
+        topics: Array.isArray(digest.topics) ? digest.topics : [],
+        decisions: Array.isArray(digest.decisions) ? digest.decisions : [],
+        constraints: input?.constraints,
+        actionItems: Array.isArray(digest.action_items) ? digest.action_items : [],
+        messages: msgs,
+        semanticSpine: hints ? hints.semantic_spine : null
+      }),
       topics: prunedTopics,
       decisions: prunedDecisions,
       timeline_macro,
-      ...(semanticHints
-        ? this._ultraSemanticHints({
-            digest,
-            prunedTopics,
-            prunedDecisions,
-            rawDecisions: Array.isArray(digest.decisions) ? digest.decisions : [],
-            timeline_macro,
-            messages: msgs
-          })
-        : {}),
+      ...(hints || {}),
       conversation_fingerprint: {
         algorithm: 'sha256',
-        sha256: String(input?.transcriptSha256 || '')
+        sha256: String(input?.transcriptSha256 || ''),
+        ...(input?.messageMerkle ? { merkle: input.messageMerkle } : {})
       },
       metadata: {
         total_messages: msgs.length,
@@ -777,22 +865,7 @@ class RL4SnapshotGenerator {
     // Extract a few assumption-like statements (if explicitly stated) from the live messages.
     // This is still lossy: we only keep short excerpts and we do NOT claim they are true.
     const assumptions_candidates = [];
-    const looksLikeCodeOrLogs = (text) => {
-      const t = String(text || '').trim();
-      if (!t) return false;
-      // Very long single-line blobs are almost always code/log dumps (CSS, minified, stack traces)
-      const lines = t.split(/\r?\n/);
-      const longest = lines.reduce((m, l) => Math.max(m, l.length), 0);
-      if (longest > 240) return true;
-      // Common signals for shell/code/log noise
-      if (/^\s*(\$|#|>|\w+@[\w.-]+).*%?\s/.test(t)) return true; // prompts
-      if (/\b(import|export|const|let|var|function|class|def|async|await|return)\b/.test(t)) return true;
-      if (/^\s*#!/.test(t)) return true;
-      if (/(Traceback|Exception|Error:|stack|at\s+\w+\s+\(|VM\d+:)/i.test(t)) return true;
-      if (/[{}[\];]{6,}/.test(t)) return true;
-      if (/\/Users\/|\\Users\\|\/home\/|C:\\\\/.test(t)) return true; // paths
-      return false;
-    };
+    const looksLikeCodeOrLogs = (text) => this._looksLikeCodeOrLogs(text);
     const assumptionMarkers = [
       /\b(assume|assumption|hypothesis|suppose|let's\s+assume|we\s+assume)\b/i,
       /\b(hypoth[eè]se|supposons|on\s+suppose|admettons)\b/i
@@ -826,20 +899,7 @@ class RL4SnapshotGenerator {
       return 'UNKNOWN';
     };
 
-    const open_questions = [];
-    for (let i = messages.length - 1; i >= 0; i--) {
-      const m = messages[i];
-      if (String(m?.role || '') !== 'user') continue;
-      const t = String(m?.content || '').trim();
-      if (!t) continue;
-      if (!/\?/.test(t)) continue;
-      if (looksLikeCodeOrLogs(t)) continue;
-      const ex = this._excerpt(t, 160);
-      if (!ex || ex === 'UNKNOWN') continue;
-      if (open_questions.includes(ex)) continue;
-      open_questions.push(ex);
-      if (open_questions.length >= 5) break;
-    }
+    const open_questions = this._recentUserQuestions(messages, 5);
 
     // Use the first (strongest) decision as the “key decision”.
     const primaryDecision =
@@ -891,6 +951,222 @@ class RL4SnapshotGenerator {
     };
   }
 
+  /**
+   * Heuristic: shell/code/log noise that should not be quoted in human-facing fields.
+   * @param {string} text
+   * @returns {boolean}
+   */
+  _looksLikeCodeOrLogs(text) {
+    const t = String(text || '').trim();
+    if (!t) return false;
+    // Very long single-line blobs are almost always code/log dumps (CSS, minified, stack traces)
+    const lines = t.split(/\r?\n/);
+    const longest = lines.reduce((m, l) => Math.max(m, l.length), 0);
+    if (longest > 240) return true;
+    // Common signals for shell/code/log noise
+    if (/^\s*(\$|#|>|\w+@[\w.-]+).*%?\s/.test(t)) return true; // prompts
+    if (/\b(import|export|const|let|var|function|class|def|async|await|return)\b/.test(t)) return true;
+    if (/^\s*#!/.test(t)) return true;
+    if (/(Traceback|Exception|Error:|stack|at\s+\w+\s+\(|VM\d+:)/i.test(t)) return true;
+    if (/[{}[\];]{6,}/.test(t)) return true;
+    if (/\/Users\/|\\Users\\|\/home\/|C:\\\\/.test(t)) return true; // paths
+    return false;
+  }
+
+  /**
+   * Most recent user questions still open (excerpts, newest first).
+   * A question is answered when the next assistant reply says something besides asking back.
+   * @param {Array<any>} messages
+   * @param {number} max
+   * @returns {string[]}
+   */
+  _recentUserQuestions(messages, max) {
+    const out = [];
+    let nextReply = null;
+    for (let i = messages.length - 1; i >= 0; i--) {
+      const m = messages[i];
+      const role = String(m?.role || '');
+      if (role === 'assistant' && String(m?.content || '').trim()) nextReply = String(m.content);
+      if (role !== 'user') continue;
+      const t = String(m?.content || '').trim();
+      if (!t) continue;
+      if (!/\?/.test(t)) continue;
+      if (nextReply !== null && this._isAnswerReply(nextReply)) continue;
+      if (this._looksLikeCodeOrLogs(t)) continue;
+      const ex = this._excerpt(t, 160);
+      if (!ex || ex === 'UNKNOWN') continue;
+      if (out.includes(ex)) continue;
+      out.push(ex);
+      if (out.length >= max) break;
+    }
+    return out;
+  }
+
+  /**
+   * Whether an assistant reply answers rather than only asks back (clarifying questions).
+   * Code without prose counts as an answer.
+   * @param {string} text
+   * @returns {boolean}
+   */
+  _isAnswerReply(text) {
+    const prose = String(text || '')
+      .replace(/```[\s\S]*?(?:```|$)/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+    if (!prose) return !!String(text || '').trim();
+    return prose.split(/(?<=[.!?])\s+/).some((sentence) => sentence && !/\?["')\]]*$/.test(sentence));
+  }
+
+  /**
+   * Message sentences the constraint clauses were extracted from. A pattern captures the clause after
+   * its trigger ("use a non-extractable private key."), which reads as a fragment on its own; the
+   * sentence keeps the subject ("The seal MUST use a non-extractable private key."). Clauses whose
+   * sentence cannot be found (user rules rewriting the text) are left out.
+   * @param {Array<any>} messages
+   * @param {string[]} clauses
+   * @param {number} max
+   * @returns {string[]}
+   */
+  _constraintSentences(messages, clauses, max) {
+    const key = (v) =>
+      String(v || '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+    const wanted = clauses.map(key).filter(Boolean);
+    const out = [];
+    if (!wanted.length) return out;
+    const found = new Map();
+    for (const m of messages) {
+      const text = String(m?.content || '')
+        .replace(/```[\s\S]*?(?:```|$)/g, '\n')
+        .replace(/`([^`]*)`/g, '$1');
+      for (const sentence of text.split(/(?<=[.!?])\s+|\n+/)) {
+        const k = key(sentence);
+        if (!k) continue;
+        for (const w of wanted) if (!found.has(w) && k.includes(w)) found.set(w, sentence.replace(/\s+/g, ' ').trim());
+      }
+      if (found.size === wanted.length) break;
+    }
+    for (const w of wanted) {
+      const sentence = found.get(w);
+      if (!sentence || out.includes(sentence)) continue;
+      out.push(sentence.length > 200 ? `${sentence.slice(0, 197)}...` : sentence);
+      if (out.length >= max) break;
+    }
+    return out;
+  }
+
+  /**
+   * portable_memory: the human handoff the injection prompt points the receiving LLM to first.
+   * Non-inventive: every entry is copied (or excerpted) from topics, decisions, constraints, open action items,
+   * semantic_spine (Ultra+) or the user's own messages. Missing facts are 'UNKNOWN' / [].
+   * @param {{topics:any[], decisions:any[], constraints?:any, actionItems?:any[], messages:any[], semanticSpine?:any}} input
+   * @returns {{
+   *   who:string, what:string, goal:string, current_state:string,
+   *   accepted_decisions:Array<{id:string, intent:string, decision:string}>,
+   *   rejected_directions:string[], open_questions:string[], next_actions:string[], working_conventions:string[],
+   *   derived:boolean, derived_from:string[]
+   * }}
+   */
+  _buildPortableMemory(input) {
+    const topics = Array.isArray(input?.topics) ? input.topics : [];
+    const decisions = Array.isArray(input?.decisions) ? input.decisions : [];
+    const constraints = input?.constraints && typeof input.constraints === 'object' ? input.constraints : {};
+    const actionItems = Array.isArray(input?.actionItems) ? input.actionItems : [];
+    const messages = Array.isArray(input?.messages) ? input.messages : [];
+    const spine = input?.semanticSpine && typeof input.semanticSpine === 'object' ? input.semanticSpine : null;
+    const known = (v) => {
+      const t = String(v || '').trim();
+      return t && t !== 'UNKNOWN' ? t : '';
+    };
+    // Same entry when only case or trailing punctuation differ (an action item vs. the proposal it came from).
+    const sameEntry = (a, b) => a.toLowerCase().replace(/[\s.;:,!]+$/, '') === b.toLowerCase().replace(/[\s.;:,!]+$/, '');
+    const pushUnique = (arr, v, max) => {
+      const t = known(v);
+      if (t && arr.length < max && !arr.some((x) => sameEntry(x, t))) arr.push(t);
+    };
+    const choiceOf = (d) => known(d?.chosen_option ?? d?.choice);
+
+    const users = messages.filter((m) => String(m?.role || '') === 'user');
+    const assistants = messages.filter((m) => String(m?.role || '') === 'assistant');
+    const who = `User working with an AI assistant (${users.length} user / ${assistants.length} assistant messages)`;
+
+    const topLabels = topics
+      .slice()
+      .sort((a, b) => (Number(b?.weight) || 0) - (Number(a?.weight) || 0))
+      .map((t) => known(t?.label))
+      .filter(Boolean)
+      .slice(0, 4);
+    const what = topLabels.length ? topLabels.join(', ') : 'UNKNOWN';
+
+    // The opening request is the user's own statement of the goal.
+    const opening = users.find((m) => String(m?.content || '').trim() && !this._looksLikeCodeOrLogs(m.content));
+    const goal = (opening && this._excerpt(opening.content, 160)) || 'UNKNOWN';
+
+    const accepted_decisions = [];
+    const next_actions = [];
+    // Commitments nobody closed yet come first; then proposals.
+    const openItems = actionItems.filter((a) => a?.status === 'open');
+    for (const a of openItems) pushUnique(next_actions, this._excerpt(a.text, 160), 5);
+    for (const d of decisions) {
+      const choice = choiceOf(d);
+      if (!choice) continue;
+      // A commitment still open is already a next action, not an accepted decision.
+      if (typeof isActionItemDecision === 'function' && isActionItemDecision(d, openItems)) continue;
+      const intent = String(d?.intent || '');
+      // "We should / we need to" proposals are still open work; decide/recommend are settled.
+      if (intent === 'propose') pushUnique(next_actions, this._excerpt(choice, 160), 5);
+      else if (accepted_decisions.length < 6) {
+        accepted_decisions.push({ id: String(d?.id || ''), intent, decision: this._excerpt(choice, 200) });
+      }
+    }
+
+    const rejected_directions = [];
+    for (const r of Array.isArray(spine?.rejected_alternatives) ? spine.rejected_alternatives : []) pushUnique(rejected_directions, r, 6);
+    for (const d of decisions) {
+      const m = /\b(?:instead\s+of|rather\s+than|au\s+lieu\s+d[e']|plutôt\s+que)\s*([^,.;:!?]+)/i.exec(choiceOf(d));
+      if (m) pushUnique(rejected_directions, this._excerpt(m[1], 120), 6);
+    }
+
+    const open_questions = [];
+    const spineQuestions = Array.isArray(spine?.open_questions) ? spine.open_questions : [];
+    for (const q of spineQuestions.length ? spineQuestions : this._recentUserQuestions(messages, 5)) pushUnique(open_questions, q, 5);
+
+    // Full sentences, not the extracted clauses (the "don't" ones carry their own negation).
+    const working_conventions = [];
+    const list = (k) => (Array.isArray(constraints[k]) ? constraints[k] : []);
+    const clauses = ['do', 'dont', 'technical', 'performance', 'security'].flatMap(list);
+    for (const c of this._constraintSentences(messages, clauses, 8)) pushUnique(working_conventions, c, 8);
+
+    const lastUser = users.length ? this._excerpt(users[users.length - 1].content, 160) : '';
+    const tension = known(spine?.main_tension);
+    const current_state =
+      `${messages.length} messages, ${accepted_decisions.length} accepted decision(s), ${next_actions.length} pending action(s).` +
+      (tension ? ` Main tension: ${tension}` : lastUser ? ` Latest user message: ${lastUser}` : '');
+
+    return {
+      who,
+      what,
+      goal,
+      current_state,
+      accepted_decisions,
+      rejected_directions,
+      open_questions,
+      next_actions,
+      working_conventions,
+      derived: true,
+      derived_from: [
+        'topics',
+        'decisions',
+        'constraints',
+        ...(actionItems.length ? ['action_items'] : []),
+        ...(spine ? ['semantic_spine'] : []),
+        'messages'
+      ]
+    };
+  }
+
   /**
    * Generate partial snapshot when budget exceeded
    * @param {string} reason
@@ -980,7 +1256,7 @@ class RL4SnapshotGenerator {
   extractDecisions() {
     try {
       if (typeof extractDecisions !== 'function') return [];
-      const decisions = extractDecisions(this.messages);
+      const decisions = extractDecisions(this.messages, { rules: this._extractionRules() });
       return Array.isArray(decisions) ? decisions : [];
     } catch (e) {
       console.error('[RL4]', 'extractDecisions failed', e);
@@ -995,7 +1271,7 @@ class RL4SnapshotGenerator {
   extractInsights() {
     try {
       if (typeof extractInsights !== 'function') return [];
-      const insights = extractInsights(this.messages);
+      const insights = extractInsights(this.messages, { rules: this._extractionRules() });
       return Array.isArray(insights) ? insights : [];
     } catch (e) {
       console.error('[RL4]', 'extractInsights failed', e);
@@ -1012,7 +1288,7 @@ class RL4SnapshotGenerator {
       if (typeof extractConstraints !== 'function') {
         return { dont: [], do: [], technical: [], performance: [], security: [] };
       }
-      const constraints = extractConstraints(this.messages);
+      const constraints = extractConstraints(this.messages, { rules: this._extractionRules() });
       return constraints || { dont: [], do: [], technical: [], performance: [], security: [] };
     } catch (e) {
       console.error('[RL4]', 'extractConstraints failed', e);
@@ -1797,6 +2073,42 @@ class RL4SnapshotGenerator {
     }
   }
 
+  /**
+   * Action items with open/closed status (lib/action-items.js). Indexes refer to the captured messages.
+   * @param {Array<{id:string, role:string, content:string}>} messages
+   * @returns {Array<{id:string, text:string, owner:string, message_idx:number, status:string, closed_by:Object|null}>}
+   */
+  _buildActionItems(messages) {
+    try {
+      if (typeof extractActionItems === 'function') {
+        return extractActionItems(messages);
+      }
+      // Fallback: no action items if module not loaded
+      return [];
+    } catch (e) {
+      console.error('[RL4]', '_buildActionItems failed', e);
+      return [];
+    }
+  }
+
+  /**
+   * Collect code artifacts (lib/artifacts.js). Indexes refer to the captured messages, before deduplication.
+   * @param {Array<{id:string, role:string, content:string}>} messages
+   * @returns {Promise<{artifacts:Array<Object>, meta:Object|null}>}
+   */
+  async _buildArtifactsFromMessages(messages) {
+    try {
+      if (typeof buildArtifacts === 'function') {
+        return await buildArtifacts(messages);
+      }
+      // Fallback: no artifacts if module not loaded
+      return { artifacts: [], meta: null };
+    } catch (e) {
+      console.error('[RL4]', '_buildArtifactsFromMessages failed', e);
+      return { artifacts: [], meta: null };
+    }
+  }
+
   /**
    * Build causal chains from decisions and evidence.
    * Traces trigger → decision → implementation → outcome.
@@ -1843,6 +2155,58 @@ class RL4SnapshotGenerator {
       return { L1: 'Context captured.', L2: 'Session captured.', L3: [] };
     }
   }
+
+  /**
+   * Cognitive spine: where the conversation stands now and which decisions carry it (digest mode).
+   * Pointers into cognitive_days / causal_chains_v2 / timeline_macro, no new text.
+   * @param {{cognitiveDays:Array, causalChains:Array, timelineMacro:Array, progressiveSummary:Object}} params
+   * @returns {{derived:true, method_version:string, derived_from:string[], current_focus:string, shifts:number,
+   *   key_decisions:Array<{id:string, intent:string, choice:string}>, glance:string}}
+   */
+  _buildCognitiveSpine(params) {
+    const days = Array.isArray(params.cognitiveDays) ? params.cognitiveDays : [];
+    const phases = Array.isArray(params.timelineMacro) ? params.timelineMacro : [];
+    const chains = Array.isArray(params.causalChains) ? params.causalChains : [];
+    const lastDay = days[days.length - 1];
+    const lastPhase = phases[phases.length - 1];
+    const currentFocus = lastDay?.focus || lastPhase?.summary || 'UNKNOWN';
+    const keyDecisions = chains
+      .filter((c) => c?.decision?.id && c.decision.chosen_option && c.decision.chosen_option !== 'UNKNOWN')
+      .sort((a, b) => (b.impact_score || 0) - (a.impact_score || 0))
+      .slice(0, 3)
+      .map((c) => ({
+        id: String(c.decision.id),
+        intent: String(c.decision.intent || ''),
+        choice: this._excerpt(c.decision.chosen_option, 140)
+      }));
+    return {
+      derived: true,
+      method_version: 'cognitive_spine_v1',
+      derived_from: [days.length ? 'cognitive_days' : 'timeline_macro', ...(chains.length ? ['causal_chains_v2'] : [])],
+      current_focus: String(currentFocus),
+      shifts: Math.max(0, (days.length || phases.length) - 1),
+      key_decisions: keyDecisions,
+      glance: String(params.progressiveSummary?.L1 || '')
+    };
+  }
+
+  /**
+   * Validate against the bundled schema (lib/schema-validator.js). The report is part of the checksummed payload.
+   * @param {Object} snapshot
+   * @returns {Promise<Object|null>} null when the validator is not loaded
+   */
+  async _validateSchema(snapshot) {
+    try {
+      if (typeof validateSnapshotSchema === 'function') {
+        return await validateSnapshotSchema(snapshot);
+      }
+      // Fallback: no report if module not loaded
+      return null;
+    } catch (e) {
+      console.error('[RL4]', '_validateSchema failed', e);
+      return { validator: 'unavailable', valid: false, errors: [], missing_required: [], error: String(e?.message || e) };
+    }
+  }
 }
 
 // Expose globally for popup.html simple script loading (no bundler).
@@ -1852,3 +2216,8 @@ if (typeof window !== 'undefined') {
 }
 
 
+
+// Node.js: extraction / cognitive helpers are resolved as globals (load them first, see tests/helpers/load-lib.js).
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { RL4SnapshotGenerator };
+}
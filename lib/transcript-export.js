@@ -0,0 +1,141 @@
+/**
+ * RL4 Transcript Export
+ * Serializes a stored transcript (background IndexedDB, full fidelity) into open interchange formats:
+ * - jsonl     : one message per line {idx, role, timestamp, content}
+ * - openai    : OpenAI-style chat `messages` array [{role, content}]
+ * - markdown  : readable transcript
+ * A multi-file export adds a manifest (conversation metadata + sha256 of every file), no zip needed.
+ */
+
+const TRANSCRIPT_EXPORT_FORMATS = {
+  jsonl: { suffix: 'jsonl', mime: 'application/x-ndjson' },
+  openai: { suffix: 'openai.json', mime: 'application/json' },
+  markdown: { suffix: 'md', mime: 'text/markdown' }
+};
+
+/**
+ * @param {any} m
+ * @param {number} i - Position, used when the stored message has no idx
+ * @returns {{idx:number, role:string, timestamp:string, content:string}}
+ */
+function normalizeExportMessage(m, i) {
+  return {
+    idx: typeof m?.idx === 'number' ? m.idx : i,
+    role: m?.role === 'user' || m?.role === 'assistant' ? m.role : 'unknown',
+    timestamp: typeof m?.timestamp === 'string' ? m.timestamp : '',
+    content: String(m?.content || '')
+  };
+}
+
+/**
+ * @param {Array<any>} messages
+ * @returns {string}
+ */
+function transcriptToJsonl(messages) {
+  const list = (Array.isArray(messages) ? messages : []).map(normalizeExportMessage);
+  return list.map((m) => JSON.stringify(m)).join('\n') + (list.length ? '\n' : '');
+}
+
+/**
+ * OpenAI chat format. Unknown roles map to `assistant` (same rule as transcript_compact).
+ * @param {Array<any>} messages
+ * @returns {Array<{role:'user'|'assistant', content:string}>}
+ */
+function transcriptToOpenAIMessages(messages) {
+  return (Array.isArray(messages) ? messages : [])
+    .map(normalizeExportMessage)
+    .filter((m) => m.content.trim())
+    .map((m) => ({ role: m.role === 'user' ? 'user' : 'assistant', content: m.content }));
+}
+
+/**
+ * @param {Array<any>} messages
+ * @param {{convKey?:string, provider?:string, convId?:string, completeness?:string}} [conversation]
+ * @returns {string}
+ */
+function transcriptToMarkdown(messages, conversation = {}) {
+  const list = (Array.isArray(messages) ? messages : []).map(normalizeExportMessage);
+  const c = conversation || {};
+  const out = [`# Transcript — ${c.provider || 'unknown'} ${c.convId || ''}`.trim(), ''];
+  out.push(`- Conversation: \`${c.convKey || ''}\``);
+  out.push(`- Messages: ${list.length}`);
+  if (c.completeness) out.push(`- Capture: ${c.completeness}`);
+  for (const m of list) {
+    const who = m.role === 'user' ? 'User' : m.role === 'assistant' ? 'Assistant' : 'Unknown';
+    out.push('', `## ${m.idx + 1}. ${who}${m.timestamp ? ` — ${m.timestamp}` : ''}`, '', m.content.trim());
+  }
+  return `${out.join('\n')}\n`;
+}
+
+/**
+ * @param {string} text
+ * @returns {Promise<string>}
+ */
+async function sha256HexOfText(text) {
+  const subtle =
+    typeof globalThis !== 'undefined' && globalThis.crypto && globalThis.crypto.subtle
+      ? globalThis.crypto.subtle
+      : // eslint-disable-next-line no-undef
+        require('crypto').webcrypto.subtle;
+  const buf = await subtle.digest('SHA-256', new TextEncoder().encode(String(text || '')));
+  return Array.from(new Uint8Array(buf))
+    .map((b) => b.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * Build the export files for one conversation.
+ * With more than one format, a manifest file is appended (sha256 per file).
+ * @param {{convKey:string, provider?:string, convId?:string, completeness?:string, transcript_sha256?:string}} conversation
+ * @param {Array<any>} messages
+ * @param {Array<'jsonl'|'openai'|'markdown'>} formats
+ * @returns {Promise<Array<{filename:string, mime:string, content:string}>>}
+ */
+async function buildTranscriptExportFiles(conversation, messages, formats) {
+  const c = conversation || {};
+  const wanted = (Array.isArray(formats) ? formats : []).filter((f) => TRANSCRIPT_EXPORT_FORMATS[f]);
+  if (!wanted.length) throw new Error('No export format selected');
+  const slug = `${c.provider || 'chat'}-${c.convId || 'conversation'}`.replace(/[^a-z0-9_-]+/gi, '_').slice(0, 80);
+  const base = `rl4-transcript-${slug}`;
+
+  const files = wanted.map((f) => {
+    const content =
+      f === 'jsonl'
+        ? transcriptToJsonl(messages)
+        : f === 'openai'
+          ? `${JSON.stringify(transcriptToOpenAIMessages(messages), null, 2)}\n`
+          : transcriptToMarkdown(messages, c);
+    return { filename: `${base}.${TRANSCRIPT_EXPORT_FORMATS[f].suffix}`, mime: TRANSCRIPT_EXPORT_FORMATS[f].mime, content };
+  });
+
+  if (files.length > 1) {
+    const manifest = {
+      kind: 'rl4_transcript_export_v1',
+      exported_at: new Date().toISOString(),
+      conversation: {
+        convKey: c.convKey || '',
+        provider: c.provider || '',
+        convId: c.convId || '',
+        completeness: c.completeness || 'unknown',
+        transcript_sha256: c.transcript_sha256 || '',
+        messages: Array.isArray(messages) ? messages.length : 0
+      },
+      files: []
+    };
+    for (const f of files) manifest.files.push({ filename: f.filename, sha256: await sha256HexOfText(f.content) });
+    files.push({ filename: `${base}.manifest.json`, mime: 'application/json', content: `${JSON.stringify(manifest, null, 2)}\n` });
+  }
+  return files;
+}
+
+// Export for browser and Node.js
+if (typeof window !== 'undefined') {
+  window.transcriptToJsonl = transcriptToJsonl;
+  window.transcriptToOpenAIMessages = transcriptToOpenAIMessages;
+  window.transcriptToMarkdown = transcriptToMarkdown;
+  window.buildTranscriptExportFiles = buildTranscriptExportFiles;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { transcriptToJsonl, transcriptToOpenAIMessages, transcriptToMarkdown, buildTranscriptExportFiles };
+}
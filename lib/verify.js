@@ -0,0 +1,329 @@
+/**
+ * RL4 Snapshot Verifier
+ * Recomputes the canonical checksum of a snapshot and validates its device-only
+ * integrity seal (device_integrity_v1 / ECDSA P-256 over "checksum:<hex>").
+ *
+ * Runs in the popup (window globals) and under Node >= 18 (WebCrypto).
+ *
+ * Verdicts:
+ * - ok                : checksum matches (and signature verifies when present)
+ * - unsigned          : checksum matches but no signature is attached
+ * - checksum_mismatch : payload was modified after checksum computation
+ * - bad_signature     : signature does not verify / does not cover this checksum
+ * - malformed         : not a snapshot, missing checksum, or unreadable signature
+ */
+
+const SIGNATURE_TYPE = 'device_integrity_v1';
+const SIGNATURE_ALGO = 'ECDSA_P256_SHA256';
+
+/**
+ * Resolve WebCrypto SubtleCrypto in browser or Node.
+ * @returns {SubtleCrypto|null}
+ */
+function getSubtleCrypto() {
+  if (typeof globalThis !== 'undefined' && globalThis.crypto && globalThis.crypto.subtle) {
+    return globalThis.crypto.subtle;
+  }
+  try {
+    // eslint-disable-next-line no-undef
+    if (typeof require === 'function') return require('crypto').webcrypto.subtle;
+  } catch (_) {}
+  return null;
+}
+
+/**
+ * Resolve `canonicalize` from lib/checksum.js (global in popup, required in Node).
+ * @returns {Function|null}
+ */
+function getCanonicalize() {
+  if (typeof canonicalize === 'function') return canonicalize;
+  try {
+    // eslint-disable-next-line no-undef
+    if (typeof require === 'function') return require('./checksum.js').canonicalize;
+  } catch (_) {}
+  return null;
+}
+
+/**
+ * Resolve lib/merkle.js helpers (globals in popup, required in Node).
+ * @returns {{buildMessageMerkle:Function, buildMerkleProof:Function, verifyMerkleProof:Function, merkleLeafIndex:Function}|null}
+ */
+function getMerkleApi() {
+  if (typeof buildMerkleProof === 'function' && typeof verifyMerkleProof === 'function' && typeof merkleLeafIndex === 'function') {
+    return { buildMessageMerkle, buildMerkleProof, verifyMerkleProof, merkleLeafIndex };
+  }
+  try {
+    // eslint-disable-next-line no-undef
+    if (typeof require === 'function') return require('./merkle.js');
+  } catch (_) {}
+  return null;
+}
+
+/**
+ * Decode base64 into bytes (atob in browser, Buffer in Node).
+ * @param {string} b64
+ * @returns {Uint8Array}
+ */
+function decodeBase64Bytes(b64) {
+  const s = String(b64 || '').trim();
+  if (!s || !/^[A-Za-z0-9+/]+={0,2}$/.test(s)) throw new Error('Invalid base64');
+  if (typeof atob === 'function') {
+    const binary = atob(s);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+  }
+  // eslint-disable-next-line no-undef
+  return new Uint8Array(Buffer.from(s, 'base64'));
+}
+
+/**
+ * @param {ArrayBuffer|Uint8Array} buf
+ * @returns {string}
+ */
+function bytesToHex(buf) {
+  return Array.from(new Uint8Array(buf))
+    .map((b) => b.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * Recompute the snapshot checksum the way the producer does.
+ * The seal is attached after the checksum is computed, so `signature` is excluded
+ * (just like `checksum` itself is excluded by canonicalize).
+ * @param {any} snapshot
+ * @returns {Promise<string>}
+ */
+async function recomputeSnapshotChecksum(snapshot) {
+  const subtle = getSubtleCrypto();
+  const canon = getCanonicalize();
+  if (!subtle) throw new Error('WebCrypto not available');
+  if (!canon) throw new Error('canonicalize() not available (load lib/checksum.js)');
+  const { signature: _sig, ...rest } = snapshot || {};
+  const data = new TextEncoder().encode(JSON.stringify(canon(rest)));
+  return bytesToHex(await subtle.digest('SHA-256', data));
+}
+
+/**
+ * Verify a device_integrity_v1 signature object against an expected checksum.
+ * @param {any} sig
+ * @param {string} checksumHex
+ * @returns {Promise<{ok:boolean, verdict:string, reason:string, key_id?:string, key_id_matches?:boolean}>}
+ */
+async function verifyDeviceSignature(sig, checksumHex) {
+  if (!sig || typeof sig !== 'object') {
+    return { ok: false, verdict: 'malformed', reason: 'signature_not_object' };
+  }
+  if (sig.type !== SIGNATURE_TYPE || sig.algo !== SIGNATURE_ALGO) {
+    return { ok: false, verdict: 'malformed', reason: 'unsupported_signature_type' };
+  }
+  for (const k of ['key_id', 'public_key_spki', 'signed_payload', 'value']) {
+    if (typeof sig[k] !== 'string' || !sig[k]) {
+      return { ok: false, verdict: 'malformed', reason: `missing_${k}` };
+    }
+  }
+  if (sig.signed_payload !== `checksum:${checksumHex}`) {
+    return { ok: false, verdict: 'bad_signature', reason: 'signed_payload_does_not_match_checksum', key_id: sig.key_id };
+  }
+
+  const subtle = getSubtleCrypto();
+  if (!subtle) return { ok: false, verdict: 'malformed', reason: 'webcrypto_unavailable' };
+
+  let spki;
+  let sigBytes;
+  try {
+    spki = decodeBase64Bytes(sig.public_key_spki);
+    sigBytes = decodeBase64Bytes(sig.value);
+  } catch (_) {
+    return { ok: false, verdict: 'malformed', reason: 'invalid_base64', key_id: sig.key_id };
+  }
+
+  let publicKey;
+  try {
+    publicKey = await subtle.importKey('spki', spki, { name: 'ECDSA', namedCurve: 'P-256' }, false, ['verify']);
+  } catch (_) {
+    return { ok: false, verdict: 'malformed', reason: 'invalid_public_key', key_id: sig.key_id };
+  }
+
+  const keyIdMatches = bytesToHex(await subtle.digest('SHA-256', spki)) === String(sig.key_id).toLowerCase();
+  if (!keyIdMatches) {
+    return { ok: false, verdict: 'bad_signature', reason: 'key_id_does_not_match_public_key', key_id: sig.key_id, key_id_matches: false };
+  }
+
+  let valid = false;
+  try {
+    valid = await subtle.verify(
+      { name: 'ECDSA', hash: 'SHA-256' },
+      publicKey,
+      sigBytes,
+      new TextEncoder().encode(sig.signed_payload)
+    );
+  } catch (_) {
+    valid = false;
+  }
+  if (!valid) {
+    return { ok: false, verdict: 'bad_signature', reason: 'signature_verification_failed', key_id: sig.key_id, key_id_matches: true };
+  }
+  return { ok: true, verdict: 'ok', reason: 'signature_valid', key_id: sig.key_id, key_id_matches: true };
+}
+
+/**
+ * @param {Object} snap - Snapshot with `partial_view: true`
+ * @param {boolean} hasSig
+ * @returns {Promise<Object>} verifySnapshot result; ok is always false (the content itself is not covered)
+ */
+async function verifyPartialView(snap, hasSig) {
+  const source = typeof snap.source_checksum === 'string' ? snap.source_checksum.trim().toLowerCase() : '';
+  if (!/^[a-f0-9]{64}$/.test(source)) {
+    return { ok: false, verdict: 'malformed', reason: 'missing_or_invalid_source_checksum', checksum: null, signature: { present: hasSig } };
+  }
+  if (!hasSig) {
+    return { ok: false, verdict: 'partial_view', reason: 'source_unsealed', checksum: null, source_checksum: source, signature: { present: false } };
+  }
+  const sigResult = await verifyDeviceSignature(snap.signature, source);
+  return {
+    ok: false,
+    // A seal that does not match its source checksum is still tampering.
+    verdict: sigResult.ok ? 'partial_view' : sigResult.verdict,
+    reason: sigResult.ok ? 'source_seal_valid' : sigResult.reason,
+    checksum: null,
+    source_checksum: source,
+    signature: { present: true, verdict: sigResult.verdict, reason: sigResult.reason, key_id: sigResult.key_id }
+  };
+}
+
+/**
+ * Verify a snapshot end-to-end (checksum + optional device seal).
+ * A partial view (`partial_view: true`, cut to a paste limit by lib/handoff-budget.js) cannot match its
+ * `source_checksum`: only the seal over the source is checked, and the verdict is 'partial_view', not a mismatch.
+ * @param {any} snapshot - Parsed snapshot object (or JSON string)
+ * @param {{requireSignature?: boolean}} [options]
+ * @returns {Promise<{ok:boolean, verdict:'ok'|'checksum_mismatch'|'bad_signature'|'unsigned'|'partial_view'|'malformed', reason:string, checksum:{expected:string, actual:string, matches:boolean}|null, source_checksum?:string, signature:{present:boolean, verdict?:string, reason?:string, key_id?:string}}>}
+ */
+async function verifySnapshot(snapshot, options = {}) {
+  const requireSignature = !!options.requireSignature;
+  let snap = snapshot;
+  if (typeof snap === 'string') {
+    try {
+      snap = JSON.parse(snap);
+    } catch (_) {
+      return { ok: false, verdict: 'malformed', reason: 'invalid_json', checksum: null, signature: { present: false } };
+    }
+  }
+  if (!snap || typeof snap !== 'object' || Array.isArray(snap)) {
+    return { ok: false, verdict: 'malformed', reason: 'not_an_object', checksum: null, signature: { present: false } };
+  }
+
+  const expected = typeof snap.checksum === 'string' ? snap.checksum.trim().toLowerCase() : '';
+  const hasSig = snap.signature !== undefined && snap.signature !== null;
+  if (snap.partial_view === true) return verifyPartialView(snap, hasSig);
+  if (!/^[a-f0-9]{64}$/.test(expected)) {
+    return { ok: false, verdict: 'malformed', reason: 'missing_or_invalid_checksum', checksum: null, signature: { present: hasSig } };
+  }
+
+  let actual = '';
+  try {
+    actual = await recomputeSnapshotChecksum(snap);
+  } catch (e) {
+    return { ok: false, verdict: 'malformed', reason: String(e?.message || e), checksum: null, signature: { present: hasSig } };
+  }
+  const checksum = { expected, actual, matches: actual === expected };
+  if (!checksum.matches) {
+    return { ok: false, verdict: 'checksum_mismatch', reason: 'recomputed_checksum_differs', checksum, signature: { present: hasSig } };
+  }
+
+  if (!hasSig) {
+    return {
+      ok: !requireSignature,
+      verdict: 'unsigned',
+      reason: requireSignature ? 'signature_required' : 'checksum_valid_no_signature',
+      checksum,
+      signature: { present: false }
+    };
+  }
+
+  const sigResult = await verifyDeviceSignature(snap.signature, expected);
+  return {
+    ok: sigResult.ok,
+    verdict: sigResult.verdict,
+    reason: sigResult.reason,
+    checksum,
+    signature: { present: true, verdict: sigResult.verdict, reason: sigResult.reason, key_id: sigResult.key_id }
+  };
+}
+
+/**
+ * Inclusion proof for message `messageIdx` (stored transcript idx) of a snapshot with a Merkle root.
+ * Leaves come from the snapshot (`conversation_fingerprint.merkle.leaves`) or, when it does not embed them
+ * (`leaves_embedded: false`), are rebuilt from the stored transcript rows passed as `opts.messages`.
+ * @param {any} snapshot
+ * @param {number} messageIdx - 0-based message idx
+ * @param {{messages?:Array<{idx:number, role:string, content:string}>}} [opts] - stored transcript (rl4_transcript_get_messages)
+ * @returns {Promise<any>} proof (see lib/merkle.js buildMerkleProof) with `message_idx`
+ */
+async function proveSnapshotMessage(snapshot, messageIdx, opts = {}) {
+  const merkle = snapshot?.conversation_fingerprint?.merkle;
+  if (!merkle || typeof merkle.root !== 'string' || !merkle.root) throw new Error('Snapshot has no Merkle root');
+  const api = getMerkleApi();
+  if (!api) throw new Error('Merkle helpers not available (load lib/merkle.js)');
+
+  let leaves = Array.isArray(merkle.leaves) ? merkle.leaves : null;
+  if (!leaves) {
+    if (!Array.isArray(opts.messages)) throw new Error('Snapshot does not embed Merkle leaves: pass the stored transcript');
+    // The store may have grown since the snapshot: only rows it covered count.
+    const count = typeof merkle.message_count === 'number' ? merkle.message_count : Infinity;
+    const rebuilt = await api.buildMessageMerkle(opts.messages.filter((m) => !(m.idx >= count)));
+    if (rebuilt.root !== String(merkle.root).toLowerCase()) throw new Error('Stored transcript does not match merkle.root');
+    leaves = rebuilt.leaves;
+  }
+
+  const leafIndex = api.merkleLeafIndex(merkle, messageIdx);
+  if (leafIndex < 0) throw new Error(`Message ${messageIdx} has no leaf (out of range or empty)`);
+  const proof = await api.buildMerkleProof(leaves, leafIndex);
+  if (proof.root !== String(merkle.root).toLowerCase()) throw new Error('Embedded leaves do not match merkle.root');
+  return { ...proof, message_idx: Number(messageIdx) };
+}
+
+/**
+ * Check that a quoted message belongs to a snapshot's transcript.
+ * The root is read from the snapshot (covered by checksum/seal); run verifySnapshot() first.
+ * @param {any} snapshot
+ * @param {any} proof
+ * @param {{role:string, content:string}} [message]
+ * @returns {Promise<{ok:boolean, reason:string}>}
+ */
+async function verifyMessageInclusion(snapshot, proof, message) {
+  const merkle = snapshot?.conversation_fingerprint?.merkle;
+  if (!merkle || typeof merkle.root !== 'string' || !merkle.root) return { ok: false, reason: 'snapshot_has_no_merkle_root' };
+  if (!Number.isInteger(merkle.leaf_count)) return { ok: false, reason: 'snapshot_has_no_leaf_count' };
+  if (proof && typeof proof.leaf_count === 'number' && proof.leaf_count !== merkle.leaf_count) {
+    return { ok: false, reason: 'leaf_count_mismatch' };
+  }
+  const api = getMerkleApi();
+  if (!api) return { ok: false, reason: 'merkle_helpers_unavailable' };
+  if (proof && typeof proof.message_idx === 'number' && api.merkleLeafIndex(merkle, proof.message_idx) !== proof.index) {
+    return { ok: false, reason: 'message_idx_does_not_match_leaf' };
+  }
+  // Sides are derived from proof.index and the snapshot's leaf count, so the index is bound by the root.
+  const res = await api.verifyMerkleProof(proof, merkle.root, message, merkle.leaf_count);
+  return { ok: res.ok, reason: res.reason };
+}
+
+// Export for browser and Node.js
+if (typeof window !== 'undefined') {
+  window.verifySnapshot = verifySnapshot;
+  window.verifyDeviceSignature = verifyDeviceSignature;
+  window.recomputeSnapshotChecksum = recomputeSnapshotChecksum;
+  window.proveSnapshotMessage = proveSnapshotMessage;
+  window.verifyMessageInclusion = verifyMessageInclusion;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    verifySnapshot,
+    verifyDeviceSignature,
+    recomputeSnapshotChecksum,
+    proveSnapshotMessage,
+    verifyMessageInclusion
+  };
+}
@@ -0,0 +1,335 @@
+/**
+ * RL4 Snapshot Extension - Options page
+ * User-defined extraction rules (lib/extraction-rules.js): edit, live test against the last captured transcript,
+ * JSON import/export. The snapshot generator reads the same storage key (content.js, popup.js).
+ */
+
+const STORAGE_KEYS = {
+  EXTRACTION_RULES: 'rl4_extraction_rules_v1',
+  LAST_SNAPSHOT: 'rl4_last_snapshot_v1',
+  CURRENT_MESSAGES: 'rl4_current_messages'
+};
+
+let rules = [];
+let testTranscript = null; // { label, messages, baseline }
+let testTimer = null;
+
+async function bgSend(msg) {
+  return new Promise((resolve) => {
+    try {
+      chrome.runtime.sendMessage(msg, (resp) => resolve(resp || null));
+    } catch (_) {
+      resolve(null);
+    }
+  });
+}
+
+function showStatus(type, message) {
+  const statusDiv = document.getElementById('status');
+  statusDiv.className = `status ${type}`;
+  statusDiv.textContent = message;
+  statusDiv.classList.remove('hidden');
+}
+
+/**
+ * Trigger a file download (no downloads permission needed).
+ * @param {string} filename
+ * @param {string} mime
+ * @param {string} content
+ */
+function downloadTextFile(filename, mime, content) {
+  const blob = new Blob([content], { type: `${mime};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * @param {Array<{index:number, id:string, message:string}>} errors
+ * @returns {string}
+ */
+function formatRuleErrors(errors) {
+  return errors.map((e) => (e.index >= 0 ? `#${e.index + 1} ${e.id}: ${e.message}` : e.message)).join('\n');
+}
+
+async function loadRules() {
+  const res = await chrome.storage.local.get([STORAGE_KEYS.EXTRACTION_RULES]);
+  const stored = Array.isArray(res[STORAGE_KEYS.EXTRACTION_RULES]) ? res[STORAGE_KEYS.EXTRACTION_RULES] : [];
+  rules = normalizeExtractionRules(stored).rules;
+  renderRules();
+}
+
+/**
+ * Validate, store and re-render. Invalid rules are not stored.
+ * @param {Array} next
+ * @returns {Promise<Array<{index:number, id:string, message:string}>>} Validation errors
+ */
+async function saveRules(next) {
+  const { rules: valid, errors } = normalizeExtractionRules(next);
+  await chrome.storage.local.set({ [STORAGE_KEYS.EXTRACTION_RULES]: valid });
+  rules = valid;
+  renderRules();
+  scheduleTest();
+  return errors;
+}
+
+/**
+ * @param {Object} rule
+ * @returns {string}
+ */
+function describeRule(rule) {
+  if (rule.kind === 'decision') return `${rule.intent} · ${rule.confidence}`;
+  if (rule.kind === 'insight') return `priority ${rule.priority}`;
+  return rule.type;
+}
+
+function renderRules() {
+  const listEl = document.getElementById('rulesList');
+  const emptyEl = document.getElementById('rulesEmpty');
+  const countEl = document.getElementById('rulesCount');
+  listEl.textContent = '';
+  emptyEl.classList[rules.length ? 'add' : 'remove']('hidden');
+  const enabled = rules.filter((r) => r.enabled).length;
+  countEl.textContent = rules.length ? `${enabled}/${rules.length} enabled` : '';
+
+  for (const rule of rules) {
+    const row = document.createElement('div');
+    row.className = 'history-item';
+
+    const title = document.createElement('div');
+    title.className = 'history-item-title';
+    title.textContent = `${rule.kind} • ${rule.id} • ${describeRule(rule)}${rule.enabled ? '' : ' • disabled'}`;
+
+    const sub = document.createElement('div');
+    sub.className = 'history-item-sub rule-pattern';
+    sub.textContent = `/${rule.pattern}/${rule.flags}`;
+
+    const actions = document.createElement('div');
+    actions.className = 'history-item-actions';
+    const toggleBtn = document.createElement('button');
+    toggleBtn.className = 'btn-inline';
+    toggleBtn.type = 'button';
+    toggleBtn.textContent = rule.enabled ? 'Disable' : 'Enable';
+    toggleBtn.addEventListener('click', async (e) => {
+      e.preventDefault();
+      await saveRules(rules.map((r) => (r.id === rule.id ? { ...r, enabled: !r.enabled } : r)));
+    });
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'btn-inline';
+    deleteBtn.type = 'button';
+    deleteBtn.textContent = 'Delete';
+    deleteBtn.addEventListener('click', async (e) => {
+      e.preventDefault();
+      await saveRules(rules.filter((r) => r.id !== rule.id));
+      showStatus('success', `Deleted rule "${rule.id}".`);
+    });
+    actions.append(toggleBtn, deleteBtn);
+
+    row.append(title, sub, actions);
+    listEl.appendChild(row);
+  }
+}
+
+function updateKindFields() {
+  const kind = document.getElementById('ruleKind').value;
+  for (const el of document.querySelectorAll('[data-rule-kind]')) {
+    el.classList[el.dataset.ruleKind === kind ? 'remove' : 'add']('hidden');
+  }
+}
+
+/**
+ * The rule being typed in the "New rule" form (null while the pattern is empty).
+ * @returns {Object|null}
+ */
+function readDraftRule() {
+  const pattern = document.getElementById('rulePattern').value;
+  if (!pattern.trim()) return null;
+  const kind = document.getElementById('ruleKind').value;
+  let id = document.getElementById('ruleId').value.trim();
+  if (!id) {
+    let n = rules.length + 1;
+    while (rules.some((r) => r.id === `${kind}-${n}`)) n++;
+    id = `${kind}-${n}`;
+  }
+  const draft = { id, kind, pattern, flags: document.getElementById('ruleFlags').value.trim() };
+  if (kind === 'decision') {
+    draft.intent = document.getElementById('ruleIntent').value;
+    draft.confidence = document.getElementById('ruleConfidence').value;
+  } else if (kind === 'insight') {
+    draft.priority = Number(document.getElementById('rulePriority').value);
+  } else {
+    draft.type = document.getElementById('ruleType').value;
+  }
+  return draft;
+}
+
+/**
+ * Validate the draft against the saved rules (duplicate ids included).
+ * @returns {{draft:Object|null, errors:Array}}
+ */
+function checkDraftRule() {
+  const draft = readDraftRule();
+  const info = document.getElementById('ruleDraftInfo');
+  if (!draft) {
+    info.classList.add('hidden');
+    return { draft: null, errors: [] };
+  }
+  const errors = normalizeExtractionRules([...rules, draft]).errors.filter((e) => e.index === rules.length);
+  info.textContent = errors.length ? errors.map((e) => e.message).join('\n') : `Valid ${draft.kind} rule "${draft.id}".`;
+  info.className = `status-mini ${errors.length ? 'verdict-bad' : 'verdict-ok'}`;
+  return { draft, errors };
+}
+
+async function addRule() {
+  const { draft, errors } = checkDraftRule();
+  if (!draft) {
+    showStatus('error', 'Enter a pattern first.');
+    return;
+  }
+  if (errors.length) {
+    showStatus('error', `Rule not added: ${errors.map((e) => e.message).join('; ')}`);
+    return;
+  }
+  await saveRules([...rules, draft]);
+  document.getElementById('rulePattern').value = '';
+  document.getElementById('ruleId').value = '';
+  checkDraftRule();
+  showStatus('success', `Added rule "${draft.id}". It applies to the next snapshot.`);
+}
+
+/**
+ * Messages of the last captured conversation: the stored transcript of the last snapshot (background IndexedDB),
+ * else the messages the content script keeps in chrome.storage.
+ * @returns {Promise<{label:string, messages:Array}>}
+ */
+async function loadLastTranscript() {
+  const res = await chrome.storage.local.get([STORAGE_KEYS.LAST_SNAPSHOT, STORAGE_KEYS.CURRENT_MESSAGES]);
+  const snap = res[STORAGE_KEYS.LAST_SNAPSHOT];
+  const convKey = String(snap?.metadata?.transcript_ref || '').trim();
+  if (convKey) {
+    const messages = [];
+    for (let start = 0; ; start += 1000) {
+      const resp = await bgSend({ action: 'rl4_transcript_get_messages', convKey, start, limit: 1000 });
+      if (!resp || !resp.ok) break;
+      messages.push(...resp.messages);
+      if (resp.messages.length < 1000) break;
+    }
+    if (messages.length) return { label: convKey, messages };
+  }
+  const current = Array.isArray(res[STORAGE_KEYS.CURRENT_MESSAGES]) ? res[STORAGE_KEYS.CURRENT_MESSAGES] : [];
+  if (current.length) return { label: 'current tab capture', messages: current };
+  throw new Error('No captured conversation yet. Generate a snapshot first.');
+}
+
+function scheduleTest() {
+  if (!testTranscript) return;
+  if (testTimer) clearTimeout(testTimer);
+  testTimer = setTimeout(runRulesTest, 250);
+}
+
+/**
+ * Per-rule hits, then what the rules add to the snapshot compared with the built-in tables alone.
+ */
+function runRulesTest() {
+  const out = document.getElementById('testResult');
+  if (!testTranscript) return;
+  const { draft, errors } = checkDraftRule();
+  const candidate = draft && !errors.length ? [...rules, draft] : rules;
+  const { label, messages, baseline } = testTranscript;
+  const lines = [`${label}: ${messages.length} messages`, ''];
+
+  const report = testExtractionRules(candidate, messages, { samples: 3 });
+  if (!report.rules.length) lines.push('No rules to test.');
+  for (const r of report.rules) {
+    const draftTag = draft && r.id === draft.id && !rules.some((x) => x.id === draft.id) ? ' [new]' : '';
+    lines.push(`${r.id} (${r.kind})${draftTag}${r.enabled ? '' : ' [disabled]'}: ${r.messages_matched} message(s)`);
+    for (const s of r.samples) {
+      lines.push(`  #${s.message_idx} ${s.role}: ${s.match}${s.extracted !== null ? `  → ${s.extracted}` : ''}`);
+    }
+  }
+
+  const compiled = compileExtractionRules(candidate);
+  const decisions = extractDecisions(messages, { rules: compiled }).filter((d) => /\(custom\)$/.test(d.intent_text));
+  const insights = extractInsights(messages, { rules: compiled }).filter((t) => !baseline.insights.includes(t));
+  const constraints = extractConstraints(messages, { rules: compiled });
+  const added = [];
+  for (const d of decisions) added.push(`+ decision (${d.intent}): ${d.chosen_option}`);
+  for (const t of insights) added.push(`+ insight: ${t}`);
+  for (const [type, items] of Object.entries(constraints)) {
+    for (const t of items) if (!baseline.constraints[type].includes(t)) added.push(`+ constraint (${type}): ${t}`);
+  }
+  lines.push('', added.length ? 'Added to the snapshot by these rules:' : 'The rules add nothing to the snapshot for this conversation.', ...added);
+
+  out.textContent = lines.join('\n');
+  out.classList.remove('hidden');
+}
+
+async function importRules() {
+  const file = document.getElementById('importRulesInput').files?.[0];
+  if (!file) {
+    showStatus('error', 'Choose a rule set (.json) first.');
+    return;
+  }
+  const { rules: incoming, errors } = parseExtractionRulesJson(await file.text());
+  if (!incoming.length) {
+    showStatus('error', `Nothing imported.\n${formatRuleErrors(errors)}`);
+    return;
+  }
+  const ids = new Set(incoming.map((r) => r.id));
+  const replaced = rules.filter((r) => ids.has(r.id)).length;
+  await saveRules([...rules.filter((r) => !ids.has(r.id)), ...incoming]);
+  const summary = `Imported ${incoming.length} rule(s) (${replaced} replaced).`;
+  if (errors.length) showStatus('warning', `${summary} Skipped:\n${formatRuleErrors(errors)}`);
+  else showStatus('success', summary);
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  loadRules().catch((e) => showStatus('error', `Could not load rules: ${e.message}`));
+  updateKindFields();
+
+  document.getElementById('ruleKind').addEventListener('change', () => {
+    updateKindFields();
+    checkDraftRule();
+    scheduleTest();
+  });
+  for (const id of ['ruleId', 'rulePattern', 'ruleFlags', 'ruleIntent', 'ruleConfidence', 'rulePriority', 'ruleType']) {
+    document.getElementById(id).addEventListener('input', () => {
+      checkDraftRule();
+      scheduleTest();
+    });
+  }
+  document.getElementById('addRuleBtn').addEventListener('click', (e) => {
+    e.preventDefault();
+    addRule().catch((err) => showStatus('error', err.message));
+  });
+
+  document.getElementById('loadTranscriptBtn').addEventListener('click', async (e) => {
+    e.preventDefault();
+    try {
+      showStatus('loading', 'Loading the last captured conversation…');
+      const { label, messages } = await loadLastTranscript();
+      // Built-in tables alone, computed once per transcript.
+      const baseline = { insights: extractInsights(messages), constraints: extractConstraints(messages) };
+      testTranscript = { label, messages, baseline };
+      document.getElementById('testSource').textContent = `Testing against ${label} (${messages.length} messages). Results update as you type.`;
+      runRulesTest();
+      showStatus('success', 'Transcript loaded.');
+    } catch (err) {
+      showStatus('error', err.message);
+    }
+  });
+
+  document.getElementById('exportRulesBtn').addEventListener('click', (e) => {
+    e.preventDefault();
+    downloadTextFile('rl4-extraction-rules.json', 'application/json', serializeExtractionRules(rules));
+  });
+  document.getElementById('importRulesBtn').addEventListener('click', (e) => {
+    e.preventDefault();
+    importRules().catch((err) => showStatus('error', err.message));
+  });
+});
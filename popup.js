@@ -14,6 +14,13 @@ let chunkNotes = [];
 let chunkConvKey = '';
 let chunkMaxChars = 45000;
 let metaExpanded = false;
+let importExpanded = false;
+let importedSnapshot = null;
+let historyExpanded = false;
+let historySearchTimer = null;
+let lastSnapshotDiff = null; // { diff, base, head }
+let exportExpanded = false;
+let archiveExpanded = false;
 
 const STORAGE_KEYS = {
   LAST_PROMPT: 'rl4_last_prompt_v1',
@@ -23,7 +30,10 @@ const STORAGE_KEYS = {
   RL4_BLOCKS: 'rl4_blocks_v1',
   RL4_BLOCKS_STATUS: 'rl4_blocks_status_v1',
   LAST_SUPPORTED_TAB: 'rl4_last_supported_tab_v1',
-  UI_FLOW: 'rl4_ui_flow_v1'
+  UI_FLOW: 'rl4_ui_flow_v1',
+  SEND_TO: 'rl4_send_to_v1',
+  CHUNK_RUN: 'rl4_chunk_run_v1',
+  EXTRACTION_RULES: 'rl4_extraction_rules_v1'
 };
 
 function setChunkExpanded(isExpanded) {
@@ -84,6 +94,66 @@ function loadChunkNotesIntoTextarea() {
   if (ta) ta.value = existing || '';
 }
 
+/**
+ * Progress view of the background chunk runner (rl4_chunk_run_v1).
+ * Only the run of the conversation shown in the popup is rendered.
+ * @param {any} run
+ */
+function renderChunkRun(run) {
+  const progress = document.getElementById('chunkRunProgress');
+  const info = document.getElementById('chunkRunInfo');
+  const runBtn = document.getElementById('chunkRunBtn');
+  const cancelBtn = document.getElementById('chunkRunCancelBtn');
+  const resumeBtn = document.getElementById('chunkRunResumeBtn');
+  const mine = run && typeof run === 'object' && (!chunkConvKey || run.convKey === chunkConvKey);
+  const status = mine ? String(run.status || '') : '';
+  const running = status === 'running';
+
+  if (runBtn) runBtn.disabled = running;
+  cancelBtn?.classList.toggle('hidden', !running);
+  resumeBtn?.classList.toggle('hidden', status !== 'error' && status !== 'cancelled');
+  progress?.classList.toggle('hidden', !status);
+  info?.classList.toggle('hidden', !status);
+  if (!status) return;
+
+  const total = Math.max(0, Number(run.total) || 0);
+  const saved = Math.max(0, Math.min(total, Number(run.saved) || 0));
+  const step = run.step && typeof run.step === 'object' ? run.step : null;
+  // total chunks + 1 merge step.
+  if (progress) {
+    progress.max = total + 1;
+    progress.value = status === 'done' ? total + 1 : saved;
+  }
+
+  let line = '';
+  if (status === 'running') {
+    if (step && step.kind === 'merge') line = `Merging ${total} chunk notes into the final RL4 blocks…`;
+    else if (step) line = `Chunk ${step.index + 1}/${total}: waiting for the reply… (notes saved: ${saved}/${total})`;
+    else line = `Preparing the next step… (notes saved: ${saved}/${total})`;
+  } else if (status === 'done') {
+    line = `Done: ${total} chunks merged and sealed.`;
+  } else if (status === 'cancelled') {
+    line = `Stopped (notes saved: ${saved}/${total}).`;
+  } else {
+    line = `Stopped: ${run.error || 'Unknown error'} (notes saved: ${saved}/${total}).`;
+  }
+  if (info) info.textContent = line;
+}
+
+/**
+ * Reload chunk notes saved by the background runner.
+ */
+async function reloadChunkNotes() {
+  if (!chunkConvKey) return;
+  const notesRes = await bgSend({ action: 'rl4_chunk_notes_load', convKey: chunkConvKey });
+  chunkNotes = notesRes && notesRes.ok && Array.isArray(notesRes.notes) ? notesRes.notes : [];
+  if (chunkNotes.length < chunkPlan.length) {
+    chunkNotes = [...chunkNotes, ...new Array(chunkPlan.length - chunkNotes.length).fill('')];
+  }
+  updateChunkPlanInfo();
+  loadChunkNotesIntoTextarea();
+}
+
 async function initChunkEncoderFromSnapshot(snap) {
   const wrap = document.getElementById('chunkEncoder');
   const storeInfo = document.getElementById('transcriptStoreInfo');
@@ -129,8 +199,15 @@ async function initChunkEncoderFromSnapshot(snap) {
   updateChunkPlanInfo();
   loadChunkNotesIntoTextarea();
 
-  // Keep collapsed by default (so it doesn't overwhelm the normal flow).
-  setChunkExpanded(false);
+  let run = null;
+  try {
+    const res = await chrome.storage.local.get([STORAGE_KEYS.CHUNK_RUN]);
+    run = res[STORAGE_KEYS.CHUNK_RUN] || null;
+  } catch (_) {}
+  renderChunkRun(run);
+
+  // Keep collapsed by default (so it doesn't overwhelm the normal flow), unless a run is in progress.
+  setChunkExpanded(!!(run && run.convKey === convKey && run.status === 'running'));
 }
 
 async function getRememberedSupportedTab() {
@@ -155,20 +232,7 @@ async function getRememberedSupportedTab() {
 }
 
 async function getTargetActiveTab() {
-  const isSupportedUrl = (url) => {
-    const u = String(url || '');
-    return (
-      u.startsWith('https://claude.ai/') ||
-      u.startsWith('https://chatgpt.com/') ||
-      u.startsWith('https://chat.openai.com/') ||
-      u.startsWith('https://gemini.google.com/') ||
-      u.startsWith('https://bard.google.com/') ||
-      u.startsWith('https://g.co/') ||
-      u.startsWith('https://www.perplexity.ai/') ||
-      u.startsWith('https://perplexity.ai/') ||
-      u.startsWith('https://copilot.microsoft.com/')
-    );
-  };
+  const isSupportedUrl = (url) => isSupportedProviderUrl(url);
 
   const rememberTab = async (tab) => {
     try {
@@ -312,12 +376,14 @@ async function saveUiFlow(v) {
 function renderRl4BlocksStatus(statusObj) {
   const manualWrap = document.getElementById('rl4BlocksManual');
   const copyFinalBtn = document.getElementById('copyPromptBtn');
+  const sendToBtn = document.getElementById('sendToBtn');
   const ta = document.getElementById('rl4BlocksInput');
   const s = statusObj && typeof statusObj === 'object' ? statusObj : null;
   if (!s || !s.status) {
     if (flowSticky) manualWrap?.classList.remove('hidden');
     else manualWrap?.classList.add('hidden');
     if (copyFinalBtn) copyFinalBtn.disabled = true;
+    if (sendToBtn) sendToBtn.disabled = true;
     return;
   }
 
@@ -325,17 +391,20 @@ function renderRl4BlocksStatus(statusObj) {
   if (status === 'awaiting') {
     manualWrap?.classList.remove('hidden');
     if (copyFinalBtn) copyFinalBtn.disabled = true;
+    if (sendToBtn) sendToBtn.disabled = true;
     return;
   }
   if (status === 'captured') {
     if (!flowSticky) manualWrap?.classList.add('hidden');
     if (copyFinalBtn) copyFinalBtn.disabled = true;
+    if (sendToBtn) sendToBtn.disabled = true;
     return;
   }
   if (status === 'sealed') {
     // Post-finalize: keep ONE CTA on screen (Copy Final Prompt).
     manualWrap?.classList.add('hidden');
     if (copyFinalBtn) copyFinalBtn.disabled = false;
+    if (sendToBtn) sendToBtn.disabled = false;
     // UX: when blocks were auto-captured by the content script, Step 3 paste box can disappear.
     // Make it explicit that nothing needs to be pasted.
     try {
@@ -371,10 +440,12 @@ function renderRl4BlocksStatus(statusObj) {
   if (status === 'error') {
     manualWrap?.classList.remove('hidden');
     if (copyFinalBtn) copyFinalBtn.disabled = true;
+    if (sendToBtn) sendToBtn.disabled = true;
     return;
   }
   manualWrap?.classList.remove('hidden');
   if (copyFinalBtn) copyFinalBtn.disabled = true;
+  if (sendToBtn) sendToBtn.disabled = true;
 }
 
 let rl4BlocksPollTimer = null;
@@ -383,13 +454,14 @@ function stopRl4BlocksPoll() {
   rl4BlocksPollTimer = null;
 }
 
-function startRl4BlocksPoll({ onSealed } = {}) {
+function startRl4BlocksPoll({ onSealed, onStatus } = {}) {
   stopRl4BlocksPoll();
   rl4BlocksPollTimer = setInterval(async () => {
     try {
       const s = await loadRl4BlocksStatus();
       renderRl4BlocksStatus(s);
       refreshGuidance().catch(() => {});
+      onStatus?.(s);
       if (s && s.status === 'sealed') {
         stopRl4BlocksPoll();
         onSealed?.(s);
@@ -427,11 +499,20 @@ function flashOnce(el, className = 'rl4-clicked', ms = 900) {
   } catch (_) {}
 }
 
+/**
+ * Compression value the encoder must copy into ARCH compress: ('' when the snapshot has none).
+ * @param {any} snapshot
+ * @returns {string}
+ */
+function getSnapshotCompress(snapshot) {
+  const md = snapshot && snapshot.metadata && typeof snapshot.metadata === 'object' ? snapshot.metadata : {};
+  return String(md.compression_digest || md.compression_ratio || md.compression_bundle || '');
+}
+
 function buildLocalRl4BlocksText(snapshot) {
   const s = snapshot && typeof snapshot === 'object' ? snapshot : {};
-  const md = s.metadata && typeof s.metadata === 'object' ? s.metadata : {};
   const protocol = typeof s.protocol === 'string' ? s.protocol : 'RCEP_v1';
-  const compress = String(md.compression_digest || md.compression_ratio || md.compression_bundle || 'NOT_AVAILABLE');
+  const compress = getSnapshotCompress(s) || 'NOT_AVAILABLE';
 
   const topicsArr = Array.isArray(s.topics) ? s.topics : [];
   const topTopics = topicsArr
@@ -477,7 +558,7 @@ function buildLocalRl4BlocksText(snapshot) {
   const controlStyle =
     'NOT_AVAILABLE';
 
-  // Ensure at least one substantial block body (content.js requires >40 chars in timeline/decisions/insights or >20 in arch).
+  // Every core block must parse without errors (lib/rl4-blocks.js); empty bodies become NOT_AVAILABLE.
   const timelineBody =
     (timeline && timeline.trim().length > 0 ? timeline.trim() : `Summary: ${contextSummary}`) +
     ` | VELOCITY:NOT_AVAILABLE|CLARITY:NOT_AVAILABLE|DECISIONS:NOT_AVAILABLE`;
@@ -556,6 +637,72 @@ function setMetaExpanded(isExpanded) {
   }
 }
 
+function setImportExpanded(isExpanded) {
+  const body = document.getElementById('importBody');
+  const btn = document.getElementById('importToggleBtn');
+  const expanded = !!isExpanded;
+  importExpanded = expanded;
+  if (body) {
+    if (expanded) body.classList.remove('hidden');
+    else body.classList.add('hidden');
+  }
+  if (btn) {
+    btn.textContent = expanded ? 'Hide' : 'Show';
+    btn.setAttribute('aria-expanded', expanded ? 'true' : 'false');
+  }
+}
+
+function setExportExpanded(isExpanded) {
+  const body = document.getElementById('exportBody');
+  const btn = document.getElementById('exportToggleBtn');
+  const expanded = !!isExpanded;
+  exportExpanded = expanded;
+  if (body) {
+    if (expanded) body.classList.remove('hidden');
+    else body.classList.add('hidden');
+  }
+  if (btn) {
+    btn.textContent = expanded ? 'Hide' : 'Show';
+    btn.setAttribute('aria-expanded', expanded ? 'true' : 'false');
+  }
+  if (expanded) refreshTranscriptExportList().catch(() => {});
+}
+
+function setArchiveExpanded(isExpanded) {
+  const body = document.getElementById('archiveBody');
+  const btn = document.getElementById('archiveToggleBtn');
+  const expanded = !!isExpanded;
+  archiveExpanded = expanded;
+  if (body) {
+    if (expanded) body.classList.remove('hidden');
+    else body.classList.add('hidden');
+  }
+  if (btn) {
+    btn.textContent = expanded ? 'Hide' : 'Show';
+    btn.setAttribute('aria-expanded', expanded ? 'true' : 'false');
+  }
+  if (expanded) fillStoredConversationSelect('archiveConvSelect').catch(() => {});
+}
+
+function setHistoryExpanded(isExpanded) {
+  const body = document.getElementById('historyBody');
+  const btn = document.getElementById('historyToggleBtn');
+  const expanded = !!isExpanded;
+  historyExpanded = expanded;
+  if (body) {
+    if (expanded) body.classList.remove('hidden');
+    else body.classList.add('hidden');
+  }
+  if (btn) {
+    btn.textContent = expanded ? 'Hide' : 'Show';
+    btn.setAttribute('aria-expanded', expanded ? 'true' : 'false');
+  }
+  if (expanded) {
+    const q = document.getElementById('historySearch');
+    refreshHistoryList(q ? q.value : '').catch(() => {});
+  }
+}
+
 function setPostActionsEnabled(enabled) {
   // NOTE: UI is now a stage-based wizard; there is no single "postActions" container anymore.
   const viewRawBtn = document.getElementById('viewRawBtn');
@@ -569,6 +716,7 @@ function setPostActionsEnabled(enabled) {
   const copyMergePromptBtn = document.getElementById('copyMergePromptBtn');
   const chunkIndexInput = document.getElementById('chunkIndexInput');
   const chunkNotesInput = document.getElementById('chunkNotesInput');
+  const chunkRunBtn = document.getElementById('chunkRunBtn');
   const on = !!enabled;
 
   if (copyEncoderPromptBtn) copyEncoderPromptBtn.disabled = !on;
@@ -579,6 +727,7 @@ function setPostActionsEnabled(enabled) {
   if (copyMergePromptBtn) copyMergePromptBtn.disabled = !on;
   if (chunkIndexInput) chunkIndexInput.disabled = !on;
   if (chunkNotesInput) chunkNotesInput.disabled = !on;
+  if (chunkRunBtn && !on) chunkRunBtn.disabled = true;
 
   // View raw JSON is a link; disable it via aria + pointer events.
   if (viewRawBtn) {
@@ -1054,6 +1203,11 @@ document.addEventListener('DOMContentLoaded', async () => {
     const snap =
       tabId !== null ? await loadSnapshotForTabOrGlobal(tabId).catch(() => null) : await loadLastSnapshot().catch(() => null);
     if (!snap) return;
+    const blocker = getSchemaCopyBlocker(snap);
+    if (blocker) {
+      showStatus('error', blocker);
+      return;
+    }
     const provider = await detectHandoffProviderFromActiveTabOrSnapshot(snap);
     const prompt = buildInjectionPrompt(snap, { provider });
     await copyToClipboard(prompt);
@@ -1078,6 +1232,100 @@ document.addEventListener('DOMContentLoaded', async () => {
   });
 
   generateBtn.addEventListener('click', generateSnapshot);
+
+  // User-defined extraction rules live on the options page (options.html)
+  document.getElementById('extractionRulesLink')?.addEventListener('click', (e) => {
+    e.preventDefault();
+    chrome.runtime.openOptionsPage();
+  });
+
+  // Snapshot history (all past captures, stored in background IndexedDB)
+  setHistoryExpanded(false);
+  document.getElementById('historyToggleBtn')?.addEventListener('click', (e) => {
+    e.preventDefault();
+    setHistoryExpanded(!historyExpanded);
+  });
+  document.getElementById('historySearch')?.addEventListener('input', (e) => {
+    const q = e && e.target ? e.target.value : '';
+    if (historySearchTimer) clearTimeout(historySearchTimer);
+    historySearchTimer = setTimeout(() => refreshHistoryList(q).catch(() => {}), 200);
+  });
+
+  document.getElementById('copyDeltaPromptBtn')?.addEventListener('click', async (e) => {
+    e.preventDefault();
+    if (!lastSnapshotDiff) return;
+    // A delta against another conversation's snapshot would describe the wrong conversation.
+    if (!lastSnapshotDiff.diff.lineage.related) {
+      showStatus('error', 'These snapshots come from different conversations: copy the full handoff instead.');
+      return;
+    }
+    const prompt = buildDeltaHandoffPrompt(lastSnapshotDiff.diff, lastSnapshotDiff.head);
+    await copyToClipboard(prompt);
+    flashOnce(e.currentTarget);
+    showStatus('success', '✓ Delta handoff copied (only what changed since the selected snapshot).');
+  });
+
+  // Export (Markdown / HTML / plain text handoff documents)
+  setExportExpanded(false);
+  document.getElementById('exportToggleBtn')?.addEventListener('click', (e) => {
+    e.preventDefault();
+    setExportExpanded(!exportExpanded);
+  });
+  document.querySelectorAll('[data-export-format]').forEach((btn) => {
+    btn.addEventListener('click', async (e) => {
+      e.preventDefault();
+      await exportSnapshotAsDocument(btn.getAttribute('data-export-format'));
+    });
+  });
+
+  document.getElementById('transcriptExportBtn')?.addEventListener('click', async (e) => {
+    e.preventDefault();
+    await exportSelectedTranscript();
+  });
+
+  // Provider archives (conversations.json) + snapshots from stored transcripts
+  setArchiveExpanded(false);
+  document.getElementById('archiveToggleBtn')?.addEventListener('click', (e) => {
+    e.preventDefault();
+    setArchiveExpanded(!archiveExpanded);
+  });
+  document.getElementById('archiveImportBtn')?.addEventListener('click', async (e) => {
+    e.preventDefault();
+    const input = document.getElementById('archiveFileInput');
+    await importProviderArchiveFile(input && input.files ? input.files[0] : null);
+  });
+  document.getElementById('archiveGenerateBtn')?.addEventListener('click', async (e) => {
+    e.preventDefault();
+    const select = document.getElementById('archiveConvSelect');
+    await generateSnapshotFromStoredTranscript(select ? select.value : '');
+  });
+
+  // Import & verify (incoming handoff from another device/teammate)
+  setImportExpanded(false);
+  document.getElementById('importToggleBtn')?.addEventListener('click', (e) => {
+    e.preventDefault();
+    setImportExpanded(!importExpanded);
+  });
+  document.getElementById('importVerifyBtn')?.addEventListener('click', async (e) => {
+    e.preventDefault();
+    const input = document.getElementById('importInput');
+    await importAndVerifySnapshot(input ? input.value : '');
+  });
+  document.getElementById('importRawBtn')?.addEventListener('click', (e) => {
+    e.preventDefault();
+    if (importedSnapshot) showRawJSON(importedSnapshot);
+  });
+  document.getElementById('copyMessageProofBtn')?.addEventListener('click', async (e) => {
+    e.preventDefault();
+    const input = document.getElementById('proofMessageInput');
+    await copyMessageProof(Number(input ? input.value : 0) - 1);
+  });
+  document.getElementById('verifyMessageProofBtn')?.addEventListener('click', async (e) => {
+    e.preventDefault();
+    const input = document.getElementById('importInput');
+    await checkPastedMessageProof(input ? input.value : '');
+  });
+
   // Optional debug link (may be absent in the stage-based UI)
   viewRawBtn?.addEventListener('click', (e) => {
     e.preventDefault();
@@ -1088,20 +1336,13 @@ document.addEventListener('DOMContentLoaded', async () => {
   copyPromptBtn?.addEventListener('click', async (e) => {
     e.preventDefault();
     if (!currentSnapshot) return;
-    // Provider-sensitive handoff prompt (Copilot needs a "reference document" framing).
-    let provider = '';
-    try {
-      const tab = await getTargetActiveTab();
-      const url = typeof tab?.url === 'string' ? tab.url : '';
-      const host = url ? new URL(url).hostname.toLowerCase() : '';
-      if (host === 'copilot.microsoft.com') provider = 'copilot';
-    } catch (_) {}
-    if (!provider) {
-      try {
-        const p = String(currentSnapshot?.metadata?.capture_provider || '').toLowerCase();
-        if (p === 'copilot') provider = 'copilot';
-      } catch (_) {}
+    const blocker = getSchemaCopyBlocker(currentSnapshot);
+    if (blocker) {
+      showStatus('error', blocker);
+      return;
     }
+    // Provider-sensitive handoff prompt (Copilot needs a "reference document" framing).
+    const provider = await detectHandoffProviderFromActiveTabOrSnapshot(currentSnapshot);
     const prompt = buildInjectionPrompt(currentSnapshot, { provider });
     await copyToClipboard(prompt);
     flashOnce(copyPromptBtn);
@@ -1116,13 +1357,71 @@ document.addEventListener('DOMContentLoaded', async () => {
     refreshGuidance().catch(() => {});
   });
 
+  // Step 4 "Send to…": destination list comes from the provider registry; the last choice is remembered.
+  const sendToProviderEl = document.getElementById('sendToProvider');
+  const sendToSubmitEl = document.getElementById('sendToSubmit');
+  const sendToBtn = document.getElementById('sendToBtn');
+  if (sendToProviderEl) {
+    for (const a of getProviderAdapters()) {
+      const opt = document.createElement('option');
+      opt.value = a.id;
+      opt.textContent = a.label;
+      sendToProviderEl.appendChild(opt);
+    }
+    chrome.storage.local
+      .get([STORAGE_KEYS.SEND_TO])
+      .then((res) => {
+        const saved = res && res[STORAGE_KEYS.SEND_TO] && typeof res[STORAGE_KEYS.SEND_TO] === 'object' ? res[STORAGE_KEYS.SEND_TO] : null;
+        if (saved && getProviderAdapterById(saved.provider)) sendToProviderEl.value = saved.provider;
+        if (saved && sendToSubmitEl) sendToSubmitEl.checked = !!saved.submit;
+      })
+      .catch(() => {});
+  }
+  sendToBtn?.addEventListener('click', async (e) => {
+    e.preventDefault();
+    if (!currentSnapshot || !sendToProviderEl) return;
+    const blocker = getSchemaCopyBlocker(currentSnapshot);
+    if (blocker) {
+      showStatus('error', blocker);
+      return;
+    }
+    const providerId = sendToProviderEl.value;
+    const submit = !!(sendToSubmitEl && sendToSubmitEl.checked);
+    const label = (getProviderAdapterById(providerId) || {}).label || providerId;
+    chrome.storage.local.set({ [STORAGE_KEYS.SEND_TO]: { provider: providerId, submit } }).catch(() => {});
+    sendToBtn.disabled = true;
+    showStatus('loading', `Opening ${label}…`);
+    try {
+      const source = await getTargetActiveTab().catch(() => null);
+      const { tab, prompt, result } = await sendHandoffToProvider(currentSnapshot, providerId, {
+        submit,
+        sourceTabId: source && typeof source.id === 'number' ? source.id : null
+      });
+      try {
+        await saveLastPrompt(prompt);
+        cachedLastPrompt = prompt;
+        renderLastPrompt(prompt);
+        refreshLastPromptControls();
+      } catch (_) {}
+      if (result.ok) {
+        showStatus('success', result.submitted ? `✓ Sent to ${label}.` : `✓ Pasted into ${label}. Review it and press Send.`);
+      } else {
+        showStatus('error', `Could not paste into ${label}: ${result.error || 'unknown error'}\n\nThe prompt is on your clipboard: paste it by hand.`);
+      }
+      // Last: activating the tab closes the popup.
+      await chrome.tabs.update(tab.id, { active: true });
+      if (typeof tab.windowId === 'number') await chrome.windows.update(tab.windowId, { focused: true }).catch(() => {});
+    } catch (err) {
+      showStatus('error', `Send failed: ${err && err.message ? err.message : String(err)}\n\nThe prompt is on your clipboard.`);
+    } finally {
+      sendToBtn.disabled = false;
+    }
+  });
+
   copyEncoderPromptBtn?.addEventListener('click', async (e) => {
     e.preventDefault();
     if (!currentSnapshot) return;
     try {
-      // Some providers (notably Perplexity) treat very large pasted text as "file analysis" and ignore
-      // strict output-format instructions. To keep the encoder prompt reliable across providers,
-      // we drop transcript_compact when it's too large or when running on Perplexity.
       const activeTab = await getTargetActiveTab();
       const url = typeof activeTab?.url === 'string' ? activeTab.url : '';
       let host = '';
@@ -1131,8 +1430,8 @@ document.addEventListener('DOMContentLoaded', async () => {
       } catch (_) {
         host = '';
       }
-      const isPerplexity = host.endsWith('perplexity.ai');
-      const isCopilot = host === 'copilot.microsoft.com';
+      const targetProvider = detectProviderId(host);
+      const isCopilot = targetProvider === 'copilot';
 
       // Copilot reliably refuses “protocol-like” templating. For Copilot we generate RL4 blocks locally
       // from the snapshot (no LLM), seal them via the content script, and jump to Step 4.
@@ -1159,7 +1458,7 @@ document.addEventListener('DOMContentLoaded', async () => {
                 if (snap) currentSnapshot = snap;
               } catch (_) {}
               flowSticky = false;
-              showStatus('success', 'Finalized ✓\n\nNow copy the final prompt (Step 4).');
+              showStatus('success', describeSealedRl4Blocks(currentSnapshot));
               updateMetadata(currentSnapshot);
               saveUiFlow({ active: true, step: 'sealed', updatedAt: Date.now() }).catch(() => {});
               try {
@@ -1177,17 +1476,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         return;
       }
 
-      let snapForEncoder = currentSnapshot;
-      const transcript =
-        typeof snapForEncoder?.transcript_compact === 'string' ? snapForEncoder.transcript_compact : '';
-      // Hard cap to avoid "attachment/file mode" behavior in web UIs.
-      const shouldDropTranscript = isPerplexity || isCopilot || (transcript && transcript.length > 50_000);
-      if (shouldDropTranscript && snapForEncoder && typeof snapForEncoder === 'object') {
-        snapForEncoder = { ...snapForEncoder };
-        delete snapForEncoder.transcript_compact;
-      }
-
-      const prompt = buildRl4BlocksEncoderPrompt(snapForEncoder, { provider: isCopilot ? 'copilot' : '' });
+      const prompt = buildEncoderPromptForProvider(currentSnapshot, targetProvider);
       await copyToClipboard(prompt);
 
       // Sticky sequence: once Step 2 starts, keep Step 3 visible until Reload.
@@ -1222,6 +1511,75 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
   });
 
+  // Orchestrated finalization: the content script submits the encoder prompt, watches the reply,
+  // retries once on malformed blocks and seals. It keeps running if the popup closes.
+  const autoEncodeBtn = document.getElementById('autoEncodeBtn');
+  const describeRoundTripStatus = (s) => {
+    if (!s || !s.phase) return '';
+    const attempt = s.attempt === 2 ? ' (retry)' : '';
+    if (s.phase === 'submitting') return 'Submitting the finalization prompt…';
+    if (s.phase === 'retrying') return 'Reply was malformed: sending a corrective prompt…';
+    if (s.phase === 'waiting') return `Waiting for the LLM reply${attempt}…`;
+    return '';
+  };
+  autoEncodeBtn?.addEventListener('click', async (e) => {
+    e.preventDefault();
+    if (!currentSnapshot) return;
+    try {
+      const tab = await getTargetActiveTab();
+      if (!tab || typeof tab.id !== 'number') throw new Error('No active tab found.');
+      const targetProvider = detectProviderId(typeof tab.url === 'string' ? tab.url : '');
+      // Copilot blocks are generated locally (no LLM round-trip): same path as the copy button.
+      if (targetProvider === 'copilot') {
+        copyEncoderPromptBtn?.click();
+        return;
+      }
+      await waitForContentScript(tab.id);
+      const prompt = buildEncoderPromptForProvider(currentSnapshot, targetProvider);
+      const resp = await new Promise((resolve) => {
+        chrome.tabs.sendMessage(tab.id, { action: 'runRl4BlocksRoundTrip', prompt, tabId: tab.id }, (r) => {
+          if (chrome.runtime.lastError) resolve({ ok: false, error: chrome.runtime.lastError.message || 'Unknown error' });
+          else resolve(r || { ok: false, error: 'No response from the page.' });
+        });
+      });
+      if (!resp.ok) throw new Error(resp.error || 'Could not start.');
+
+      flowSticky = true;
+      saveUiFlow({ active: true, step: 'await_response', updatedAt: Date.now() }).catch(() => {});
+      try {
+        setGuidanceStep('paste_response');
+      } catch (_) {}
+      showStatus('loading', 'Submitting the finalization prompt…');
+      startRl4BlocksPoll({
+        onStatus: (s) => {
+          if (s && s.status === 'error' && s.error) {
+            stopRl4BlocksPoll();
+            showStatus('error', s.error);
+            return;
+          }
+          const msg = s && s.status === 'awaiting' ? describeRoundTripStatus(s) : '';
+          if (msg) showStatus('loading', msg);
+        },
+        onSealed: async () => {
+          try {
+            const snap = await loadLastSnapshot();
+            if (snap) currentSnapshot = snap;
+          } catch (_) {}
+          flowSticky = false;
+          showStatus('success', describeSealedRl4Blocks(currentSnapshot));
+          updateMetadata(currentSnapshot);
+          saveUiFlow({ active: true, step: 'sealed', updatedAt: Date.now() }).catch(() => {});
+          try {
+            setGuidanceStep('copy_final');
+          } catch (_) {}
+          refreshGuidance().catch(() => {});
+        }
+      });
+    } catch (err) {
+      showStatus('error', `Automatic finalization failed: ${err && err.message ? err.message : String(err)}`);
+    }
+  });
+
   // Chunk encoder (for long chats)
   const chunkToggleBtn = document.getElementById('chunkToggleBtn');
   const chunkIndexInput = document.getElementById('chunkIndexInput');
@@ -1294,7 +1652,8 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
     const mergeRes = await bgSend({
       action: 'rl4_transcript_get_merge_prompt',
-      chunk_notes: Array.isArray(chunkNotes) ? chunkNotes.filter((x) => String(x || '').trim().length > 0) : []
+      chunk_notes: Array.isArray(chunkNotes) ? chunkNotes.filter((x) => String(x || '').trim().length > 0) : [],
+      compress: getSnapshotCompress(currentSnapshot)
     });
     if (!mergeRes || mergeRes.ok !== true || typeof mergeRes.prompt !== 'string') {
       showStatus('error', `Merge prompt failed: ${mergeRes && mergeRes.error ? mergeRes.error : 'Unknown error'}`);
@@ -1304,6 +1663,79 @@ document.addEventListener('DOMContentLoaded', async () => {
     showStatus('success', `Merge prompt copied.\n\nPaste it into the LLM to get final RL4 blocks, then use “Create finalization prompt” flow.`);
   });
 
+  // Automatic chunk runner (background queue; survives popup close and tab reloads).
+  const chunkRunBtn = document.getElementById('chunkRunBtn');
+  const chunkRunCancelBtn = document.getElementById('chunkRunCancelBtn');
+  const chunkRunResumeBtn = document.getElementById('chunkRunResumeBtn');
+
+  chunkRunBtn?.addEventListener('click', async (e) => {
+    e.preventDefault();
+    if (!currentSnapshot || !chunkConvKey) return;
+    try {
+      const tab = await getTargetActiveTab();
+      if (!tab || typeof tab.id !== 'number') throw new Error('No active tab found.');
+      await waitForContentScript(tab.id);
+      const res = await bgSend({
+        action: 'rl4_chunk_run_start',
+        convKey: chunkConvKey,
+        tabId: tab.id,
+        max_chars: chunkMaxChars,
+        compress: getSnapshotCompress(currentSnapshot)
+      });
+      if (!res || res.ok !== true) {
+        const err = res && res.error === 'already_running' ? 'A chunk run is already in progress.' : res && res.error ? res.error : 'Unknown error';
+        showStatus('error', `Chunk run failed: ${err}`);
+        return;
+      }
+      renderChunkRun(res.run);
+      showStatus('loading', `Running ${res.run.total} chunks in this chat.\n\nKeep the tab open; you can close the popup.`);
+    } catch (err) {
+      showStatus('error', `Chunk run failed: ${err && err.message ? err.message : String(err)}`);
+    }
+  });
+
+  chunkRunCancelBtn?.addEventListener('click', async (e) => {
+    e.preventDefault();
+    await bgSend({ action: 'rl4_chunk_run_cancel' });
+    showStatus('warning', 'Chunk run stopped. Saved notes are kept; Resume continues with the next chunk.');
+  });
+
+  chunkRunResumeBtn?.addEventListener('click', async (e) => {
+    e.preventDefault();
+    const res = await bgSend({ action: 'rl4_chunk_run_resume' });
+    if (!res || res.ok !== true) {
+      showStatus('error', `Resume failed: ${res && res.error ? res.error : 'Unknown error'}`);
+      return;
+    }
+    renderChunkRun(res.run);
+  });
+
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== 'local' || !changes[STORAGE_KEYS.CHUNK_RUN]) return;
+    const prev = changes[STORAGE_KEYS.CHUNK_RUN].oldValue || null;
+    const run = changes[STORAGE_KEYS.CHUNK_RUN].newValue || null;
+    renderChunkRun(run);
+    if (!run || run.convKey !== chunkConvKey) return;
+    if (!prev || prev.saved !== run.saved || run.status === 'done') reloadChunkNotes().catch(() => {});
+    if (run.status === 'done' && prev && prev.status === 'running') {
+      (async () => {
+        try {
+          const snap = await loadLastSnapshot();
+          if (snap) currentSnapshot = snap;
+        } catch (_) {}
+        showStatus('success', describeSealedRl4Blocks(currentSnapshot));
+        updateMetadata(currentSnapshot);
+        saveUiFlow({ active: true, step: 'sealed', updatedAt: Date.now() }).catch(() => {});
+        try {
+          setGuidanceStep('copy_final');
+        } catch (_) {}
+        refreshGuidance().catch(() => {});
+      })();
+    } else if (run.status === 'error' && prev && prev.status === 'running') {
+      showStatus('error', `Chunk run stopped: ${run.error || 'Unknown error'}`);
+    }
+  });
+
   finalizeBlocksBtn?.addEventListener('click', async (e) => {
     e.preventDefault();
     const raw = rl4BlocksInput ? String(rl4BlocksInput.value || '').trim() : '';
@@ -1321,6 +1753,14 @@ document.addEventListener('DOMContentLoaded', async () => {
         if (rl4BlocksInput) rl4BlocksInput.value = normalized;
       } catch (_) {}
 
+      // Same grammar as content.js: errors block the seal, warnings are only listed.
+      const parsed = parseRl4Blocks(normalized);
+      renderRl4BlocksLint(parsed.diagnostics);
+      if (!parsed.ok) {
+        showStatus('error', `Step 3/ ${parsed.counts.errors} problem(s) in the RL4 blocks (listed under the box).\n\nFix them, or ask the LLM to reply again in the exact format.`);
+        return;
+      }
+
       showStatus('loading', 'Finalizing snapshot…');
       chrome.tabs.sendMessage(
         tab.id,
@@ -1331,6 +1771,7 @@ document.addEventListener('DOMContentLoaded', async () => {
             return;
           }
           if (!resp || resp.ok !== true) {
+            if (resp && Array.isArray(resp.diagnostics)) renderRl4BlocksLint(resp.diagnostics);
             showStatus('error', `Finalize error: ${resp && resp.error ? resp.error : 'Unknown error'}`);
             return;
           }
@@ -1340,7 +1781,7 @@ document.addEventListener('DOMContentLoaded', async () => {
               if (snap) currentSnapshot = snap;
               // After finalize: keep UX dead-simple (only Step 4 CTA).
               flowSticky = false;
-              showStatus('success', 'Finalized ✓\n\nNow copy the final prompt (Step 4).');
+              showStatus('success', describeSealedRl4Blocks(currentSnapshot));
               updateMetadata(currentSnapshot);
               saveUiFlow({ active: true, step: 'sealed', updatedAt: Date.now() }).catch(() => {});
               // Move immediately to Step 4 (even before the next guidance tick).
@@ -1358,6 +1799,7 @@ document.addEventListener('DOMContentLoaded', async () => {
   });
 
   rl4BlocksInput?.addEventListener('input', () => {
+    renderRl4BlocksLint([]);
     updateFinalizeButtonState();
     refreshGuidance().catch(() => {});
   });
@@ -1391,6 +1833,33 @@ document.addEventListener('DOMContentLoaded', async () => {
   }
 });
 
+/**
+ * Status text once RL4 blocks are sealed, listing the grounding findings stored by content.js.
+ * @param {any} snapshot
+ * @returns {string}
+ */
+function describeSealedRl4Blocks(snapshot) {
+  const base = 'Finalized ✓\n\nNow copy the final prompt (Step 4).';
+  const report = snapshot?.rl4_blocks?.grounding_report;
+  const findings = report && Array.isArray(report.findings) ? report.findings : [];
+  if (!findings.length) return base;
+  const lines = findings.slice(0, 4).map((f) => `- ${f.block}: ${f.message}`);
+  if (findings.length > 4) lines.push(`- … ${findings.length - 4} more`);
+  return `${base}\n\nNot grounded in the snapshot (review before handing off):\n${lines.join('\n')}`;
+}
+
+/**
+ * Show RL4 grammar diagnostics (lib/rl4-blocks.js) under the Step 3 paste box; hidden when empty.
+ * @param {Array<Object>} diagnostics
+ */
+function renderRl4BlocksLint(diagnostics) {
+  const el = document.getElementById('rl4BlocksLint');
+  if (!el) return;
+  const text = formatRl4Diagnostics(diagnostics);
+  el.textContent = text;
+  el.classList.toggle('hidden', !text);
+}
+
 /**
  * Normalizes common provider quirks in RL4 blocks without "inventing" content.
  * - Converts "patterns:" → "patterns=" (same for correlations/risks/recommendations) inside <RL4-INSIGHTS>
@@ -1442,6 +1911,27 @@ function normalizeRl4BlocksText(input) {
 /**
  * Main snapshot generation flow
  */
+/**
+ * Make a freshly generated snapshot current: metadata, post actions, chunk encoder and last prompt.
+ * @param {any} snap
+ */
+async function applyGeneratedSnapshot(snap) {
+  currentSnapshot = snap;
+  updateMetadata(snap);
+  hasSnapshotInThisUiSession = true;
+  setPostActionsEnabled(true);
+  initChunkEncoderFromSnapshot(snap).catch(() => {});
+  refreshLastPromptControls();
+
+  const prompt = buildInjectionPrompt(snap);
+  try {
+    await saveLastPrompt(prompt);
+  } catch (_) {}
+  cachedLastPrompt = prompt;
+  renderLastPrompt(prompt);
+  setLastPromptExpanded(false);
+}
+
 async function generateSnapshot() {
   const generateBtn = document.getElementById('generateBtn');
   const statusDiv = document.getElementById('status');
@@ -1450,6 +1940,8 @@ async function generateSnapshot() {
   const modeUltraPlusEl = document.getElementById('modeUltraPlus');
   const modeTranscriptEl = document.getElementById('modeTranscript');
   const integrityEl = document.getElementById('integritySeal');
+  const incrementalEl = document.getElementById('incrementalCapture');
+  const messageMerkleEl = document.getElementById('messageMerkle');
 
   try {
     // Reset UI
@@ -1494,6 +1986,8 @@ async function generateSnapshot() {
     await waitForContentScript(tab.id);
     const captureId = `cap-${Date.now()}-${Math.random().toString(16).slice(2)}`;
     const wantsIntegritySeal = integrityEl ? !!integrityEl.checked : false;
+    const incremental = incrementalEl ? !!incrementalEl.checked : false;
+    const messageMerkle = messageMerkleEl ? !!messageMerkleEl.checked : false;
 
     // Poll progress and auto-load snapshot when job finishes (if popup stays open).
     startProgressPoll(captureId, {
@@ -1508,20 +2002,7 @@ async function generateSnapshot() {
           setBusy(false);
           return;
         }
-        currentSnapshot = snap;
-        updateMetadata(snap);
-        hasSnapshotInThisUiSession = true;
-        setPostActionsEnabled(true);
-        initChunkEncoderFromSnapshot(snap).catch(() => {});
-        refreshLastPromptControls();
-
-        const prompt = buildInjectionPrompt(snap);
-        try {
-          await saveLastPrompt(prompt);
-        } catch (_) {}
-        cachedLastPrompt = prompt;
-        renderLastPrompt(prompt);
-        setLastPromptExpanded(false);
+        await applyGeneratedSnapshot(snap);
 
         const msgCount = snap.metadata?.messages || snap.metadata?.total_messages || 0;
         const provider = String(snap.metadata?.capture_provider || '').toLowerCase();
@@ -1554,7 +2035,7 @@ async function generateSnapshot() {
       {
         action: 'startSnapshotJob',
         captureId,
-        options: { outputMode, includeTranscript, wantsIntegritySeal }
+        options: { outputMode, includeTranscript, wantsIntegritySeal, incremental, messageMerkle }
       },
       (resp) => {
         if (chrome.runtime.lastError) {
@@ -1590,24 +2071,60 @@ async function generateSnapshot() {
   }
 }
 
+/**
+ * Schema gate for the Copy CTA: a snapshot missing required fields must not be handed off.
+ * Snapshots produced before schema validation existed (no report) are not blocked.
+ * @param {any} snapshot
+ * @returns {string} error message, or '' when copy is allowed
+ */
+function getSchemaCopyBlocker(snapshot) {
+  const report = snapshot?.metadata?.schema_validation;
+  if (!report || typeof report !== 'object') return '';
+  const missing = Array.isArray(report.missing_required) ? report.missing_required : [];
+  if (!missing.length) return '';
+  return (
+    `Cannot copy: snapshot is missing required field(s) for ${report.schema || 'its schema'}:\n` +
+    missing.slice(0, 8).map((p) => `- ${p}`).join('\n') +
+    `\n\nRe-generate the snapshot (Reload → Generate).`
+  );
+}
+
+/**
+ * Header lines listing what the budget planner left out of CONTEXT_JSON.
+ * @param {ReturnType<typeof planHandoffBudget>} plan
+ * @param {string} provider
+ * @returns {string}
+ */
+function describeHandoffBudget(plan, provider) {
+  const fmt = (n) => Number(n || 0).toLocaleString('en-US');
+  const adapter = provider ? getProviderAdapterById(provider) : null;
+  let out = `Budget: ~${fmt(plan.usedTokens)} / ${fmt(plan.budgetTokens)} tokens (${adapter ? `${adapter.label} paste limit` : 'default paste limit'}).\n`;
+  const fields = plan.dropped.filter((d) => d.field !== 'transcript_compact');
+  if (fields.length) out += `Dropped to fit: ${fields.map((d) => `${d.field} (~${fmt(d.tokens)} tokens)`).join(', ')}.\n`;
+  const cut = plan.trimmed.filter((t) => t.field !== 'transcript_compact');
+  if (cut.length) out += `Trimmed to fit: ${cut.map((t) => `${t.field} (first ${t.kept} of ${t.total} ${t.unit})`).join(', ')}.\n`;
+  return out;
+}
+
 function buildInjectionPrompt(snapshot, { provider = '' } = {}) {
   const transcript = typeof snapshot?.transcript_compact === 'string' ? snapshot.transcript_compact : '';
   const hasTranscript = transcript.length > 0;
-  // Hard cap: avoid pasting massive transcripts that some providers treat as "file analysis"/attachments.
-  // Keep transcript_ref + transcript_sha256 as pointers for later retrieval / chunking.
-  const shouldDropTranscript = hasTranscript && transcript.length > 50_000;
+  const providerHint = String(provider || '').toLowerCase();
+  // Fit the destination's paste limit: past it, providers truncate the paste or treat it as "file analysis"/an attachment.
+  // transcript_ref + transcript_sha256 stay as pointers for later retrieval / chunking.
+  const plan = planHandoffBudget(snapshot, { budgetTokens: getHandoffTokenBudget(providerHint) });
+  const snapForPrompt = plan.snapshot;
+  const transcriptCut = plan.trimmed.find((t) => t.field === 'transcript_compact');
+  const shouldDropTranscript = hasTranscript && plan.dropped.some((d) => d.field === 'transcript_compact');
   const protocol = snapshot && snapshot.protocol ? snapshot.protocol : 'RCEP_v1';
   const hasSig = snapshot && snapshot.signature && typeof snapshot.signature === 'object';
-  const providerHint = String(provider || '').toLowerCase();
-
-  const snapForPrompt =
-    shouldDropTranscript && snapshot && typeof snapshot === 'object'
-      ? (() => {
-          const s = { ...snapshot };
-          delete s.transcript_compact;
-          return s;
-        })()
-      : snapshot;
+  const omitted = [...plan.dropped, ...plan.trimmed].map((x) => x.field);
+  const sourceChecksum = String(snapForPrompt?.source_checksum || '');
+  const integrityLine = plan.partial
+    ? `Integrity: Partial view of ${hasSig ? 'sealed' : 'unsealed'} snapshot ${sourceChecksum || 'unknown'}\n`
+    : hasSig
+      ? `Integrity: Tamper-sealed (device-only)\n`
+      : `Integrity: Unsealed\n`;
 
   // Copilot: avoid “memory handoff / protocol / instructions” framing. Treat as a user-provided reference document.
   if (providerHint === 'copilot') {
@@ -1619,6 +2136,7 @@ function buildInjectionPrompt(snapshot, { provider = '' } = {}) {
       `Use the information below as a reference to continue the conversation.\n` +
       `If something is missing, ask a short clarifying question before proceeding.\n\n` +
       `Quick summary:\n${summary}\n\n` +
+      (omitted.length ? `Shortened to fit the message box: ${omitted.join(', ')}.\n\n` : '') +
       `REFERENCE_JSON:\n` +
       `${JSON.stringify(snapForPrompt, null, 2)}\n`
     );
@@ -1628,24 +2146,37 @@ function buildInjectionPrompt(snapshot, { provider = '' } = {}) {
     `*** RL4 MEMORY HANDOFF (Cross‑LLM) ***\n` +
     `Protocol family: RCEP™\n` +
     `Protocol version: ${protocol}\n` +
-    (hasSig ? `Integrity: Tamper-sealed (device-only)\n` : `Integrity: Unsealed\n`) +
+    integrityLine +
     `\n` +
     `[INSTRUCTIONS FOR THE AI]\n` +
     `- This is a cross‑LLM memory handoff. Continue from it.\n` +
-    `- Use "portable_memory" first (human handoff). Use "semantic_spine"/"cognitive_spine" for details.\n` +
+    `- Use "portable_memory" first (human handoff). Use "decisions", "semantic_spine" and "cognitive_days" for details.\n` +
+    (Array.isArray(snapForPrompt?.action_items) && snapForPrompt.action_items.length
+      ? `- "action_items" with status "open" are still pending; do not treat them as done.\n`
+      : '') +
     `- Treat the JSON below as ground truth (structure).\n` +
     `- Do not assume missing facts; ask targeted questions if needed.\n` +
+    (omitted.length ? `- Some fields were shortened or left out to fit the paste limit (listed below); ask for them if you need them.\n` : '') +
     `- IMPORTANT: Integrity can be verified, but semantic correctness may be unverified.\n` +
-    (hasSig
-      ? `- If "signature" is present, do not edit this JSON. If verification fails, treat it as tampered.\n` +
-        `- NOTE: "Tamper-sealed" means mutation detection, NOT semantic validation.\n`
+    // DeepSeek tends to answer a pasted handoff with a full recap of the JSON.
+    (providerHint === 'deepseek'
+      ? `- Acknowledge the handoff in one or two sentences. Do not restate or summarize the JSON back.\n`
       : '') +
+    (plan.partial
+      ? `- This JSON is a partial view: "source_checksum"${hasSig ? ' and "signature"' : ''} cover the full snapshot, not the fields below.\n`
+      : hasSig
+        ? `- If "signature" is present, do not edit this JSON. If verification fails, treat it as tampered.\n` +
+          `- NOTE: "Tamper-sealed" means mutation detection, NOT semantic validation.\n`
+        : '') +
     `\n` +
     (hasTranscript
       ? shouldDropTranscript
         ? `Transcript: Not included (too large). Use transcript_ref + transcript_sha256 as pointers.\n`
-        : `Transcript: Included (full fidelity).\n`
+        : transcriptCut
+          ? `Transcript: Excerpt only (last ${transcriptCut.kept} of ${transcriptCut.total} messages, under "transcript_excerpt"). Use transcript_ref + transcript_sha256 for the rest.\n`
+          : `Transcript: Included (full fidelity).\n`
       : `Transcript: Not included (token-saver). Fingerprint available under "conversation_fingerprint".\n`) +
+    describeHandoffBudget(plan, providerHint) +
     `\n` +
     `CONTEXT_JSON:\n` +
     `${JSON.stringify(snapForPrompt, null, 2)}\n` +
@@ -1654,6 +2185,74 @@ function buildInjectionPrompt(snapshot, { provider = '' } = {}) {
   );
 }
 
+/**
+ * Delta handoff: carries only what changed since a previous handoff of the same conversation.
+ * @param {ReturnType<typeof diffSnapshots>} diff
+ * @param {any} head - Newer snapshot
+ * @returns {string}
+ */
+function buildDeltaHandoffPrompt(diff, head) {
+  const pickDecision = (d) => ({
+    id: d?.id || '',
+    intent: d?.intent || '',
+    choice: d?.choice || d?.chosen_option || '',
+    ...(d?.choice_sha256 ? { choice_sha256: d.choice_sha256 } : {}),
+    rationale: d?.rationale || d?.intent_text || ''
+  });
+  const delta = {
+    protocol: 'RL4_Delta',
+    base_checksum: diff.base.checksum,
+    head_checksum: diff.head.checksum,
+    conversation_ref: diff.lineage.conv_ref || '',
+    head_fingerprint: String(head?.conversation_fingerprint?.sha256 || ''),
+    new_messages: diff.messages.new_range ? { ...diff.messages.new_range, count: diff.messages.new_count } : null,
+    context_summary: String(head?.context_summary_ultra || head?.context_summary || ''),
+    topics_added: diff.topics.added.map((t) => ({ label: t?.label || '', weight: t?.weight, summary: t?.summary || '' })),
+    topics_changed: diff.topics.changed,
+    topics_removed: diff.topics.removed.map((t) => t?.label || ''),
+    decisions_added: diff.decisions.added.map(pickDecision),
+    insights_added: diff.insights.added,
+    constraints_added: diff.constraints.added
+  };
+  return (
+    `*** RL4 DELTA HANDOFF (Cross‑LLM) ***\n` +
+    `Protocol family: RCEP™\n` +
+    `Base snapshot checksum: ${diff.base.checksum || 'unknown'}\n` +
+    `\n` +
+    `[INSTRUCTIONS FOR THE AI]\n` +
+    `- You already received the base snapshot (checksum above) earlier in this conversation.\n` +
+    `- This delta ONLY lists what changed since then. Merge it into your working memory.\n` +
+    `- If you do not have the base snapshot, say so and ask for the full handoff.\n` +
+    `\n` +
+    `DELTA_JSON:\n` +
+    `${JSON.stringify(delta, null, 2)}\n` +
+    `\n` +
+    `*** Generated by RL4 Snapshot (RCEP™) ***\n`
+  );
+}
+
+/**
+ * Encoder prompt for the conversation on `targetProvider`.
+ * Some providers (notably Perplexity) treat very large pasted text as "file analysis" and ignore
+ * strict output-format instructions, so transcript_compact is dropped when too large or on Perplexity/Copilot.
+ * @param {any} snapshot
+ * @param {string} targetProvider
+ * @returns {string}
+ */
+function buildEncoderPromptForProvider(snapshot, targetProvider) {
+  const isCopilot = targetProvider === 'copilot';
+  let snapForEncoder = snapshot;
+  // The transcript goes only when all of it fits the paste limit (avoids "attachment/file mode" behavior in web UIs).
+  const plan = planHandoffBudget(snapForEncoder, { budgetTokens: getHandoffTokenBudget(targetProvider) });
+  const transcriptFits = !plan.dropped.concat(plan.trimmed).some((x) => x.field === 'transcript_compact');
+  const shouldDropTranscript = targetProvider === 'perplexity' || isCopilot || !transcriptFits;
+  if (shouldDropTranscript && snapForEncoder && typeof snapForEncoder === 'object') {
+    snapForEncoder = { ...snapForEncoder };
+    delete snapForEncoder.transcript_compact;
+  }
+  return buildRl4BlocksEncoderPrompt(snapForEncoder, { provider: isCopilot ? 'copilot' : '' });
+}
+
 function buildRl4BlocksEncoderPrompt(snapshot, { provider = '' } = {}) {
   const protocol = snapshot && snapshot.protocol ? snapshot.protocol : 'RCEP_v1';
   const hasSig = snapshot && snapshot.signature && typeof snapshot.signature === 'object';
@@ -1925,15 +2524,10 @@ async function resolveTargetTab(activeTab, targetUrl) {
   }
 
   const host = (u.hostname || '').toLowerCase();
-  const allowed =
-    host.includes('claude.ai') ||
-    host.includes('chatgpt.com') ||
-    host.includes('chat.openai.com') ||
-    host.includes('gemini.google.com') ||
-    host.includes('bard.google.com') ||
-    host === 'g.co';
+  // Open-by-URL is limited to providers whose capture works from a freshly loaded page.
+  const allowed = ['claude', 'chatgpt', 'gemini', 'deepseek', 'grok'].includes(detectProviderId(host));
   if (!allowed) {
-    throw new Error('Unsupported site. Use Claude.ai, ChatGPT, or Gemini.');
+    throw new Error('Unsupported site. Use Claude.ai, ChatGPT, Gemini, DeepSeek or Grok.');
   }
 
   // Reuse active tab if it already matches exactly.
@@ -1997,6 +2591,60 @@ function waitForContentScript(tabId) {
   });
 }
 
+/**
+ * "Send to…" destination tab: the most recently used tab of the provider that sits on its new-chat page,
+ * else a new tab on that page. A tab showing a conversation is never reused (the handoff would land in it),
+ * nor is the tab that was just captured.
+ * @param {Object} adapter - lib/providers.js adapter
+ * @param {number|null} excludeTabId
+ * @returns {Promise<chrome.tabs.Tab>}
+ */
+async function findOrOpenProviderTab(adapter, excludeTabId) {
+  let tabs = [];
+  try {
+    tabs = await chrome.tabs.query({ url: adapter.hosts.map((h) => `https://${h}/*`) });
+  } catch (_) {
+    tabs = [];
+  }
+  const reusable = tabs
+    .filter((t) => t && typeof t.id === 'number' && t.id !== excludeTabId && isProviderStartUrl(adapter, t.url))
+    .sort((a, b) => (b.lastAccessed || 0) - (a.lastAccessed || 0));
+  if (reusable.length) return reusable[0];
+
+  const tab = await chrome.tabs.create({ url: adapter.startUrl, active: false });
+  await waitForTabComplete(tab.id);
+  return tab;
+}
+
+/**
+ * Paste the handoff prompt into another provider's composer (content.js `pasteHandoffPrompt`).
+ * Works on a background tab and only activates it at the end: focusing another tab closes the popup.
+ * @param {any} snapshot
+ * @param {string} providerId
+ * @param {{submit?:boolean, sourceTabId?:number|null}} [opts]
+ * @returns {Promise<{tab:chrome.tabs.Tab, prompt:string, result:{ok:boolean, method?:string, submitted?:string, error?:string}}>}
+ */
+async function sendHandoffToProvider(snapshot, providerId, { submit = false, sourceTabId = null } = {}) {
+  const adapter = getProviderAdapterById(providerId);
+  if (!adapter) throw new Error('Unknown destination.');
+  const prompt = buildInjectionPrompt(snapshot, { provider: adapter.id });
+  // Clipboard as well: if the page rejects the paste, the user can still paste by hand.
+  await copyToClipboard(prompt);
+
+  const tab = await findOrOpenProviderTab(adapter, sourceTabId);
+  await waitForContentScript(tab.id);
+  const result = await new Promise((resolve) => {
+    chrome.tabs.sendMessage(tab.id, { action: 'pasteHandoffPrompt', text: prompt, submit: !!submit }, (resp) => {
+      if (chrome.runtime.lastError) {
+        resolve({ ok: false, error: chrome.runtime.lastError.message || 'Unknown error' });
+        return;
+      }
+      resolve(resp && typeof resp === 'object' ? resp : { ok: false, error: 'No response from the page.' });
+    });
+  });
+  return { tab, prompt, result };
+}
+
 /**
  * Get messages from content script via message passing
  */
@@ -2112,14 +2760,39 @@ function updateMetadata(snapshot) {
     if (typeof pages === 'number') lines.push(`pages_fetched: ${pages}`);
     if (transcriptRef) lines.push(`transcript_ref: ${transcriptRef}`);
     if (transcriptSha) lines.push(`transcript_sha256: ${transcriptSha}`);
+    const schemaReport = snapshot?.metadata?.schema_validation;
+    if (schemaReport && typeof schemaReport === 'object') {
+      const n = Array.isArray(schemaReport.errors) ? schemaReport.errors.length : 0;
+      lines.push(`schema: ${schemaReport.schema || 'unknown'} ${schemaReport.valid ? 'valid' : `(${n} issue(s))`}`);
+      if (!schemaReport.valid && n) lines.push(...schemaReport.errors.slice(0, 4).map((e) => `  ${e.pointer}: ${e.message}`));
+    }
     metaDetailsEl.textContent = lines.join('\n');
   }
 
+  renderActionItems(snapshot);
+
   metadataDiv.classList.remove('hidden');
   // If a previous "Reload" forced display:none, undo it.
   metadataDiv.style.display = '';
 }
 
+/**
+ * Action items under the capture summary: open ones first (what the next session picks up), hidden when none.
+ * @param {any} snapshot
+ */
+function renderActionItems(snapshot) {
+  const el = document.getElementById('actionItems');
+  if (!el) return;
+  const items = Array.isArray(snapshot?.action_items) ? snapshot.action_items : [];
+  const open = items.filter((a) => a?.status === 'open');
+  const closed = items.filter((a) => a?.status !== 'open');
+  const line = (a) => `${a.status === 'open' ? '○' : '✓'} ${a.owner}: ${a.text} (msg ${a.message_idx + 1})`;
+  const lines = [`Action items: ${open.length} open, ${closed.length} done`, ...open.map(line), ...closed.slice(-3).map(line)];
+  if (closed.length > 3) lines.push(`… ${closed.length - 3} more done`);
+  el.textContent = items.length ? lines.join('\n') : '';
+  el.classList.toggle('hidden', !items.length);
+}
+
 /**
  * Show status message
  */
@@ -2142,12 +2815,12 @@ async function detectHandoffProviderFromActiveTabOrSnapshot(snap) {
   try {
     const tab = await getTargetActiveTab();
     const url = typeof tab?.url === 'string' ? tab.url : '';
-    const host = url ? new URL(url).hostname.toLowerCase() : '';
-    if (host === 'copilot.microsoft.com') return 'copilot';
+    const id = detectProviderId(url);
+    if (id !== 'unknown') return id;
   } catch (_) {}
   try {
     const p = String(snap?.metadata?.capture_provider || '').toLowerCase();
-    if (p === 'copilot') return 'copilot';
+    if (getProviderAdapterById(p)) return p;
   } catch (_) {}
   return '';
 }
@@ -2167,3 +2840,693 @@ function showRawJSON(snapshot) {
   setTimeout(() => URL.revokeObjectURL(url), 1000);
 }
 
+/**
+ * Trigger a file download from the popup (no downloads permission needed).
+ * @param {string} filename
+ * @param {string} mime
+ * @param {string} content
+ */
+function downloadTextFile(filename, mime, content) {
+  const blob = new Blob([content], { type: `${mime};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Export the current snapshot as a readable document (lib/snapshot-export.js).
+ * The footer carries the verifier verdict, so the snapshot is verified first.
+ * @param {'markdown'|'html'|'text'} format
+ */
+async function exportSnapshotAsDocument(format) {
+  try {
+    const snap = currentSnapshot || (await loadLastSnapshot());
+    if (!snap) {
+      showStatus('error', 'No snapshot to export. Generate one first.');
+      return;
+    }
+    if (typeof exportSnapshotDocument !== 'function') throw new Error('Exporter not loaded (lib/snapshot-export.js)');
+    let verification = null;
+    try {
+      verification = typeof verifySnapshot === 'function' ? await verifySnapshot(snap) : null;
+    } catch (_) {
+      verification = null;
+    }
+    const doc = exportSnapshotDocument(snap, format, { verification });
+    downloadTextFile(doc.filename, doc.mime, doc.content);
+    showStatus('success', `✓ Exported ${doc.filename}`);
+  } catch (e) {
+    showStatus('error', `Export failed: ${e?.message || String(e)}`);
+  }
+}
+
+/**
+ * Read a full stored transcript from the background store.
+ * @param {string} convKey
+ * @returns {Promise<{conversation:any, messages:Array<{idx:number, role:string, content:string, timestamp:string}>}>}
+ */
+async function loadStoredTranscriptMessages(convKey) {
+  const stats = await bgSend({ action: 'rl4_transcript_get_stats', convKey });
+  const conversation = stats && stats.ok && stats.conversation ? stats.conversation : { convKey };
+  // Rows past message_count can be left over from a longer earlier capture.
+  const limit = typeof conversation.message_count === 'number' ? conversation.message_count : Infinity;
+  const messages = [];
+  for (let start = 0; start < limit; start += 1000) {
+    const resp = await bgSend({ action: 'rl4_transcript_get_messages', convKey, start, limit: 1000 });
+    if (!resp || !resp.ok) throw new Error(resp?.error || 'Failed to read transcript');
+    const page = resp.messages.filter((m) => m.idx < limit);
+    messages.push(...page);
+    if (resp.messages.length < 1000) break;
+  }
+  if (!messages.length) throw new Error('Transcript is empty');
+  return { conversation, messages };
+}
+
+/**
+ * Fill a <select> with stored conversations (current one preselected).
+ * @param {string} selectId
+ */
+async function fillStoredConversationSelect(selectId) {
+  const select = document.getElementById(selectId);
+  if (!select) return;
+  const resp = await bgSend({ action: 'rl4_transcript_list_conversations' });
+  const list = resp && resp.ok && Array.isArray(resp.conversations) ? resp.conversations : [];
+  const current = currentSnapshot ? getConvKeyFromSnapshot(currentSnapshot) : '';
+  select.innerHTML = '';
+  if (!list.length) {
+    const opt = document.createElement('option');
+    opt.value = '';
+    opt.textContent = 'No stored transcripts yet';
+    select.appendChild(opt);
+    return;
+  }
+  for (const c of list) {
+    const opt = document.createElement('option');
+    opt.value = c.convKey;
+    const when = c.updatedAt ? new Date(c.updatedAt).toLocaleDateString() : '';
+    const name = c.title ? String(c.title).slice(0, 40) : String(c.convId || '').slice(0, 12);
+    opt.textContent = `${c.provider || '?'} · ${name} · ${c.message_count || 0} msgs${when ? ` · ${when}` : ''}`;
+    if (c.convKey === current) opt.selected = true;
+    select.appendChild(opt);
+  }
+}
+
+/**
+ * Fill the transcript export picker.
+ */
+async function refreshTranscriptExportList() {
+  await fillStoredConversationSelect('transcriptExportConv');
+}
+
+/**
+ * Import a provider account export (conversations.json) into the background transcript store.
+ * @param {File} file
+ */
+async function importProviderArchiveFile(file) {
+  try {
+    if (!file) {
+      showStatus('error', 'Select conversations.json from a ChatGPT or Claude data export.');
+      return;
+    }
+    if (typeof parseProviderArchive !== 'function') throw new Error('Importer not loaded (lib/archive-import.js)');
+    showStatus('loading', `Reading ${file.name}…`);
+    const parsed = parseProviderArchive(await file.text());
+    if (!parsed.conversations.length) throw new Error('No conversations with messages found in this file.');
+
+    const chunkSize = 220; // same chunking as live captures (message size limit)
+    let done = 0;
+    for (const conv of parsed.conversations) {
+      const convKey = `${conv.provider}:${conv.convId}`;
+      const approxChars = conv.messages.reduce((acc, m) => acc + m.content.length, 0);
+      for (let start = 0; start < conv.messages.length; start += chunkSize) {
+        const chunk = conv.messages.slice(start, start + chunkSize).map((m, i) => ({ idx: start + i, ...m }));
+        const resp = await bgSend({
+          action: 'rl4_transcript_upsert',
+          convKey,
+          provider: conv.provider,
+          convId: conv.convId,
+          title: conv.title,
+          source: 'archive_import',
+          // An account export holds the whole conversation (current branch).
+          completeness: 'complete',
+          completeness_reason: 'provider_export_archive',
+          total_messages: conv.messages.length,
+          approx_chars: approxChars,
+          messages: chunk
+        });
+        if (!resp || !resp.ok) throw new Error(resp?.error || `Failed to store ${convKey}`);
+      }
+      done++;
+      if (done % 10 === 0) showStatus('loading', `Importing… ${done}/${parsed.conversations.length} conversations`);
+    }
+    await fillStoredConversationSelect('archiveConvSelect');
+    const skipped = parsed.skipped ? ` (${parsed.skipped} skipped: empty or unrecognized)` : '';
+    showStatus('success', `✓ Imported ${done} ${parsed.provider} conversation${done > 1 ? 's' : ''}${skipped}.`);
+  } catch (e) {
+    showStatus('error', `Archive import failed: ${e?.message || String(e)}`);
+  }
+}
+
+/**
+ * Generate a snapshot from a stored transcript (imported archive, or a tab that is no longer open).
+ * Mirrors runSnapshotJob in content.js: provenance + transcript pointers + schema report, then checksum/seal.
+ * @param {string} convKey
+ */
+async function generateSnapshotFromStoredTranscript(convKey) {
+  try {
+    if (!convKey) {
+      showStatus('error', 'No stored conversation selected.');
+      return;
+    }
+    if (typeof RL4SnapshotGenerator !== 'function') throw new Error('Snapshot generator not loaded');
+    setBusy(true);
+    showStatus('loading', 'Generating snapshot from stored transcript…');
+
+    const mode = document.getElementById('modeTranscript')?.checked
+      ? 'transcript'
+      : document.getElementById('modeUltraPlus')?.checked
+        ? 'ultra_plus'
+        : 'compact';
+    const outputMode = mode === 'ultra_plus' ? 'ultra_plus' : 'digest';
+    const includeTranscript = mode === 'transcript';
+    const wantsIntegritySeal = !!document.getElementById('integritySeal')?.checked;
+    const messageMerkle = !!document.getElementById('messageMerkle')?.checked;
+
+    const { conversation, messages } = await loadStoredTranscriptMessages(convKey);
+    const provider = String(conversation.provider || convKey.split(':')[0] || '');
+    const convId = String(conversation.convId || convKey.slice(provider.length + 1));
+    const input = messages.map((m) => ({
+      id: `${convKey}#${m.idx}`,
+      // Keeps Merkle leaves keyed by stored idx when the store has holes (empty messages are never stored).
+      idx: m.idx,
+      role: m.role,
+      content: m.content,
+      timestamp: m.timestamp || ''
+    }));
+
+    const rulesRes = await chrome.storage.local.get([STORAGE_KEYS.EXTRACTION_RULES]);
+    const extractionRules = Array.isArray(rulesRes[STORAGE_KEYS.EXTRACTION_RULES]) ? rulesRes[STORAGE_KEYS.EXTRACTION_RULES] : [];
+    const generator = new RL4SnapshotGenerator(input, {}, { includeTranscript, outputMode, messageMerkle, extractionRules });
+    const snapshot = await generator.generate();
+    if (!snapshot.metadata || typeof snapshot.metadata !== 'object') snapshot.metadata = {};
+    snapshot.metadata.capture_provider = provider;
+    snapshot.metadata.capture_strategy = conversation.source === 'archive_import' ? 'archive_import' : 'stored_transcript';
+    snapshot.metadata.capture_completeness = conversation.completeness || 'unknown';
+    if (conversation.completeness_reason) snapshot.metadata.capture_completeness_reason = conversation.completeness_reason;
+    const transcriptSha256 = String(snapshot?.conversation_fingerprint?.sha256 || '');
+    snapshot.metadata.transcript_ref = convKey;
+    if (transcriptSha256) snapshot.metadata.transcript_sha256 = transcriptSha256;
+    snapshot.metadata.transcript_store = 'indexeddb_background_v1';
+    snapshot.checksum = await calculateChecksum(snapshot);
+    if (wantsIntegritySeal) snapshot.signature = await signChecksumDeviceOnly(snapshot.checksum);
+
+    // Keep the stored conversation pointing at the fingerprint of this run.
+    await bgSend({
+      action: 'rl4_transcript_upsert',
+      convKey,
+      provider,
+      convId,
+      transcript_sha256: transcriptSha256,
+      completeness: snapshot.metadata.capture_completeness,
+      completeness_reason: snapshot.metadata.capture_completeness_reason || '',
+      messages: []
+    });
+
+    // Same size guard as the content script: transcript_compact lives in IndexedDB anyway.
+    let toStore = snapshot;
+    if (JSON.stringify(snapshot).length > 1_500_000) {
+      toStore = { ...snapshot };
+      delete toStore.transcript_compact;
+    }
+    await chrome.storage.local.set({ [STORAGE_KEYS.LAST_SNAPSHOT]: toStore });
+    await bgSend({ action: 'rl4_snapshot_history_add', convKey, provider, snapshot });
+
+    await applyGeneratedSnapshot(snapshot);
+    showStatus('success', `Step 1/ Done (${messages.length} stored messages).\n\nStep 2/ Copy the finalization prompt.`);
+  } catch (e) {
+    showStatus('error', `Snapshot from stored transcript failed: ${e?.message || String(e)}`);
+  } finally {
+    setBusy(false);
+    refreshGuidance().catch(() => {});
+  }
+}
+
+/**
+ * Download the selected stored transcript in every checked format (one file each, plus a manifest).
+ */
+async function exportSelectedTranscript() {
+  try {
+    const convKey = document.getElementById('transcriptExportConv')?.value || '';
+    if (!convKey) {
+      showStatus('error', 'No stored transcript selected.');
+      return;
+    }
+    const formats = Array.from(document.querySelectorAll('[data-transcript-format]'))
+      .filter((el) => el.checked)
+      .map((el) => el.getAttribute('data-transcript-format'));
+    if (!formats.length) {
+      showStatus('error', 'Select at least one transcript format.');
+      return;
+    }
+    if (typeof buildTranscriptExportFiles !== 'function') throw new Error('Exporter not loaded (lib/transcript-export.js)');
+
+    const { conversation, messages } = await loadStoredTranscriptMessages(convKey);
+    const files = await buildTranscriptExportFiles(conversation, messages, formats);
+    for (const f of files) {
+      downloadTextFile(f.filename, f.mime, f.content);
+      // Let Chrome register each download before the next one (multi-file, no zip).
+      await new Promise((r) => setTimeout(r, 250));
+    }
+    showStatus('success', `✓ Exported ${messages.length} messages (${files.length} file${files.length > 1 ? 's' : ''}).`);
+  } catch (e) {
+    showStatus('error', `Transcript export failed: ${e?.message || String(e)}`);
+  }
+}
+
+/**
+ * Extract a snapshot object from pasted text.
+ * Accepts raw JSON, or a handoff prompt produced by buildInjectionPrompt
+ * (CONTEXT_JSON: / CONTEXT_JSON (protocol: …): / REFERENCE_JSON: followed by a JSON object).
+ * @param {string} text
+ * @returns {{snapshot:any, source:'raw_json'|'prompt'}}
+ */
+function extractSnapshotFromImportText(text) {
+  const t = String(text || '').trim();
+  if (!t) throw new Error('Nothing to import. Paste a handoff prompt or snapshot JSON.');
+
+  if (t.startsWith('{')) {
+    try {
+      return { snapshot: JSON.parse(t), source: 'raw_json' };
+    } catch (_) {
+      // Fall through: might be JSON followed by prompt footer.
+    }
+  }
+
+  const marker = t.match(/(?:CONTEXT_JSON|REFERENCE_JSON)(?:\s*\([^)]*\))?\s*:/);
+  const from = marker ? marker.index + marker[0].length : 0;
+  const start = t.indexOf('{', from);
+  if (start < 0) throw new Error('No JSON object found (expected a CONTEXT_JSON: block).');
+
+  // Balanced-brace scan (string-aware) to find the end of the JSON object.
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let end = -1;
+  for (let i = start; i < t.length; i++) {
+    const c = t[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (c === '\\') escaped = true;
+      else if (c === '"') inString = false;
+      continue;
+    }
+    if (c === '"') inString = true;
+    else if (c === '{') depth++;
+    else if (c === '}') {
+      depth--;
+      if (depth === 0) {
+        end = i;
+        break;
+      }
+    }
+  }
+  if (end < 0) throw new Error('JSON block is truncated (unbalanced braces).');
+
+  try {
+    return { snapshot: JSON.parse(t.slice(start, end + 1)), source: 'prompt' };
+  } catch (e) {
+    throw new Error(`Invalid JSON in CONTEXT_JSON block: ${e.message}`);
+  }
+}
+
+/**
+ * Render an imported snapshot as readable text (topics, decisions, timeline).
+ * @param {any} snap
+ * @returns {string}
+ */
+function renderImportedSnapshot(snap) {
+  const lines = [];
+  const one = (v, max = 160) => {
+    const s = String(v || '').replace(/\s+/g, ' ').trim();
+    return s.length > max ? `${s.slice(0, max - 1)}…` : s;
+  };
+
+  const meta = snap && typeof snap.metadata === 'object' && snap.metadata ? snap.metadata : {};
+  lines.push(`Protocol: ${snap?.protocol || 'unknown'}${snap?.version ? ` v${snap.version}` : ''}`);
+  if (snap?.session_id) lines.push(`Session: ${snap.session_id}`);
+  if (snap?.timestamp) lines.push(`Generated: ${snap.timestamp}`);
+  const msgCount = meta.messages || meta.total_messages;
+  if (msgCount) lines.push(`Messages: ${msgCount}${meta.capture_provider ? ` (${meta.capture_provider})` : ''}`);
+
+  const summary = snap?.context_summary_ultra || snap?.context_summary || '';
+  if (summary) lines.push('', 'Summary:', one(summary, 600));
+
+  const topics = Array.isArray(snap?.topics) ? snap.topics : [];
+  lines.push('', `Topics (${topics.length}):`);
+  for (const t of topics.slice(0, 12)) {
+    const w = typeof t?.weight === 'number' ? ` [${t.weight}]` : '';
+    lines.push(`- ${one(t?.label, 60)}${w}${t?.summary ? ` — ${one(t.summary, 120)}` : ''}`);
+  }
+
+  // Commitments restated by an action item are listed once, under Action items.
+  const actions = Array.isArray(snap?.action_items) ? snap.action_items : [];
+  const decisions = (Array.isArray(snap?.decisions) ? snap.decisions : []).filter(
+    (d) => !(typeof isActionItemDecision === 'function' && isActionItemDecision(d, actions))
+  );
+  lines.push('', `Decisions (${decisions.length}):`);
+  for (const d of decisions.slice(0, 12)) {
+    const choice = d?.choice || d?.chosen_option || '';
+    const intent = d?.intent ? `${d.intent}: ` : '';
+    lines.push(`- ${d?.id ? `${d.id} ` : ''}${intent}${one(choice, 140)}`);
+    const why = d?.rationale || d?.intent_text || '';
+    if (why) lines.push(`    why: ${one(why, 140)}`);
+  }
+
+  if (actions.length) {
+    const open = actions.filter((a) => a?.status === 'open');
+    lines.push('', `Action items (${open.length} open / ${actions.length}):`);
+    for (const a of [...open, ...actions.filter((x) => x?.status !== 'open')].slice(0, 12)) {
+      lines.push(`- [${a?.status === 'open' ? 'open' : 'done'}] ${a?.owner ? `${a.owner}: ` : ''}${one(a?.text, 140)}`);
+    }
+  }
+
+  const timeline = Array.isArray(snap?.timeline_macro)
+    ? snap.timeline_macro
+    : Array.isArray(snap?.timeline_macro_view_v1?.phases)
+      ? snap.timeline_macro_view_v1.phases
+      : Array.isArray(snap?.timeline_summary)
+        ? snap.timeline_summary
+        : [];
+  lines.push('', `Timeline (${timeline.length}):`);
+  for (const p of timeline.slice(0, 10)) {
+    const label = p?.phase ? `${p.phase} ` : '';
+    lines.push(`- ${label}${p?.range ? `(${p.range}) ` : ''}${one(p?.summary, 140)}`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Import a pasted handoff, verify integrity + schema, and render it.
+ * @param {string} text
+ */
+async function importAndVerifySnapshot(text) {
+  const verdictEl = document.getElementById('importVerdict');
+  const viewEl = document.getElementById('importView');
+  const rawBtn = document.getElementById('importRawBtn');
+  const show = (el, visible) => el && el.classList[visible ? 'remove' : 'add']('hidden');
+  const setVerdict = (level, msg) => {
+    if (!verdictEl) return;
+    verdictEl.className = `status-mini verdict-${level}`;
+    verdictEl.textContent = msg;
+  };
+
+  importedSnapshot = null;
+  show(viewEl, false);
+  show(rawBtn, false);
+
+  let snap;
+  try {
+    snap = extractSnapshotFromImportText(text).snapshot;
+  } catch (e) {
+    setVerdict('bad', `✗ ${e.message}`);
+    return;
+  }
+
+  let integrity;
+  try {
+    integrity = await verifySnapshot(snap);
+  } catch (e) {
+    integrity = { ok: false, verdict: 'malformed', reason: String(e?.message || e) };
+  }
+
+  let schemaReport = null;
+  try {
+    schemaReport = await validateSnapshotSchema(snap);
+  } catch (e) {
+    schemaReport = { valid: false, schema: '', errors: [{ pointer: '/', keyword: 'schema', message: String(e?.message || e) }] };
+  }
+
+  const integrityLine = {
+    ok: '✓ Integrity: checksum + device seal valid',
+    unsigned: '✓ Integrity: checksum valid (unsealed)',
+    checksum_mismatch: '✗ Integrity: checksum mismatch — content was modified',
+    bad_signature: '✗ Integrity: bad signature — seal does not match',
+    partial_view:
+      integrity.reason === 'source_seal_valid'
+        ? '⚠ Integrity: partial view of a sealed snapshot — seal valid, cut fields not verifiable'
+        : '⚠ Integrity: partial view of an unsealed snapshot — not verifiable',
+    malformed: '✗ Integrity: malformed snapshot'
+  }[integrity.verdict] || `✗ Integrity: ${integrity.verdict}`;
+
+  const lines = [integrityLine];
+  if (!integrity.ok && integrity.reason) lines.push(`  reason: ${integrity.reason}`);
+  if (integrity.source_checksum) lines.push(`  source checksum: ${integrity.source_checksum.slice(0, 16)}…`);
+  if (integrity.signature && integrity.signature.key_id) lines.push(`  key_id: ${String(integrity.signature.key_id).slice(0, 16)}…`);
+  if (schemaReport.valid) {
+    lines.push(`✓ Schema: ${schemaReport.schema}`);
+  } else {
+    lines.push(`⚠ Schema: ${schemaReport.schema || 'unknown'} (${schemaReport.errors.length} issue(s))`);
+    for (const err of schemaReport.errors.slice(0, 6)) lines.push(`  ${err.pointer}: ${err.message}`);
+  }
+
+  const level =
+    integrity.verdict === 'partial_view' ? 'warn' : !integrity.ok ? 'bad' : integrity.verdict === 'ok' && schemaReport.valid ? 'ok' : 'warn';
+  setVerdict(level, lines.join('\n'));
+
+  importedSnapshot = snap;
+  if (viewEl && snap && typeof snap === 'object') {
+    viewEl.textContent = renderImportedSnapshot(snap);
+    show(viewEl, true);
+    show(rawBtn, true);
+  }
+}
+
+/**
+ * @param {'ok'|'warn'|'bad'} level
+ * @param {string} msg
+ */
+function setProofVerdict(level, msg) {
+  const el = document.getElementById('proofVerdict');
+  if (!el) return;
+  el.className = `status-mini verdict-${level}`;
+  el.textContent = msg;
+}
+
+/**
+ * Copy an inclusion proof for one message of the current snapshot (message idx = stored transcript idx).
+ * Leaves are rebuilt from the transcript store when the snapshot does not embed them.
+ * @param {number} messageIdx - 0-based
+ */
+async function copyMessageProof(messageIdx) {
+  const snap = currentSnapshot || (await loadLastSnapshot().catch(() => null));
+  const merkle = snap?.conversation_fingerprint?.merkle;
+  if (!merkle) {
+    setProofVerdict('bad', '✗ This snapshot has no message proofs. Enable "Message proofs (Merkle)" and generate again.');
+    return;
+  }
+  try {
+    const convKey = getConvKeyFromSnapshot(snap);
+    let rows = null;
+    if (convKey) rows = (await loadStoredTranscriptMessages(convKey).catch(() => null))?.messages || null;
+    const proof = await proveSnapshotMessage(snap, messageIdx, { messages: rows || undefined });
+    const row = rows ? rows.find((m) => m.idx === messageIdx) : null;
+    const bundle = {
+      type: 'rl4_message_proof_v1',
+      snapshot_checksum: String(snap.checksum || ''),
+      ...(row ? { message: { role: row.role === 'user' ? 'user' : 'assistant', content: String(row.content || '') } } : {}),
+      proof
+    };
+    await copyToClipboard(JSON.stringify(bundle, null, 2));
+    setProofVerdict(
+      row ? 'ok' : 'warn',
+      `✓ Proof for message ${messageIdx + 1} copied${row ? '' : ' (message text not in the local store: quote it yourself)'}.`
+    );
+  } catch (e) {
+    setProofVerdict('bad', `✗ ${String(e?.message || e)}`);
+  }
+}
+
+/**
+ * Check a pasted proof bundle (copyMessageProof output) against the snapshot verified in this panel.
+ * @param {string} text
+ */
+async function checkPastedMessageProof(text) {
+  if (!importedSnapshot) {
+    setProofVerdict('bad', '✗ Verify the snapshot first, then paste the proof in the same box.');
+    return;
+  }
+  let bundle;
+  try {
+    bundle = JSON.parse(String(text || '').trim());
+  } catch (_) {
+    setProofVerdict('bad', '✗ Paste the proof JSON (from "Copy message proof").');
+    return;
+  }
+  const proof = bundle && bundle.proof ? bundle.proof : bundle;
+  if (bundle && bundle.snapshot_checksum && bundle.snapshot_checksum !== importedSnapshot.checksum) {
+    setProofVerdict('bad', '✗ This proof is for another snapshot (checksum differs).');
+    return;
+  }
+  const res = await verifyMessageInclusion(importedSnapshot, proof, bundle && bundle.message ? bundle.message : undefined);
+  const n = typeof proof?.message_idx === 'number' ? proof.message_idx + 1 : (proof?.index ?? 0) + 1;
+  if (!res.ok) {
+    setProofVerdict('bad', `✗ Message ${n} is not proven: ${res.reason}`);
+    return;
+  }
+  setProofVerdict(
+    bundle && bundle.message ? 'ok' : 'warn',
+    bundle && bundle.message
+      ? `✓ Message ${n} belongs to this snapshot's transcript.`
+      : `⚠ Leaf ${n} belongs to the transcript, but the proof carries no message text to compare.`
+  );
+}
+
+/**
+ * Load and render snapshot history (optionally filtered by a full-text query over topics/decisions).
+ * @param {string} query
+ */
+async function refreshHistoryList(query = '') {
+  const listEl = document.getElementById('historyList');
+  const emptyEl = document.getElementById('historyEmpty');
+  if (!listEl) return;
+  const resp = await bgSend({ action: 'rl4_snapshot_history_list', query: String(query || ''), limit: 50 });
+  const items = resp && resp.ok && Array.isArray(resp.items) ? resp.items : [];
+  listEl.textContent = '';
+  if (emptyEl) {
+    emptyEl.textContent = resp && resp.ok ? (query ? 'No matching snapshots.' : 'No snapshots yet.') : 'History unavailable.';
+    emptyEl.classList[items.length ? 'add' : 'remove']('hidden');
+  }
+  for (const item of items) listEl.appendChild(renderHistoryItem(item));
+}
+
+/**
+ * @param {{id:string, provider:string, convId:string, mode:string, checksum:string, sealed:boolean, has_rl4_blocks:boolean, timestamp:string, createdAt:number, messages:number, topics:string[]}} item
+ * @returns {HTMLElement}
+ */
+function renderHistoryItem(item) {
+  const row = document.createElement('div');
+  row.className = 'history-item';
+
+  const title = document.createElement('div');
+  title.className = 'history-item-title';
+  const when = item.createdAt ? new Date(item.createdAt).toLocaleString() : item.timestamp || '';
+  title.textContent = `${item.provider || 'unknown'} • ${item.mode || 'digest'} • ${when}`;
+
+  const sub = document.createElement('div');
+  sub.className = 'history-item-sub';
+  const flags = [item.sealed ? 'sealed' : 'unsealed', item.has_rl4_blocks ? 'finalized' : ''].filter(Boolean).join(', ');
+  const topics = Array.isArray(item.topics) && item.topics.length ? item.topics.slice(0, 5).join(', ') : 'no topics';
+  sub.textContent =
+    `${item.messages || 0} msgs • ${flags} • checksum ${String(item.checksum || '').slice(0, 12)}…\n` +
+    `conv: ${item.convId || '-'}\n` +
+    `topics: ${topics}`;
+  sub.style.whiteSpace = 'pre-wrap';
+
+  const actions = document.createElement('div');
+  actions.className = 'history-item-actions';
+  const copyBtn = document.createElement('button');
+  copyBtn.className = 'btn-inline';
+  copyBtn.type = 'button';
+  copyBtn.textContent = '📋 Copy prompt';
+  copyBtn.addEventListener('click', async (e) => {
+    e.preventDefault();
+    await copyHistoryPrompt(item.id);
+    flashOnce(copyBtn);
+  });
+  const rawBtn = document.createElement('button');
+  rawBtn.className = 'btn-inline';
+  rawBtn.type = 'button';
+  rawBtn.textContent = 'JSON';
+  rawBtn.addEventListener('click', async (e) => {
+    e.preventDefault();
+    const resp = await bgSend({ action: 'rl4_snapshot_history_get', id: item.id });
+    if (resp && resp.ok && resp.record && resp.record.snapshot) showRawJSON(resp.record.snapshot);
+  });
+  const diffBtn = document.createElement('button');
+  diffBtn.className = 'btn-inline';
+  diffBtn.type = 'button';
+  diffBtn.textContent = 'Δ Diff';
+  diffBtn.title = 'Compare with the current snapshot';
+  diffBtn.addEventListener('click', async (e) => {
+    e.preventDefault();
+    await showHistoryDiff(item.id);
+  });
+  const delBtn = document.createElement('button');
+  delBtn.className = 'btn-inline';
+  delBtn.type = 'button';
+  delBtn.textContent = 'Delete';
+  delBtn.addEventListener('click', async (e) => {
+    e.preventDefault();
+    if (!confirm('Delete this snapshot from history?')) return;
+    const resp = await bgSend({ action: 'rl4_snapshot_history_delete', id: item.id });
+    if (!resp || !resp.ok) {
+      showStatus('error', `Delete failed: ${resp && resp.error ? resp.error : 'unknown error'}`);
+      return;
+    }
+    const q = document.getElementById('historySearch');
+    await refreshHistoryList(q ? q.value : '');
+  });
+  actions.append(copyBtn, diffBtn, rawBtn, delBtn);
+
+  row.append(title, sub, actions);
+  return row;
+}
+
+/**
+ * Rebuild and copy the injection prompt for a past snapshot.
+ * @param {string} id
+ */
+async function copyHistoryPrompt(id) {
+  const resp = await bgSend({ action: 'rl4_snapshot_history_get', id });
+  const snap = resp && resp.ok && resp.record ? resp.record.snapshot : null;
+  if (!snap) {
+    showStatus('error', 'Snapshot not found in history.');
+    return;
+  }
+  const blocker = getSchemaCopyBlocker(snap);
+  if (blocker) {
+    showStatus('error', blocker);
+    return;
+  }
+  const provider = await detectHandoffProviderFromActiveTabOrSnapshot(snap);
+  const prompt = buildInjectionPrompt(snap, { provider });
+  await copyToClipboard(prompt);
+  showStatus('success', '✓ Copied to clipboard.');
+}
+
+/**
+ * Diff a history entry (base) against the current snapshot (head) and render it.
+ * @param {string} id
+ */
+async function showHistoryDiff(id) {
+  const diffEl = document.getElementById('historyDiff');
+  const deltaBtn = document.getElementById('copyDeltaPromptBtn');
+  const resp = await bgSend({ action: 'rl4_snapshot_history_get', id });
+  const base = resp && resp.ok && resp.record ? resp.record.snapshot : null;
+  const head = currentSnapshot || (await loadLastSnapshot().catch(() => null));
+  lastSnapshotDiff = null;
+  if (!base || !head) {
+    showStatus('error', !base ? 'Snapshot not found in history.' : 'No current snapshot to compare with.');
+    return;
+  }
+  if (base.checksum && base.checksum === head.checksum) {
+    showStatus('warning', 'This is the current snapshot. Pick an older one to diff.');
+    return;
+  }
+  // Older → newer, whatever order the user picked.
+  const [older, newer] = String(base.timestamp || '') <= String(head.timestamp || '') ? [base, head] : [head, base];
+  const diff = diffSnapshots(older, newer);
+  lastSnapshotDiff = { diff, base: older, head: newer };
+  if (diffEl) {
+    diffEl.textContent = formatSnapshotDiff(diff);
+    diffEl.classList.remove('hidden');
+  }
+  if (deltaBtn) deltaBtn.classList[diff.unchanged || !diff.lineage.related ? 'add' : 'remove']('hidden');
+  if (!diff.lineage.related) showStatus('warning', 'These snapshots come from different conversations: no delta handoff.');
+}
@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { extractActionItems, isActionItemDecision } = require('../lib/action-items.js');
+const { renderSnapshotMarkdown } = require('../lib/snapshot-export.js');
+const { loadLibContext, plain } = require('./helpers/load-lib.js');
+const { loadFixture } = require('./helpers/fixtures.js');
+const { conversation } = require('./helpers/conversation.js');
+
+/**
+ * @param {Array<Object>} items
+ */
+function brief(items) {
+  return items.map((a) => [a.text, a.owner, a.message_idx, a.status, a.closed_by ? a.closed_by.message_idx : null]);
+}
+
+test('extractActionItems: owners, sources, and what is not an action item', () => {
+  const items = extractActionItems(
+    conversation([
+      'I need to add a retry to the upload queue. Should I also log failures?',
+      "I'll explain the options first. Next step: wrap the upload in a transaction and retry three times.",
+      'Ok.\n- [ ] document the retry policy\n- [x] bump the schema version',
+      "Je vais ajouter un test pour la file d'attente.",
+      'Ich werde die Warteschlange morgen aufräumen.'
+    ])
+  );
+  assert.deepEqual(brief(items), [
+    ['add a retry to the upload queue', 'user', 0, 'open', null],
+    ['wrap the upload in a transaction and retry three times', 'assistant', 1, 'open', null],
+    ['document the retry policy', 'user', 2, 'open', null],
+    ['bump the schema version', 'user', 2, 'closed', 2],
+    ["ajouter un test pour la file d'attente", 'assistant', 3, 'open', null],
+    ['die Warteschlange morgen aufräumen', 'user', 4, 'open', null]
+  ]);
+  assert.deepEqual(items.map((a) => a.id), ['act-1', 'act-2', 'act-3', 'act-4', 'act-5', 'act-6']);
+});
+
+test('extractActionItems: closed by a matching "done/fixed", a short confirmation, or the owner\'s "Done."', () => {
+  const items = extractActionItems(
+    conversation([
+      "I'll rename the storage keys in popup.js.",
+      'Plan: cache the compiled rules per snapshot.',
+      'Storage keys are renamed and done. What about the cache?',
+      'Next step: paginate the history list.',
+      'It works now, thanks!',
+      "I'll profile the export renderer.",
+      'Which browser?',
+      'Done. The renderer spends most of its time in escaping.'
+    ])
+  );
+  assert.deepEqual(brief(items), [
+    ['rename the storage keys in popup.js', 'user', 0, 'closed', 2],
+    ['cache the compiled rules per snapshot', 'assistant', 1, 'open', null],
+    ['paginate the history list', 'assistant', 3, 'closed', 4],
+    ['profile the export renderer', 'assistant', 5, 'closed', 7]
+  ]);
+  assert.deepEqual(items[2].closed_by, { message_idx: 4, role: 'user', evidence: 'It works now, thanks' });
+});
+
+test('extractActionItems: negated markers and summaries do not close', () => {
+  const items = extractActionItems(
+    conversation([
+      "I'll fix the pagination cursor.",
+      'The pagination cursor is still not fixed after the reload.',
+      "Je vais corriger l'export HTML.",
+      "Ça ne marche pas encore, l'export HTML est vide.",
+      'Summary: IndexedDB storage, fixed seal, document exports.',
+      'ok'
+    ])
+  );
+  assert.deepEqual(brief(items), [
+    ['fix the pagination cursor', 'user', 0, 'open', null],
+    ["corriger l'export HTML", 'user', 2, 'open', null]
+  ]);
+
+  // No word long enough to match on: only a confirmation can close it, not any "fixed".
+  const stemless = extractActionItems(
+    conversation(['- [ ] fix the UI', 'Sure, which part first?', 'The signup page is fixed now, the rest can wait for the release.'])
+  );
+  assert.deepEqual(brief(stemless), [['fix the UI', 'user', 0, 'open', null]]);
+});
+
+test('extractActionItems: bounded, open items kept before closed ones', () => {
+  const texts = [];
+  for (let i = 0; i < 6; i++) texts.push(`I'll write migration step number ${i}.`, `Migration step number ${i} is done.`);
+  texts.push("I'll update the changelog afterwards.", 'Sure.');
+  const items = extractActionItems(conversation(texts), { maxItems: 3 });
+  assert.deepEqual(brief(items), [
+    ['write migration step number 4', 'user', 8, 'closed', 9],
+    ['write migration step number 5', 'user', 10, 'closed', 11],
+    ['update the changelog afterwards', 'user', 12, 'open', null]
+  ]);
+});
+
+test('isActionItemDecision: a commitment that starts with an item\'s text, on a word boundary', () => {
+  const items = [{ text: 'split the work into chunks' }];
+  assert.equal(isActionItemDecision({ intent: 'commit', chosen_option: 'Split the work into chunks. Then merge.' }, items), true);
+  assert.equal(isActionItemDecision({ intent: 'commit', choice: 'split the work into chunks' }, items), true);
+  assert.equal(isActionItemDecision({ intent: 'commit', chosen_option: 'split the work into chunksets' }, items), false);
+  assert.equal(isActionItemDecision({ intent: 'decide', chosen_option: 'split the work into chunks.' }, items), false);
+  assert.equal(isActionItemDecision({ intent: 'commit', chosen_option: 'split the work into chunks.' }, null), false);
+});
+
+test('snapshots: action_items in digest, open items in portable_memory and the Markdown export', async () => {
+  const ctx = loadLibContext();
+  const digest = plain(await new ctx.RL4SnapshotGenerator(loadFixture('code_heavy'), {}, { includeTranscript: false }).generate());
+  assert.deepEqual(
+    digest.action_items.map((a) => [a.id, a.status, a.closed_by?.role]),
+    [['act-1', 'closed', 'user']]
+  );
+  assert.deepEqual(digest.portable_memory.next_actions, []);
+
+  const english = plain(await new ctx.RL4SnapshotGenerator(loadFixture('english'), {}, { includeTranscript: false }).generate());
+  assert.deepEqual(english.portable_memory.next_actions, [
+    'render both from a shared export model so the sections stay in sync',
+    'split the work into chunks of 200 messages and merge the results'
+  ]);
+
+  // The commitment behind an open item is listed once: as a next action, not as an accepted decision.
+  assert.ok(english.decisions.some((d) => d.intent === 'commit'));
+  assert.deepEqual(english.portable_memory.accepted_decisions.filter((d) => d.intent === 'commit'), []);
+  assert.doesNotMatch(renderSnapshotMarkdown(english), /commit: split the work/);
+
+  const md = renderSnapshotMarkdown(digest);
+  assert.doesNotMatch(md, /commit: move generation/);
+  assert.match(md, /## Action items\n\n- \*\*\\\[done\\\] move generation off the popup into the content script and poll progress\*\*\n {2}- Owner: assistant \(message 8\)\n {2}- Closed by user in message 11: It works now, thanks/);
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { parseProviderArchive, detectArchiveProvider } = require('../lib/archive-import.js');
+
+const ARCHIVES_DIR = path.join(__dirname, 'fixtures', 'archives');
+
+/**
+ * @param {'chatgpt'|'claude'} name
+ * @returns {string} raw file text, as read by the import panel
+ */
+function archiveText(name) {
+  return fs.readFileSync(path.join(ARCHIVES_DIR, `${name}_conversations.json`), 'utf8');
+}
+
+test('parseProviderArchive: ChatGPT keeps only the root → current_node path', () => {
+  const { provider, conversations, skipped } = parseProviderArchive(archiveText('chatgpt'));
+  assert.equal(provider, 'chatgpt');
+  const [edited] = conversations;
+  assert.equal(edited.convId, 'c-edit-1');
+  assert.equal(edited.title, 'Transcript storage');
+  assert.equal(edited.createdAt, '2024-01-15T10:00:00.000Z');
+  assert.equal(edited.updatedAt, '2024-01-15T10:10:00.500Z');
+  // The abandoned reply and the hidden system node are dropped.
+  assert.deepEqual(
+    edited.messages.map((m) => [m.role, m.content, m.timestamp]),
+    [
+      ['user', 'Where should the extension keep full transcripts?', '2024-01-15T10:00:00.000Z'],
+      ['assistant', 'Use IndexedDB in the background worker; chrome.storage.local has a quota.', '2024-01-15T10:01:10.000Z'],
+      ['user', 'Good, go with IndexedDB.', '2024-01-15T10:10:00.000Z']
+    ]
+  );
+  // No id, and only user_editable_context: both skipped.
+  assert.equal(skipped, 2);
+});
+
+test('parseProviderArchive: cyclic parent links end the walk instead of hanging', () => {
+  const { conversations } = parseProviderArchive(archiveText('chatgpt'));
+  const cyclic = conversations.find((c) => c.convId === 'c-cycle-2');
+  assert.deepEqual(cyclic.messages.map((m) => m.content), ['Is this export still readable?', 'Yes, the cycle is cut.']);
+  assert.equal(cyclic.messages[0].timestamp, '');
+
+  const selfParent = {
+    id: 'self',
+    current_node: 'x',
+    mapping: { x: { parent: 'x', message: { author: { role: 'user' }, content: { parts: ['loop'] } } } }
+  };
+  assert.deepEqual(parseProviderArchive([selfParent]).conversations[0].messages.map((m) => m.content), ['loop']);
+});
+
+test('parseProviderArchive: Claude chat_messages with text and content blocks', () => {
+  const { provider, conversations, skipped } = parseProviderArchive(archiveText('claude'));
+  assert.equal(provider, 'claude');
+  assert.equal(skipped, 1);
+  assert.equal(conversations.length, 1);
+  const [conv] = conversations;
+  assert.equal(conv.convId, '0b6c1f7e-3a52-4d7a-9a8e-5e1f2c3d4b5a');
+  assert.equal(conv.title, 'Offline sync');
+  assert.equal(conv.updatedAt, '2024-01-10T09:05:00.000Z');
+  assert.deepEqual(
+    conv.messages.map((m) => [m.role, m.content, m.timestamp]),
+    [
+      ['user', 'The field app must work offline for a full shift.', '2024-01-10T09:00:00.000Z'],
+      ['assistant', 'Queue edits in IndexedDB and replay them when the device reconnects.', '2024-01-10T09:01:00.000Z']
+    ]
+  );
+});
+
+test('parseProviderArchive: one file mixing both providers is reported as mixed', () => {
+  const chatgpt = JSON.parse(archiveText('chatgpt')).conversations;
+  const claude = JSON.parse(archiveText('claude')).conversations;
+  // Exports saved by some editors start with a BOM.
+  const result = parseProviderArchive(`\uFEFF${JSON.stringify([chatgpt[0], claude[0]])}`);
+  assert.equal(result.provider, 'mixed');
+  assert.deepEqual(result.conversations.map((c) => c.provider), ['chatgpt', 'claude']);
+  assert.equal(parseProviderArchive([]).provider, '');
+});
+
+test('parseProviderArchive: untrusted input fails with a readable error', () => {
+  assert.throws(() => parseProviderArchive('{not json'), /Not a JSON file/);
+  assert.throws(() => parseProviderArchive('{"title":"x"}'), /expected an array of conversations/);
+  assert.throws(() => parseProviderArchive(null), /expected an array of conversations/);
+  const { conversations, skipped } = parseProviderArchive([null, 42, 'text', { id: 'x', mapping: null }]);
+  assert.deepEqual(conversations, []);
+  assert.equal(skipped, 4);
+});
+
+test('detectArchiveProvider: mapping → chatgpt, chat_messages → claude', () => {
+  assert.equal(detectArchiveProvider({ mapping: {} }), 'chatgpt');
+  assert.equal(detectArchiveProvider({ chat_messages: [] }), 'claude');
+  assert.equal(detectArchiveProvider({ messages: [] }), '');
+  assert.equal(detectArchiveProvider(null), '');
+});
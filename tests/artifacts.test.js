@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+
+const { parseCodeFences, inferArtifactFilename, extractArtifacts, buildArtifacts } = require('../lib/artifacts.js');
+const { loadLibContext, plain } = require('./helpers/load-lib.js');
+const { loadFixture } = require('./helpers/fixtures.js');
+const { conversation } = require('./helpers/conversation.js');
+
+test('parseCodeFences: backtick and tilde fences, unclosed fence runs to the end', () => {
+  const blocks = parseCodeFences('Intro\n```js\nconst a = 1;\n```\n~~~~ python\nprint(1)\n```\nstill python\n~~~~\n```\n```\n```sh\necho cut');
+  assert.deepEqual(
+    blocks.map((b) => [b.lang, b.code]),
+    [
+      ['javascript', 'const a = 1;'],
+      ['python', 'print(1)\n```\nstill python'],
+      ['shell', 'echo cut']
+    ]
+  );
+  assert.equal(blocks[0].before, 'Intro');
+});
+
+test('inferArtifactFilename: info string, first-line comment, prose above the fence', () => {
+  assert.equal(inferArtifactFilename({ info: 'ts title="lib/a.ts"', code: 'x', before: '' }), 'lib/a.ts');
+  assert.equal(inferArtifactFilename({ info: 'js:src/popup.js', code: 'x', before: '' }), 'src/popup.js');
+  assert.equal(inferArtifactFilename({ info: 'python', code: '# file: tools/run.py\nprint(1)', before: '' }), 'tools/run.py');
+  assert.equal(inferArtifactFilename({ info: 'html', code: '<!-- options.html -->\n<p></p>', before: '' }), 'options.html');
+  assert.equal(inferArtifactFilename({ info: 'js', code: 'x()', before: 'Update `lib/snapshot.js` as follows:' }), 'lib/snapshot.js');
+  assert.equal(inferArtifactFilename({ info: 'sh', code: '#!/bin/sh\necho ok', before: 'Run it, e.g. with v1.2:' }), null);
+});
+
+test('extractArtifacts: the last version of a file or symbol wins, repeats are not revisions', () => {
+  const { artifacts, meta } = extractArtifacts(
+    conversation([
+      'Here is my `src/store.js`:\n```js\nexport function save(m) { db.put(m); }\n```',
+      'Wrap it in a transaction:\n```js\n// src/store.js\nexport function save(m) { return tx(() => db.put(m)); }\n```',
+      'Same thing again?\n```js\n// src/store.js\nexport function save(m) { return tx(() => db.put(m)); }\n```',
+      '```js\nfunction retry(fn) { return fn(); }\n```',
+      'Final retry:\n```js\nfunction retry(fn, n = 3) { return fn().catch((e) => (n ? retry(fn, n - 1) : Promise.reject(e))); }\n```'
+    ])
+  );
+  assert.deepEqual(
+    artifacts.map((a) => [a.id, a.filename, a.symbol, a.role, a.message_idx, a.first_message_idx, a.versions, a.revisions]),
+    [
+      ['art-1', 'src/store.js', 'save', 'user', 2, 0, 2, [0, 1]],
+      ['art-2', null, 'retry', 'user', 4, 3, 2, [3, 4]]
+    ]
+  );
+  assert.match(artifacts[1].code, /n = 3/);
+  assert.deepEqual(meta, { code_blocks: 5, unique: 2, emitted: 2, truncated: 0, omitted: 0 });
+});
+
+test('extractArtifacts: bounded, most recent kept first, sha256 covers the full code', async () => {
+  const big = (n) => `// big${n}.js\n${'x'.repeat(3000)}`;
+  const messages = conversation([1, 2, 3, 4].map((n) => `\`\`\`js\n${big(n)}\n\`\`\``));
+  const { artifacts, meta } = await buildArtifacts(messages, { maxArtifacts: 3, maxChars: 2500, maxTotalChars: 6000 });
+  assert.deepEqual(
+    artifacts.map((a) => [a.filename, a.chars, a.code.length, a.truncated]),
+    [
+      ['big2.js', 3011, 1000, true],
+      ['big3.js', 3011, 2500, true],
+      ['big4.js', 3011, 2500, true]
+    ]
+  );
+  assert.equal(artifacts[2].sha256, crypto.createHash('sha256').update(big(4)).digest('hex'));
+  assert.deepEqual(meta, { code_blocks: 4, unique: 4, emitted: 3, truncated: 3, omitted: 1 });
+});
+
+test('digest snapshots carry artifacts; ultra modes do not', async () => {
+  const ctx = loadLibContext();
+  const messages = loadFixture('code_heavy');
+  const digest = plain(await new ctx.RL4SnapshotGenerator(messages, {}, { includeTranscript: false }).generate());
+  assert.deepEqual(
+    digest.artifacts.map((a) => [a.language, a.symbol, a.message_idx]),
+    [
+      ['javascript', 'normalizeContent', 1],
+      ['javascript', 'upsertInChunks', 3],
+      ['python', null, 5],
+      ['javascript', null, 7]
+    ]
+  );
+  assert.equal(digest.artifacts_meta.emitted, 4);
+
+  const ultra = plain(await new ctx.RL4SnapshotGenerator(messages, {}, { includeTranscript: false, outputMode: 'ultra' }).generate());
+  assert.equal(ultra.artifacts, undefined);
+
+  const english = plain(await new ctx.RL4SnapshotGenerator(loadFixture('english'), {}, { includeTranscript: false }).generate());
+  assert.equal(english.artifacts, undefined);
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { canonicalize, calculateChecksum } = require('../lib/checksum.js');
+
+test('canonicalize: sorts keys recursively and drops `checksum` at every depth', () => {
+  const out = canonicalize({ b: 1, checksum: 'x', a: { d: [{ z: 1, y: 2, checksum: 'y' }], c: null } });
+  assert.equal(JSON.stringify(out), '{"a":{"c":null,"d":[{"y":2,"z":1}]},"b":1}');
+});
+
+test('canonicalize: primitives, null and undefined pass through; array order is kept', () => {
+  assert.equal(canonicalize(null), null);
+  assert.equal(canonicalize(undefined), undefined);
+  assert.equal(canonicalize('text'), 'text');
+  assert.equal(canonicalize(42), 42);
+  assert.deepEqual(canonicalize([3, 1, 2]), [3, 1, 2]);
+});
+
+test('calculateChecksum: key order and checksum field do not change the hash', async () => {
+  const a = await calculateChecksum({ protocol: 'RL4', topics: [{ label: 'x', weight: 1 }] });
+  const b = await calculateChecksum({ topics: [{ weight: 1, label: 'x' }], protocol: 'RL4', checksum: 'stale' });
+  assert.match(a, /^[a-f0-9]{64}$/);
+  assert.equal(a, b);
+});
+
+test('calculateChecksum: known vector', async () => {
+  // sha256('{"a":1}')
+  assert.equal(await calculateChecksum({ a: 1 }), '015abd7f5cc57a2dd94b7590f04ad8084273905ee33ec5cebeae62276a97f862');
+});
+
+test('calculateChecksum: any content change changes the hash', async () => {
+  const a = await calculateChecksum({ decisions: [{ chosen_option: 'IndexedDB' }] });
+  const b = await calculateChecksum({ decisions: [{ chosen_option: 'IndexedDb' }] });
+  assert.notEqual(a, b);
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { splitIntoCognitiveDays } = require('../lib/cognitive-splitter.js');
+const { buildCausalChains, calculateImpactScore } = require('../lib/causal-linker.js');
+const { buildProgressiveSummary } = require('../lib/progressive-summarizer.js');
+const { extractTopics, extractDecisions, extractInsights } = require('../lib/extraction.js');
+const { loadFixture, buildXxlConversation, assertGolden } = require('./helpers/fixtures.js');
+const { conversation } = require('./helpers/conversation.js');
+
+test('splitIntoCognitiveDays: empty and short conversations', () => {
+  assert.deepEqual(splitIntoCognitiveDays([]), []);
+  const days = splitIntoCognitiveDays(conversation(['storage layer choice', 'indexeddb storage layer', 'storage quota']));
+  assert.equal(days.length, 1);
+  assert.equal(days[0].day_id, 'day-1');
+  assert.equal(days[0].key_shift, 'initial');
+  assert.deepEqual(days[0].messages_range, { start: 0, end: 2 });
+});
+
+test('splitIntoCognitiveDays: vocabulary pivot opens a new day', () => {
+  const storage = Array.from({ length: 8 }, (_, i) => `indexeddb storage transcripts quota database record ${i}`);
+  const export_ = Array.from({ length: 8 }, (_, i) => `markdown html export stylesheet rendering document ${i}`);
+  const days = splitIntoCognitiveDays(conversation([...storage, ...export_]));
+  assert.equal(days.length, 2);
+  assert.deepEqual(days[0].messages_range, { start: 0, end: 7 });
+  assert.deepEqual(days[1].messages_range, { start: 8, end: 15 });
+  assert.match(days[1].key_shift, /^shift to /);
+});
+
+test('splitIntoCognitiveDays: ranges are contiguous and bounded by maxDays on XXL input', () => {
+  const messages = buildXxlConversation();
+  const days = splitIntoCognitiveDays(messages);
+  assert.ok(days.length >= 1 && days.length <= 10);
+  assert.equal(days[0].messages_range.start, 0);
+  for (let i = 1; i < days.length; i++) {
+    assert.ok(days[i].messages_range.start > days[i - 1].messages_range.end);
+  }
+});
+
+test('buildCausalChains: no decisions, no chains', () => {
+  assert.deepEqual(buildCausalChains([], {}, []), []);
+  assert.deepEqual(buildCausalChains(null, null, null), []);
+});
+
+test('buildCausalChains: insight trigger and file-change implementation', () => {
+  const decisions = [
+    {
+      id: 'dec-1',
+      intent: 'decide',
+      chosen_option: 'rewrite checksum canonicalization',
+      decision_quality: 'explicit',
+      confidence_llm: 80
+    }
+  ];
+  const evidence = { recent_file_events: [{ type: 'change', path: 'lib/checksum.js' }] };
+  const insights = ['Important: checksum canonicalization must sort keys recursively.'];
+  const [chain] = buildCausalChains(decisions, evidence, insights);
+  assert.equal(chain.chain_id, 'chain-1');
+  assert.equal(chain.trigger.type, 'insight');
+  assert.deepEqual(chain.implementation, { type: 'file_change', file: 'lib/checksum.js', action: 'change', confidence: 0.8 });
+  assert.equal(chain.outcome.type, 'success');
+  assert.equal(chain.impact_score, calculateImpactScore(chain));
+  assert.equal(chain.impact_score, 0.82);
+});
+
+test('buildCausalChains: minImpactScore and maxChains', () => {
+  const decisions = Array.from({ length: 5 }, (_, i) => ({
+    id: `dec-${i + 1}`,
+    intent: 'propose',
+    chosen_option: `option ${i + 1}`,
+    decision_quality: 'implicit',
+    confidence_llm: 65
+  }));
+  assert.equal(buildCausalChains(decisions, {}, [], { maxChains: 2 }).length, 2);
+  assert.equal(buildCausalChains(decisions, {}, [], { minImpactScore: 0.99 }).length, 0);
+});
+
+for (const name of ['english', 'french', 'code_heavy']) {
+  test(`cognitive golden: ${name}`, () => {
+    const messages = loadFixture(name);
+    const decisions = extractDecisions(messages);
+    const insights = extractInsights(messages);
+    const days = splitIntoCognitiveDays(messages);
+    const chains = buildCausalChains(decisions, {}, insights);
+    const summary = buildProgressiveSummary({
+      topics: extractTopics(messages),
+      decisions,
+      insights,
+      metadata: { messages: messages.length },
+      cognitiveDays: days
+    });
+    assertGolden(`${name}.cognitive`, { cognitive_days: days, causal_chains: chains, progressive_summary: summary });
+  });
+}
@@ -0,0 +1,156 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { findComposerElement, insertComposerText, findEnabledSendButton, pressComposerEnter } = require('../lib/composer.js');
+const { getProviderAdapters } = require('../lib/providers.js');
+
+/** Element stub: records dispatched events; attributes via a plain map. */
+class StubElement {
+  constructor(tagName, attrs = {}, doc = null) {
+    this.tagName = tagName.toUpperCase();
+    this.attrs = attrs;
+    this.ownerDocument = doc;
+    this.events = [];
+    this.textContent = '';
+    this.focused = false;
+  }
+  getAttribute(name) {
+    return Object.prototype.hasOwnProperty.call(this.attrs, name) ? this.attrs[name] : null;
+  }
+  hasAttribute(name) {
+    return Object.prototype.hasOwnProperty.call(this.attrs, name);
+  }
+  focus() {
+    this.focused = true;
+  }
+  dispatchEvent(ev) {
+    this.events.push(ev.type);
+    return true;
+  }
+}
+
+/** React-style controlled field: the value lives behind a prototype accessor. */
+class StubTextArea extends StubElement {
+  constructor(doc) {
+    super('textarea', {}, doc);
+    this.setterCalls = 0;
+  }
+  get value() {
+    return this._value || '';
+  }
+  set value(v) {
+    this.setterCalls += 1;
+    this._value = v;
+  }
+}
+
+const docWith = (nodes, extra = {}) => ({
+  querySelectorAll: (sel) => {
+    if (sel === 'bad[') throw new Error('SyntaxError');
+    return nodes;
+  },
+  ...extra
+});
+
+test('findComposerElement: first visible match, invalid selectors yield null', () => {
+  const hidden = new StubElement('textarea', { 'aria-hidden': 'true' });
+  const shown = new StubElement('textarea');
+  assert.equal(findComposerElement(docWith([hidden, shown]), 'textarea'), shown);
+  assert.equal(findComposerElement(docWith([hidden]), 'textarea'), null);
+  assert.equal(findComposerElement(docWith([shown]), 'bad['), null);
+  assert.equal(findComposerElement(null, 'textarea'), null);
+});
+
+test('insertComposerText: textarea goes through the prototype setter and fires input/change', () => {
+  const el = new StubTextArea(null);
+  const out = insertComposerText(el, 'Handoff\n{ "a": 1 }');
+  assert.deepEqual(out, { ok: true, method: 'value' });
+  assert.equal(el.setterCalls, 1);
+  assert.equal(el.value, 'Handoff\n{ "a": 1 }');
+  assert.deepEqual(el.events, ['input', 'change']);
+  assert.ok(el.focused);
+});
+
+test('insertComposerText: contenteditable uses insertText when the editor accepts it', () => {
+  const el = new StubElement('div', { contenteditable: 'true' });
+  const commands = [];
+  el.ownerDocument = {
+    execCommand(cmd, _ui, value) {
+      commands.push(cmd);
+      // Editors re-wrap lines: whitespace differences still count as inserted.
+      el.textContent = value.replace(/\n/g, ' \n ');
+      return true;
+    }
+  };
+  assert.deepEqual(insertComposerText(el, 'line one\nline two'), { ok: true, method: 'insertText' });
+  assert.deepEqual(commands, ['insertText']);
+});
+
+test('insertComposerText: falls back to raw text when insertText is refused', () => {
+  const el = new StubElement('div', { contenteditable: 'true' });
+  el.ownerDocument = { execCommand: () => false };
+  assert.deepEqual(insertComposerText(el, 'prompt'), { ok: true, method: 'textContent' });
+  assert.equal(el.textContent, 'prompt');
+  assert.deepEqual(el.events, ['input']);
+  assert.deepEqual(insertComposerText(null, 'x'), { ok: false, method: 'none' });
+});
+
+test('insertComposerText: judges insertText by the content, clears a partial insert before pasting', () => {
+  const full = new StubElement('div', { contenteditable: 'true' });
+  full.ownerDocument = {
+    execCommand(_cmd, _ui, value) {
+      full.textContent = value;
+      return false;
+    }
+  };
+  assert.deepEqual(insertComposerText(full, 'prompt text'), { ok: true, method: 'insertText' });
+
+  const el = new StubElement('div', { contenteditable: 'true' });
+  const win = {
+    DataTransfer: class {
+      setData(_type, v) {
+        this.text = v;
+      }
+    },
+    ClipboardEvent: class {
+      constructor(type, init) {
+        this.type = type;
+        // The editor appends pasted text at the caret.
+        el.textContent += init.clipboardData.text;
+      }
+    }
+  };
+  el.ownerDocument = {
+    defaultView: win,
+    execCommand(_cmd, _ui, value) {
+      el.textContent = value.slice(0, 4);
+      return false;
+    }
+  };
+  assert.deepEqual(insertComposerText(el, 'prompt text'), { ok: true, method: 'paste' });
+  assert.equal(el.textContent, 'prompt text');
+  assert.deepEqual(el.events, ['input', 'paste']);
+});
+
+test('findEnabledSendButton / pressComposerEnter', () => {
+  const disabled = new StubElement('button');
+  disabled.disabled = true;
+  const ariaDisabled = new StubElement('button', { 'aria-disabled': 'true' });
+  const enabled = new StubElement('button');
+  assert.equal(findEnabledSendButton(docWith([disabled]), 'button'), null);
+  assert.equal(findEnabledSendButton(docWith([ariaDisabled]), 'button'), null);
+  assert.equal(findEnabledSendButton(docWith([enabled]), 'button'), enabled);
+
+  const composer = new StubElement('textarea');
+  pressComposerEnter(composer);
+  assert.deepEqual(composer.events, ['keydown', 'keypress', 'keyup']);
+});
+
+test('every adapter declares a composer and an https start page on its own host', () => {
+  for (const a of getProviderAdapters()) {
+    assert.equal(typeof a.selectors.composer, 'string', a.id);
+    const start = new URL(a.startUrl);
+    assert.equal(start.protocol, 'https:', a.id);
+    assert.ok(a.hosts.includes(start.hostname), a.id);
+  }
+});
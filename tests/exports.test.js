@@ -0,0 +1,17 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { ROOT } = require('./helpers/load-lib.js');
+const { LIB_FILES, windowExports } = require('./helpers/lib-files.js');
+
+for (const file of LIB_FILES) {
+  test(`CommonJS exports match window globals: lib/${file}`, () => {
+    const mod = require(path.join(ROOT, 'lib', file));
+    const names = windowExports(file);
+    assert.ok(names.length > 0, 'no window exports found');
+    for (const name of names) {
+      assert.equal(typeof mod[name], 'function', `module.exports.${name}`);
+    }
+  });
+}
@@ -0,0 +1,16 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const { LIB_FILES, windowExports } = require('./helpers/lib-files.js');
+
+// Node exposes CommonJS `module.exports = { a, b }` as ESM named exports.
+for (const file of LIB_FILES) {
+  test(`ESM named imports: lib/${file}`, async () => {
+    const mod = await import(new URL(`../lib/${file}`, import.meta.url));
+    for (const name of windowExports(file)) {
+      assert.equal(typeof mod[name], 'function', `import { ${name} } from 'lib/${file}'`);
+    }
+  });
+}
@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  normalizeExtractionRules,
+  compileExtractionRules,
+  serializeExtractionRules,
+  parseExtractionRulesJson,
+  testExtractionRules
+} = require('../lib/extraction-rules.js');
+const { extractDecisions, extractInsights, extractConstraints } = require('../lib/extraction.js');
+const { loadLibContext, plain } = require('./helpers/load-lib.js');
+
+const TS = '2024-01-15T10:00:00.000Z';
+
+const TEAM_RULES = [
+  { id: 'adr', kind: 'decision', pattern: 'ADR-\\d+:\\s*(.+)', intent: 'architecture' },
+  { id: 'agreed', kind: 'decision', pattern: '✅\\s*agreed', confidence: 'medium' },
+  { id: 'gotcha', kind: 'insight', pattern: '^GOTCHA\\b', priority: 9 },
+  { id: 'budget', kind: 'constraint', pattern: 'BUDGET:\\s*(.+)', type: 'performance' }
+];
+
+const MESSAGES = [
+  { id: 'm1', role: 'user', content: 'ADR-12: store transcripts in IndexedDB, one record per message.', timestamp: TS },
+  { id: 'm2', role: 'assistant', content: 'Sounds reasonable. ✅ agreed, we seal snapshots with a non-extractable key.', timestamp: TS },
+  { id: 'm3', role: 'assistant', content: 'GOTCHA the popup closes when the file picker opens.', timestamp: TS },
+  { id: 'm4', role: 'assistant', content: 'BUDGET: popup rendering under 50ms.', timestamp: TS }
+];
+
+test('normalizeExtractionRules: defaults, and one error per invalid rule', () => {
+  const { rules, errors } = normalizeExtractionRules([
+    { kind: 'decision', pattern: 'ADR:\\s*(.+)' },
+    { id: 'bad-kind', kind: 'topic', pattern: 'x' },
+    { id: 'bad-re', kind: 'insight', pattern: '(unclosed' },
+    { id: 'global', kind: 'insight', pattern: 'x', flags: 'gi' },
+    { id: 'rule-1', kind: 'constraint', pattern: 'dup' },
+    { id: 'prio', kind: 'insight', pattern: 'x', priority: 11 },
+    { id: 'off', kind: 'constraint', pattern: 'x', enabled: false }
+  ]);
+  assert.deepEqual(rules, [
+    { id: 'rule-1', kind: 'decision', pattern: 'ADR:\\s*(.+)', flags: 'i', enabled: true, intent: 'decide', confidence: 'high' },
+    { id: 'off', kind: 'constraint', pattern: 'x', flags: 'i', enabled: false, type: 'technical' }
+  ]);
+  assert.deepEqual(
+    errors.map((e) => [e.index, e.id]),
+    [[1, 'bad-kind'], [2, 'bad-re'], [3, 'global'], [4, 'rule-1'], [5, 'prio']]
+  );
+  assert.match(errors[3].message, /duplicate id/);
+
+  assert.match(normalizeExtractionRules({ format: 'other', rules: [] }).errors[0].message, /Unknown format/);
+  assert.match(normalizeExtractionRules('nope').errors[0].message, /Expected an array/);
+});
+
+test('normalizeExtractionRules: repeated groups that repeat inside are rejected (catastrophic backtracking)', () => {
+  const rejected = ['(a+)+$', '(?:\\w+\\s?)*', '((a)+b)+', '(x{1,3}){2,}'];
+  const accepted = ['we chose (\\w+)', '(\\d+)-(\\d+)', '(?:foo|bar)+', '[(a+)]+', '\\(a+\\)+', '(a+)?', '(ab){2}'];
+  const { rules, errors } = normalizeExtractionRules(
+    [...rejected, ...accepted].map((pattern, i) => ({ id: `r${i}`, kind: 'insight', pattern }))
+  );
+  assert.deepEqual(errors.map((e) => e.index), [0, 1, 2, 3]);
+  assert.match(errors[0].message, /repeats a repeated group \(\(a\+\)\+\): it can freeze capture/);
+  assert.deepEqual(rules.map((r) => r.pattern), accepted);
+  // Stored rules are validated again: a rule saved before the check never runs.
+  assert.deepEqual(compileExtractionRules([{ kind: 'insight', pattern: '(a+)+$' }]).insights, []);
+  const t0 = Date.now();
+  const res = testExtractionRules([{ kind: 'insight', pattern: '(a+)+$' }], [{ role: 'user', content: `${'a'.repeat(40)}!` }]);
+  assert.deepEqual([res.rules, res.errors.length], [[], 1]);
+  assert.ok(Date.now() - t0 < 1000);
+});
+
+test('serialize/parse: exported rule sets round-trip', () => {
+  const json = serializeExtractionRules(TEAM_RULES);
+  const parsed = JSON.parse(json);
+  assert.equal(parsed.format, 'rl4-extraction-rules');
+  assert.equal(parsed.version, 1);
+  assert.deepEqual(parseExtractionRulesJson(json), { rules: parsed.rules, errors: [] });
+  assert.deepEqual(parseExtractionRulesJson(json).rules, normalizeExtractionRules(TEAM_RULES).rules);
+  assert.match(parseExtractionRulesJson('{oops').errors[0].message, /Invalid JSON/);
+});
+
+test('compiled rules are tried before the built-in tables', () => {
+  const rules = compileExtractionRules(TEAM_RULES);
+  assert.deepEqual(
+    rules.decisions.map((d) => [d.rule_id, d.extract, d.sentence]),
+    [['adr', 1, undefined], ['agreed', undefined, true]]
+  );
+
+  const decisions = extractDecisions(MESSAGES, { rules });
+  assert.deepEqual(
+    decisions.map((d) => [d.intent_text, d.extraction_confidence, d.chosen_option]),
+    [
+      ['architecture (custom)', 'high', 'store transcripts in IndexedDB, one record per message.'],
+      ['decide (custom)', 'medium', '✅ agreed, we seal snapshots with a non-extractable key.']
+    ]
+  );
+  assert.deepEqual(extractDecisions(MESSAGES), []);
+
+  assert.deepEqual(extractInsights(MESSAGES, { rules }), ['GOTCHA the popup closes when the file picker opens.']);
+  assert.deepEqual(extractConstraints(MESSAGES, { rules }).performance, ['popup rendering under 50ms.']);
+
+  const disabled = compileExtractionRules(TEAM_RULES.map((r) => ({ ...r, enabled: false })));
+  assert.deepEqual(disabled, { decisions: [], insights: [], constraints: [] });
+});
+
+test('RL4SnapshotGenerator: stored rules reach the snapshot', async () => {
+  const ctx = loadLibContext();
+  const snapshot = await new ctx.RL4SnapshotGenerator(MESSAGES, {}, { includeTranscript: false, extractionRules: TEAM_RULES }).generate();
+  assert.deepEqual(
+    plain(snapshot.decisions).map((d) => d.chosen_option),
+    ['store transcripts in IndexedDB, one record per message.', '✅ agreed, we seal snapshots with a non-extractable key.']
+  );
+  assert.ok(plain(snapshot.insights).includes('GOTCHA the popup closes when the file picker opens.'));
+});
+
+test('testExtractionRules: per-rule hits and samples, disabled rules included', () => {
+  const report = testExtractionRules([...TEAM_RULES, { id: 'off', kind: 'insight', pattern: 'popup', enabled: false }], MESSAGES, { samples: 1 });
+  assert.equal(report.messages_scanned, 4);
+  assert.deepEqual(
+    report.rules.map((r) => [r.id, r.enabled, r.messages_matched]),
+    [['adr', true, 1], ['agreed', true, 1], ['gotcha', true, 1], ['budget', true, 1], ['off', false, 2]]
+  );
+  assert.deepEqual(report.rules[0].samples, [
+    { message_idx: 0, role: 'user', match: 'ADR-12: store transcripts in IndexedDB, one record per message.', extracted: 'store transcripts in IndexedDB, one record per message.' }
+  ]);
+  assert.equal(report.rules[1].samples[0].extracted, null);
+  assert.equal(report.rules[4].samples.length, 1);
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { extractDecisions, extractInsights, extractConstraints, extractTopicsWithMeta } = require('../lib/extraction.js');
+const { loadFixture, assertGolden } = require('./helpers/fixtures.js');
+const { TS, conversation } = require('./helpers/conversation.js');
+
+test('extractDecisions: explicit markers (EN/FR) carry the chosen option', () => {
+  const decisions = extractDecisions(
+    conversation([
+      ['assistant', 'Decision: store transcripts in IndexedDB keyed by conversation.'],
+      ['assistant', 'Décision : sceller les snapshots avec ECDSA P-256.']
+    ])
+  );
+  assert.equal(decisions.length, 2);
+  assert.deepEqual(
+    decisions.map((d) => [d.intent, d.chosen_option, d.extraction_confidence, d.decision_quality]),
+    [
+      ['decide', 'store transcripts in IndexedDB keyed by conversation.', 'high', 'explicit'],
+      ['decide', 'sceller les snapshots avec ECDSA P-256.', 'high', 'explicit']
+    ]
+  );
+  assert.equal(decisions[0].timestamp, TS);
+});
+
+test('extractDecisions: user messages only count when the decision is explicit', () => {
+  const decisions = extractDecisions(
+    conversation([
+      ['user', 'I recommend we drop the legacy exporter entirely.'],
+      ['user', 'Decision: keep the legacy exporter for one more release.']
+    ])
+  );
+  assert.equal(decisions.length, 1);
+  assert.equal(decisions[0].chosen_option, 'keep the legacy exporter for one more release.');
+});
+
+test('extractDecisions: ignores fenced code and near-duplicates', () => {
+  const decisions = extractDecisions(
+    conversation([
+      ['assistant', '```js\n// Decision: this comment is code, not a decision\n```\nNothing decided yet.'],
+      ['assistant', 'Decision: use a single IndexedDB database for all transcripts.'],
+      ['assistant', 'Decision: use a single IndexedDB database for all the transcripts.']
+    ])
+  );
+  assert.equal(decisions.length, 1);
+  assert.match(decisions[0].chosen_option, /single IndexedDB database/);
+});
+
+test('extractInsights: explicit markers sorted by priority', () => {
+  const insights = extractInsights(
+    conversation([
+      ['assistant', 'Tip: keep the popup small so it opens fast.'],
+      ['assistant', 'Key insight: the checksum must be computed over canonical JSON.'],
+      ['assistant', 'À retenir : le sceau utilise une clé non exportable.'],
+      ['assistant', 'short']
+    ])
+  );
+  assert.deepEqual(insights, [
+    'Key insight: the checksum must be computed over canonical JSON.',
+    'À retenir : le sceau utilise une clé non exportable.',
+    'Tip: keep the popup small so it opens fast.'
+  ]);
+});
+
+test('extractConstraints: DON\'T / DO / technical / performance / security buckets', () => {
+  const constraints = extractConstraints(
+    conversation([
+      ['assistant', 'NEVER store API keys inside a snapshot.'],
+      ['assistant', 'The seal MUST use a non-extractable private key.'],
+      ['assistant', 'Limitation: service workers have no DOM access.'],
+      ['assistant', 'Rendering 5000 rows at once is too slow for the popup.'],
+      ['assistant', 'The fetch failed with a CORS error on the export endpoint.']
+    ])
+  );
+  assert.deepEqual(constraints, {
+    dont: ['store API keys inside a snapshot.'],
+    do: ['use a non-extractable private key.'],
+    technical: ['service workers have no DOM access.'],
+    performance: ['Rendering 5000 rows at once is too slow for the popup.'],
+    security: ['The fetch failed with a CORS error on the export endpoint.']
+  });
+});
+
+test('extractConstraints: empty input gives empty buckets', () => {
+  assert.deepEqual(extractConstraints([]), { dont: [], do: [], technical: [], performance: [], security: [] });
+});
+
+for (const name of ['english', 'french', 'code_heavy']) {
+  test(`extraction golden: ${name}`, () => {
+    const messages = loadFixture(name);
+    const topics = extractTopicsWithMeta(messages);
+    assertGolden(`${name}.extraction`, {
+      topics: topics.topics.map((t) => ({ label: t.label, weight: t.weight })),
+      topics_status: topics.meta.status,
+      decisions: extractDecisions(messages).map((d) => ({ id: d.id, intent: d.intent, chosen_option: d.chosen_option })),
+      insights: extractInsights(messages),
+      constraints: extractConstraints(messages)
+    });
+  });
+}
+
+test('code_heavy: inline/fenced code never leaks into decisions', () => {
+  for (const d of extractDecisions(loadFixture('code_heavy'))) {
+    assert.doesNotMatch(d.chosen_option, /```|=>|function\s*\(/);
+  }
+});
@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { estimateTokens, getHandoffTokenBudget, planHandoffBudget } = require('../lib/handoff-budget.js');
+const { getProviderAdapters } = require('../lib/providers.js');
+const { verifySnapshot } = require('../lib/verify.js');
+const { loadLibContext, plain } = require('./helpers/load-lib.js');
+const { fixtureMessages } = require('./helpers/fixtures.js');
+const { signChecksum } = require('./helpers/seal.js');
+
+const words = (n, w = 'context') => Array.from({ length: n }, () => w).join(' ');
+
+const SNAPSHOT = {
+  protocol: 'RL4',
+  checksum: 'a'.repeat(64),
+  context_summary: 'Build a REST API with JWT auth.',
+  topics: Array.from({ length: 10 }, (_, i) => ({ label: `topic ${i}`, weight: 100 - i })),
+  decisions: [{ id: 'dec-1', chosen_option: 'use JWT' }],
+  insights: [words(400)],
+  cognitive_days: [{ id: 'day-1', summary: words(300) }],
+  transcript_compact: Array.from({ length: 20 }, (_, i) => `USER:\nmessage ${i} ${words(40)}`).join('\n\n<|RL4_MSG|>\n\n'),
+  metadata: { messages: 20 }
+};
+
+test('estimateTokens: words, punctuation, CJK and indentation', () => {
+  assert.equal(estimateTokens(''), 0);
+  assert.equal(estimateTokens('Hello, world!'), 4);
+  assert.equal(estimateTokens('internationalization'), 5);
+  assert.equal(estimateTokens('日本語'), 3);
+  assert.equal(estimateTokens('{\n    "a": 1\n}'), 9);
+});
+
+test('getHandoffTokenBudget: every adapter has a paste limit, unknown ids get the default', () => {
+  for (const a of getProviderAdapters()) assert.ok(a.pasteLimitTokens > 0, a.id);
+  assert.equal(getHandoffTokenBudget('mistral'), 5000);
+  assert.equal(getHandoffTokenBudget('MISTRAL'), 5000);
+  assert.equal(getHandoffTokenBudget(''), 12000);
+  assert.equal(getHandoffTokenBudget('unknown'), 12000);
+});
+
+test('planHandoffBudget: everything fits a large budget', () => {
+  const plan = planHandoffBudget(SNAPSHOT, { budgetTokens: 100000 });
+  assert.deepEqual(plan.snapshot, SNAPSHOT);
+  assert.deepEqual([plan.dropped, plan.trimmed], [[], []]);
+  assert.equal(plan.partial, false);
+  assert.equal(plan.usedTokens, plan.fullTokens);
+});
+
+test('planHandoffBudget: priority order, partial arrays, transcript tail, field order kept', () => {
+  const plan = planHandoffBudget(SNAPSHOT, { budgetTokens: 1400, reserveTokens: 200 });
+  assert.ok(plan.usedTokens <= 1400);
+  // insights (other) does not fit but the smaller cognitive_days before it and the transcript after it still do.
+  assert.deepEqual(plan.dropped.map((d) => d.field), ['insights']);
+  assert.ok(plan.dropped[0].tokens > 400);
+  const cut = plan.trimmed.find((t) => t.field === 'transcript_compact');
+  assert.equal(cut.unit, 'messages');
+  assert.ok(cut.kept > 0 && cut.kept < 20);
+  assert.ok(plan.snapshot.transcript_excerpt.endsWith(`message 19 ${words(40)}`));
+  assert.ok(plan.snapshot.transcript_excerpt.startsWith(`USER:\nmessage ${20 - cut.kept} `));
+  assert.equal(plan.snapshot.transcript_compact, undefined);
+  assert.equal(plan.partial, true);
+  assert.deepEqual(Object.keys(plan.snapshot), [
+    'protocol',
+    'partial_view',
+    'source_checksum',
+    'context_summary',
+    'topics',
+    'decisions',
+    'cognitive_days',
+    'transcript_excerpt',
+    'metadata'
+  ]);
+
+  const tight = planHandoffBudget(SNAPSHOT, { budgetTokens: 450, reserveTokens: 200 });
+  const topics = tight.trimmed.find((t) => t.field === 'topics');
+  assert.deepEqual([topics.unit, topics.total], ['items', 10]);
+  assert.deepEqual(tight.snapshot.topics, SNAPSHOT.topics.slice(0, topics.kept));
+  // Core fields are kept even when they alone exceed the budget.
+  assert.deepEqual(Object.keys(planHandoffBudget(SNAPSHOT, { budgetTokens: 0 }).snapshot), [
+    'protocol',
+    'partial_view',
+    'source_checksum',
+    'metadata'
+  ]);
+});
+
+test('planHandoffBudget: a cut sealed snapshot verifies as a partial view, not as tampered', async () => {
+  const ctx = loadLibContext();
+  const snapshot = plain(await new ctx.RL4SnapshotGenerator(fixtureMessages('english'), {}, { includeTranscript: true }).generate());
+  snapshot.signature = await signChecksum(snapshot.checksum);
+  assert.equal((await verifySnapshot(planHandoffBudget(snapshot, { budgetTokens: 100000 }).snapshot)).verdict, 'ok');
+
+  const plan = planHandoffBudget(snapshot, { budgetTokens: 1500 });
+  assert.equal(plan.partial, true);
+  assert.equal(plan.snapshot.partial_view, true);
+  assert.equal(plan.snapshot.source_checksum, snapshot.checksum);
+  assert.equal(plan.snapshot.checksum, undefined);
+  const v = await verifySnapshot(plan.snapshot);
+  assert.deepEqual([v.ok, v.verdict, v.reason, v.source_checksum], [false, 'partial_view', 'source_seal_valid', snapshot.checksum]);
+
+  const { signature, ...unsealed } = plan.snapshot;
+  assert.equal((await verifySnapshot(unsealed)).reason, 'source_unsealed');
+  // A seal over another checksum is still tampering.
+  const forged = await verifySnapshot({ ...plan.snapshot, source_checksum: 'b'.repeat(64) });
+  assert.deepEqual([forged.verdict, forged.reason], ['bad_signature', 'signed_payload_does_not_match_checksum']);
+  assert.equal((await verifySnapshot({ ...plan.snapshot, source_checksum: 'x' })).reason, 'missing_or_invalid_source_checksum');
+});
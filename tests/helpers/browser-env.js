@@ -0,0 +1,391 @@
+/**
+ * Minimal browser for replaying provider traffic through the real capture code (no jsdom needed).
+ *
+ * Two vm contexts share one page:
+ * - page    : lib/api-interceptor.js (injected into the page, hooks fetch + XMLHttpRequest)
+ * - content : manifest content_scripts (lib/*.js + content.js, isolated world)
+ * They talk the way they do in Chrome: window.postMessage on a shared bus.
+ *
+ * The network is a list of recorded exchanges; chrome.storage.local is in-memory. Timers never
+ * fire (boot timers only remount the in-page widget), and Date is frozen for stable output.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { ROOT, FIXED_NOW, frozenDate } = require('./load-lib.js');
+
+/**
+ * Just enough DOM for content.js boot (widget mount, interceptor <script> injection).
+ * Queries match nothing: replay never goes through DOM scraping.
+ */
+class FakeElement {
+  constructor(tagName, ownerDocument) {
+    this.tagName = String(tagName || '').toUpperCase();
+    this.ownerDocument = ownerDocument || null;
+    this.children = [];
+    this.parentElement = null;
+    this.attributes = {};
+    this.dataset = {};
+    this.textContent = '';
+    this.innerHTML = '';
+    this.style = { setProperty() {}, removeProperty() {} };
+    this.classList = { add() {}, remove() {}, toggle() {}, contains: () => false };
+  }
+
+  get parentNode() {
+    return this.parentElement;
+  }
+
+  setAttribute(name, value) {
+    this.attributes[name] = String(value);
+  }
+
+  getAttribute(name) {
+    return Object.prototype.hasOwnProperty.call(this.attributes, name) ? this.attributes[name] : null;
+  }
+
+  removeAttribute(name) {
+    delete this.attributes[name];
+  }
+
+  appendChild(child) {
+    if (child) {
+      child.parentElement = this;
+      this.children.push(child);
+    }
+    return child;
+  }
+
+  removeChild(child) {
+    this.children = this.children.filter((c) => c !== child);
+    if (child) child.parentElement = null;
+    return child;
+  }
+
+  remove() {
+    if (this.parentElement) this.parentElement.removeChild(this);
+  }
+
+  addEventListener() {}
+
+  removeEventListener() {}
+
+  querySelector() {
+    return null;
+  }
+
+  querySelectorAll() {
+    return [];
+  }
+
+  closest() {
+    return null;
+  }
+
+  contains(node) {
+    return node === this || this.children.some((c) => c.contains(node));
+  }
+
+  getBoundingClientRect() {
+    return { top: 0, left: 0, right: 0, bottom: 0, width: 0, height: 0 };
+  }
+
+  attachShadow() {
+    return new FakeElement('#shadow-root', this.ownerDocument);
+  }
+}
+
+class FakeDocument extends FakeElement {
+  constructor() {
+    super('#document', null);
+    this.readyState = 'complete';
+    this.documentElement = this.appendChild(new FakeElement('html', this));
+    this.head = this.documentElement.appendChild(new FakeElement('head', this));
+    this.body = this.documentElement.appendChild(new FakeElement('body', this));
+    this.scrollingElement = this.documentElement;
+  }
+
+  createElement(tagName) {
+    return new FakeElement(tagName, this);
+  }
+
+  createTextNode(text) {
+    const el = new FakeElement('#text', this);
+    el.textContent = String(text || '');
+    return el;
+  }
+
+  getElementById(id) {
+    const walk = (el) => {
+      if (el.id === id) return el;
+      for (const c of el.children) {
+        const hit = walk(c);
+        if (hit) return hit;
+      }
+      return null;
+    };
+    return walk(this);
+  }
+}
+
+/**
+ * In-memory chrome.storage.local (values are cloned like the real serialization).
+ */
+function createStorageArea() {
+  const data = {};
+  const clone = (v) => (v === undefined ? undefined : JSON.parse(JSON.stringify(v)));
+  return {
+    data,
+    async get(keys) {
+      const out = {};
+      if (keys === null || keys === undefined) return clone(data);
+      const list = typeof keys === 'string' ? [keys] : Array.isArray(keys) ? keys : Object.keys(keys);
+      for (const k of list) {
+        if (Object.prototype.hasOwnProperty.call(data, k)) out[k] = clone(data[k]);
+        else if (keys && typeof keys === 'object' && !Array.isArray(keys)) out[k] = keys[k];
+      }
+      return out;
+    },
+    async set(items) {
+      for (const [k, v] of Object.entries(items || {})) data[k] = clone(v);
+    },
+    async remove(keys) {
+      for (const k of typeof keys === 'string' ? [keys] : keys || []) delete data[k];
+    }
+  };
+}
+
+/**
+ * Recorded network: each request consumes the first unused matching exchange (method + URL).
+ * @param {Array<Object>} exchanges - {request:{method,url}, response:{status, content_type, body}}
+ */
+function createNetwork(exchanges) {
+  const list = (Array.isArray(exchanges) ? exchanges : []).map((x) => ({ ...x, used: false }));
+  const unmatched = [];
+  const find = (method, url) => {
+    const m = String(method || 'GET').toUpperCase();
+    const hit = list.find((x) => !x.used && String(x.request.method || 'GET').toUpperCase() === m && x.request.url === url);
+    if (hit) hit.used = true;
+    else unmatched.push(`${m} ${url}`);
+    return hit || null;
+  };
+  const bodyText = (b) => (typeof b === 'string' ? b : JSON.stringify(b));
+  return {
+    unmatched,
+    fetch(input, init = {}) {
+      const url = typeof input === 'string' ? input : String(input && input.url);
+      const hit = find(init.method || (input && input.method), url);
+      if (!hit) return Promise.resolve(new Response('', { status: 404 }));
+      const r = hit.response;
+      return Promise.resolve(
+        new Response(bodyText(r.body), { status: r.status || 200, headers: { 'content-type': r.content_type || 'application/json' } })
+      );
+    },
+    xhr(method, url) {
+      return find(method, url);
+    }
+  };
+}
+
+/**
+ * @param {Object} win - Page window the XHR belongs to (for relative URLs)
+ * @param {ReturnType<typeof createNetwork>} network
+ */
+function createXhrClass(win, network) {
+  return class FakeXMLHttpRequest {
+    constructor() {
+      this.readyState = 0;
+      this.status = 0;
+      this.responseText = '';
+      this._listeners = {};
+      this._headers = {};
+    }
+
+    open(method, url) {
+      this._method = method;
+      this._url = new URL(url, win.location.href).toString();
+      this.readyState = 1;
+    }
+
+    setRequestHeader() {}
+
+    addEventListener(type, fn) {
+      (this._listeners[type] = this._listeners[type] || []).push(fn);
+    }
+
+    getResponseHeader(name) {
+      return this._headers[String(name).toLowerCase()] || null;
+    }
+
+    send() {
+      const hit = network.xhr(this._method, this._url);
+      setImmediate(() => {
+        const r = hit ? hit.response : { status: 404, body: '' };
+        this.status = r.status || 200;
+        this.responseText = typeof r.body === 'string' ? r.body : JSON.stringify(r.body);
+        this._headers['content-type'] = r.content_type || 'application/json';
+        this.readyState = 4;
+        for (const fn of this._listeners.load || []) fn.call(this, { type: 'load' });
+      });
+    }
+  };
+}
+
+/**
+ * @param {{pageUrl:string, exchanges?:Array<Object>, now?:number, verbose?:boolean}} opts
+ */
+function createBrowserEnv(opts) {
+  const url = new URL(opts.pageUrl);
+  const now = opts.now === undefined ? FIXED_NOW : opts.now;
+  const network = createNetwork(opts.exchanges);
+  const storage = createStorageArea();
+  const document = new FakeDocument();
+  const errors = [];
+  const bus = [];
+  let pending = 0;
+
+  const location = {
+    href: url.href,
+    origin: url.origin,
+    protocol: url.protocol,
+    host: url.host,
+    hostname: url.hostname,
+    pathname: url.pathname,
+    search: url.search,
+    hash: url.hash
+  };
+  const quiet = {
+    log: (...a) => (opts.verbose ? console.log(...a) : undefined),
+    info: (...a) => (opts.verbose ? console.info(...a) : undefined),
+    warn: (...a) => (opts.verbose ? console.warn(...a) : undefined),
+    debug: () => {},
+    error: (...a) => {
+      errors.push(a.map(String).join(' '));
+      if (opts.verbose) console.error(...a);
+    }
+  };
+  const noTimer = () => 0;
+
+  const makeWindow = (extra) => {
+    const listeners = {};
+    const win = {
+      console: quiet,
+      crypto: globalThis.crypto,
+      TextEncoder,
+      TextDecoder,
+      URL,
+      URLSearchParams,
+      Response,
+      Headers,
+      Request,
+      ReadableStream,
+      AbortController,
+      structuredClone,
+      Date: now === null ? Date : frozenDate(now),
+      setTimeout: noTimer,
+      setInterval: noTimer,
+      clearTimeout() {},
+      clearInterval() {},
+      requestAnimationFrame: noTimer,
+      location,
+      document,
+      history: { pushState() {}, replaceState() {}, state: null },
+      navigator: { userAgent: 'rl4-replay', language: 'en-US' },
+      localStorage: { getItem: () => null, setItem() {}, removeItem() {} },
+      MutationObserver: class {
+        observe() {}
+        disconnect() {}
+        takeRecords() {
+          return [];
+        }
+      },
+      Node: FakeElement,
+      Element: FakeElement,
+      HTMLElement: FakeElement,
+      getComputedStyle: () => ({ overflowY: 'visible', overflow: 'visible', display: 'block' }),
+      addEventListener(type, fn) {
+        (listeners[type] = listeners[type] || []).push(fn);
+      },
+      removeEventListener(type, fn) {
+        listeners[type] = (listeners[type] || []).filter((f) => f !== fn);
+      },
+      postMessage(data) {
+        const payload = structuredClone(data);
+        pending++;
+        setImmediate(() => {
+          pending--;
+          for (const target of bus) {
+            for (const fn of target.listeners.message || []) {
+              try {
+                fn({ type: 'message', data: payload, origin: location.origin, source: target.self });
+              } catch (e) {
+                quiet.error('message listener threw', e);
+              }
+            }
+          }
+        });
+      },
+      ...extra
+    };
+    win.window = win;
+    win.self = win;
+    win.globalThis = win;
+    const ctx = vm.createContext(win);
+    // Scripts see the context's global proxy as `window` (content.js checks event.source === window).
+    bus.push({ self: vm.runInContext('window', ctx), listeners });
+    return ctx;
+  };
+
+  const page = makeWindow({ fetch: network.fetch });
+  page.XMLHttpRequest = createXhrClass(page, network);
+
+  const runtimeListeners = [];
+  const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8'));
+  const content = makeWindow({
+    fetch: network.fetch,
+    chrome: {
+      runtime: {
+        id: 'rl4-replay',
+        lastError: undefined,
+        getURL: (p) => `chrome-extension://rl4-replay/${String(p || '').replace(/^\//, '')}`,
+        getManifest: () => manifest,
+        sendMessage(msg, cb) {
+          if (typeof cb === 'function') setImmediate(() => cb(undefined));
+          return Promise.resolve(undefined);
+        },
+        onMessage: { addListener: (fn) => runtimeListeners.push(fn) }
+      },
+      storage: { local: storage, onChanged: { addListener() {} } }
+    },
+    indexedDB: undefined
+  });
+
+  const load = (ctx, file) => vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), ctx, { filename: file });
+  for (const file of manifest.content_scripts[0].js) load(content, file);
+  // content.js appended the interceptor <script> (injectApiInterceptor): run it in the page with that
+  // tag as document.currentScript, like Chrome does.
+  const injected = document.getElementById('rl4-api-interceptor');
+  if (!injected) throw new Error('content.js did not inject the API interceptor');
+  document.currentScript = injected;
+  load(page, 'lib/api-interceptor.js');
+  document.currentScript = null;
+
+  /**
+   * Wait until queued postMessage deliveries and the async work they trigger are done.
+   */
+  async function settle() {
+    let quietRounds = 0;
+    let lastKeys = '';
+    for (let i = 0; i < 2000 && quietRounds < 10; i++) {
+      await new Promise((r) => setImmediate(r));
+      const snapshot = `${pending}|${JSON.stringify(storage.data).length}`;
+      quietRounds = pending === 0 && snapshot === lastKeys ? quietRounds + 1 : 0;
+      lastKeys = snapshot;
+    }
+  }
+
+  return { page, content, document, storage, network, errors, runtimeListeners, settle };
+}
+
+module.exports = { createBrowserEnv, FakeElement, FakeDocument };
@@ -0,0 +1,19 @@
+/**
+ * Inline test conversations with ids m1, m2, … and a fixed timestamp.
+ */
+
+const TS = '2024-01-15T10:00:00.000Z';
+
+/**
+ * @param {Array<string|[string, string]>} entries - content (user/assistant alternating, user first) or [role, content]
+ * @param {{role?:string}} [opts] - role of every content-only entry instead of alternating
+ * @returns {Array<{id:string, role:string, content:string, timestamp:string}>}
+ */
+function conversation(entries, opts = {}) {
+  return entries.map((entry, i) => {
+    const [role, content] = Array.isArray(entry) ? entry : [opts.role || (i % 2 ? 'assistant' : 'user'), entry];
+    return { id: `m${i + 1}`, role, content, timestamp: TS };
+  });
+}
+
+module.exports = { TS, conversation };
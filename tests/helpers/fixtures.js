@@ -0,0 +1,131 @@
+/**
+ * Fixture conversations (tests/fixtures/*.json) and golden snapshot projections (tests/golden/).
+ *
+ * Golden files store a projection of the snapshot (checksum + extracted sections), not the whole
+ * snapshot, so a diff points straight at the regex table or heuristic that moved.
+ * Regenerate after an intended change: UPDATE_GOLDEN=1 node --test tests/
+ */
+
+const fs = require('fs');
+const path = require('path');
+const assert = require('node:assert/strict');
+const { plain } = require('./load-lib.js');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+const GOLDEN_DIR = path.join(__dirname, '..', 'golden');
+const XXL_MESSAGE_COUNT = 2400;
+
+/**
+ * @param {'english'|'french'|'code_heavy'} name
+ * @returns {Array<{id:string, role:'user'|'assistant', content:string, timestamp:string}>}
+ */
+function loadFixture(name) {
+  const raw = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, `${name}.json`), 'utf8'));
+  return raw.messages;
+}
+
+/**
+ * XXL conversation built from the hand-written fixtures (kept out of git: ~1 MB of JSON).
+ * Each round shifts ids/timestamps and tags the content with its round so dedup does not
+ * collapse everything back to the base fixtures.
+ * @param {number} [count]
+ * @returns {Array<{id:string, role:'user'|'assistant', content:string, timestamp:string}>}
+ */
+function buildXxlConversation(count = XXL_MESSAGE_COUNT) {
+  const base = [...loadFixture('english'), ...loadFixture('code_heavy'), ...loadFixture('french')];
+  const start = Date.parse(base[0].timestamp);
+  const out = [];
+  for (let i = 0; i < count; i++) {
+    const src = base[i % base.length];
+    const round = Math.floor(i / base.length);
+    out.push({
+      id: `xxl-${i + 1}`,
+      role: i % 2 === 0 ? 'user' : 'assistant',
+      content: round ? `${src.content}\n\n(iteration ${round}, module m${round % 17})` : src.content,
+      timestamp: new Date(start + i * 45000).toISOString()
+    });
+  }
+  return out;
+}
+
+/**
+ * @param {string} name - Fixture name, or 'xxl'
+ * @returns {Array<Object>}
+ */
+function fixtureMessages(name) {
+  return name === 'xxl' ? buildXxlConversation() : loadFixture(name);
+}
+
+/**
+ * Stable projection of a generated snapshot (digest, ultra or ultra_plus).
+ * The checksum still covers the whole snapshot; sections absent in a mode are omitted.
+ * @param {Object} snapshot
+ * @returns {Object}
+ */
+function projectSnapshot(snapshot) {
+  const s = plain(snapshot);
+  const out = {
+    protocol: s.protocol,
+    mode: s._branding?.mode ?? null,
+    checksum: s.checksum,
+    messages: s.metadata?.messages ?? s.metadata?.total_messages ?? null,
+    topics: (s.topics || []).map((t) => ({ label: t.label, weight: t.weight })),
+    decisions: (s.decisions || []).map((d) => ({
+      intent: d.intent,
+      chosen_option: d.chosen_option ?? d.choice ?? null,
+      ...(d.extraction_confidence ? { extraction_confidence: d.extraction_confidence } : {})
+    }))
+  };
+  if (s.portable_memory) out.portable_memory = s.portable_memory;
+  if (s.topics_meta) out.topics_meta = { status: s.topics_meta.status, quality: s.topics_meta.quality, languages: s.topics_meta.languages };
+  if (s.insights) out.insights = s.insights;
+  if (s.constraints) out.constraints = s.constraints;
+  if (s.cognitive_days) {
+    out.cognitive_days = s.cognitive_days.map((d) => ({ day_id: d.day_id, focus: d.focus, messages_range: d.messages_range }));
+  }
+  if (s.causal_chains_v2) {
+    out.causal_chains_v2 = s.causal_chains_v2.map((c) => ({
+      chain_id: c.chain_id,
+      decision: c.decision?.id ?? null,
+      trigger: c.trigger?.type ?? null,
+      outcome: c.outcome?.type ?? null,
+      impact_score: c.impact_score
+    }));
+  }
+  if (s.artifacts) {
+    out.artifacts = s.artifacts.map((a) => ({
+      id: a.id,
+      filename: a.filename,
+      language: a.language,
+      symbol: a.symbol,
+      message_idx: a.message_idx,
+      versions: a.versions,
+      sha256: a.sha256
+    }));
+  }
+  if (s.action_items) {
+    out.action_items = s.action_items.map((a) => ({ text: a.text, owner: a.owner, message_idx: a.message_idx, status: a.status }));
+  }
+  if (s.progressive_summary) out.progressive_summary = s.progressive_summary;
+  return out;
+}
+
+/**
+ * Compare against (or write) tests/golden/<name>.json.
+ * @param {string} name
+ * @param {any} actual
+ */
+function assertGolden(name, actual) {
+  const file = path.join(GOLDEN_DIR, `${name}.json`);
+  const value = plain(actual);
+  if (process.env.UPDATE_GOLDEN === '1' || !fs.existsSync(file)) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, `${JSON.stringify(value, null, 2)}\n`);
+    if (process.env.UPDATE_GOLDEN === '1') return;
+    assert.fail(`Golden file created: tests/golden/${name}.json (review it, then re-run)`);
+  }
+  const expected = JSON.parse(fs.readFileSync(file, 'utf8'));
+  assert.deepStrictEqual(value, expected, `Snapshot drifted from tests/golden/${name}.json (UPDATE_GOLDEN=1 to accept)`);
+}
+
+module.exports = { XXL_MESSAGE_COUNT, loadFixture, buildXxlConversation, fixtureMessages, projectSnapshot, assertGolden };
@@ -0,0 +1,27 @@
+/**
+ * lib/ files that must publish the same API as browser globals and as CommonJS/ESM exports.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT } = require('./load-lib.js');
+
+// Injected into the page (not a library): hooks fetch/XHR on load, no exports.
+const PAGE_SCRIPTS = new Set(['api-interceptor.js']);
+
+const LIB_FILES = fs
+  .readdirSync(path.join(ROOT, 'lib'))
+  .filter((f) => f.endsWith('.js') && !PAGE_SCRIPTS.has(f))
+  .sort();
+
+/**
+ * Names a lib file publishes on `window` (browser globals).
+ * @param {string} file
+ * @returns {string[]}
+ */
+function windowExports(file) {
+  const src = fs.readFileSync(path.join(ROOT, 'lib', file), 'utf8');
+  return [...src.matchAll(/^\s*window\.(\w+)\s*=/gm)].map((m) => m[1]);
+}
+
+module.exports = { PAGE_SCRIPTS, LIB_FILES, windowExports };
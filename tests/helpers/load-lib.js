@@ -0,0 +1,98 @@
+/**
+ * Load the lib/ scripts the way popup.html does: classic scripts sharing one global scope.
+ * Each call returns a fresh vm context, so tests never leak globals into each other.
+ *
+ * `now` freezes Date (Date.now() and `new Date()` without arguments) inside the context, which
+ * makes generated_at, session ids and checksums reproducible. With a frozen clock the generator
+ * budget deadline is never reached, so XXL fixtures are never cut to `partial` by a slow machine.
+ *
+ * Bundled extension files (schemas/) are served through chrome.runtime.getURL + fetch, as in the popup.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+const FIXED_NOW = Date.parse('2024-01-15T12:00:00.000Z');
+const EXTENSION_ORIGIN = 'chrome-extension://rl4-test/';
+
+/**
+ * Script order declared in popup.html (lib/ only).
+ * @returns {string[]}
+ */
+function popupLibOrder() {
+  const html = fs.readFileSync(path.join(ROOT, 'popup.html'), 'utf8');
+  return [...html.matchAll(/<script src="(lib\/[^"]+)"/g)].map((m) => m[1]);
+}
+
+/**
+ * @param {number} fixedMs
+ * @returns {DateConstructor}
+ */
+function frozenDate(fixedMs) {
+  class FrozenDate extends Date {
+    constructor(...args) {
+      super(...(args.length ? args : [fixedMs]));
+    }
+
+    static now() {
+      return fixedMs;
+    }
+  }
+  return FrozenDate;
+}
+
+/**
+ * fetch() limited to the extension's own files.
+ * @param {string} url
+ * @returns {Promise<{ok:boolean, status:number, text:Function, json:Function}>}
+ */
+async function fetchExtensionFile(url) {
+  const rel = String(url).startsWith(EXTENSION_ORIGIN) ? String(url).slice(EXTENSION_ORIGIN.length) : '';
+  const file = path.join(ROOT, rel);
+  if (!rel || !file.startsWith(ROOT) || !fs.existsSync(file)) {
+    return { ok: false, status: 404, text: async () => '', json: async () => null };
+  }
+  const body = fs.readFileSync(file, 'utf8');
+  return { ok: true, status: 200, text: async () => body, json: async () => JSON.parse(body) };
+}
+
+/**
+ * @param {{now?:number|null, files?:string[]}} [opts] - now=null keeps the real clock
+ * @returns {Object} vm context; lib functions are available as properties (ctx.extractDecisions, ...)
+ */
+function loadLibContext(opts = {}) {
+  const now = opts.now === undefined ? FIXED_NOW : opts.now;
+  const ctx = {
+    console,
+    crypto: globalThis.crypto,
+    TextEncoder,
+    TextDecoder,
+    URL,
+    setTimeout,
+    clearTimeout,
+    fetch: fetchExtensionFile,
+    chrome: { runtime: { getURL: (p) => `${EXTENSION_ORIGIN}${String(p || '').replace(/^\//, '')}` } }
+  };
+  if (now !== null) ctx.Date = frozenDate(now);
+  ctx.window = ctx;
+  ctx.globalThis = ctx;
+  vm.createContext(ctx);
+  for (const file of opts.files || popupLibOrder()) {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), ctx, { filename: file });
+  }
+  return ctx;
+}
+
+/**
+ * Values created inside the vm context have foreign prototypes; round-trip through JSON before
+ * deepStrictEqual against plain objects.
+ * @param {any} value
+ * @returns {any}
+ */
+function plain(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { ROOT, FIXED_NOW, popupLibOrder, frozenDate, loadLibContext, plain };
@@ -0,0 +1,135 @@
+/**
+ * Replay a recorded provider fixture (tests/fixtures/providers/*.json) through the capture code.
+ *
+ * - capture : the page issues the recorded requests; lib/api-interceptor.js observes them and
+ *             content.js normalizes what it receives (what ends up in rl4_api_messages)
+ * - parsers : the lib/provider-parsers.js + lib/message-json.js parsers applied to every recorded
+ *             body, including the ones content.js only reaches through its own fetches
+ *             (Claude pagination, ChatGPT surgical fetch, DeepSeek/Grok history)
+ *
+ * CLI, to inspect a new recording offline:
+ *   node tests/helpers/replay.js tests/fixtures/providers/<fixture>.json [--verbose]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createBrowserEnv } = require('./browser-env.js');
+const { plain } = require('./load-lib.js');
+
+const PROVIDER_FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'providers');
+
+/**
+ * @param {string} file - Fixture path (absolute, or a name inside tests/fixtures/providers/)
+ * @returns {Object}
+ */
+function loadProviderFixture(file) {
+  const abs = path.isAbsolute(file) ? file : path.join(PROVIDER_FIXTURES_DIR, file.endsWith('.json') ? file : `${file}.json`);
+  const fixture = JSON.parse(fs.readFileSync(abs, 'utf8'));
+  // Raw SSE / batchexecute bodies live next to the fixture (body_file).
+  for (const x of fixture.exchanges || []) {
+    if (x.response && x.response.body_file) {
+      x.response.body = fs.readFileSync(path.join(path.dirname(abs), x.response.body_file), 'utf8');
+    }
+  }
+  fixture.name = fixture.name || path.basename(abs, '.json');
+  return fixture;
+}
+
+/**
+ * @returns {string[]} Fixture names in tests/fixtures/providers/
+ */
+function listProviderFixtures() {
+  return fs
+    .readdirSync(PROVIDER_FIXTURES_DIR)
+    .filter((f) => f.endsWith('.json'))
+    .map((f) => path.basename(f, '.json'))
+    .sort();
+}
+
+/**
+ * Run the pure parsers over one recorded response body.
+ * @param {Object} ctx - Content-script context (parsers as loaded by the manifest)
+ * @param {string} provider
+ * @param {{request:Object, response:Object}} exchange
+ */
+function parseRecordedBody(ctx, provider, exchange) {
+  const body = typeof exchange.response.body === 'string' ? exchange.response.body : JSON.stringify(exchange.response.body);
+  const url = exchange.request.url;
+  const out = { url };
+  if (provider === 'gemini') {
+    const frames = ctx.tryParseGoogleBatchExecute(body);
+    out.batchexecute_values = frames ? frames.length : 0;
+  }
+  if (String(exchange.response.content_type || '').includes('text/event-stream')) {
+    out.sse_frames = body.split('\n').filter((l) => l.startsWith('data:')).length;
+    return plain(out);
+  }
+  const json = ctx.parseApiResponseBody(body, url);
+  out.any_json = json ? ctx.extractMessagesFromAnyJson(json).map((m) => ({ role: m.role, content: m.content })) : [];
+  if (provider === 'claude') {
+    out.claude_records = ctx.extractClaudeMessageRecords(json).map((r) => ({ id: r.id, role: r.role, content: r.content, timestamp: r.timestamp ?? null }));
+    out.claude_pagination = ctx.detectClaudePaginationInfo(json);
+  }
+  if (provider === 'chatgpt') {
+    out.chatgpt_mapping = ctx.extractChatGPTMappingMessages(json);
+  }
+  if (provider === 'deepseek') {
+    out.deepseek_history = ctx.extractDeepSeekHistoryMessages(json);
+  }
+  if (provider === 'grok') {
+    out.grok_responses = ctx.extractGrokResponses(json);
+  }
+  return plain(out);
+}
+
+/**
+ * @param {Object|string} fixtureOrFile
+ * @param {{verbose?:boolean}} [opts]
+ * @returns {Promise<{name:string, provider:string, capture:Array<{role:string, content:string, source:string}>, parsers:Array<Object>, unmatched:string[], errors:string[]}>}
+ */
+async function replayProviderFixture(fixtureOrFile, opts = {}) {
+  const fixture = typeof fixtureOrFile === 'string' ? loadProviderFixture(fixtureOrFile) : fixtureOrFile;
+  const env = createBrowserEnv({ pageUrl: fixture.page_url, exchanges: fixture.exchanges, verbose: !!opts.verbose });
+  await env.settle();
+
+  for (const x of fixture.exchanges) {
+    const req = x.request;
+    const body = req.body === undefined ? undefined : typeof req.body === 'string' ? req.body : JSON.stringify(req.body);
+    if (req.transport === 'xhr') {
+      const xhr = new env.page.XMLHttpRequest();
+      xhr.open(req.method || 'GET', req.url);
+      xhr.send(body);
+    } else {
+      // The page reads its own response; the interceptor works on a clone.
+      const res = await env.page.fetch(req.url, { method: req.method || 'GET', body });
+      await res.text();
+    }
+    await env.settle();
+  }
+
+  const stored = env.storage.data.rl4_api_messages;
+  return {
+    name: fixture.name,
+    provider: fixture.provider,
+    capture: (Array.isArray(stored) ? stored : []).map((m) => ({ role: m.role, content: m.content, source: m.source })),
+    parsers: fixture.exchanges.map((x) => parseRecordedBody(env.content, fixture.provider, x)),
+    unmatched: env.network.unmatched.slice(),
+    errors: env.errors.slice()
+  };
+}
+
+module.exports = { PROVIDER_FIXTURES_DIR, loadProviderFixture, listProviderFixtures, replayProviderFixture };
+
+if (require.main === module) {
+  const file = process.argv[2];
+  if (!file) {
+    console.error('Usage: node tests/helpers/replay.js <fixture.json> [--verbose]');
+    process.exit(2);
+  }
+  replayProviderFixture(path.resolve(file), { verbose: process.argv.includes('--verbose') })
+    .then((out) => console.log(JSON.stringify(out, null, 2)))
+    .catch((e) => {
+      console.error(e);
+      process.exit(1);
+    });
+}
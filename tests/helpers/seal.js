@@ -0,0 +1,30 @@
+/**
+ * Device seal for tests: the same device_integrity_v1 signature content.js attaches
+ * (ECDSA P-256 over "checksum:<hex>", key_id = sha256 of the SPKI), from a throwaway key.
+ */
+
+const { webcrypto } = require('node:crypto');
+
+const subtle = webcrypto.subtle;
+
+/**
+ * @param {string} checksum - snapshot checksum (hex)
+ * @returns {Promise<{type:string, algo:string, key_id:string, public_key_spki:string, signed_payload:string, value:string}>}
+ */
+async function signChecksum(checksum) {
+  const { privateKey, publicKey } = await subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, true, ['sign', 'verify']);
+  const spki = Buffer.from(await subtle.exportKey('spki', publicKey));
+  const keyId = Buffer.from(await subtle.digest('SHA-256', spki)).toString('hex');
+  const payload = `checksum:${checksum}`;
+  const sig = await subtle.sign({ name: 'ECDSA', hash: 'SHA-256' }, privateKey, new TextEncoder().encode(payload));
+  return {
+    type: 'device_integrity_v1',
+    algo: 'ECDSA_P256_SHA256',
+    key_id: keyId,
+    public_key_spki: spki.toString('base64'),
+    signed_payload: payload,
+    value: Buffer.from(sig).toString('base64')
+  };
+}
+
+module.exports = { signChecksum };
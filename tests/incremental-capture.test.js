@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { findOverlapEnd, collectAppendedTurns } = require('../lib/incremental-capture.js');
+
+const TS = '2024-01-15T10:00:00.000Z';
+
+const msg = (role, content, extra = {}) => ({ role, content, ...extra });
+
+test('findOverlapEnd: index right after the stored tail', () => {
+  const fresh = [msg('user', 'Plan the export'), msg('assistant', 'Markdown first.'), msg('user', 'ok'), msg('assistant', 'Done: export.md')];
+  assert.equal(findOverlapEnd(fresh, fresh.slice(0, 2)), 2);
+  assert.equal(findOverlapEnd(fresh, fresh), 4);
+  // Whitespace and case differences do not break the boundary (same signature as de-dup).
+  assert.equal(findOverlapEnd(fresh, [msg('assistant', '  markdown   FIRST. ')]), 2);
+});
+
+test('findOverlapEnd: a repeated short exchange anchors on its last occurrence', () => {
+  const fresh = [msg('user', 'ok'), msg('assistant', 'thanks'), msg('user', 'Next question'), msg('user', 'ok'), msg('assistant', 'thanks'), msg('user', 'new turn')];
+  assert.equal(findOverlapEnd(fresh, [msg('user', 'ok'), msg('assistant', 'thanks')]), 5);
+});
+
+test('findOverlapEnd: -1 when the boundary cannot be verified', () => {
+  const fresh = [msg('user', 'a question'), msg('assistant', 'an answer')];
+  assert.equal(findOverlapEnd(fresh, []), -1);
+  assert.equal(findOverlapEnd(fresh, [msg('assistant', 'an edited answer')]), -1);
+  // Same text, other role.
+  assert.equal(findOverlapEnd(fresh, [msg('user', 'an answer')]), -1);
+  // Fresh capture shorter than the anchor (e.g. only the last page was loaded).
+  assert.equal(findOverlapEnd(fresh.slice(1), fresh), -1);
+  assert.equal(findOverlapEnd(null, fresh), -1);
+});
+
+test('collectAppendedTurns: turns after the boundary, empty ones skipped, missing timestamps filled', () => {
+  const fresh = [
+    msg('user', 'stored'),
+    msg('assistant', 'stored too'),
+    msg('user', 'new question', { timestamp: '2024-01-15T09:00:00.000Z' }),
+    msg('assistant', '   '),
+    msg('tool', 'tool output'),
+    msg('assistant', 'new answer')
+  ];
+  assert.deepEqual(collectAppendedTurns(fresh, 2, TS), [
+    { role: 'user', content: 'new question', timestamp: '2024-01-15T09:00:00.000Z' },
+    { role: null, content: 'tool output', timestamp: TS },
+    { role: 'assistant', content: 'new answer', timestamp: TS }
+  ]);
+  assert.deepEqual(collectAppendedTurns(fresh, fresh.length, TS), []);
+  assert.deepEqual(collectAppendedTurns(fresh, -1, TS), []);
+});
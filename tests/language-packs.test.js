@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { detectLanguage, getLanguagePack, getLanguageStopwords } = require('../lib/language-packs.js');
+const { extractDecisions, extractInsights, extractConstraints, extractTopicsWithMeta } = require('../lib/extraction.js');
+const { splitIntoCognitiveDays } = require('../lib/cognitive-splitter.js');
+const { loadFixture } = require('./helpers/fixtures.js');
+const { conversation } = require('./helpers/conversation.js');
+
+test('detectLanguage: one message at a time, null when nothing is written in prose', () => {
+  assert.equal(detectLanguage('We should store transcripts in IndexedDB because the quota is too small.'), 'en');
+  assert.equal(detectLanguage('Je recommande IndexedDB : chrome.storage a un quota trop faible.'), 'fr');
+  assert.equal(detectLanguage('Wir sollten IndexedDB für die Transkripte verwenden, weil der Speicher nicht reicht.'), 'de');
+  assert.equal(detectLanguage('Recomiendo usar IndexedDB para guardar las conversaciones, porque el almacenamiento es pequeño.'), 'es');
+  assert.equal(detectLanguage('Consiglio di usare IndexedDB per salvare le conversazioni, perché lo spazio non basta.'), 'it');
+  assert.equal(detectLanguage('Recomendo usar o IndexedDB para guardar as conversas, porque o armazenamento não é suficiente.'), 'pt');
+  assert.equal(detectLanguage('Wir nehmen Postgres.'), 'de');
+  assert.equal(detectLanguage('Vamos a usar Postgres para la base de datos.'), 'es');
+  assert.equal(detectLanguage('Creo que la migración de los datos puede esperar.'), 'es');
+  assert.equal(detectLanguage('Je pense que la migration de la base peut attendre.'), 'fr');
+  assert.equal(detectLanguage('const x = 1;'), null);
+  assert.equal(detectLanguage(''), null);
+  assert.equal(getLanguagePack('xx'), null);
+  assert.equal(getLanguageStopwords('en').size, 0);
+  assert.ok(getLanguageStopwords('de').has('nicht'));
+});
+
+test('language packs: decisions, insights and constraints in DE/ES/IT/PT', () => {
+  const cases = {
+    de: [
+      'Entscheidung: die Transkripte in IndexedDB speichern, ein Eintrag pro Nachricht.',
+      'Wichtig: der Schlüssel für die Signatur darf nicht exportierbar sein.',
+      'Das Rendern von 5000 Zeilen ist für das Popup zu langsam.'
+    ],
+    es: [
+      'Decisión: guardar las transcripciones en IndexedDB, una entrada por mensaje.',
+      'Importante: la clave de la firma no es exportable y eso es lo que queremos.',
+      'Renderizar cinco mil filas es demasiado lento para el popup.'
+    ],
+    it: [
+      'Decisione: salvare le trascrizioni in IndexedDB, una voce per messaggio.',
+      'Punto chiave: il checksum viene calcolato sul JSON canonico, non sul testo.',
+      'Il rendering di cinquemila righe è troppo lento per il popup.'
+    ],
+    pt: [
+      'Decisão: guardar as transcrições no IndexedDB, uma entrada por mensagem.',
+      'Dica: mantenha o popup pequeno para que ele abra muito rápido.',
+      'Renderizar cinco mil linhas é muito lento para o popup e não é possível no service worker.'
+    ]
+  };
+  for (const [lang, [decision, insight, constraint]] of Object.entries(cases)) {
+    const messages = conversation([decision, insight, constraint], { role: 'assistant' });
+    const decisions = extractDecisions(messages);
+    assert.deepEqual(
+      decisions.map((d) => [d.intent, d.extraction_confidence, d.chosen_option]),
+      [['decide', 'high', decision.replace(/^\S+\s*:\s*/, '')]],
+      lang
+    );
+    assert.deepEqual(extractInsights(messages), [insight], lang);
+    const constraints = extractConstraints(messages);
+    assert.deepEqual([...constraints.performance, ...constraints.technical], [constraint], lang);
+    assert.deepEqual(extractTopicsWithMeta(messages).meta.languages, { primary: lang, detected: [lang], counts: { [lang]: 3 }, undetermined: 0 });
+  }
+});
+
+test('language packs: DON\'T / DO markers and stopwords stay per message', () => {
+  const constraints = extractConstraints(
+    conversation(['Wir speichern NIEMALS API-Schlüssel im Snapshot.', 'La firma SIEMPRE usa una clave que no se puede exportar.'], {
+      role: 'assistant'
+    })
+  );
+  assert.deepEqual([constraints.dont, constraints.do], [['API-Schlüssel im Snapshot.'], ['usa una clave que no se puede exportar.']]);
+
+  const { topics, meta } = extractTopicsWithMeta(
+    conversation(
+      [
+        'Die Transkripte werden nicht in chrome.storage gespeichert, weil das Kontingent nicht reicht.',
+        'Die Transkripte werden in IndexedDB gespeichert, ein Eintrag pro Nachricht.',
+        'We keep the transcripts in IndexedDB and the settings in chrome.storage.'
+      ],
+      { role: 'assistant' }
+    )
+  );
+  assert.deepEqual(meta.languages.counts, { de: 2, en: 1 });
+  for (const t of topics) assert.doesNotMatch(t.label, /\b(werden|nicht|weil)\b/);
+});
+
+test('language packs: explicit markers apply when the message language is undetermined', () => {
+  const messages = conversation(['Entscheidung: Postgres 16 + pgvector.', 'NUNCA localStorage.'], { role: 'assistant' });
+  assert.equal(detectLanguage(messages[0].content), null);
+  assert.equal(detectLanguage(messages[1].content), null);
+  assert.deepEqual(extractDecisions(messages).map((d) => [d.intent, d.chosen_option]), [['decide', 'Postgres 16 + pgvector.']]);
+  assert.deepEqual(extractConstraints(messages).dont, ['localStorage.']);
+});
+
+test('cognitive days: tokenization drops the stopwords of the message language', () => {
+  const days = splitIntoCognitiveDays(
+    conversation(
+      [
+        'Die Transkripte werden nicht in chrome.storage gespeichert, weil das Kontingent nicht reicht.',
+        'Die Transkripte werden in IndexedDB gespeichert, ein Eintrag pro Nachricht.',
+        'Wird das Kontingent von IndexedDB nicht auch irgendwann knapp?'
+      ],
+      { role: 'assistant' }
+    )
+  );
+  assert.equal(days[0].focus, 'transkripte, gespeichert, kontingent');
+});
+
+test('English and French fixtures keep the built-in tables only', () => {
+  for (const name of ['english', 'french']) {
+    const { languages } = extractTopicsWithMeta(loadFixture(name)).meta;
+    assert.deepEqual(languages.detected, [name === 'english' ? 'en' : 'fr'], name);
+    assert.deepEqual(getLanguagePack(languages.primary).insights, [], name);
+  }
+});
@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+
+const { buildMessageMerkle, buildMerkleProof, verifyMerkleProof, merkleLeafHex, merkleLeafIndex } = require('../lib/merkle.js');
+const { proveSnapshotMessage, verifyMessageInclusion } = require('../lib/verify.js');
+const { loadLibContext, plain } = require('./helpers/load-lib.js');
+const { fixtureMessages } = require('./helpers/fixtures.js');
+
+const sha = (...parts) => crypto.createHash('sha256').update(Buffer.concat(parts)).digest();
+const leaf = (text) => sha(Buffer.from([0x00]), Buffer.from(text, 'utf8'));
+const node = (l, r) => sha(Buffer.from([0x01]), l, r);
+
+const msgs = (n) => Array.from({ length: n }, (_, i) => ({ role: i % 2 ? 'assistant' : 'user', content: `message ${i}` }));
+
+test('leaf and node hashes are domain-separated (0x00 leaf, 0x01 node)', async () => {
+  assert.equal(await merkleLeafHex({ role: 'user', content: '  hello \n' }), leaf('USER:\nhello').toString('hex'));
+  assert.equal(await merkleLeafHex({ role: 'system', content: 'x' }), leaf('ASSISTANT:\nx').toString('hex'));
+  // Without the prefixes a leaf could pass as an inner node.
+  assert.notEqual(await merkleLeafHex({ role: 'user', content: 'hello' }), sha(Buffer.from('USER:\nhello')).toString('hex'));
+
+  const tree = await buildMessageMerkle(msgs(2));
+  const [a, b] = tree.leaves.map((h) => Buffer.from(h, 'hex'));
+  assert.equal(tree.root, node(a, b).toString('hex'));
+  assert.notEqual(tree.root, sha(a, b).toString('hex'));
+});
+
+test('odd node is promoted unchanged, not duplicated', async () => {
+  const tree = await buildMessageMerkle(msgs(5));
+  const l = tree.leaves.map((h) => Buffer.from(h, 'hex'));
+  const left = node(node(l[0], l[1]), node(l[2], l[3]));
+  assert.equal(tree.root, node(left, l[4]).toString('hex'));
+
+  // The promoted leaf skips a level: its path has one step, the others three.
+  const p4 = await buildMerkleProof(tree.leaves, 4);
+  assert.deepEqual(p4.path, [{ side: 'left', hash: left.toString('hex') }]);
+  assert.equal((await buildMerkleProof(tree.leaves, 1)).path.length, 3);
+
+  for (let i = 0; i < 5; i++) {
+    const proof = await buildMerkleProof(tree.leaves, i);
+    assert.deepEqual(await verifyMerkleProof(proof, tree.root, msgs(5)[i]), { ok: true, reason: 'included', root: tree.root });
+  }
+});
+
+test('a tampered sibling, leaf or message fails the proof', async () => {
+  const tree = await buildMessageMerkle(msgs(6));
+  const proof = await buildMerkleProof(tree.leaves, 2);
+  const flipped = { ...proof, path: proof.path.map((s, i) => (i === 1 ? { ...s, hash: `${s.hash.slice(0, 63)}${s.hash[63] === '0' ? '1' : '0'}` } : s)) };
+  assert.equal((await verifyMerkleProof(flipped, tree.root)).reason, 'root_mismatch');
+  const swapped = { ...proof, path: proof.path.map((s) => ({ ...s, side: s.side === 'left' ? 'right' : 'left' })) };
+  assert.equal((await verifyMerkleProof(swapped, tree.root)).reason, 'path_does_not_match_index');
+  assert.equal((await verifyMerkleProof({ ...proof, path: proof.path.slice(1) }, tree.root)).reason, 'path_does_not_match_index');
+  assert.equal((await verifyMerkleProof({ ...proof, index: 6 }, tree.root)).reason, 'index_out_of_range');
+  assert.equal((await verifyMerkleProof(proof, tree.root, { role: 'user', content: 'message 3' })).reason, 'message_does_not_match_leaf');
+  assert.equal((await verifyMerkleProof({ ...proof, path: [{ side: 'up', hash: proof.leaf }] }, tree.root)).reason, 'malformed_proof');
+  await assert.rejects(buildMerkleProof(tree.leaves, 6), /out of range/);
+});
+
+test('the leaf index is bound by the path: a proof relabelled with another index fails', async () => {
+  const tree = await buildMessageMerkle(msgs(8));
+  const proof = await buildMerkleProof(tree.leaves, 3);
+  assert.equal((await verifyMerkleProof(proof, tree.root, msgs(8)[3], 8)).ok, true);
+  // Same leaf and siblings, relabelled: the sides derived from index 7 no longer match the path.
+  assert.equal((await verifyMerkleProof({ ...proof, index: 7 }, tree.root, msgs(8)[3], 8)).reason, 'path_does_not_match_index');
+  // Relabelled sides as well: the fold follows index 7 and lands on another root.
+  const relabelled = { ...proof, index: 7, path: proof.path.map((s) => ({ ...s, side: 'left' })) };
+  assert.equal((await verifyMerkleProof(relabelled, tree.root, msgs(8)[3], 8)).reason, 'root_mismatch');
+
+  // Odd node promotion: leaf 4 of 5 has a single step; a two-step path for it is rejected.
+  const five = await buildMessageMerkle(msgs(5));
+  const p4 = await buildMerkleProof(five.leaves, 4);
+  assert.equal((await verifyMerkleProof({ ...p4, path: [...p4.path, p4.path[0]] }, five.root, undefined, 5)).reason, 'path_does_not_match_index');
+});
+
+test('empty messages get no leaf; proofs are keyed by message idx', async () => {
+  const list = [...msgs(3), { role: 'assistant', content: '   ' }, ...msgs(2)];
+  const tree = await buildMessageMerkle(list);
+  assert.equal(tree.leaf_count, 5);
+  assert.equal(tree.message_count, 6);
+  assert.deepEqual(tree.skipped_message_idx, [3]);
+  assert.deepEqual([0, 2, 3, 4, 5, 6].map((i) => merkleLeafIndex(tree, i)), [0, 2, -1, 3, 4, -1]);
+
+  // Stored transcript rows: the empty message is a hole in idx.
+  const rows = list.map((m, idx) => ({ idx, ...m })).filter((m) => m.content.trim());
+  assert.equal((await buildMessageMerkle(rows)).root, tree.root);
+  assert.deepEqual((await buildMessageMerkle(rows)).skipped_message_idx, [3]);
+});
+
+/**
+ * @param {object[]} messages
+ * @returns {Promise<object>}
+ */
+async function merkleSnapshot(messages) {
+  const ctx = loadLibContext();
+  return plain(await new ctx.RL4SnapshotGenerator(messages, {}, { includeTranscript: false, messageMerkle: true }).generate());
+}
+
+test('proveSnapshotMessage: embedded leaves, message idx after an empty message', async () => {
+  const messages = fixtureMessages('english');
+  messages.splice(3, 0, { id: 'empty', role: 'assistant', content: '', timestamp: messages[3].timestamp });
+  const snapshot = await merkleSnapshot(messages);
+  const merkle = snapshot.conversation_fingerprint.merkle;
+  assert.equal(merkle.leaves_embedded, true);
+  assert.equal(merkle.message_count, messages.length);
+
+  const proof = await proveSnapshotMessage(snapshot, 5);
+  assert.equal(proof.message_idx, 5);
+  assert.equal(proof.index, 4);
+  assert.deepEqual(await verifyMessageInclusion(snapshot, proof, messages[5]), { ok: true, reason: 'included' });
+  assert.equal((await verifyMessageInclusion(snapshot, proof, messages[4])).reason, 'message_does_not_match_leaf');
+  assert.equal((await verifyMessageInclusion(snapshot, { ...proof, message_idx: 4 }, messages[5])).reason, 'message_idx_does_not_match_leaf');
+  // Relabelled as another message whose leaf index agrees with the label: the path still pins leaf 4.
+  const relabelled = { ...proof, message_idx: 7, index: merkleLeafIndex(merkle, 7) };
+  assert.equal((await verifyMessageInclusion(snapshot, relabelled, messages[5])).ok, false);
+  await assert.rejects(proveSnapshotMessage(snapshot, 3), /has no leaf/);
+});
+
+test('proveSnapshotMessage: leaves not embedded are rebuilt from the stored transcript', async () => {
+  const messages = fixtureMessages('xxl').slice(0, 420);
+  const snapshot = await merkleSnapshot(messages);
+  const merkle = snapshot.conversation_fingerprint.merkle;
+  assert.equal(merkle.leaves_embedded, false);
+  assert.equal(merkle.leaves, undefined);
+  await assert.rejects(proveSnapshotMessage(snapshot, 7), /pass the stored transcript/);
+
+  // Rows as rl4_transcript_get_messages returns them; the store grew after the snapshot.
+  const rows = [...messages, { role: 'user', content: 'later turn' }].map((m, idx) => ({ idx, role: m.role, content: m.content }));
+  const proof = await proveSnapshotMessage(snapshot, 411, { messages: rows });
+  assert.equal(proof.message_idx, 411);
+  assert.equal((await verifyMessageInclusion(snapshot, proof, messages[411])).ok, true);
+
+  const edited = rows.map((m) => (m.idx === 10 ? { ...m, content: 'edited' } : m));
+  await assert.rejects(proveSnapshotMessage(snapshot, 411, { messages: edited }), /does not match merkle.root/);
+});
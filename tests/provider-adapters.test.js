@@ -0,0 +1,229 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const {
+  getProviderAdapters,
+  getProviderAdapterById,
+  detectProviderId,
+  isSupportedProviderUrl,
+  getProviderMatchPatterns,
+  getProviderAdapterForApiHost,
+  getProviderApiPaths,
+  getProviderConversationId,
+  isProviderStartUrl,
+  getPageInterceptorConfig
+} = require('../lib/providers.js');
+const { loadProviderFixture } = require('./helpers/replay.js');
+const { ROOT, loadLibContext } = require('./helpers/load-lib.js');
+const { createBrowserEnv } = require('./helpers/browser-env.js');
+
+test('detectProviderId: page hosts and URLs, exact host match', () => {
+  assert.equal(detectProviderId('claude.ai'), 'claude');
+  assert.equal(detectProviderId('https://chat.openai.com/c/abc'), 'chatgpt');
+  assert.equal(detectProviderId('https://g.co/gemini'), 'gemini');
+  assert.equal(detectProviderId('PERPLEXITY.AI'), 'perplexity');
+  assert.equal(detectProviderId('https://copilot.microsoft.com/chats/x'), 'copilot');
+  assert.equal(detectProviderId('https://chat.mistral.ai/chat/1'), 'mistral');
+  assert.equal(detectProviderId('chat.deepseek.com'), 'deepseek');
+  assert.equal(detectProviderId('https://grok.com/c/1'), 'grok');
+  assert.equal(detectProviderId('x.com'), 'unknown');
+  assert.equal(detectProviderId('https://notclaude.ai/'), 'unknown');
+  assert.equal(detectProviderId(''), 'unknown');
+});
+
+test('isSupportedProviderUrl: https pages on provider hosts only', () => {
+  assert.equal(isSupportedProviderUrl('https://claude.ai/chat/1'), true);
+  assert.equal(isSupportedProviderUrl('http://claude.ai/chat/1'), false);
+  assert.equal(isSupportedProviderUrl('https://example.com/'), false);
+  assert.equal(isSupportedProviderUrl('chrome://extensions/'), false);
+  assert.equal(isSupportedProviderUrl(undefined), false);
+});
+
+test('getProviderConversationId: adapter path segment, empty when not declared', () => {
+  assert.equal(getProviderConversationId(getProviderAdapterById('claude'), '/chat/abc-123'), 'abc-123');
+  assert.equal(getProviderConversationId(getProviderAdapterById('chatgpt'), '/g/g-x/c/67a1'), '67a1');
+  assert.equal(getProviderConversationId(getProviderAdapterById('gemini'), '/app'), '');
+  assert.equal(getProviderConversationId(getProviderAdapterById('perplexity'), '/search/slug'), '');
+  assert.equal(getProviderConversationId(getProviderAdapterById('mistral'), '/chat/9f1e'), '9f1e');
+  assert.equal(getProviderConversationId(getProviderAdapterById('deepseek'), '/a/chat/s/5b1c'), '5b1c');
+  assert.equal(getProviderConversationId(getProviderAdapterById('grok'), '/c/0e4a'), '0e4a');
+  assert.equal(getProviderConversationId(null, '/chat/x'), '');
+});
+
+test('getProviderAdapterForApiHost: cross-origin API hosts map to their provider', () => {
+  assert.equal(getProviderAdapterForApiHost('api.githubcopilot.com').id, 'copilot');
+  assert.equal(getProviderAdapterForApiHost('https://api.individual.githubcopilot.com/chat/completions').id, 'copilot');
+  assert.equal(getProviderAdapterForApiHost('api.perplexity.ai').id, 'perplexity');
+  assert.equal(getProviderAdapterForApiHost('chat.gateway.unified-7.api.openai.com').id, 'chatgpt');
+  assert.equal(getProviderAdapterForApiHost('www.perplexity.ai'), null);
+  assert.equal(getProviderAdapterForApiHost('/chat/completions'), null);
+  assert.ok(getProviderApiPaths().includes('/backend-api/'));
+});
+
+test('every adapter declares hosts, API endpoints and a parser', () => {
+  for (const a of getProviderAdapters()) {
+    assert.ok(a.hosts.length, a.id);
+    assert.ok(Array.isArray(a.api.paths) && a.api.paths.length, a.id);
+    assert.ok(a.api.hosts.every((re) => re instanceof RegExp), a.id);
+    assert.equal(typeof a.parse, 'function', a.id);
+  }
+});
+
+test('adapter selectors only use the keys content.js and the composer read', () => {
+  const readers = ['content.js', 'lib/composer.js'].map((f) => fs.readFileSync(path.join(ROOT, f), 'utf8')).join('\n');
+  const known = new Set([...readers.matchAll(/\b(?:sel|selectors)\.(\w+)/g)].map((m) => m[1]));
+  for (const a of getProviderAdapters()) {
+    for (const key of Object.keys(a.selectors || {})) assert.ok(known.has(key), `${a.id}.selectors.${key}`);
+  }
+  assert.equal(getProviderAdapterById('claude').selectors.roleAttribute, 'data-is-user-message');
+});
+
+test('adapter capture settings name strategies and tuning content.js knows', () => {
+  const content = fs.readFileSync(path.join(ROOT, 'content.js'), 'utf8');
+  const strategies = new Set([...content.matchAll(/\.(?:api|share) [!=]== '(\w+)'/g)].map((m) => m[1]));
+  const block = content.match(/const HYDRATE_DEFAULTS = \{([\s\S]*?)\};/);
+  assert.ok(block, 'HYDRATE_DEFAULTS in content.js');
+  const hydrateKeys = new Set([...block[1].matchAll(/(\w+):/g)].map((m) => m[1]));
+  const captureKeys = new Set(['api', 'share', 'scanRetries', 'deepMaxMs', 'hydrate']);
+  for (const a of getProviderAdapters()) {
+    const capture = a.capture || {};
+    for (const key of Object.keys(capture)) assert.ok(captureKeys.has(key), `${a.id}.capture.${key}`);
+    for (const key of ['api', 'share']) {
+      if (capture[key]) assert.ok(strategies.has(capture[key]), `${a.id}.capture.${key} = ${capture[key]}`);
+    }
+    for (const key of Object.keys(capture.hydrate || {})) assert.ok(hydrateKeys.has(key), `${a.id}.capture.hydrate.${key}`);
+    // DOM capture needs message selectors, declared or borrowed.
+    const from = a.selectors.messageNodes ? a : getProviderAdapterById(a.selectorsFrom);
+    assert.ok(from && from.selectors.messageNodes, `${a.id}: no messageNodes`);
+  }
+  assert.deepEqual(
+    getProviderAdapters()
+      .filter((a) => a.capture && a.capture.hydrate)
+      .map((a) => a.id),
+    ['claude', 'chatgpt', 'gemini']
+  );
+});
+
+test('adapter parsers read their provider fixtures', () => {
+  const body = (name) => loadProviderFixture(name).exchanges[0].response.body;
+  const claude = getProviderAdapterById('claude').parse(body('claude_conversation'));
+  assert.equal(claude.length, 4);
+  assert.equal(claude[0].id, 'msg-001');
+  const chatgpt = getProviderAdapterById('chatgpt').parse(body('chatgpt_conversation'));
+  assert.deepEqual(
+    chatgpt.map((m) => m.role),
+    ['user', 'assistant', 'user', 'assistant']
+  );
+  assert.equal(getProviderAdapterById('deepseek').parse(body('deepseek_history')).length, 4);
+  assert.equal(getProviderAdapterById('grok').parse(body('grok_conversation')).length, 4);
+});
+
+test('history endpoints: URL builders match the intercepted path, DeepSeek token from localStorage', () => {
+  for (const id of ['deepseek', 'grok']) {
+    const api = getProviderAdapterById(id).api;
+    assert.ok(api.historyUrl('abc').startsWith(api.history), id);
+    assert.ok(api.paths.some((p) => api.history.startsWith(p)), id);
+  }
+  const headers = getProviderAdapterById('deepseek').api.historyHeaders;
+  const storage = (value) => ({ getItem: (k) => (k === 'userToken' ? value : null) });
+  assert.deepEqual(headers(storage('{"value":"tok"}')), { Authorization: 'Bearer tok' });
+  assert.deepEqual(headers(storage('not json')), {});
+  assert.deepEqual(headers(storage(null)), {});
+});
+
+test('manifest host lists match the adapters', () => {
+  const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8'));
+  const expected = getProviderMatchPatterns().sort();
+  assert.deepEqual(manifest.host_permissions.slice().sort(), expected);
+  assert.deepEqual(manifest.content_scripts[0].matches.slice().sort(), expected);
+  assert.deepEqual(manifest.web_accessible_resources[0].matches.slice().sort(), expected);
+});
+
+test('registerProviderAdapter: adds a provider with defaults, replaces by id, validates', () => {
+  const ctx = loadLibContext({ files: ['lib/message-json.js', 'lib/provider-parsers.js', 'lib/providers.js'] });
+  const added = ctx.registerProviderAdapter({ id: 'example', hosts: ['chat.example.com'], conversationPath: 't' });
+  assert.deepEqual([added.label, added.api.paths.length, added.api.hosts.length], ['example', 0, 0]);
+  assert.equal(ctx.detectProviderId('https://chat.example.com/t/42'), 'example');
+  assert.equal(ctx.getProviderConversationId(ctx.getProviderAdapterById('example'), '/t/42'), '42');
+  assert.ok(ctx.getProviderMatchPatterns().includes('https://chat.example.com/*'));
+
+  ctx.registerProviderAdapter({ id: 'example', label: 'Example', hosts: ['example.org'] });
+  assert.equal(ctx.getProviderAdapters().filter((a) => a.id === 'example').length, 1);
+  assert.equal(ctx.detectProviderId('chat.example.com'), 'unknown');
+
+  assert.throws(() => ctx.registerProviderAdapter({ id: 'nohost', hosts: [] }), /at least one host/);
+  // The module-level registry is untouched.
+  assert.equal(detectProviderId('example.org'), 'unknown');
+});
+
+test('isProviderStartUrl: only the new-chat page of the adapter, never a conversation', () => {
+  const chatgpt = getProviderAdapterById('chatgpt');
+  assert.ok(isProviderStartUrl(chatgpt, 'https://chatgpt.com/'));
+  assert.ok(isProviderStartUrl(chatgpt, 'https://chat.openai.com/?model=gpt-4o'));
+  assert.ok(!isProviderStartUrl(chatgpt, 'https://chatgpt.com/c/abc'));
+  assert.ok(!isProviderStartUrl(chatgpt, 'https://claude.ai/'));
+  const claude = getProviderAdapterById('claude');
+  assert.ok(isProviderStartUrl(claude, 'https://claude.ai/new/'));
+  assert.ok(!isProviderStartUrl(claude, 'https://claude.ai/chat/123'));
+  const gemini = getProviderAdapterById('gemini');
+  assert.ok(isProviderStartUrl(gemini, 'https://gemini.google.com/app'));
+  assert.ok(!isProviderStartUrl(gemini, 'https://gemini.google.com/app/f00'));
+  assert.ok(!isProviderStartUrl(gemini, undefined));
+  assert.ok(!isProviderStartUrl(null, 'https://chatgpt.com/'));
+});
+
+test('getPageInterceptorConfig: plain JSON with the page provider, endpoint paths and API host patterns', () => {
+  const config = getPageInterceptorConfig('https://chatgpt.com/c/abc');
+  assert.deepEqual(JSON.parse(JSON.stringify(config)), config);
+  assert.equal(config.provider, 'chatgpt');
+  assert.equal(config.conversationPrefix, getProviderAdapterById('chatgpt').api.conversation);
+  assert.deepEqual(config.paths, getProviderApiPaths());
+  const hostOwner = (host) => {
+    const hit = config.apiHosts.find((h) => new RegExp(h.source, h.flags).test(host));
+    return hit ? [hit.id, hit.paths.includes('/chat/completions')] : null;
+  };
+  assert.deepEqual(hostOwner('api.githubcopilot.com'), ['copilot', true]);
+  assert.deepEqual(hostOwner('api.perplexity.ai'), ['perplexity', true]);
+  assert.equal(hostOwner('evil.example.com'), null);
+  assert.deepEqual([getPageInterceptorConfig('claude.ai').conversationPrefix, getPageInterceptorConfig('x.com').provider], ['', 'unknown']);
+});
+
+test('api-interceptor.js: the page gets no adapter registry, and an updated interceptor takes over', async () => {
+  const url = 'https://chatgpt.com/backend-api/conversation/abc';
+  const exchanges = [1, 2].map(() => ({ request: { method: 'GET', url }, response: { status: 200, body: {} } }));
+  const env = createBrowserEnv({ pageUrl: 'https://chatgpt.com/c/abc', exchanges });
+  const { page, document } = env;
+  for (const name of ['getProviderAdapters', 'registerProviderAdapter', 'detectProviderId', 'getProviderAdapterForApiHost']) {
+    assert.equal(typeof page[name], 'undefined', name);
+  }
+  assert.equal(vm.runInContext('typeof RL4_PROVIDER_ADAPTERS', page), 'undefined');
+  const { version } = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8'));
+  assert.equal(page.__RL4_API_INTERCEPTOR_INSTALLED__, version);
+
+  const posts = [];
+  page.postMessage = (data) => posts.push(data.payload.kind);
+  const inject = (dataset) => {
+    const script = document.createElement('script');
+    Object.assign(script.dataset, dataset);
+    document.currentScript = script;
+    vm.runInContext(fs.readFileSync(path.join(ROOT, 'lib', 'api-interceptor.js'), 'utf8'), page, { filename: 'lib/api-interceptor.js' });
+    document.currentScript = null;
+  };
+  const hooked = page.fetch;
+  inject({});
+  inject({ rl4Config: JSON.stringify({ version, ...getPageInterceptorConfig('chatgpt.com') }) });
+  assert.equal(page.fetch, hooked, 'no config or the same version: nothing installed');
+
+  await page.fetch(url);
+  assert.deepEqual(posts, ['chatgpt_conversation_empty']);
+
+  // Extension update: the new version hooks on top, the previous hooks stay quiet.
+  inject({ rl4Config: JSON.stringify({ version: `${version}.1`, ...getPageInterceptorConfig('chatgpt.com') }) });
+  assert.notEqual(page.fetch, hooked);
+  posts.length = 0;
+  await page.fetch(url);
+  assert.deepEqual(posts, ['chatgpt_conversation_empty']);
+});
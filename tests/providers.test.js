@@ -0,0 +1,169 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  tryParseGoogleBatchExecute,
+  parseApiResponseBody,
+  extractClaudeMessageRecords,
+  detectClaudePaginationInfo,
+  extractChatGPTMappingMessages,
+  extractDeepSeekHistoryMessages,
+  extractGrokResponses,
+  assembleSseAssistantText
+} = require('../lib/provider-parsers.js');
+const { listProviderFixtures, loadProviderFixture, replayProviderFixture } = require('./helpers/replay.js');
+const { assertGolden } = require('./helpers/fixtures.js');
+
+test('tryParseGoogleBatchExecute: strips the XSSI prefix, skips length lines, expands JSON strings', () => {
+  const inner = JSON.stringify([['hello', 1]]);
+  const body = `)]}'\n\n42\n${JSON.stringify([['wrb.fr', 'rpc', inner]])}\n12\n[["e",4]]\n`;
+  const out = tryParseGoogleBatchExecute(body);
+  assert.equal(out.length, 2);
+  assert.deepEqual(out[0], [['e', 4]]);
+  assert.equal(out[1][0][0], 'wrb.fr');
+  assert.equal(tryParseGoogleBatchExecute(")]}'\n"), null);
+  assert.equal(tryParseGoogleBatchExecute(''), null);
+});
+
+test('parseApiResponseBody: JSON, batchexecute only on Google URLs, NDJSON, otherwise null', () => {
+  assert.deepEqual(parseApiResponseBody('{"a":1}', 'https://claude.ai/api/x'), { a: 1 });
+  const be = `)]}'\n\n10\n[["x","y"]]\n`;
+  assert.deepEqual(parseApiResponseBody(be, 'https://gemini.google.com/_/BardChatUi/data/batchexecute'), tryParseGoogleBatchExecute(be));
+  // Elsewhere the same body falls through to NDJSON (length lines included).
+  assert.deepEqual(parseApiResponseBody(be, 'https://claude.ai/api/x'), [10, [['x', 'y']]]);
+  assert.deepEqual(parseApiResponseBody('{"a":1}\n{"b":2}\nnot json', 'https://x.test/api'), [{ a: 1 }, { b: 2 }]);
+  assert.equal(parseApiResponseBody('plain text', 'https://x.test/api'), null);
+});
+
+test('extractClaudeMessageRecords: largest message array, sender objects, empty messages dropped', () => {
+  const records = extractClaudeMessageRecords({
+    messages: [{ uuid: 'a', sender: 'human', text: 'short list' }],
+    conversation: {
+      chat_messages: [
+        { uuid: 'm1', sender: 'human', created_at: '2024-01-01T00:00:00Z', content: [{ type: 'text', text: 'Question?' }] },
+        { uuid: 'm2', sender: { role: 'assistant' }, content: [{ type: 'text', text: '' }] },
+        { uuid: 'm3', sender: { role: 'assistant' }, completion: ' Answer. ' }
+      ]
+    }
+  });
+  assert.deepEqual(
+    records.map((r) => [r.id, r.role, r.content, r.timestamp]),
+    [
+      ['m1', 'user', 'Question?', '2024-01-01T00:00:00Z'],
+      ['m3', 'assistant', 'Answer.', undefined]
+    ]
+  );
+  assert.deepEqual(extractClaudeMessageRecords(null), []);
+});
+
+test('detectClaudePaginationInfo: top-level and nested pagination shapes', () => {
+  assert.deepEqual(detectClaudePaginationInfo({ has_more: true, next_cursor: 'c1' }), { hasMore: true, nextCursor: 'c1' });
+  assert.deepEqual(detectClaudePaginationInfo({ pagination: { hasMore: true, nextCursor: 'c2' } }), { hasMore: true, nextCursor: 'c2' });
+  assert.deepEqual(detectClaudePaginationInfo({ chat_messages: [] }), { hasMore: false, nextCursor: '' });
+  assert.deepEqual(detectClaudePaginationInfo('x'), { hasMore: false, nextCursor: '' });
+});
+
+test('extractChatGPTMappingMessages: follows current_node, falls back to every node without it', () => {
+  const node = (id, parent, role, text) => ({ id, parent, message: { author: { role }, create_time: 1, content: { content_type: 'text', parts: [text] } } });
+  const mapping = {
+    a: node('a', null, 'user', 'Q'),
+    b: node('b', 'a', 'assistant', 'abandoned'),
+    c: node('c', 'a', 'assistant', 'kept')
+  };
+  assert.deepEqual(
+    extractChatGPTMappingMessages({ current_node: 'c', mapping }).map((m) => m.content),
+    ['Q', 'kept']
+  );
+  assert.deepEqual(
+    extractChatGPTMappingMessages({ mapping }).map((m) => m.content),
+    ['Q', 'abandoned', 'kept']
+  );
+  assert.deepEqual(extractChatGPTMappingMessages({}), []);
+});
+
+test('extractDeepSeekHistoryMessages: follows current_message_id, skips THINK fragments', () => {
+  const msg = (message_id, parent_id, role, content, extra = {}) => ({ message_id, parent_id, role, content, inserted_at: 0, ...extra });
+  const chat_messages = [
+    msg(1, null, 'USER', 'Q'),
+    msg(2, 1, 'ASSISTANT', 'abandoned'),
+    msg(3, 1, 'ASSISTANT', '', {
+      thinking_content: 'hidden',
+      fragments: [{ type: 'THINK', content: 'hidden' }, { type: 'RESPONSE', content: 'kept' }]
+    })
+  ];
+  const out = extractDeepSeekHistoryMessages({ data: { biz_data: { chat_session: { current_message_id: 3 }, chat_messages } } });
+  assert.deepEqual(
+    out.map((m) => [m.id, m.role, m.content, m.timestamp]),
+    [
+      ['1', 'user', 'Q', '1970-01-01T00:00:00.000Z'],
+      ['3', 'assistant', 'kept', '1970-01-01T00:00:00.000Z']
+    ]
+  );
+  // Without a current message every turn is kept, in order.
+  assert.deepEqual(extractDeepSeekHistoryMessages({ chat_messages }).map((m) => m.id), ['1', '2', '3']);
+  assert.deepEqual(extractDeepSeekHistoryMessages({ data: null }), []);
+});
+
+test('extractGrokResponses: human/ASSISTANT senders, empty messages dropped', () => {
+  const out = extractGrokResponses({
+    responses: [
+      { responseId: 'a', sender: 'human', message: ' Q ', createTime: '2026-01-01T00:00:00Z' },
+      { responseId: 'b', sender: 'ASSISTANT', message: '' },
+      { responseId: 'c', sender: 'ASSISTANT', message: 'A' },
+      { responseId: 'd', sender: 'system', message: 'ignored' }
+    ]
+  });
+  assert.deepEqual(
+    out.map((m) => [m.id, m.role, m.content, m.timestamp]),
+    [
+      ['a', 'user', 'Q', '2026-01-01T00:00:00Z'],
+      ['c', 'assistant', 'A', null]
+    ]
+  );
+  assert.deepEqual(extractGrokResponses({}), []);
+});
+
+test('assembleSseAssistantText: ChatGPT delta encoding, full-message frames, OpenAI deltas', () => {
+  const frames = [
+    JSON.stringify({ p: '', o: 'add', v: { message: { author: { role: 'assistant' }, content: { parts: [''] } } } }),
+    JSON.stringify({ p: '/message/content/parts/0', o: 'append', v: '<RL4-ARCH>' }),
+    JSON.stringify({ v: 'phase:x' }),
+    JSON.stringify({ type: 'title_generation', title: 'ignored' }),
+    JSON.stringify({
+      p: '',
+      o: 'patch',
+      v: [
+        { p: '/message/content/parts/0', o: 'append', v: '</RL4-ARCH>' },
+        { p: '/message/status', o: 'replace', v: 'finished_successfully' }
+      ]
+    }),
+    'not json'
+  ];
+  assert.equal(assembleSseAssistantText(frames), '<RL4-ARCH>phase:x</RL4-ARCH>');
+
+  // Legacy frames carry the cumulative text; user echoes are ignored.
+  const legacy = [
+    { message: { author: { role: 'user' }, content: { parts: ['question'] } } },
+    { message: { author: { role: 'assistant' }, content: { parts: ['Hel'] } } },
+    { message: { author: { role: 'assistant' }, content: { parts: ['Hello'] } } }
+  ].map((f) => JSON.stringify(f));
+  assert.equal(assembleSseAssistantText(legacy), 'Hello');
+
+  const openai = [{ choices: [{ delta: { content: 'a' } }] }, { choices: [{ delta: { content: 'b' }, finish_reason: 'stop' }] }];
+  assert.equal(assembleSseAssistantText(openai.map((f) => JSON.stringify(f))), 'ab');
+  assert.equal(assembleSseAssistantText(null), '');
+});
+
+test('provider fixtures cover every provider with an API history parser', () => {
+  const providers = new Set(listProviderFixtures().map((name) => loadProviderFixture(name).provider));
+  assert.deepEqual([...providers].sort(), ['chatgpt', 'claude', 'copilot', 'deepseek', 'gemini', 'grok', 'perplexity']);
+});
+
+for (const name of listProviderFixtures()) {
+  test(`replay: ${name}`, async () => {
+    const out = await replayProviderFixture(name);
+    assert.deepEqual(out.unmatched, [], 'every request must match a recorded exchange');
+    assert.deepEqual(out.errors, []);
+    assertGolden(`providers/${name}`, out);
+  });
+}
@@ -0,0 +1,180 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseRl4Blocks, lintRl4Blocks, formatRl4Diagnostics, parseRl4ChunkNotes } = require('../lib/rl4-blocks.js');
+
+const ENCODER_REPLY = [
+  '<RL4-ARCH>phase:implementation|stack:node,chrome|compress:45.2x</RL4-ARCH>',
+  '<RL4-LAYERS>UI: popup | engine: lib/snapshot.js</RL4-LAYERS>',
+  '<RL4-TOPICS>REST API(0.9), JWT auth(0.7); rate limiting</RL4-TOPICS>',
+  '<RL4-TIMELINE>Setup: scaffolded API | Auth: JWT chosen | VELOCITY:high|CLARITY:0.8|DECISIONS:3</RL4-TIMELINE>',
+  '<RL4-DECISIONS>validated_intents=use JWT | add rate limits|rejected=["sessions","basic auth"]|constraints=no external DB|control_style=directive</RL4-DECISIONS>',
+  '<RL4-INSIGHTS>patterns=iterative hardening correlations=auth↔rate limits risks=token leakage recommendations=rotate keys</RL4-INSIGHTS>',
+  '<RL4-COGNITIVE-DAYS>day-1:api,auth:initial|day-2:limits:shift to ops</RL4-COGNITIVE-DAYS>',
+  '<RL4-CAUSAL-CHAINS>chain-1:session bugs→chose JWT→implemented(0.8)|chain-2:abuse->rate limit->shipped(0.6)</RL4-CAUSAL-CHAINS>',
+  '<RL4-PROGRESSIVE>L1:API with JWT auth and rate limits|L2:Built a REST API, chose JWT over sessions.</RL4-PROGRESSIVE>',
+  'HUMAN SUMMARY:',
+  'We built a REST API with JWT auth.',
+  '<RL4-END/>',
+  '[1] citation the provider appended'
+].join('\n');
+
+const codes = (diagnostics, severity) => diagnostics.filter((d) => d.severity === severity).map((d) => d.code);
+
+test('parseRl4Blocks: well-formed encoder reply yields a typed AST and no warnings', () => {
+  const r = parseRl4Blocks(ENCODER_REPLY);
+  assert.equal(r.ok, true);
+  assert.deepEqual(codes(r.diagnostics, 'error'), []);
+  assert.deepEqual(codes(r.diagnostics, 'warning'), []);
+  assert.deepEqual(codes(r.diagnostics, 'info'), ['after-end']);
+
+  const { arch, topics, timeline, decisions, insights, cognitive_days, causal_chains, progressive } = r.blocks;
+  assert.deepEqual(arch.values, { phase: 'implementation', stack: 'node,chrome', compress: '45.2x' });
+  assert.deepEqual([arch.line, arch.column, arch.pairs[1].column], [1, 1, 32]);
+  assert.deepEqual(topics.items.map((t) => [t.label, t.weight]), [['REST API', 0.9], ['JWT auth', 0.7], ['rate limiting', null]]);
+  assert.deepEqual(timeline.phases, ['Setup: scaffolded API', 'Auth: JWT chosen']);
+  assert.deepEqual(timeline.metrics, { VELOCITY: 'high', CLARITY: '0.8', DECISIONS: '3' });
+  assert.equal(decisions.values.validated_intents, 'use JWT|add rate limits');
+  assert.deepEqual(decisions.rejected, ['sessions', 'basic auth']);
+  assert.equal(insights.values.correlations, 'auth↔rate limits');
+  assert.deepEqual(cognitive_days.days[1], { id: 'day-2', focus: ['limits'], key_shift: 'shift to ops', line: 7, column: 44 });
+  assert.deepEqual(causal_chains.chains.map((c) => [c.id, c.steps.length, c.score]), [['chain-1', 3, 0.8], ['chain-2', 3, 0.6]]);
+  assert.equal(progressive.L1, 'API with JWT auth and rate limits');
+  assert.equal(r.human_summary, 'We built a REST API with JWT auth.');
+});
+
+test('parseRl4Blocks: NOT_AVAILABLE bodies and the local Copilot template are accepted', () => {
+  const local = [
+    '<RL4-ARCH>phase:NOT_AVAILABLE|compress:NOT_AVAILABLE|protocol:RCEP_v1</RL4-ARCH>',
+    '<RL4-LAYERS>NOT_AVAILABLE</RL4-LAYERS>',
+    '<RL4-TOPICS>NOT_AVAILABLE</RL4-TOPICS>',
+    '<RL4-TIMELINE>Summary: refactor | VELOCITY:NOT_AVAILABLE|CLARITY:NOT_AVAILABLE|DECISIONS:NOT_AVAILABLE</RL4-TIMELINE>',
+    '<RL4-DECISIONS>validated_intents=why? | how?|rejected=[]|constraints=NOT_AVAILABLE|control_style=NOT_AVAILABLE</RL4-DECISIONS>',
+    '<RL4-INSIGHTS>patterns=topics:a(1), b correlations=NOT_AVAILABLE risks=NOT_AVAILABLE recommendations=NOT_AVAILABLE</RL4-INSIGHTS>',
+    'HUMAN SUMMARY:',
+    'Refactor.',
+    '<RL4-END/>'
+  ].join('\n');
+  const r = parseRl4Blocks(local);
+  assert.equal(r.ok, true, formatRl4Diagnostics(r.diagnostics));
+  assert.equal(r.blocks.layers.not_available, true);
+  assert.equal(r.blocks.insights.values.patterns, 'topics:a(1), b');
+  assert.deepEqual(codes(r.diagnostics, 'warning'), []);
+});
+
+test('lintRl4Blocks: malformed blocks are reported with line and column', () => {
+  const text = [
+    'Sure! Here are the blocks:',
+    '<RL4-ARCH>stack:x</RL4-ARCH>',
+    '<RL4-DECISIONS>validated_intents:x|rejected=sessions</RL4-DECISIONS>',
+    '<RL4-INSIGHTS>...</RL4-INSIGHTS>',
+    '<RL4-CAUSAL-CHAINS>c1:a→b→c(1.5)</RL4-CAUSAL-CHAINS><RL4-TOPICS>x'
+  ].join('\n');
+  const diagnostics = lintRl4Blocks(text);
+  const find = (code, block) => diagnostics.find((d) => d.code === code && d.block === block);
+
+  assert.deepEqual(find('leading-text', ''), { severity: 'warning', code: 'leading-text', message: 'text before <RL4-ARCH> (the reply must start with the first block)', block: '', line: 1, column: 1 });
+  assert.equal(find('missing-key', 'RL4-ARCH').message, 'missing "phase"');
+  assert.deepEqual([find('separator', 'RL4-DECISIONS').line, find('separator', 'RL4-DECISIONS').column], [3, 16]);
+  assert.deepEqual([find('rejected-format', 'RL4-DECISIONS').severity, find('rejected-format', 'RL4-DECISIONS').column], ['error', 36]);
+  assert.equal(find('truncated', 'RL4-INSIGHTS').line, 4);
+  assert.equal(find('chain-score', 'RL4-CAUSAL-CHAINS').severity, 'error');
+  assert.deepEqual([find('unclosed', 'RL4-TOPICS').line, find('unclosed', 'RL4-TOPICS').column], [5, 53]);
+  assert.deepEqual(
+    diagnostics.filter((d) => d.code === 'missing-block').map((d) => d.message),
+    ['missing <RL4-LAYERS>', 'missing <RL4-TOPICS>', 'missing <RL4-TIMELINE>']
+  );
+  assert.ok(find('missing-end', ''));
+});
+
+test('parseRl4Blocks: structure checks (duplicates, stray closers, order, unknown tags)', () => {
+  const base = ENCODER_REPLY.split('\n');
+  const r = parseRl4Blocks(
+    [base[2], base[0], '</RL4-LAYERS>', base[1], base[3], base[4], base[5], base[5], '<RL4-EXTRA>x</RL4-EXTRA>', 'HUMAN SUMMARY: ok', '<RL4-END/>'].join('\n')
+  );
+  assert.deepEqual(codes(r.diagnostics, 'error'), ['unexpected-close']);
+  assert.deepEqual(codes(r.diagnostics, 'warning').sort(), ['duplicate-block', 'order', 'unknown-block']);
+  assert.equal(r.human_summary, 'ok');
+});
+
+test('parseRl4Blocks: a reply paused mid-stream reports missing-block/unclosed (content.js idle gate)', () => {
+  const lines = ENCODER_REPLY.split('\n');
+  const incomplete = (text) => {
+    const r = parseRl4Blocks(text);
+    return !r.has_end && r.diagnostics.some((d) => d.code === 'missing-block' || d.code === 'unclosed');
+  };
+  assert.equal(incomplete(lines.slice(0, 4).join('\n')), true);
+  assert.equal(incomplete(`${lines.slice(0, 5).join('\n')}\n<RL4-INSIGHTS>patterns=iterative`), true);
+  // All six required blocks: complete enough to judge even without <RL4-END/>.
+  assert.equal(incomplete(lines.slice(0, 6).join('\n')), false);
+  // <RL4-END/> ends the reply even when blocks are missing (judged malformed, then retried).
+  assert.equal(incomplete(`${lines[0]}\n<RL4-END/>`), false);
+});
+
+test('parseRl4Blocks: value-level warnings do not block, ":" in DECISIONS/INSIGHTS does', () => {
+  const swap = (from, to) => ENCODER_REPLY.replace(from, to);
+  assert.deepEqual(codes(lintRl4Blocks(swap('compress:45.2x', 'compress:high')), 'warning'), ['compress-format']);
+  assert.deepEqual(codes(lintRl4Blocks(swap('control_style=directive', 'control_style=none')), 'warning'), ['not-available-marker']);
+  assert.deepEqual(codes(lintRl4Blocks(swap('risks=token', 'risks:token')), 'error'), ['separator']);
+  assert.deepEqual(codes(lintRl4Blocks(swap('|CLARITY:0.8', '')), 'warning'), ['missing-key']);
+  assert.deepEqual(codes(lintRl4Blocks(swap('day-2:limits:shift to ops', 'day-2 limits')), 'error'), ['day-format']);
+  assert.deepEqual(codes(lintRl4Blocks(swap('L1:API with JWT auth and rate limits|', '')), 'error'), ['missing-key']);
+  assert.equal(parseRl4Blocks('').ok, false);
+});
+
+test('formatRl4Diagnostics: errors first, capped', () => {
+  const text = formatRl4Diagnostics(lintRl4Blocks('intro <RL4-ARCH>x</RL4-ARCH>'), { max: 2 });
+  const lines = text.split('\n');
+  assert.equal(lines.length, 3);
+  assert.match(lines[0], /^1:17 error RL4-ARCH expected key:value/);
+  assert.match(lines[2], /^… \d+ more$/);
+  assert.equal(formatRl4Diagnostics([]), '');
+});
+
+test('parseRl4ChunkNotes: last block wins, notes are normalized', () => {
+  const reply = [
+    'Template: <RL4-CHUNK>topics:\n- ...\n</RL4-CHUNK>',
+    'Here are the notes:',
+    '<RL4-CHUNK>',
+    'topics: IndexedDB store',
+    '* quota errors',
+    'decisions:',
+    '- keep transcripts in the background',
+    'rejected:',
+    '- none',
+    'constraints: no network',
+    'open_questions:',
+    '</RL4-CHUNK>'
+  ].join('\n');
+  const r = parseRl4ChunkNotes(reply);
+  assert.equal(r.ok, true);
+  assert.deepEqual(r.sections, {
+    topics: ['IndexedDB store', 'quota errors'],
+    decisions: ['keep transcripts in the background'],
+    rejected: [],
+    'constraints/control_style': ['no network'],
+    open_questions: []
+  });
+  assert.equal(
+    r.notes,
+    '<RL4-CHUNK>\ntopics:\n- IndexedDB store\n- quota errors\ndecisions:\n- keep transcripts in the background\nrejected:\n- none\n' +
+      'constraints/control_style:\n- no network\nopen_questions:\n- none\n</RL4-CHUNK>'
+  );
+});
+
+test('parseRl4ChunkNotes: missing, unclosed, template-only and partial blocks', () => {
+  const errors = (text) => parseRl4ChunkNotes(text).diagnostics.filter((d) => d.severity === 'error').map((d) => d.code);
+  assert.deepEqual(errors('no notes here'), ['missing-block']);
+  assert.deepEqual(errors('<RL4-CHUNK>\ntopics:\n- a'), ['unclosed']);
+  assert.deepEqual(errors('<RL4-CHUNK>\ntopics:\n- ...\ndecisions:\n- ...\n</RL4-CHUNK>'), ['empty-block']);
+
+  const partial = parseRl4ChunkNotes('<RL4-CHUNK>\nintro\ntopics:\n- a\n</RL4-CHUNK>');
+  assert.equal(partial.ok, false);
+  assert.equal(partial.notes, '');
+  const find = (code) => partial.diagnostics.find((d) => d.code === code);
+  assert.deepEqual([find('unexpected-text').line, find('unexpected-text').column], [2, 1]);
+  assert.deepEqual(
+    partial.diagnostics.filter((d) => d.code === 'missing-section').map((d) => [d.severity, d.message]),
+    [['error', 'missing "decisions:"'], ['warning', 'missing "rejected:"'], ['warning', 'missing "constraints/control_style:"'], ['warning', 'missing "open_questions:"']]
+  );
+});
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseRl4Blocks } = require('../lib/rl4-blocks.js');
+const { checkRl4BlocksGrounding } = require('../lib/rl4-grounding.js');
+
+const SNAPSHOT = {
+  protocol: 'RCEP_v1',
+  metadata: { compression_digest: '45.2x' },
+  topics: [
+    { label: 'IndexedDB transcripts', weight: 900 },
+    { label: 'ECDSA signature', weight: 750 },
+    { label: 'Markdown export', weight: 630 },
+    { label: 'popup layout', weight: 100 }
+  ],
+  decisions: [
+    { intent: 'decide', chosen_option: 'store transcripts in IndexedDB keyed by convKey.' },
+    { intent: 'decide', chosen_option: 'seal snapshots with ECDSA P-256 instead of RSA.' }
+  ],
+  semantic_spine: { rejected_alternatives: ['RSA signatures'] },
+  causal_chains_v2: [
+    { chain_id: 'chain-1', decision: { chosen_option: 'store transcripts in IndexedDB' }, trigger: { text: 'quota errors' }, impact_score: 0.45 }
+  ],
+  rl4_blocks: { blocks: { topics: '<RL4-TOPICS>quantum billing</RL4-TOPICS>' } }
+};
+
+/** Encoder reply with the given block bodies (defaults are grounded in SNAPSHOT). */
+function reply(overrides = {}) {
+  const body = {
+    arch: 'phase:implementation|compress:45.2x',
+    topics: 'IndexedDB transcripts(0.9), ECDSA signature(0.7), Markdown export(0.6)',
+    decisions: 'validated_intents=store transcripts in IndexedDB | seal with ECDSA|rejected=["RSA signatures"]|constraints=NOT_AVAILABLE|control_style=NOT_AVAILABLE',
+    chains: 'chain-1:quota errors→store transcripts in IndexedDB→pending(0.45)',
+    ...overrides
+  };
+  return parseRl4Blocks(
+    [
+      `<RL4-ARCH>${body.arch}</RL4-ARCH>`,
+      '<RL4-LAYERS>NOT_AVAILABLE</RL4-LAYERS>',
+      `<RL4-TOPICS>${body.topics}</RL4-TOPICS>`,
+      '<RL4-TIMELINE>Storage: IndexedDB | VELOCITY:NOT_AVAILABLE|CLARITY:NOT_AVAILABLE|DECISIONS:2</RL4-TIMELINE>',
+      `<RL4-DECISIONS>${body.decisions}</RL4-DECISIONS>`,
+      '<RL4-INSIGHTS>patterns=NOT_AVAILABLE correlations=NOT_AVAILABLE risks=NOT_AVAILABLE recommendations=NOT_AVAILABLE</RL4-INSIGHTS>',
+      `<RL4-CAUSAL-CHAINS>${body.chains}</RL4-CAUSAL-CHAINS>`,
+      'HUMAN SUMMARY: ok',
+      '<RL4-END/>'
+    ].join('\n')
+  );
+}
+
+const codes = (r) => r.findings.map((f) => f.code);
+
+test('checkRl4BlocksGrounding: blocks taken from the snapshot are grounded', () => {
+  const r = checkRl4BlocksGrounding(reply(), SNAPSHOT);
+  assert.deepEqual(r.findings, []);
+  assert.equal(r.ok, true);
+  assert.equal(r.score, 1);
+  assert.deepEqual(r.compress, { claimed: '45.2x', expected: '45.2x', match: true });
+  assert.deepEqual([r.topics.claimed, r.decisions.claimed, r.causal_chains.claimed], [3, 3, 1]);
+});
+
+test('checkRl4BlocksGrounding: invented items, dropped topics and compress mismatch', () => {
+  const r = checkRl4BlocksGrounding(
+    reply({
+      arch: 'phase:implementation|compress:80x',
+      topics: 'IndexedDB transcripts(0.9), quantum billing(0.8)',
+      decisions: 'validated_intents=migrate to Kubernetes clusters|rejected=[]|constraints=NOT_AVAILABLE|control_style=NOT_AVAILABLE',
+      chains: 'chain-1:quota errors→store transcripts in IndexedDB→pending(0.9)|chain-2:latency spikes→adopt GraphQL federation→shipped(0.5)'
+    }),
+    SNAPSHOT
+  );
+  assert.equal(r.ok, false);
+  assert.deepEqual(codes(r).sort(), [
+    'chain-score-mismatch',
+    'compress-mismatch',
+    'dropped-topic',
+    'dropped-topic',
+    'invented-chain',
+    'invented-decision',
+    'invented-topic'
+  ]);
+  // The previous rl4_blocks is not part of the grounding corpus.
+  assert.deepEqual(r.topics.invented, ['quantum billing']);
+  assert.deepEqual(r.topics.dropped, ['ECDSA signature', 'Markdown export']);
+  assert.deepEqual(r.decisions.invented, ['migrate to Kubernetes clusters']);
+  assert.deepEqual(r.causal_chains.score_mismatch, [{ id: 'chain-1', claimed: 0.9, expected: 0.45 }]);
+  assert.deepEqual(r.causal_chains.invented, ['chain-2']);
+  const topic = r.findings.find((f) => f.code === 'invented-topic');
+  assert.deepEqual([topic.block, topic.line, topic.column], ['RL4-TOPICS', 3, 41]);
+  assert.equal(r.score, 0.4);
+});
+
+test('checkRl4BlocksGrounding: rejected and chains need a source in the snapshot', () => {
+  const bare = { ...SNAPSHOT, semantic_spine: { rejected_alternatives: [] }, causal_chains_v2: undefined, metadata: {} };
+  const r = checkRl4BlocksGrounding(reply(), bare);
+  assert.deepEqual(codes(r).sort(), ['invented-chain', 'invented-rejected']);
+  assert.equal(r.compress.match, null);
+  assert.equal(checkRl4BlocksGrounding(reply({ chains: 'NOT_AVAILABLE' }), { ...bare, semantic_spine: {} }).causal_chains.claimed, 0);
+});
@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { diffSnapshots, formatSnapshotDiff, decisionDiffKey } = require('../lib/snapshot-diff.js');
+
+const BASE = {
+  checksum: 'a'.repeat(64),
+  timestamp: '2024-01-15T10:00:00.000Z',
+  conversation_fingerprint: { sha256: '1'.repeat(64) },
+  metadata: { messages: 10, transcript_ref: 'chatgpt:abc' },
+  topics: [
+    { label: 'IndexedDB storage', weight: 0.8 },
+    { label: 'RSA signatures', weight: 0.3 }
+  ],
+  decisions: [{ id: 'dec-1', intent: 'decide', chosen_option: 'Store transcripts in IndexedDB.' }],
+  insights: ['Checksums need canonical JSON'],
+  constraints: { dont: ['Do not upload transcripts'] }
+};
+
+const HEAD = {
+  checksum: 'b'.repeat(64),
+  timestamp: '2024-01-15T11:00:00.000Z',
+  conversation_fingerprint: { sha256: '2'.repeat(64) },
+  metadata: { messages: 14, transcript_ref: 'chatgpt:abc' },
+  topics: [
+    { label: 'indexeddb storage', weight: 0.9 },
+    { label: 'Markdown export', weight: 0.5 }
+  ],
+  decisions: [
+    { id: 'dec-7', intent: 'decide', chosen_option: 'store transcripts in IndexedDB' },
+    { id: 'dec-8', intent: 'commit', chosen_option: 'Ship the Markdown export next.' }
+  ],
+  insights: ['Checksums need canonical JSON', 'Exports share one model'],
+  constraints: { dont: ['Do not upload transcripts', 'No remote fonts'], do: ['Keep it offline'] }
+};
+
+test('diffSnapshots: new message range, topics, decisions, insights and constraints', () => {
+  const diff = diffSnapshots(BASE, HEAD);
+  assert.deepEqual(diff.lineage, { related: true, same_conv: true, same_fingerprint: false, conv_ref: 'chatgpt:abc' });
+  assert.deepEqual(diff.messages, { new_range: { start: 11, end: 14 }, new_count: 4, reset: false });
+  assert.deepEqual(diff.topics.added.map((t) => t.label), ['Markdown export']);
+  assert.deepEqual(diff.topics.removed.map((t) => t.label), ['RSA signatures']);
+  assert.deepEqual(diff.topics.changed.map((t) => [t.label, t.before.weight, t.after.weight]), [['indexeddb storage', 0.8, 0.9]]);
+  // Same choice up to case and trailing punctuation: not a new decision.
+  assert.deepEqual(diff.decisions.added.map((d) => d.id), ['dec-8']);
+  assert.deepEqual(diff.decisions.removed, []);
+  assert.deepEqual(diff.insights, { added: ['Exports share one model'], removed: [] });
+  assert.deepEqual(diff.constraints.added, { dont: ['No remote fonts'], do: ['Keep it offline'] });
+  assert.equal(diff.unchanged, false);
+});
+
+test('diffSnapshots: a shorter head is a restarted capture', () => {
+  const diff = diffSnapshots(HEAD, { ...HEAD, metadata: { ...HEAD.metadata, messages: 3 } });
+  assert.deepEqual(diff.messages, { new_range: { start: 1, end: 3 }, new_count: 3, reset: true });
+});
+
+test('diffSnapshots: lineage comes from the conversation ref, not from an equal fingerprint', () => {
+  const other = { ...HEAD, conversation_fingerprint: BASE.conversation_fingerprint, metadata: { ...HEAD.metadata, transcript_ref: 'claude:xyz' } };
+  const diff = diffSnapshots(BASE, other);
+  assert.equal(diff.lineage.same_fingerprint, true);
+  assert.equal(diff.lineage.same_conv, false);
+  assert.equal(diff.lineage.related, false);
+  assert.match(formatSnapshotDiff(diff), /^⚠ Snapshots do not share a conversation id\./);
+
+  const noRef = { ...BASE, metadata: { messages: 10 } };
+  assert.equal(diffSnapshots(noRef, noRef).lineage.related, false);
+});
+
+test('diffSnapshots: identical snapshots are unchanged', () => {
+  const diff = diffSnapshots(BASE, BASE);
+  assert.equal(diff.unchanged, true);
+  assert.equal(diff.messages.new_range, null);
+  assert.equal(formatSnapshotDiff(diff), 'Messages: no new messages\n\nNo semantic changes.');
+});
+
+test('diffSnapshots: an Ultra snapshot and a digest of the same conversation share their decisions', () => {
+  const ultra = {
+    ...BASE,
+    decisions: [{ id: 'dec-1', intent: 'decide', choice: 'Store transcripts in IndexedDB.', choice_sha256: 'c'.repeat(64) }]
+  };
+  const diff = diffSnapshots(ultra, BASE);
+  assert.deepEqual(diff.decisions, { added: [], removed: [] });
+  assert.equal(diff.unchanged, true);
+});
+
+test('decisionDiffKey: choice text first, then choice_sha256, then id', () => {
+  assert.equal(decisionDiffKey({ id: 'd', choice: 'Use  Postgres.', choice_sha256: 'abc' }), 'txt:use postgres');
+  assert.equal(decisionDiffKey({ id: 'd', chosen_option: 'Use Postgres' }), 'txt:use postgres');
+  assert.equal(decisionDiffKey({ id: 'd', choice_sha256: 'abc' }), 'sha:abc');
+  assert.equal(decisionDiffKey({ id: 'd' }), 'id:d');
+  assert.equal(decisionDiffKey(null), '');
+});
+
+test('formatSnapshotDiff: one section per change, prefixed +/-/~', () => {
+  assert.equal(
+    formatSnapshotDiff(diffSnapshots(BASE, HEAD)),
+    [
+      'Messages: +4 (11-14)',
+      '',
+      '+ Topics (1):',
+      '- Markdown export',
+      '',
+      '- Topics (1):',
+      '- RSA signatures',
+      '',
+      '~ Topics (1):',
+      '- indexeddb storage (weight 0.8 → 0.9)',
+      '',
+      '+ Decisions (1):',
+      '- commit: Ship the Markdown export next.',
+      '',
+      '+ Insights (1):',
+      '- Exports share one model',
+      '',
+      '+ Constraints/dont (1):',
+      '- No remote fonts',
+      '',
+      '+ Constraints/do (1):',
+      '- Keep it offline'
+    ].join('\n')
+  );
+});
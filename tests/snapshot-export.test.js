@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  buildExportModel,
+  renderSnapshotMarkdown,
+  renderSnapshotHtml,
+  renderSnapshotText,
+  exportSnapshotDocument
+} = require('../lib/snapshot-export.js');
+const { loadLibContext, plain } = require('./helpers/load-lib.js');
+const { fixtureMessages, assertGolden } = require('./helpers/fixtures.js');
+
+/**
+ * @param {string} fixture
+ * @param {'digest'|'ultra'|'ultra_plus'} outputMode
+ */
+async function generate(fixture, outputMode) {
+  const ctx = loadLibContext();
+  const gen = new ctx.RL4SnapshotGenerator(fixtureMessages(fixture), {}, { includeTranscript: false, outputMode });
+  return plain(await gen.generate());
+}
+
+const HOSTILE = '<script>alert("x")</script><img src=x onerror=alert(1)> & \'quoted\'';
+
+for (const mode of ['digest', 'ultra_plus']) {
+  test(`export golden: english / ${mode} as Markdown, HTML and text`, async () => {
+    const snapshot = await generate('english', mode);
+    const verification = { verdict: 'unsigned', reason: 'no_signature' };
+    assertGolden(`english.${mode}.export`, {
+      markdown: renderSnapshotMarkdown(snapshot, { verification }).split('\n'),
+      html: renderSnapshotHtml(snapshot, { verification }).split('\n'),
+      text: renderSnapshotText(snapshot, { verification }).split('\n')
+    });
+  });
+}
+
+test('renderSnapshotHtml: conversation content is escaped, the document has no script or external resource', () => {
+  const snapshot = {
+    context_state: { core_subject: HOSTILE },
+    topics: [{ label: HOSTILE, weight: 0.5, summary: HOSTILE }],
+    decisions: [{ intent: 'decide', chosen_option: HOSTILE, rationale: '"><iframe src=//evil>' }],
+    insights: [HOSTILE],
+    checksum: 'a'.repeat(64)
+  };
+  const html = renderSnapshotHtml(snapshot);
+  assert.doesNotMatch(html, /<script|<img|<iframe/i);
+  assert.match(html, /<title>&lt;script&gt;alert\(&quot;x&quot;\)&lt;\/script&gt;&lt;img src=x onerror=alert\(1\)&gt; &amp; &#39;quoted&#39;<\/title>/);
+  assert.match(html, /<li><strong>decide: &lt;script&gt;/);
+  assert.match(html, /Rationale: &quot;&gt;&lt;iframe src=\/\/evil&gt;/);
+  // Only the renderer's own tags.
+  const tags = new Set((html.match(/<\/?([a-z0-9]+)/gi) || []).map((t) => t.replace(/[</]/g, '').toLowerCase()));
+  assert.deepEqual([...tags].sort(), ['body', 'div', 'footer', 'h1', 'h2', 'head', 'html', 'li', 'meta', 'p', 'strong', 'style', 'title', 'ul']);
+
+  const md = renderSnapshotMarkdown(snapshot);
+  // Markdown viewers render raw HTML: every angle bracket is backslash-escaped.
+  assert.doesNotMatch(md, /(?<!\\)[<>]/);
+  assert.match(md, /^# \\<script\\>alert\("x"\)\\<\/script\\>\\<img src=x onerror=alert\(1\)\\> & 'quoted'$/m);
+});
+
+test('export footer: integrity verdict, signing key and schema', () => {
+  const base = { checksum: 'b'.repeat(64), metadata: { schema_validation: { schema: 'rl4.snapshot.v1', valid: true } } };
+  const footer = (snapshot, verification) => buildExportModel(snapshot, { verification }).footer;
+  assert.deepEqual(footer(base), [`Checksum: ${'b'.repeat(64)}`, 'Integrity: not verified', 'Schema: rl4.snapshot.v1 (valid)']);
+  assert.equal(footer(base, { verdict: 'ok' })[1], 'Integrity: checksum valid, signature valid');
+  assert.equal(footer(base, { verdict: 'unsigned' })[1], 'Integrity: checksum valid, unsigned');
+  assert.equal(footer(base, { verdict: 'bad_signature', reason: 'signature_invalid' })[1], 'Integrity: bad_signature (signature_invalid)');
+  assert.equal(footer(base, { verdict: 'partial_view', reason: 'source_seal_valid' })[1], 'Integrity: partial_view (source_seal_valid)');
+
+  const signed = { ...base, signature: { key_id: 'k'.repeat(64) } };
+  assert.deepEqual(footer(signed).slice(1, 3), ['Integrity: signed (not verified)', `Signing key: ${'k'.repeat(64)}`]);
+  assert.match(renderSnapshotText({}), /\nChecksum: missing\nIntegrity: not verified\n$/);
+});
+
+test('export Timeline: cognitive_days first, timeline_macro when there are none', () => {
+  const timeline_macro = [{ phase: 'P1', range: '0-5', summary: 'Storage choice' }];
+  const titles = (snapshot) =>
+    buildExportModel(snapshot)
+      .sections.filter((s) => s.title === 'Timeline')
+      .flatMap((s) => s.items.map((it) => it.title));
+  assert.deepEqual(titles({ cognitive_days: [{ day_id: 'day-1', focus: 'storage', messages_range: { start: 0, end: 3 } }], timeline_macro }), [
+    'day-1 (messages 1-4): storage'
+  ]);
+  assert.deepEqual(titles({ cognitive_days: [], timeline_macro }), ['P1 (messages 0-5)']);
+  assert.deepEqual(titles({ timeline_macro }), ['P1 (messages 0-5)']);
+});
+
+test('exportSnapshotDocument: filename from the day and checksum, unknown formats rejected', () => {
+  const snapshot = { timestamp: '2024-01-15T10:00:00.000Z', checksum: 'c0ffee12'.repeat(8) };
+  assert.deepEqual(
+    [exportSnapshotDocument(snapshot, 'markdown'), exportSnapshotDocument(snapshot, 'html'), exportSnapshotDocument(snapshot, 'text')].map((d) => [d.filename, d.mime]),
+    [
+      ['rl4-snapshot-2024-01-15-c0ffee12.md', 'text/markdown'],
+      ['rl4-snapshot-2024-01-15-c0ffee12.html', 'text/html'],
+      ['rl4-snapshot-2024-01-15-c0ffee12.txt', 'text/plain']
+    ]
+  );
+  assert.match(exportSnapshotDocument({ timestamp: '2024-01-15T10:00:00.000Z' }, 'text').filename, /-unsealed\.txt$/);
+  assert.throws(() => exportSnapshotDocument(snapshot, 'pdf'), /Unknown export format: pdf/);
+});
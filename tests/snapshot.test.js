@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadLibContext, plain } = require('./helpers/load-lib.js');
+const { XXL_MESSAGE_COUNT, fixtureMessages, projectSnapshot, assertGolden } = require('./helpers/fixtures.js');
+
+/**
+ * Generate a snapshot in a fresh popup-like context (frozen clock).
+ * @param {string} fixture
+ * @param {'digest'|'ultra'|'ultra_plus'} outputMode
+ */
+async function generate(fixture, outputMode) {
+  const ctx = loadLibContext();
+  const gen = new ctx.RL4SnapshotGenerator(fixtureMessages(fixture), {}, { includeTranscript: false, outputMode });
+  return plain(await gen.generate());
+}
+
+for (const fixture of ['english', 'french', 'code_heavy']) {
+  for (const mode of ['digest', 'ultra', 'ultra_plus']) {
+    test(`snapshot golden: ${fixture} / ${mode}`, async () => {
+      assertGolden(`${fixture}.${mode}`, projectSnapshot(await generate(fixture, mode)));
+    });
+  }
+}
+
+test(`snapshot golden: xxl (${XXL_MESSAGE_COUNT} messages) / digest`, async () => {
+  const snapshot = await generate('xxl', 'digest');
+  assert.equal(snapshot.metadata.messages_original, XXL_MESSAGE_COUNT);
+  assert.notEqual(snapshot.topics_meta.status, 'partial');
+  assertGolden('xxl.digest', projectSnapshot(snapshot));
+});
+
+test('snapshot checksum matches calculateChecksum over the sealed object', async () => {
+  const ctx = loadLibContext();
+  const snapshot = await new ctx.RL4SnapshotGenerator(fixtureMessages('english'), {}, { includeTranscript: false }).generate();
+  assert.equal(snapshot.checksum, await ctx.calculateChecksum(snapshot));
+});
+
+test('snapshot generation is deterministic under a frozen clock', async () => {
+  const a = await generate('code_heavy', 'digest');
+  const b = await generate('code_heavy', 'digest');
+  assert.deepEqual(a, b);
+});
+
+test('portable_memory is emitted in every mode and matches the bundled schemas', async () => {
+  const { validateSnapshotSchema } = require('../lib/schema-validator.js');
+  for (const mode of ['digest', 'ultra', 'ultra_plus']) {
+    const snapshot = await generate('english', mode);
+    const report = await validateSnapshotSchema(snapshot);
+    assert.deepEqual(report.errors, [], mode);
+    // generate() records the same report inside the checksummed payload.
+    assert.equal(snapshot.metadata.schema_validation.valid, true, mode);
+    assert.equal(snapshot.metadata.schema_validation.schema, report.schema, mode);
+    const pm = snapshot.portable_memory;
+    assert.match(pm.goal, /storage layer/);
+    assert.deepEqual(pm.rejected_directions, ['RSA'], mode);
+    assert.ok(pm.accepted_decisions.every((d) => d.intent !== 'propose'), mode);
+    assert.equal(pm.derived_from.includes('semantic_spine'), mode === 'ultra_plus', mode);
+  }
+  const bad = await validateSnapshotSchema({ ...(await generate('english', 'digest')), portable_memory: { who: 'x' } });
+  assert.ok(bad.errors.some((e) => e.pointer === '/portable_memory/accepted_decisions' && e.keyword === 'required'));
+});
+
+test('portable_memory: conventions are whole sentences, answered questions are not open', async () => {
+  const english = await generate('english', 'ultra');
+  assert.deepEqual(english.portable_memory.working_conventions, [
+    'Important: the checksum must be computed over the canonical JSON, otherwise two identical snapshots hash differently.',
+    'The seal MUST use a non-extractable private key.',
+    'NEVER store API keys or session cookies inside a snapshot.',
+    'Constraint: the extension must work offline, no network calls from the popup.',
+    "Limitation: Chrome doesn't allow downloads from the service worker without the downloads permission.",
+    'Warning: extraction over 2000 messages is too slow on a single pass.'
+  ]);
+  // Every question in the fixture got a reply.
+  assert.deepEqual(english.portable_memory.open_questions, []);
+
+  const at = (i) => new Date(Date.parse('2024-01-15T11:00:00.000Z') + i * 60_000).toISOString();
+  const messages = [
+    ...fixtureMessages('english'),
+    { id: 'q-1', role: 'user', content: 'Which format should the options page offer first?', timestamp: at(0) },
+    { id: 'q-2', role: 'assistant', content: 'Do you mean the snapshot document or the transcript file?', timestamp: at(1) },
+    { id: 'q-3', role: 'user', content: 'Should the manifest request the downloads permission?', timestamp: at(2) }
+  ];
+  const ctx = loadLibContext();
+  const snapshot = plain(await new ctx.RL4SnapshotGenerator(messages, {}, { includeTranscript: false, outputMode: 'ultra' }).generate());
+  // Unanswered, and answered only by a question back.
+  assert.deepEqual(snapshot.portable_memory.open_questions, [
+    'Should the manifest request the downloads permission?',
+    'Which format should the options page offer first?'
+  ]);
+});
+
+test('digest carries the schema-required timeline_macro and cognitive_spine', async () => {
+  const { validateSnapshotSchema } = require('../lib/schema-validator.js');
+  const digest = await generate('english', 'digest');
+  assert.equal(digest.protocol, 'RCEP_v1');
+  assert.ok(digest.timeline_macro.length > 0);
+  assert.equal(digest.cognitive_spine.current_focus, digest.cognitive_days[digest.cognitive_days.length - 1].focus);
+  assert.deepEqual(
+    digest.cognitive_spine.key_decisions.map((d) => d.id),
+    ['dec-1', 'dec-2', 'dec-6']
+  );
+  const { cognitive_spine: _spine, ...withoutSpine } = digest;
+  assert.deepEqual((await validateSnapshotSchema(withoutSpine)).missing_required, ['/cognitive_spine']);
+  assert.equal((await validateSnapshotSchema({ ...digest, protocol: 'RL4' })).schema, '');
+});
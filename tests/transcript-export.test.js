@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const {
+  transcriptToJsonl,
+  transcriptToOpenAIMessages,
+  transcriptToMarkdown,
+  buildTranscriptExportFiles
+} = require('../lib/transcript-export.js');
+
+/**
+ * @returns {{conversation:any, messages:Array<any>}} fresh copy of the stored transcript fixture
+ */
+function storedTranscript() {
+  return JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'transcripts', 'stored_transcript.json'), 'utf8'));
+}
+
+test('transcriptToJsonl: one row per stored message, idx kept, unknown roles named', () => {
+  const { messages } = storedTranscript();
+  const lines = transcriptToJsonl(messages).split('\n');
+  assert.equal(lines.pop(), '');
+  const rows = lines.map((l) => JSON.parse(l));
+  assert.deepEqual(rows.map((r) => [r.idx, r.role]), [[0, 'user'], [1, 'assistant'], [3, 'unknown'], [4, 'assistant'], [5, 'user']]);
+  assert.deepEqual(Object.keys(rows[0]), ['idx', 'role', 'timestamp', 'content']);
+  assert.equal(rows[1].content, messages[1].content);
+  assert.equal(rows[3].timestamp, '');
+  assert.equal(transcriptToJsonl([]), '');
+  assert.equal(transcriptToJsonl(null), '');
+});
+
+test('transcriptToJsonl: falls back to the list position when rows have no idx', () => {
+  const rows = transcriptToJsonl([{ role: 'user', content: 'a' }, { role: 'assistant', content: 'b' }])
+    .trim()
+    .split('\n')
+    .map((l) => JSON.parse(l));
+  assert.deepEqual(rows.map((r) => r.idx), [0, 1]);
+});
+
+test('transcriptToOpenAIMessages: drops blank messages, non-user roles become assistant', () => {
+  const { messages } = storedTranscript();
+  assert.deepEqual(transcriptToOpenAIMessages(messages), [
+    { role: 'user', content: 'How should we store pending edits offline?' },
+    { role: 'assistant', content: messages[1].content },
+    { role: 'assistant', content: '{"ok":true}' },
+    { role: 'user', content: 'Ship it.' }
+  ]);
+});
+
+test('transcriptToMarkdown: header from the conversation row, one section per message', () => {
+  const { conversation, messages } = storedTranscript();
+  const md = transcriptToMarkdown(messages.slice(0, 3), conversation);
+  assert.equal(
+    md,
+    [
+      '# Transcript — claude 6f1d2c3e',
+      '',
+      '- Conversation: `claude:6f1d2c3e`',
+      '- Messages: 3',
+      '- Capture: complete',
+      '',
+      '## 1. User — 2024-01-10T09:00:00.000Z',
+      '',
+      'How should we store pending edits offline?',
+      '',
+      '## 2. Assistant — 2024-01-10T09:01:00.000Z',
+      '',
+      "Queue them in IndexedDB.\n\n```js\nawait db.put('edits', edit);\n```",
+      '',
+      '## 4. Unknown — 2024-01-10T09:02:00.000Z',
+      '',
+      '{"ok":true}',
+      ''
+    ].join('\n')
+  );
+  assert.match(transcriptToMarkdown([], undefined), /^# Transcript — unknown\n/);
+});
+
+test('buildTranscriptExportFiles: one format, no manifest', async () => {
+  const { conversation, messages } = storedTranscript();
+  const files = await buildTranscriptExportFiles(conversation, messages, ['jsonl']);
+  assert.deepEqual(files.map((f) => [f.filename, f.mime]), [['rl4-transcript-claude-6f1d2c3e.jsonl', 'application/x-ndjson']]);
+  assert.equal(files[0].content, transcriptToJsonl(messages));
+});
+
+test('buildTranscriptExportFiles: manifest lists every file with its sha256', async () => {
+  const { conversation, messages } = storedTranscript();
+  const files = await buildTranscriptExportFiles(conversation, messages, ['jsonl', 'bogus', 'openai', 'markdown']);
+  assert.deepEqual(files.map((f) => f.filename), [
+    'rl4-transcript-claude-6f1d2c3e.jsonl',
+    'rl4-transcript-claude-6f1d2c3e.openai.json',
+    'rl4-transcript-claude-6f1d2c3e.md',
+    'rl4-transcript-claude-6f1d2c3e.manifest.json'
+  ]);
+  assert.deepEqual(JSON.parse(files[1].content), transcriptToOpenAIMessages(messages));
+
+  const manifest = JSON.parse(files[3].content);
+  assert.equal(manifest.kind, 'rl4_transcript_export_v1');
+  assert.ok(!Number.isNaN(Date.parse(manifest.exported_at)));
+  assert.deepEqual(manifest.conversation, { ...conversation, messages: 5 });
+  assert.deepEqual(
+    manifest.files,
+    files.slice(0, 3).map((f) => ({ filename: f.filename, sha256: crypto.createHash('sha256').update(f.content).digest('hex') }))
+  );
+});
+
+test('buildTranscriptExportFiles: unsafe ids are slugged, unknown formats rejected', async () => {
+  const files = await buildTranscriptExportFiles({ provider: 'chatgpt', convId: '../../etc/passwd' }, [], ['markdown']);
+  assert.equal(files[0].filename, 'rl4-transcript-chatgpt-_etc_passwd.md');
+  await assert.rejects(buildTranscriptExportFiles({}, [], []), /No export format selected/);
+  await assert.rejects(buildTranscriptExportFiles({}, [], ['pdf']), /No export format selected/);
+});
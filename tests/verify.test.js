@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { verifySnapshot } = require('../lib/verify.js');
+const { loadLibContext, plain } = require('./helpers/load-lib.js');
+const { fixtureMessages } = require('./helpers/fixtures.js');
+const { signChecksum } = require('./helpers/seal.js');
+
+async function englishSnapshot() {
+  const ctx = loadLibContext();
+  return plain(await new ctx.RL4SnapshotGenerator(fixtureMessages('english'), {}, { includeTranscript: false }).generate());
+}
+
+test('verifySnapshot: unsigned snapshot with a valid checksum', async () => {
+  const snapshot = await englishSnapshot();
+  const v = await verifySnapshot(snapshot);
+  assert.equal(v.verdict, 'unsigned');
+  assert.equal(v.ok, true);
+  assert.deepEqual(v.checksum, { expected: snapshot.checksum, actual: snapshot.checksum, matches: true });
+
+  const required = await verifySnapshot(snapshot, { requireSignature: true });
+  assert.equal(required.ok, false);
+  assert.equal(required.reason, 'signature_required');
+});
+
+test('verifySnapshot: sealed snapshot verifies, also from its JSON text', async () => {
+  const snapshot = await englishSnapshot();
+  snapshot.signature = await signChecksum(snapshot.checksum);
+  assert.equal((await verifySnapshot(snapshot)).verdict, 'ok');
+  assert.equal((await verifySnapshot(JSON.stringify(snapshot, null, 2), { requireSignature: true })).verdict, 'ok');
+});
+
+test('verifySnapshot: an edited field is a checksum mismatch, sealed or not', async () => {
+  const snapshot = await englishSnapshot();
+  snapshot.signature = await signChecksum(snapshot.checksum);
+  snapshot.decisions = [...(snapshot.decisions || []), { choice: 'Injected decision' }];
+  const v = await verifySnapshot(snapshot);
+  assert.equal(v.verdict, 'checksum_mismatch');
+  assert.equal(v.reason, 'recomputed_checksum_differs');
+  assert.notEqual(v.checksum.actual, snapshot.checksum);
+});
+
+test('verifySnapshot: signature that does not cover this snapshot', async () => {
+  const snapshot = await englishSnapshot();
+  const other = await signChecksum('0'.repeat(64));
+
+  snapshot.signature = other;
+  assert.equal((await verifySnapshot(snapshot)).reason, 'signed_payload_does_not_match_checksum');
+
+  snapshot.signature = { ...(await signChecksum(snapshot.checksum)), value: other.value };
+  const forged = await verifySnapshot(snapshot);
+  assert.equal(forged.verdict, 'bad_signature');
+  assert.equal(forged.reason, 'signature_verification_failed');
+
+  snapshot.signature = { ...(await signChecksum(snapshot.checksum)), key_id: 'f'.repeat(64) };
+  assert.equal((await verifySnapshot(snapshot)).reason, 'key_id_does_not_match_public_key');
+});
+
+test('verifySnapshot: malformed input', async () => {
+  assert.equal((await verifySnapshot('{not json')).reason, 'invalid_json');
+  assert.equal((await verifySnapshot([1, 2])).reason, 'not_an_object');
+  const snapshot = await englishSnapshot();
+  delete snapshot.checksum;
+  const v = await verifySnapshot(snapshot);
+  assert.equal(v.verdict, 'malformed');
+  assert.equal(v.reason, 'missing_or_invalid_checksum');
+});